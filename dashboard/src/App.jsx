@@ -7,12 +7,13 @@
  * - Overview: Health score, stats, and quick summary
  * - Recommendations: AI-generated action items with priority ranking
  * - Events: Real-time telemetry stream from connected applications
+ * - Traces: Failed, stalled or incomplete correlation journeys as a waterfall
  * - Analysis: Run new AI analyses and view history
  *
  * The Observer acts as an architect/engineer for your applications.
  * It observes, plans, and presents recommendations - you decide what to apply.
  */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 
 // API base URL - proxied to backend during development
 const API_BASE = '/api';
@@ -33,6 +34,7 @@ export default function App() {
   const [stats, setStats] = useState(null);
   const [references, setReferences] = useState({});
   const [events, setEvents] = useState([]);
+  const [eventsCursor, setEventsCursor] = useState(null);
   const [providers, setProviders] = useState([]);
 
   // Loading states
@@ -85,7 +87,7 @@ export default function App() {
   }, []);
 
   /**
-   * Fetch recent events
+   * Fetch recent events (first page)
    */
   const fetchEvents = useCallback(async () => {
     try {
@@ -93,12 +95,31 @@ export default function App() {
       if (res.ok) {
         const data = await res.json();
         setEvents(data.events || []);
+        setEventsCursor(data.nextCursor || null);
       }
     } catch (err) {
       console.error('Failed to fetch events:', err);
     }
   }, []);
 
+  /**
+   * Fetch the next page of events after the current cursor
+   * The cursor keeps pages stable while new events keep arriving
+   */
+  const loadMoreEvents = useCallback(async () => {
+    if (!eventsCursor) return;
+    try {
+      const res = await fetch(`${API_BASE}/events?limit=50&cursor=${encodeURIComponent(eventsCursor)}`);
+      if (res.ok) {
+        const data = await res.json();
+        setEvents(prev => [...prev, ...(data.events || [])]);
+        setEventsCursor(data.nextCursor || null);
+      }
+    } catch (err) {
+      console.error('Failed to load more events:', err);
+    }
+  }, [eventsCursor]);
+
   /**
    * Fetch available AI providers
    */
@@ -161,7 +182,7 @@ export default function App() {
       <main className="main">
         {/* Navigation Tabs */}
         <nav className="tabs">
-          {['overview', 'recommendations', 'events', 'analysis'].map(tab => (
+          {['overview', 'recommendations', 'events', 'traces', 'analysis'].map(tab => (
             <button
               key={tab}
               className={`tab ${activeTab === tab ? 'active' : ''}`}
@@ -187,7 +208,15 @@ export default function App() {
               <RecommendationsTab references={references} />
             )}
             {activeTab === 'events' && (
-              <EventsTab events={events} onRefresh={fetchEvents} />
+              <EventsTab
+                events={events}
+                hasMore={!!eventsCursor}
+                onRefresh={fetchEvents}
+                onLoadMore={loadMoreEvents}
+              />
+            )}
+            {activeTab === 'traces' && (
+              <TracesTab />
             )}
             {activeTab === 'analysis' && (
               <AnalysisTab
@@ -391,7 +420,7 @@ function RecommendationItem({ rec }) {
 /**
  * Events Tab - Real-time event stream
  */
-function EventsTab({ events, onRefresh }) {
+function EventsTab({ events, hasMore, onRefresh, onLoadMore }) {
   return (
     <div className="card">
       <div className="card-header">
@@ -421,6 +450,11 @@ function EventsTab({ events, onRefresh }) {
               </span>
             </div>
           ))}
+          {hasMore && (
+            <button className="btn btn-secondary" onClick={onLoadMore}>
+              Load more
+            </button>
+          )}
         </div>
       ) : (
         <div className="empty-state">
@@ -432,16 +466,231 @@ function EventsTab({ events, onRefresh }) {
   );
 }
 
+// Problem statuses in severity order (mirrors PROBLEM_STATUSES on the server)
+const PROBLEM_STATUSES = 'failed,stalled,skipped,incomplete';
+
+/**
+ * Map a trace status to an event status dot class
+ */
+function traceStatusClass(status) {
+  if (status === 'failed' || status === 'stalled') return 'error';
+  if (status === 'ok') return 'success';
+  return 'pending';
+}
+
+/**
+ * Traces Tab - Correlation traces that need attention, with a waterfall view
+ */
+function TracesTab() {
+  const [traces, setTraces] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [status, setStatus] = useState(PROBLEM_STATUSES);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch trace summaries for the selected status filter
+   */
+  const fetchTraces = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/traces?status=${status}&limit=50`);
+      if (res.ok) {
+        const data = await res.json();
+        setTraces(data.traces || []);
+        setCounts(data.counts || null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch traces:', err);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchTraces();
+  }, [fetchTraces]);
+
+  /**
+   * Load the full trace (every step) for the waterfall
+   */
+  const openTrace = async (correlationId) => {
+    setError(null);
+    try {
+      const res = await fetch(`${API_BASE}/traces/${encodeURIComponent(correlationId)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load trace');
+      setSelected(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Correlation Traces</h2>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select value={status} onChange={e => setStatus(e.target.value)}>
+              <option value={PROBLEM_STATUSES}>Needs attention</option>
+              <option value="failed">Failed</option>
+              <option value="stalled">Stalled</option>
+              <option value="skipped">Skipped a stage</option>
+              <option value="incomplete">Long gaps</option>
+              <option value="in_progress">In progress</option>
+              <option value="all">All</option>
+            </select>
+            <button className="btn btn-secondary" onClick={fetchTraces}>
+              Refresh
+            </button>
+          </div>
+        </div>
+        {counts && (
+          <p className="card-subtitle">
+            {counts.failed} failed, {counts.stalled} stalled, {counts.skipped} skipped,
+            {' '}{counts.incomplete} with long gaps, {counts.in_progress} in progress, {counts.ok} ok
+          </p>
+        )}
+        {traces.length > 0 ? (
+          <div className="events-list">
+            {traces.map(trace => (
+              <div
+                key={trace.correlationId}
+                className="event-item trace-item"
+                onClick={() => openTrace(trace.correlationId)}
+              >
+                <span className={`event-status ${traceStatusClass(trace.status)}`}></span>
+                <div className="event-details">
+                  <span className="event-source">{trace.correlationId}</span>
+                  <span className="event-stage">
+                    {' '}{trace.sources.join(', ')} &middot; {trace.stages.join(' → ')}
+                  </span>
+                </div>
+                <span className="event-time">
+                  {trace.eventCount} events &middot; {formatDuration(trace.totalDurationMs)}
+                </span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="empty-state">
+            <p>No traces match this filter.</p>
+            <p>Traces are built from events that share a correlationId.</p>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ color: '#ef4444', marginBottom: '1rem' }}>
+          Error: {error}
+        </div>
+      )}
+
+      {selected && <TraceWaterfall trace={selected} />}
+    </>
+  );
+}
+
+/**
+ * Waterfall of one trace - each step is a bar offset from the trace start
+ */
+function TraceWaterfall({ trace }) {
+  // Zero-length traces still need a scale to draw on
+  const total = Math.max(trace.totalDurationMs, 1);
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="card-title">{trace.correlationId}</h2>
+        <span className={`priority-badge ${
+          traceStatusClass(trace.status) === 'error' ? 'critical' :
+          traceStatusClass(trace.status) === 'pending' ? 'medium' : 'low'
+        }`}>
+          {trace.status.replace('_', ' ')}
+        </span>
+      </div>
+      <p className="card-subtitle">
+        {formatTime(trace.startedAt)} &middot; {formatDuration(trace.totalDurationMs)} total
+        {trace.gaps.length > 0 && <> &middot; longest gap {formatDuration(trace.maxGapMs)}</>}
+      </p>
+      {trace.pipeline && (
+        <p className="card-subtitle">
+          Expected: {trace.pipeline.expectedStages.join(' → ')}
+          {trace.pipeline.state === 'stalled' && <> &middot; stalled after {trace.pipeline.lastStage}</>}
+          {trace.pipeline.skippedStages.length > 0 && (
+            <> &middot; skipped {trace.pipeline.skippedStages.join(', ')}</>
+          )}
+        </p>
+      )}
+
+      <div className="waterfall">
+        {trace.steps.map(step => (
+          <div key={step.eventId} className="waterfall-row">
+            <div className="waterfall-label">
+              <span className="event-source">{step.stage}</span>
+              <span className="event-stage"> {step.action}</span>
+            </div>
+            <div className="waterfall-track">
+              <div
+                className={`waterfall-bar ${step.success === false ? 'error' : ''}`}
+                style={{
+                  left: `${(step.offsetMs / total) * 100}%`,
+                  width: `${Math.max(((step.durationMs || 0) / total) * 100, 0.5)}%`
+                }}
+                title={step.error?.message || `${step.source} ${step.stage}/${step.action}`}
+              ></div>
+            </div>
+            <div className="waterfall-timing">
+              {step.durationMs !== null ? formatDuration(step.durationMs) : '-'}
+              {step.gapMs > 0 && <small> +{formatDuration(step.gapMs)} gap</small>}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="stats-grid" style={{ marginTop: '1rem' }}>
+        {trace.stages.map(stage => (
+          <div key={stage.stage} className="stat-card">
+            <div className="stat-value">{formatDuration(stage.durationMs)}</div>
+            <div className="stat-label">
+              {stage.stage} ({stage.events}{stage.failures > 0 ? `, ${stage.failures} failed` : ''})
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Job statuses that won't change again
+const JOB_FINISHED = ['completed', 'failed', 'cancelled'];
+
+// localStorage key for the job the Analysis tab is following (survives refresh)
+const ANALYSIS_JOB_KEY = 'observer.analysisJobId';
+
 /**
  * Analysis Tab - Run AI analysis and view history
+ *
+ * Analyses run as background jobs; progress arrives over the /ws/jobs
+ * WebSocket and the current job is picked up again after a page refresh.
  */
 function AnalysisTab({ providers, onAnalysisComplete }) {
   const [provider, setProvider] = useState(providers[0] || 'claude');
   const [analysisType, setAnalysisType] = useState('anomaly');
-  const [running, setRunning] = useState(false);
+  const [customTypes, setCustomTypes] = useState([]);
+  const [force, setForce] = useState(false);
+  const [job, setJob] = useState(null);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
 
+  const jobFinished = !job || JOB_FINISHED.includes(job.status);
+  const running = !jobFinished;
+
+  // The parent passes a new callback each render; keep the latest without
+  // reconnecting the WebSocket
+  const onCompleteRef = useRef(onAnalysisComplete);
+  useEffect(() => {
+    onCompleteRef.current = onAnalysisComplete;
+  });
+
   // Update provider when providers list changes
   useEffect(() => {
     if (providers.length > 0 && !providers.includes(provider)) {
@@ -450,37 +699,109 @@ function AnalysisTab({ providers, onAnalysisComplete }) {
   }, [providers, provider]);
 
   /**
-   * Run AI analysis
+   * Load a job (with its result once finished) and show its outcome
+   */
+  const loadJob = useCallback(async (jobId) => {
+    try {
+      const res = await fetch(`${API_BASE}/analyze/jobs/${jobId}`);
+      if (!res.ok) {
+        localStorage.removeItem(ANALYSIS_JOB_KEY);
+        setJob(null);
+        return null;
+      }
+
+      const data = await res.json();
+      setJob(data);
+      if (data.status === 'completed') setResult(data.result);
+      if (data.status === 'failed') setError(data.error || 'Analysis failed');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  // Custom analysis types defined via /api/analyze/templates
+  useEffect(() => {
+    fetch(`${API_BASE}/analyze/templates`)
+      .then(res => (res.ok ? res.json() : { templates: [] }))
+      .then(data => setCustomTypes(data.templates.filter(t => !t.builtIn)))
+      .catch(err => console.error('Failed to fetch analysis templates:', err));
+  }, []);
+
+  // Pick up the job that was running before a refresh
+  useEffect(() => {
+    const jobId = localStorage.getItem(ANALYSIS_JOB_KEY);
+    if (jobId) loadJob(jobId);
+  }, [loadJob]);
+
+  // Follow progress of the current job over WebSocket
+  const jobId = job?.id;
+  useEffect(() => {
+    if (!jobId || jobFinished) return;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const ws = new WebSocket(`${protocol}//${window.location.host}/ws/jobs`);
+
+    // Catch up on anything that happened before the socket opened
+    ws.onopen = () => loadJob(jobId);
+
+    ws.onmessage = async (message) => {
+      const { type, payload } = JSON.parse(message.data);
+      if (type !== 'job' || payload.id !== jobId) return;
+
+      if (JOB_FINISHED.includes(payload.status)) {
+        const finished = await loadJob(jobId);
+        if (finished?.status === 'completed') onCompleteRef.current?.();
+      } else {
+        setJob(prev => ({ ...prev, ...payload }));
+      }
+    };
+
+    return () => ws.close();
+  }, [jobId, jobFinished, loadJob]);
+
+  /**
+   * Queue an AI analysis job
    */
   const runAnalysis = async () => {
-    setRunning(true);
     setError(null);
     setResult(null);
 
     try {
-      const res = await fetch(`${API_BASE}/analyze`, {
+      const res = await fetch(`${API_BASE}/analyze/jobs`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           provider,
           analysisType,
-          maxEvents: 100,
+          force,
           saveToFile: true
         })
       });
 
+      const data = await res.json();
       if (!res.ok) {
-        const data = await res.json();
         throw new Error(data.error || 'Analysis failed');
       }
 
+      localStorage.setItem(ANALYSIS_JOB_KEY, data.jobId);
+      setJob(data.job);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Cancel the running job
+   */
+  const cancelAnalysis = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/analyze/jobs/${jobId}/cancel`, { method: 'POST' });
       const data = await res.json();
-      setResult(data);
-      onAnalysisComplete?.();
+      if (data.job) setJob(data.job);
     } catch (err) {
       setError(err.message);
-    } finally {
-      setRunning(false);
     }
   };
 
@@ -511,9 +832,19 @@ function AnalysisTab({ providers, onAnalysisComplete }) {
             <option value="summary">Summary</option>
             <option value="pattern">Pattern Analysis</option>
             <option value="recommendations">Recommendations</option>
+            {customTypes.map(t => (
+              <option key={t.id} value={t.id}>{t.name} (v{t.version})</option>
+            ))}
           </select>
         </div>
 
+        <div className="form-group" style={{ justifyContent: 'flex-end' }}>
+          <label title="Run again even if these events were analyzed already">
+            <input type="checkbox" checked={force} onChange={e => setForce(e.target.checked)} />
+            {' '}Skip cache
+          </label>
+        </div>
+
         <div className="form-group" style={{ justifyContent: 'flex-end' }}>
           <button
             className="btn btn-primary"
@@ -525,6 +856,36 @@ function AnalysisTab({ providers, onAnalysisComplete }) {
         </div>
       </div>
 
+      {running && (
+        <div className="job-progress">
+          <div className="job-progress-label">
+            <span>
+              {job.cancelRequested ? 'Cancelling' : job.progress?.phase || job.status}
+              {job.progress?.total > 0 && ` (${job.progress.completed}/${job.progress.total})`}
+            </span>
+            <button
+              className="btn btn-secondary"
+              onClick={cancelAnalysis}
+              disabled={job.cancelRequested}
+            >
+              Cancel
+            </button>
+          </div>
+          <div className="job-progress-track">
+            <div
+              className="job-progress-bar"
+              style={{ width: `${job.progress?.total > 0 ? (job.progress.completed / job.progress.total) * 100 : 5}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {job?.status === 'cancelled' && (
+        <div style={{ color: '#94a3b8', marginBottom: '1rem' }}>
+          Analysis cancelled.
+        </div>
+      )}
+
       {error && (
         <div style={{ color: '#ef4444', marginBottom: '1rem' }}>
           Error: {error}
@@ -535,6 +896,7 @@ function AnalysisTab({ providers, onAnalysisComplete }) {
         <>
           <div style={{ marginBottom: '1rem', color: '#22c55e' }}>
             Analysis complete! Analyzed {result.eventsAnalyzed} events in {result.durationMs}ms
+            {result.cache?.hit && ` (cached ${new Date(result.cache.cachedAt).toLocaleString()})`}
           </div>
           <div className="analysis-result">
             {result.result?.content || JSON.stringify(result.result?.parsed, null, 2)}
@@ -564,3 +926,13 @@ function formatTime(timestamp) {
   const date = new Date(timestamp);
   return date.toLocaleString();
 }
+
+/**
+ * Format a millisecond duration for display
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return 'N/A';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${(ms / 60000).toFixed(1)}m`;
+}
@@ -16,6 +16,11 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3000',
         changeOrigin: true
+      },
+      // Analysis job progress WebSocket
+      '/ws': {
+        target: 'ws://localhost:3000',
+        ws: true
       }
     }
   }
@@ -187,6 +187,11 @@ async function storeInIndexedDB(telemetry) {
 
 // Main event storage function - tries server first, falls back to IndexedDB
 async function storeEvent(telemetry) {
+  // Tag with an idempotency key so a resend after a timeout isn't stored twice
+  if (!telemetry.idempotencyKey) {
+    telemetry = { ...telemetry, idempotencyKey: crypto.randomUUID() };
+  }
+
   // Try server first
   const serverResult = await forwardToServer(telemetry);
 
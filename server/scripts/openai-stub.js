@@ -0,0 +1,81 @@
+/**
+ * =============================================================================
+ * OPENAI-STUB.JS - Minimal OpenAI-Compatible Server for Local Testing
+ * =============================================================================
+ *
+ * Stands in for llama.cpp / vLLM / LM Studio when checking the on-prem
+ * provider end to end without downloading a model. Implements just:
+ *   GET  /v1/models            - One fake model
+ *   POST /v1/chat/completions  - A canned JSON analysis in a ```json block
+ *
+ * Usage:
+ *   npm run stub:openai                       (listens on port 8089)
+ *   STUB_PORT=9000 node scripts/openai-stub.js
+ *
+ * Then start the server with ONPREM_LLM_BASE_URL=http://localhost:8089/v1
+ * and POST /api/analyze with { "provider": "onprem" }.
+ *
+ * =============================================================================
+ */
+
+import { createServer } from 'http';
+
+const PORT = parseInt(process.env.STUB_PORT || '8089');
+const MODEL = 'stub-model';
+
+// Canned analysis; valid for the anomaly shape and harmless for the others
+const CANNED_ANALYSIS = {
+  summary: 'Stub analysis - no model was run',
+  anomalies: [],
+  healthScore: 100,
+  metrics: { totalEvents: 0, errorRate: '0%', avgLatency: '0ms' }
+};
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`${req.method} ${req.url}`);
+
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      return sendJson(res, 200, {
+        object: 'list',
+        data: [{ id: MODEL, object: 'model', owned_by: 'stub' }]
+      });
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      const request = JSON.parse(body || '{}');
+      const promptChars = (request.messages || []).reduce((sum, m) => sum + (m.content?.length || 0), 0);
+      const content = '```json\n' + JSON.stringify(CANNED_ANALYSIS, null, 2) + '\n```';
+
+      return sendJson(res, 200, {
+        id: `chatcmpl-stub-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model || MODEL,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        // Rough 4-characters-per-token estimate so usage numbers are non-zero
+        usage: {
+          prompt_tokens: Math.ceil(promptChars / 4),
+          completion_tokens: Math.ceil(content.length / 4),
+          total_tokens: Math.ceil(promptChars / 4) + Math.ceil(content.length / 4)
+        }
+      });
+    }
+
+    sendJson(res, 404, { error: { message: `Not found: ${req.method} ${req.url}` } });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`OpenAI-compatible stub listening on http://localhost:${PORT}/v1`);
+});
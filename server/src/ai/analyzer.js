@@ -10,12 +10,15 @@
  *   - Claude (Anthropic) - Excellent for structured analysis
  *   - Gemini (Google)    - Fast and cost-effective
  *   - OpenAI (GPT)       - Good general-purpose analysis
+ *   - OnPrem             - Self-hosted OpenAI-compatible server (llama.cpp, vLLM, ...)
+ *   - Local (rules)      - Offline statistics, no API key or network needed
  *
  * Analysis Types:
  *   - anomaly:         Find errors, failures, and patterns
  *   - summary:         High-level overview of events
  *   - pattern:         Identify behavioral sequences
  *   - recommendations: Optimization suggestions
+ *   - compare:         What changed between a baseline and a candidate window
  *
  * Usage:
  *   const result = await analyzeEvents({
@@ -24,6 +27,29 @@
  *     maxEvents: 100
  *   });
  *
+ * Event sets larger than one prompt (ANALYSIS_CHUNK_TOKENS) are analyzed
+ * map-reduce style: each chunk is analyzed, then a reduce prompt merges the
+ * partial findings and records which chunks each one came from.
+ *
+ * Events are redacted (redaction.js) before any prompt is built, so PHI
+ * never reaches a provider; previewAnalysis() shows exactly what would be sent.
+ *
+ * Every response is schema-checked (validation.js); one that stays invalid
+ * after the repair retries marks the analysis as failed.
+ *
+ * Every run's tokens are priced and added to the usage ledger (usage.js);
+ * providers past their monthly budget are blocked or downgraded first.
+ * Completed analyses are cached (cache.js), so re-running one over an
+ * unchanged event set returns the earlier result without a provider call.
+ *
+ * Compare analyses fetch two windows instead of one; their deltas (error
+ * rates, latency percentiles, new actions and stages) are computed here
+ * (compareEventStats) and the provider is asked to explain them.
+ *
+ * Transient provider errors (rate limits, 5xx, timeouts) fall through to the
+ * next provider in AI_FALLBACK_ORDER. Consensus mode instead runs several
+ * providers on the same events and merges their findings (consensus.js).
+ *
  * =============================================================================
  */
 
@@ -31,9 +57,29 @@ import { Logger } from '../utils/logger.js';
 import { analyzeWithClaude, isClaudeAvailable } from './claude.js';
 import { analyzeWithGemini, isGeminiAvailable } from './gemini.js';
 import { analyzeWithOpenAI, isOpenAIAvailable } from './openai.js';
-import { buildPrompt, ANALYSIS_TYPES } from './prompts.js';
-import { getEvents, saveAnalysis } from '../storage/file-store.js';
+import { analyzeWithOnPrem, isOnPremAvailable, listOnPremModels } from './onprem.js';
+import { analyzeWithLocal, isLocalAvailable, LOCAL_MODEL } from './local.js';
+import {
+  buildPrompt,
+  buildReducePrompt,
+  getAnalysisType,
+  listAnalysisTypes,
+  ANALYSIS_TYPES,
+  SYSTEM_PROMPT
+} from './prompts.js';
+import { chunkEvents, estimateTokens } from './chunking.js';
+import { createRedactor } from './redaction.js';
+import { analyzeWithRepair, validateResponse } from './validation.js';
+import { mergeConsensus, CONSENSUS_TYPES } from './consensus.js';
+import { priceUsage, recordUsage, providersOverBudget } from './usage.js';
+import { hashEvents, analysisCacheKey, getCachedAnalysis, cacheAnalysis } from './cache.js';
+import { config } from '../config.js';
+import { getEvents, saveAnalysis } from '../storage/index.js';
+import { getSortTimestamp } from '../storage/cursor.js';
 import { generateReferencesFromAnalysis } from '../storage/references-store.js';
+import { getCompletenessStats } from '../telemetry/traces.js';
+import { listAnomalies } from '../telemetry/anomalies.js';
+import { computeEventStats, compareEventStats } from '../telemetry/stats.js';
 
 // Create logger for this module
 const log = Logger('Analyzer');
@@ -45,21 +91,43 @@ const log = Logger('Analyzer');
 /**
  * Registry of available AI providers
  * Each provider has:
- *   - analyze: Function to run analysis
+ *   - analyze: Function(prompt, context) to run analysis; context carries
+ *     { analysisType, events, pipelineCompleteness } for providers that
+ *     work from the data rather than the prompt
  *   - isAvailable: Function to check if API key is configured
+ *   - model: Function returning the configured model (part of the cache key)
+ *   - listModels: Optional function listing the models the provider serves
+ *   - usesPrompt: false for providers that read context.events instead of
+ *     the prompt; they get every event in one pass, never chunks
  */
 const providers = {
   claude: {
     analyze: analyzeWithClaude,
-    isAvailable: isClaudeAvailable
+    isAvailable: isClaudeAvailable,
+    model: () => config.ai.anthropic.model
   },
   gemini: {
     analyze: analyzeWithGemini,
-    isAvailable: isGeminiAvailable
+    isAvailable: isGeminiAvailable,
+    model: () => config.ai.google.model
   },
   openai: {
     analyze: analyzeWithOpenAI,
-    isAvailable: isOpenAIAvailable
+    isAvailable: isOpenAIAvailable,
+    model: () => config.ai.openai.model
+  },
+  onprem: {
+    analyze: analyzeWithOnPrem,
+    isAvailable: isOnPremAvailable,
+    listModels: listOnPremModels,
+    // Without ONPREM_LLM_MODEL the server's first listed model answers
+    model: () => config.ai.onprem.model || `${config.ai.onprem.baseUrl} (first listed)`
+  },
+  local: {
+    analyze: analyzeWithLocal,
+    isAvailable: isLocalAvailable,
+    model: () => LOCAL_MODEL,
+    usesPrompt: false
   }
 };
 
@@ -85,6 +153,39 @@ export function getAvailableProviders() {
   return available;
 }
 
+/**
+ * Get every registered provider name, configured or not
+ *
+ * @returns {string[]} Provider names
+ */
+export function getAllProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * List the models a provider can serve
+ *
+ * @param {string} provider - Provider name
+ * @returns {Array} [{ id, ownedBy }]
+ * @throws {Error} With status 404 for unknown providers, 400 if listing is unsupported
+ */
+export async function listProviderModels(provider) {
+  const providerConfig = providers[provider];
+
+  if (!providerConfig) {
+    const err = new Error(`Unknown provider: ${provider}. Available: ${Object.keys(providers).join(', ')}`);
+    err.status = 404;
+    throw err;
+  }
+  if (!providerConfig.listModels) {
+    const err = new Error(`Provider ${provider} does not support model listing`);
+    err.status = 400;
+    throw err;
+  }
+
+  return providerConfig.listModels();
+}
+
 /**
  * Run AI analysis on stored telemetry events
  *
@@ -93,79 +194,129 @@ export function getAvailableProviders() {
  * and optionally saves the results to a file.
  *
  * @param {Object} options - Analysis options
- * @param {string} options.provider - AI provider to use ('claude', 'gemini', 'openai')
- * @param {string} options.analysisType - Type of analysis ('anomaly', 'summary', 'pattern', 'recommendations')
+ * @param {string} options.provider - AI provider to use ('claude', 'gemini', 'openai', 'onprem', 'local')
+ * @param {string} options.analysisType - Type of analysis ('anomaly', 'summary', 'pattern', 'recommendations'
+ *   or a custom template's ID)
  * @param {Object} options.timeRange - Date range filter { start, end }
- * @param {Object} options.filters - Event filters { source, stage, success }
+ * @param {Object} options.baseline - Compare analyses: reference window { start, end }
+ * @param {Object} options.candidate - Compare analyses: window to check { start, end }
+ *   (replace timeRange; maxEvents applies to each window)
+ * @param {Object} options.filters - Event filters { source, stage, success }; a custom
+ *   template's defaultFilters fill in the ones not given
  * @param {boolean} options.saveToFile - Whether to save results to file (default: true)
- * @param {number} options.maxEvents - Maximum events to analyze (default: 100)
+ * @param {boolean} options.generateReferences - Refresh the source's shared references
+ *   from a saved, valid analysis (default: true)
+ * @param {number} options.maxEvents - Maximum events to analyze (default: ANALYSIS_MAX_EVENTS)
+ * @param {boolean} options.fallback - Try the next provider on transient errors (default: AI_FALLBACK_ENABLED)
+ * @param {boolean|string[]} options.consensus - Run these providers (true = all available)
+ *   and merge their findings; anomaly and recommendations analyses only
+ * @param {boolean} options.force - Run even if a cached analysis of the same events exists
+ * @param {boolean} options.attachAnomalies - Give the provider the statistical detector's
+ *   anomalies for the analyzed window (default: ANOMALY_ATTACH_TO_ANALYSES)
+ * @param {Function} options.onProgress - Optional ({ phase, completed, total }) callback;
+ *   phases: fetching, analyzing, reducing, saving
+ * @param {AbortSignal} options.signal - Optional; aborting stops between provider calls
+ *   and cancels the in-flight request
  *
  * @returns {Object} Analysis result including:
  *   - analysisId: Unique ID if saved to file
- *   - provider: AI provider used
+ *   - provider: AI provider used ('consensus' in consensus mode)
+ *   - requestedProvider / fallbackAttempts: Set when a fallback provider answered
+ *   - consensus: { providers: [{ provider, model, status, error, findings }] } in consensus mode
  *   - model: Specific model used
  *   - analysisType: Type of analysis performed
+ *   - template: { id, version, builtIn } - Template version that built the prompts
  *   - eventsAnalyzed: Number of events included
+ *   - compare / comparison: Compare analyses only - the windows ({ start, end, events })
+ *     and the deltas the provider explained (see compareEventStats)
+ *   - status: 'completed', or 'failed' if the response never passed validation
+ *   - validation: { valid, repairs, errors } - Schema check of the final result
+ *   - mapReduce: Chunk details and finding provenance (null for single-pass)
+ *   - redaction: { enabled, eventsRedacted, fields, detections, pseudonyms }
+ *   - pipelineCompleteness: Stalled/skipped stage stats per source (or null)
+ *   - detectedAnomalies: Detector anomalies given to the provider (or null)
  *   - result: { content, parsed } - Raw and parsed AI response
  *   - tokensUsed: { input, output, total } - Token usage
+ *   - usage: { input, output, total, costUsd, byProvider } - Priced token usage
+ *   - budget: { exceeded, downgradedFrom?, downgradedTo? } - Set when a budget changed the provider(s)
+ *   - cache: { hit, cachedAt? } - hit is true when this is an earlier, cached analysis
  *   - durationMs: Time taken for analysis
  *   - savedTo: File path if saved
  *
- * @throws {Error} If provider is not available or analysis type is invalid
+ * @throws {Error} If provider is not available or analysis type is invalid,
+ *   with status 402 if a monthly budget blocks it, or the signal's abort
+ *   reason if cancelled
  */
 export async function analyzeEvents(options) {
   const {
     provider = 'claude',
     analysisType = 'anomaly',
     timeRange,
-    filters = {},
+    baseline,
+    candidate,
+    filters: requestFilters = {},
     saveToFile = true,
-    maxEvents = 100
+    generateReferences = true,
+    maxEvents = config.ai.chunking.defaultMaxEvents,
+    fallback = config.ai.fallback.enabled,
+    consensus,
+    force = false,
+    attachAnomalies = config.anomalies.attachToAnalyses,
+    onProgress,
+    signal
   } = options;
 
-  log.info(`Starting analysis: type=${analysisType}, provider=${provider}, maxEvents=${maxEvents}`);
+  const report = (phase, completed = 0, total = 0) => onProgress?.({ phase, completed, total });
+
+  log.info(`Starting analysis: type=${analysisType}, provider=${consensus ? 'consensus' : provider}, maxEvents=${maxEvents}`);
 
   // ---------------------------------------------------------------------------
-  // Step 1: Validate provider
+  // Step 1: Validate provider(s)
   // ---------------------------------------------------------------------------
-  const providerConfig = providers[provider];
-  if (!providerConfig) {
-    log.error(`Unknown provider: ${provider}`);
-    throw new Error(`Unknown provider: ${provider}. Available: ${Object.keys(providers).join(', ')}`);
-  }
+  const consensusProviders = consensus
+    ? resolveConsensusProviders(consensus, analysisType)
+    : null;
+
+  if (!consensusProviders) {
+    const providerConfig = providers[provider];
+    if (!providerConfig) {
+      log.error(`Unknown provider: ${provider}`);
+      throw new Error(`Unknown provider: ${provider}. Available: ${Object.keys(providers).join(', ')}`);
+    }
 
-  if (!providerConfig.isAvailable()) {
-    log.error(`Provider ${provider} not configured`);
-    throw new Error(`Provider ${provider} is not configured. Check API key in .env`);
+    if (!providerConfig.isAvailable()) {
+      log.error(`Provider ${provider} not configured`);
+      throw new Error(`Provider ${provider} is not configured. Check API key in .env`);
+    }
   }
 
   // ---------------------------------------------------------------------------
   // Step 2: Validate analysis type
   // ---------------------------------------------------------------------------
-  if (!ANALYSIS_TYPES.includes(analysisType)) {
+  // Resolved once so every prompt in this analysis uses the same template version
+  const definition = getAnalysisType(analysisType);
+  if (!definition) {
     log.error(`Invalid analysis type: ${analysisType}`);
-    throw new Error(`Unknown analysis type: ${analysisType}. Available: ${ANALYSIS_TYPES.join(', ')}`);
+    throw new Error(`Unknown analysis type: ${analysisType}. Available: ${listAnalysisTypes().join(', ')}`);
+  }
+
+  const filters = { ...definition.defaultFilters, ...requestFilters };
+
+  // Compare analyses fetch two windows instead of one
+  if (definition.id === 'compare') {
+    return runComparison({ provider, definition, filters, baseline, candidate, maxEvents, fallback, force, saveToFile, signal, report });
   }
 
   // ---------------------------------------------------------------------------
   // Step 3: Fetch events from storage
   // ---------------------------------------------------------------------------
   log.debug('Fetching events for analysis', { filters, timeRange });
+  report('fetching');
 
-  const eventQuery = {
-    ...filters,
-    startDate: timeRange?.start,
-    endDate: timeRange?.end,
-    limit: maxEvents * 2 // Fetch extra in case filtering reduces count
-  };
-
-  const eventResult = await getEvents(eventQuery);
-  const events = eventResult.events.slice(0, maxEvents);
-
-  log.debug(`Fetched ${events.length} events for analysis`);
+  const fetched = await fetchEvents(filters, timeRange, maxEvents);
 
   // Handle empty result
-  if (events.length === 0) {
+  if (fetched.length === 0) {
     log.warn('No events found matching criteria');
     return {
       provider,
@@ -179,57 +330,157 @@ export async function analyzeEvents(options) {
   }
 
   // ---------------------------------------------------------------------------
-  // Step 4: Build prompt for AI
+  // Step 3a: Return the cached analysis if these events were analyzed already
+  // ---------------------------------------------------------------------------
+  const eventsHash = hashEvents(fetched);
+  const cacheKeyFor = (names, isConsensus) => cacheKey(names, { consensus: isConsensus, definition, eventsHash, maxEvents, attachAnomalies });
+
+  if (!force) {
+    const cached = await getCachedAnalysis(cacheKeyFor(consensusProviders || [provider], Boolean(consensusProviders)));
+    if (cached) {
+      log.info(`Events unchanged; returning cached analysis ${cached.analysis.analysisId || ''} from ${cached.cachedAt}`);
+      return { ...cached.analysis, cache: { hit: true, cachedAt: cached.cachedAt } };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Step 3b: Apply monthly budgets (block, or downgrade to a free provider)
   // ---------------------------------------------------------------------------
-  log.debug(`Building ${analysisType} prompt for ${events.length} events`);
-  const prompt = buildPrompt(analysisType, events, { maxEvents });
+  const overBudget = await providersOverBudget(getAllProviders());
+  const plan = applyBudget(provider, consensusProviders, overBudget);
 
   // ---------------------------------------------------------------------------
-  // Step 5: Run AI analysis
+  // Step 3c-3f: Redact PHI, split into chunks, check pipeline completeness,
+  // collect detected anomalies
   // ---------------------------------------------------------------------------
-  log.info(`Sending to ${provider} for ${analysisType} analysis...`);
+  const { events, chunks, eventsDropped, pipelineCompleteness, detectedAnomalies, redaction } =
+    await prepareEvents(fetched, filters, { attachAnomalies });
+
+  // ---------------------------------------------------------------------------
+  // Step 4-5: Build prompt(s) and run AI analysis
+  // One provider (with fallbacks), or several merged in consensus mode
+  // ---------------------------------------------------------------------------
+  signal?.throwIfAborted();
+
   const startTime = Date.now();
+  const runContext = { analysisType, definition, events, chunks, maxEvents, pipelineCompleteness, detectedAnomalies, overBudget, signal, report };
+
+  const run = plan.consensusProviders
+    ? await runConsensus(plan.consensusProviders, runContext)
+    : await runWithFallback(plan.provider, fallback, runContext);
 
-  const result = await providerConfig.analyze(prompt);
+  const { result, mapReduce } = run;
+  if (mapReduce) mapReduce.eventsDropped = eventsDropped;
 
   const analysisDuration = Date.now() - startTime;
   log.info(`Analysis complete in ${analysisDuration}ms`);
   log.debug(`Tokens used: ${result.tokensUsed.total} (${result.tokensUsed.input} in, ${result.tokensUsed.output} out)`);
 
+  // Spent whether or not the result is usable or saved
+  const usage = priceUsage(run);
+  await recordUsage(usage, filters.source || 'all');
+
   // ---------------------------------------------------------------------------
   // Step 6: Prepare response
   // ---------------------------------------------------------------------------
+  const { validation } = result;
+
   const analysisResult = {
-    provider,
+    provider: run.provider,
+    ...(run.fallbackAttempts.length > 0 && {
+      requestedProvider: plan.provider,
+      fallbackAttempts: run.fallbackAttempts
+    }),
+    ...(plan.budget && { budget: plan.budget }),
+    ...(run.consensus && { consensus: run.consensus }),
     model: result.model,
     analysisType,
+    template: { id: definition.id, version: definition.version, builtIn: definition.builtIn },
+    status: validation.valid ? 'completed' : 'failed',
     eventsAnalyzed: events.length,
+    ...(eventsDropped > 0 && { eventsDropped }),
     timeRange: {
       // Get time range from actual events analyzed
       start: events[events.length - 1]?.event?.timestamp || events[events.length - 1]?.receivedAt,
       end: events[0]?.event?.timestamp || events[0]?.receivedAt
     },
     filters,
+    redaction,                  // What was redacted before the provider saw the events
+    pipelineCompleteness,       // Deterministic stalled/skipped stats per source
+    detectedAnomalies,          // Statistical detector anomalies in the window
+    mapReduce,                  // Chunks and finding provenance (null if single-pass)
     result: {
       content: result.content,  // Raw text response
       parsed: result.parsed     // Parsed JSON if available
     },
+    validation,
     tokensUsed: result.tokensUsed,
+    usage,                      // Tokens and estimated cost per provider/model
     durationMs: result.durationMs
   };
 
   // ---------------------------------------------------------------------------
   // Step 7: Save to file if requested
   // ---------------------------------------------------------------------------
+  signal?.throwIfAborted();
+
   if (saveToFile) {
-    log.debug('Saving analysis to file...');
-    const saved = await saveAnalysis(analysisResult);
-    analysisResult.savedTo = saved.savedTo;
-    analysisResult.analysisId = saved.id;
-    log.info(`Analysis saved: ${saved.id}`);
-
-    // Auto-generate shared references from analysis
-    const source = filters.source || 'default';
+    await saveResult(analysisResult, { source: filters.source || 'default', generateReferences, report });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Step 8: Cache under the provider(s) that actually answered
+  // ---------------------------------------------------------------------------
+  if (validation.valid) {
+    const key = run.consensus
+      ? cacheKeyFor(plan.consensusProviders, true)
+      : cacheKeyFor([run.provider], false);
+    await cacheAnalysis(key, analysisResult);
+  }
+
+  return { ...analysisResult, cache: { hit: false } };
+}
+
+/**
+ * Cache key for an analysis by the given provider(s)
+ *
+ * @param {string[]} names - Provider names
+ * @param {Object} parts - { consensus, definition, eventsHash, maxEvents }
+ * @returns {string} Key for cache.js
+ */
+function cacheKey(names, { consensus, definition, eventsHash, maxEvents, attachAnomalies = false }) {
+  return analysisCacheKey({
+    providers: names.map(name => ({ provider: name, model: providers[name].model() })),
+    consensus,
+    definition,
+    eventsHash,
+    maxEvents,
+    attachAnomalies
+  });
+}
+
+/**
+ * Save an analysis result and refresh the source's shared references
+ * References are skipped for failed analyses - their findings can't be trusted.
+ *
+ * @param {Object} analysisResult - Result to save; gets savedTo, analysisId
+ *   and referencesGenerated set on it
+ * @param {Object} options - { source, generateReferences, report }
+ */
+async function saveResult(analysisResult, { source, generateReferences, report }) {
+  report('saving');
+  log.debug('Saving analysis to file...');
+  const saved = await saveAnalysis(analysisResult);
+  analysisResult.savedTo = saved.savedTo;
+  analysisResult.analysisId = saved.id;
+  log.info(`Analysis saved: ${saved.id}`);
+
+  // Auto-generate shared references from analysis
+  if (!generateReferences) {
+    log.debug('Reference generation not requested');
+  } else if (!analysisResult.validation.valid) {
+    log.warn(`Analysis ${saved.id} failed validation; skipping reference generation`);
+  } else {
     try {
       const refs = await generateReferencesFromAnalysis(source, saved.id);
       log.info(`Generated ${refs.recommendationCount} references for ${source}`);
@@ -238,9 +489,969 @@ export async function analyzeEvents(options) {
       log.warn(`Failed to generate references: ${err.message}`);
     }
   }
+}
+
+/**
+ * Show what an analysis would send to the provider, without calling it
+ *
+ * Runs the same fetch, redaction and chunking as analyzeEvents() and returns
+ * the prompts exactly as they would be sent. With several chunks, a reduce
+ * prompt built from the chunk results (model output) would follow.
+ *
+ * @param {Object} options - Same as analyzeEvents() (provider, analysisType,
+ *   timeRange, baseline, candidate, filters, maxEvents, consensus, attachAnomalies)
+ * @returns {Object} { providers, sentToProvider, redaction, systemPrompt, prompts: [{ chunk, estimatedTokens, prompt }] }
+ * @throws {Error} If the analysis type is unknown
+ */
+export async function previewAnalysis(options) {
+  const {
+    provider = 'claude',
+    analysisType = 'anomaly',
+    timeRange,
+    baseline,
+    candidate,
+    filters: requestFilters = {},
+    maxEvents = config.ai.chunking.defaultMaxEvents,
+    consensus,
+    attachAnomalies = config.anomalies.attachToAnalyses
+  } = options;
+
+  const definition = getAnalysisType(analysisType);
+  if (!definition) {
+    throw new Error(`Unknown analysis type: ${analysisType}. Available: ${listAnalysisTypes().join(', ')}`);
+  }
+
+  const filters = { ...definition.defaultFilters, ...requestFilters };
+  const names = consensus ? resolveConsensusProviders(consensus, analysisType) : [provider];
+  // Providers that read events in-process (local) send nothing anywhere
+  const sentToProvider = names.some(name => providers[name]?.usesPrompt !== false);
+
+  const base = {
+    providers: names,
+    analysisType,
+    template: { id: definition.id, version: definition.version, builtIn: definition.builtIn },
+    filters,
+    sentToProvider
+  };
+
+  if (definition.id === 'compare') {
+    assertComparison({ baseline, candidate });
+    const { fetched, comparison, sample, redaction } = await prepareComparison(filters, { baseline, candidate }, maxEvents);
+    const prompt = comparison && sentToProvider
+      ? buildPrompt(definition, sample, { maxEvents: sample.length, comparison })
+      : null;
+
+    return {
+      ...base,
+      eventsAnalyzed: comparison ? fetched.baseline.length + fetched.candidate.length : 0,
+      redaction,
+      systemPrompt: prompt ? SYSTEM_PROMPT : null,
+      prompts: prompt ? [{ chunk: null, estimatedTokens: estimateTokens(prompt), prompt }] : [],
+      reducePromptFollows: false
+    };
+  }
 
-  return analysisResult;
+  const fetched = await fetchEvents(filters, timeRange, maxEvents);
+
+  if (fetched.length === 0) {
+    return { ...base, eventsAnalyzed: 0, redaction: createRedactor().summary(), systemPrompt: null, prompts: [] };
+  }
+
+  const { events, chunks, eventsDropped, pipelineCompleteness, detectedAnomalies, redaction } =
+    await prepareEvents(fetched, filters, { attachAnomalies });
+
+  // Same prompt selection as runProvider()
+  const prompts = !sentToProvider
+    ? []
+    : chunks.length <= 1
+      ? [buildPrompt(definition, events, { maxEvents, pipelineCompleteness, detectedAnomalies })].map(prompt => ({ chunk: null, prompt }))
+      : chunks.map(chunk => ({
+        chunk: chunk.index,
+        prompt: buildPrompt(definition, chunk.events, {
+          maxEvents: chunk.events.length,
+          chunk: { index: chunk.index, count: chunks.length }
+        })
+      }));
+
+  return {
+    ...base,
+    eventsAnalyzed: events.length,
+    ...(eventsDropped > 0 && { eventsDropped }),
+    redaction,
+    systemPrompt: sentToProvider ? SYSTEM_PROMPT : null,
+    prompts: prompts.map(p => ({ ...p, estimatedTokens: estimateTokens(p.prompt) })),
+    reducePromptFollows: sentToProvider && chunks.length > 1
+  };
+}
+
+// =============================================================================
+// EVENT PREPARATION
+// =============================================================================
+
+// Detected anomalies quoted in a prompt (most severe first)
+const MAX_ATTACHED_ANOMALIES = 20;
+
+/**
+ * Fetch the newest events matching an analysis request
+ *
+ * @param {Object} filters - { source, stage, success }
+ * @param {Object} timeRange - { start, end }
+ * @param {number} maxEvents - Upper bound on events returned
+ * @returns {Array} Stored events, newest first
+ */
+async function fetchEvents(filters, timeRange, maxEvents) {
+  const eventResult = await getEvents({
+    ...filters,
+    startDate: timeRange?.start,
+    endDate: timeRange?.end,
+    limit: maxEvents * 2, // Fetch extra in case filtering reduces count
+    includeTotal: false
+  });
+  const events = eventResult.events.slice(0, maxEvents);
+
+  log.debug(`Fetched ${events.length} events for analysis`);
+  return events;
+}
+
+/**
+ * Make fetched events ready for prompts
+ *
+ *   1. Redact PHI (before anything is built from the events)
+ *   2. Split into prompt-sized chunks; beyond ANALYSIS_MAX_CHUNKS the oldest
+ *      chunks are dropped (and reported)
+ *   3. Check pipeline completeness over the same window - stalled/skipped
+ *      stages are computed here, not left to the AI to spot
+ *   4. Collect the anomaly detector's records overlapping the window
+ *      (when attachAnomalies is set)
+ *
+ * @param {Array} fetched - Stored events (non-empty), newest first
+ * @param {Object} filters - Filters the events were fetched with
+ * @param {Object} options - { attachAnomalies }
+ * @returns {Object} { events, chunks, eventsDropped, pipelineCompleteness,
+ *   detectedAnomalies, redaction }
+ */
+async function prepareEvents(fetched, filters, { attachAnomalies = false } = {}) {
+  const redactor = createRedactor();
+  let events = fetched.map(redactor.redactEvent);
+
+  const { chunkTokens, maxChunks } = config.ai.chunking;
+  let chunks = chunkEvents(events, chunkTokens);
+  let eventsDropped = 0;
+
+  if (chunks.length > maxChunks) {
+    const dropped = chunks.slice(0, chunks.length - maxChunks);
+    eventsDropped = dropped.reduce((sum, chunk) => sum + chunk.events.length, 0);
+    log.warn(`Events need ${chunks.length} chunks (max ${maxChunks}); dropping ${eventsDropped} oldest events`);
+
+    chunks = chunks.slice(-maxChunks).map((chunk, i) => ({ ...chunk, index: i + 1 }));
+    const kept = new Set(chunks.flatMap(chunk => chunk.events.map(event => event.id)));
+    events = events.filter(event => kept.has(event.id));
+  }
+
+  const startDate = events[events.length - 1]?.event?.timestamp || events[events.length - 1]?.receivedAt;
+  const endDate = events[0]?.event?.timestamp || events[0]?.receivedAt;
+  const completeness = await getCompletenessStats({ source: filters.source, startDate, endDate });
+
+  // Example correlation IDs may embed identifiers too
+  for (const stats of Object.values(completeness.sources)) {
+    if (!stats.examples) continue;
+    stats.examples = {
+      stalled: stats.examples.stalled.map(redactor.redactText),
+      skipped: stats.examples.skipped.map(redactor.redactText)
+    };
+  }
+
+  const redaction = redactor.summary();
+  if (redaction.eventsRedacted > 0) {
+    log.info(`Redacted identifiers in ${redaction.eventsRedacted} of ${fetched.length} events`);
+  }
+
+  return {
+    events,
+    chunks,
+    eventsDropped,
+    pipelineCompleteness: Object.keys(completeness.sources).length > 0 ? completeness.sources : null,
+    detectedAnomalies: attachAnomalies ? findDetectedAnomalies(filters, startDate, endDate) : null,
+    redaction
+  };
+}
+
+/**
+ * Anomaly detector records overlapping an analysis window
+ * Volume anomalies have no stage, so a stage filter keeps them.
+ *
+ * @param {Object} filters - { source, stage }
+ * @param {string} startDate - Oldest analyzed event's time
+ * @param {string} endDate - Newest analyzed event's time
+ * @returns {Array|null} Up to MAX_ATTACHED_ANOMALIES records (most severe first), or null if none
+ */
+function findDetectedAnomalies(filters, startDate, endDate) {
+  const { anomalies } = listAnomalies({
+    source: filters.source,
+    since: startDate,
+    until: endDate,
+    limit: Infinity
+  });
+
+  const attached = anomalies
+    .filter(a => !filters.stage || !a.stage || a.stage === filters.stage)
+    .sort((a, b) => (a.severity === 'critical' ? 0 : 1) - (b.severity === 'critical' ? 0 : 1))
+    .slice(0, MAX_ATTACHED_ANOMALIES)
+    .map(({ source, stage, metric, severity, observed, expected, startedAt, lastSeenAt, ongoing, description }) =>
+      ({ source, stage, metric, severity, observed, expected, startedAt, lastSeenAt, ongoing, description }));
+
+  return attached.length > 0 ? attached : null;
+}
+
+// =============================================================================
+// PROVIDER EXECUTION
+// =============================================================================
+
+// HTTP statuses worth retrying on another provider (529 = Anthropic overloaded)
+const TRANSIENT_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+// Network error codes worth retrying on another provider
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Check whether a provider error is transient (worth trying another provider)
+ * Auth and bad-request errors are not - another provider won't fix the request.
+ *
+ * @param {Error} err - Error thrown by a provider
+ * @returns {boolean} True for rate limits, server errors, timeouts and network failures
+ */
+export function isTransientError(err) {
+  if (TRANSIENT_STATUSES.has(err.status)) return true;
+  if (TRANSIENT_CODES.has(err.code || err.cause?.code)) return true;
+  // SDK connection/timeout errors (APIConnectionError, ...) carry no status
+  return /Connection|Timeout/.test(err.constructor?.name || '');
+}
+
+/**
+ * Work out which providers a consensus request runs
+ *
+ * @param {boolean|string[]} consensus - true for all available providers, or names
+ * @param {string} analysisType - Analysis type
+ * @returns {string[]} Provider names
+ * @throws {Error} With status 400 for unsupported types or unusable providers
+ */
+export function resolveConsensusProviders(consensus, analysisType) {
+  const fail = (message) => {
+    log.error(message);
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+  };
+
+  if (!CONSENSUS_TYPES.includes(analysisType)) {
+    throw fail(`Consensus mode supports ${CONSENSUS_TYPES.join(' and ')} analyses, not ${analysisType}`);
+  }
+
+  const names = consensus === true ? getAvailableProviders() : consensus;
+  if (!Array.isArray(names) || names.length < 2) {
+    throw fail('Consensus mode needs at least two providers');
+  }
+
+  const unusable = names.filter(name => !providers[name]?.isAvailable());
+  if (unusable.length > 0) {
+    throw fail(`Providers not available for consensus: ${unusable.join(', ')}. Available: ${getAvailableProviders().join(', ')}`);
+  }
+
+  return [...new Set(names)];
+}
+
+/**
+ * Keep an analysis within the monthly budgets (AI_BUDGET_ACTION)
+ *
+ * With "downgrade", a consensus run drops its over-budget members (running
+ * alone if one is left) and a single run switches to the downgrade provider.
+ *
+ * @param {string} provider - Requested provider
+ * @param {string[]|null} consensusProviders - Consensus members, if any
+ * @param {string[]} overBudget - Providers past a budget this month
+ * @returns {Object} { provider, consensusProviders, budget } - budget is null if nothing changed
+ * @throws {Error} With status 402 when blocked, or when there is nothing to downgrade to
+ */
+function applyBudget(provider, consensusProviders, overBudget) {
+  const requested = consensusProviders || [provider];
+  const exceeded = requested.filter(name => overBudget.includes(name));
+  if (exceeded.length === 0) {
+    return { provider, consensusProviders, budget: null };
+  }
+
+  const fail = (message) => {
+    log.warn(message);
+    const err = new Error(message);
+    err.status = 402;
+    return err;
+  };
+
+  if (config.ai.usage.budgetAction === 'block') {
+    throw fail(`Monthly AI budget used up for ${exceeded.join(', ')}; analysis blocked`);
+  }
+
+  const remaining = requested.filter(name => !overBudget.includes(name));
+  if (consensusProviders && remaining.length >= 2) {
+    log.warn(`Monthly AI budget used up for ${exceeded.join(', ')}; consensus continues with ${remaining.join(', ')}`);
+    return { provider, consensusProviders: remaining, budget: { exceeded } };
+  }
+
+  const downgradeTo = remaining[0] || config.ai.usage.downgradeProvider;
+  if (!providers[downgradeTo]?.isAvailable() || overBudget.includes(downgradeTo)) {
+    throw fail(`Monthly AI budget used up for ${exceeded.join(', ')} and ${downgradeTo} is not available to downgrade to`);
+  }
+
+  log.warn(`Monthly AI budget used up for ${exceeded.join(', ')}; downgrading to ${downgradeTo}`);
+  return {
+    provider: downgradeTo,
+    consensusProviders: null,
+    budget: { exceeded, downgradedFrom: consensusProviders ? 'consensus' : provider, downgradedTo: downgradeTo }
+  };
+}
+
+/**
+ * Run one provider over the events
+ * One prompt when everything fits (or the provider ignores prompts),
+ * otherwise map over chunks and reduce.
+ *
+ * @param {string} name - Provider name
+ * @param {Object} ctx - { analysisType, definition, events, chunks, maxEvents, pipelineCompleteness,
+ *   detectedAnomalies, comparison (compare analyses) }
+ * @returns {Object} { result, mapReduce } - mapReduce is null for single-pass
+ */
+async function runProvider(name, { analysisType, definition, events, chunks, maxEvents, pipelineCompleteness, detectedAnomalies, comparison, signal, report }) {
+  const providerConfig = providers[name];
+
+  if (chunks.length <= 1 || providerConfig.usesPrompt === false) {
+    log.debug(`Building ${analysisType} prompt for ${events.length} events`);
+    const prompt = buildPrompt(definition, events, { maxEvents, pipelineCompleteness, detectedAnomalies, comparison });
+
+    log.info(`Sending to ${name} for ${analysisType} analysis...`);
+    report('analyzing', 0, 1);
+    const result = await analyzeWithRepair(providerConfig, prompt, { analysisType, definition, events, pipelineCompleteness, comparison, signal });
+    report('analyzing', 1, 1);
+    return { result, mapReduce: null };
+  }
+
+  log.info(`Sending ${chunks.length} chunks to ${name} for ${analysisType} analysis...`);
+  return runMapReduce(providerConfig, definition, chunks, { events, pipelineCompleteness, detectedAnomalies, signal, report });
+}
+
+/**
+ * Run the requested provider, moving down AI_FALLBACK_ORDER on transient errors
+ *
+ * @param {string} provider - Requested provider (always tried first)
+ * @param {boolean} fallback - Whether to try other providers at all
+ * @param {Object} ctx - Context for runProvider
+ * @returns {Object} { provider, result, mapReduce, fallbackAttempts: [{ provider, error, tokensUsed }] }
+ * @throws {Error} The last error if every provider in the chain fails
+ */
+async function runWithFallback(provider, fallback, ctx) {
+  const chain = fallback
+    ? [provider, ...config.ai.fallback.order.filter(name =>
+      name !== provider && providers[name]?.isAvailable() && !ctx.overBudget?.includes(name))]
+    : [provider];
+  const fallbackAttempts = [];
+
+  for (const [i, name] of chain.entries()) {
+    try {
+      const { result, mapReduce } = await runProvider(name, ctx);
+      return { provider: name, result, mapReduce, fallbackAttempts };
+    } catch (err) {
+      const next = chain[i + 1];
+      if (!next || ctx.signal?.aborted || !isTransientError(err)) throw err;
+
+      log.warn(`${name} failed (${err.message}); falling back to ${next}`);
+      fallbackAttempts.push({ provider: name, error: err.message, tokensUsed: err.tokensUsed || null });
+    }
+  }
+}
+
+/**
+ * Run several providers on the same events and merge their findings
+ *
+ * Providers run in parallel. One that errors or never validates is reported
+ * in consensus.providers and left out of the merge.
+ *
+ * @param {string[]} names - Providers to run
+ * @param {Object} ctx - Context for runProvider
+ * @returns {Object} { provider: 'consensus', result, mapReduce: null, fallbackAttempts: [], consensus }
+ * @throws {Error} With status 502 if no provider returned a valid result
+ */
+async function runConsensus(names, ctx) {
+  const { analysisType, definition, signal, report } = ctx;
+  const startTime = Date.now();
+
+  // Members report overall progress as providers finish, not per chunk
+  let finished = 0;
+  report('analyzing', 0, names.length);
+  const memberCtx = { ...ctx, report: () => {} };
+  const settled = await Promise.allSettled(names.map(async (name) => {
+    try {
+      return await runProvider(name, memberCtx);
+    } finally {
+      report('analyzing', ++finished, names.length);
+    }
+  }));
+  signal?.throwIfAborted();
+
+  const tokensUsed = { input: 0, output: 0, total: 0 };
+  const members = [];
+  const valid = [];
+
+  settled.forEach((outcome, i) => {
+    const provider = names[i];
+
+    if (outcome.status === 'rejected') {
+      const spent = outcome.reason.tokensUsed || null;
+      log.warn(`Consensus member ${provider} failed: ${outcome.reason.message}`);
+      if (spent) {
+        tokensUsed.input += spent.input;
+        tokensUsed.output += spent.output;
+        tokensUsed.total += spent.total;
+      }
+      members.push({ provider, status: 'failed', error: outcome.reason.message, tokensUsed: spent });
+      return;
+    }
+
+    const { result, mapReduce } = outcome.value;
+    tokensUsed.input += result.tokensUsed.input;
+    tokensUsed.output += result.tokensUsed.output;
+    tokensUsed.total += result.tokensUsed.total;
+
+    members.push({
+      provider,
+      model: result.model,
+      status: result.validation.valid ? 'completed' : 'invalid',
+      error: result.validation.valid ? null : result.validation.errors.join('; '),
+      findings: result.parsed?.[definition.findingsField]?.length ?? null,
+      chunks: mapReduce?.chunkCount ?? 1,
+      tokensUsed: result.tokensUsed
+    });
+    if (result.validation.valid) valid.push({ provider, parsed: result.parsed });
+  });
+
+  if (valid.length === 0) {
+    const err = new Error(`No consensus provider returned a valid result: ${members.map(m => `${m.provider} (${m.error})`).join(', ')}`);
+    err.status = 502;
+    throw err;
+  }
+  if (valid.length === 1) {
+    log.warn(`Only ${valid[0].provider} returned a valid result; consensus is a single opinion`);
+  }
+
+  const parsed = mergeConsensus(analysisType, valid);
+
+  return {
+    provider: 'consensus',
+    result: {
+      model: members.filter(m => m.model).map(m => `${m.provider}:${m.model}`).join(', '),
+      content: JSON.stringify(parsed, null, 2),
+      parsed,
+      tokensUsed,
+      durationMs: Date.now() - startTime,
+      validation: { ...validateResponse(analysisType, parsed), repairs: 0 }
+    },
+    mapReduce: null,
+    fallbackAttempts: [],
+    consensus: { providers: members }
+  };
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+// Candidate events quoted in a compare prompt (the deltas cover all of them)
+const COMPARE_SAMPLE_EVENTS = 50;
+
+/**
+ * Check the windows of a compare analysis
+ *
+ * @param {Object} windows - { baseline: { start, end }, candidate: { start, end } }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateComparison({ baseline, candidate } = {}) {
+  for (const [name, window] of Object.entries({ baseline, candidate })) {
+    if (!window || typeof window !== 'object' || !window.start || !window.end) {
+      return `compare analyses need ${name}: { start, end }`;
+    }
+    const start = Date.parse(window.start);
+    const end = Date.parse(window.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return `${name}.start and ${name}.end must be ISO dates`;
+    }
+    if (start >= end) {
+      return `${name}.start must be before ${name}.end`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Throw a 400 error for invalid compare windows
+ */
+function assertComparison(windows) {
+  const invalid = validateComparison(windows);
+  if (invalid) {
+    log.error(invalid);
+    const err = new Error(invalid);
+    err.status = 400;
+    throw err;
+  }
+}
+
+/**
+ * Fetch the newest events whose own timestamp falls in [start, end)
+ *
+ * Storage filters by the day events were received, which is too coarse for
+ * "since the deploy at 14:00", so events received on the window's days are
+ * paged through (newest first) and checked one by one.
+ *
+ * @param {Object} filters - { source, stage, success }
+ * @param {Object} window - { start, end }
+ * @param {number} maxEvents - Upper bound on events returned
+ * @param {AbortSignal} signal - Optional; aborting stops between pages
+ * @returns {Array} Stored events, newest first
+ */
+async function fetchWindow(filters, window, maxEvents, signal) {
+  const start = new Date(window.start).toISOString();
+  const end = new Date(window.end).toISOString();
+  const events = [];
+  let cursor;
+
+  do {
+    signal?.throwIfAborted();
+    const page = await getEvents({
+      ...filters,
+      startDate: start,
+      endDate: end,
+      limit: maxEvents * 2,
+      cursor,
+      includeTotal: false
+    });
+    for (const event of page.events) {
+      const timestamp = getSortTimestamp(event);
+      if (timestamp >= end) continue;
+      if (timestamp < start || events.length >= maxEvents) return events;
+      events.push(event);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  log.debug(`Fetched ${events.length} events between ${start} and ${end}`);
+  return events;
+}
+
+/**
+ * Fetch and redact both windows of a compare analysis and compute the deltas
+ *
+ * One redactor covers both windows, so an identifier gets the same pseudonym
+ * in each and redacted error messages still line up. The prompt quotes only
+ * a sample of the candidate window: failures and new actions first.
+ *
+ * @param {Object} filters - { source, stage, success }
+ * @param {Object} windows - { baseline, candidate }
+ * @param {number} maxEvents - Upper bound on events per window
+ * @param {AbortSignal} signal - Optional; aborting stops fetching
+ * @returns {Object} { fetched: { baseline, candidate }, comparison, sample, redaction } -
+ *   comparison is null when either window has no events
+ */
+async function prepareComparison(filters, { baseline, candidate }, maxEvents, signal) {
+  const fetched = {
+    baseline: await fetchWindow(filters, baseline, maxEvents, signal),
+    candidate: await fetchWindow(filters, candidate, maxEvents, signal)
+  };
+
+  const redactor = createRedactor();
+  if (fetched.baseline.length === 0 || fetched.candidate.length === 0) {
+    return { fetched, comparison: null, sample: [], redaction: redactor.summary() };
+  }
+
+  const baselineEvents = fetched.baseline.map(redactor.redactEvent);
+  const candidateEvents = fetched.candidate.map(redactor.redactEvent);
+  const comparison = compareEventStats(baselineEvents, candidateEvents);
+
+  const newActions = new Set(comparison.newActions.map(a => a.action));
+  const notable = candidateEvents.filter(e => e.event?.success === false ||
+    newActions.has(`${e.event?.stage || 'unknown'}/${e.event?.action || 'unknown'}`));
+  const sample = (notable.length > 0 ? notable : candidateEvents).slice(0, COMPARE_SAMPLE_EVENTS);
+
+  return { fetched, comparison, sample, redaction: redactor.summary() };
+}
+
+/**
+ * Run a compare analysis: analyzeEvents() with analysisType "compare"
+ *
+ * Same provider handling as any single-provider analysis (budgets,
+ * fallbacks, cache, usage), but one prompt built from the deltas between
+ * the windows. Saved like any analysis; shared references are not refreshed
+ * (a comparison describes a change, not the source's current state).
+ *
+ * @param {Object} options - analyzeEvents() options, with definition and filters resolved
+ * @returns {Object} Analysis result with compare and comparison set
+ */
+async function runComparison({ provider, definition, filters, baseline, candidate, maxEvents, fallback, force, saveToFile, signal, report }) {
+  assertComparison({ baseline, candidate });
+
+  report('fetching');
+  const { fetched, comparison, sample, redaction } = await prepareComparison(filters, { baseline, candidate }, maxEvents, signal);
+
+  const windows = {
+    baseline: { start: baseline.start, end: baseline.end, events: fetched.baseline.length },
+    candidate: { start: candidate.start, end: candidate.end, events: fetched.candidate.length }
+  };
+
+  if (!comparison) {
+    const empty = ['baseline', 'candidate'].filter(name => fetched[name].length === 0).join(' and ');
+    log.warn(`No events in the ${empty} window`);
+    return {
+      provider,
+      analysisType: definition.id,
+      compare: windows,
+      eventsAnalyzed: 0,
+      result: {
+        summary: `No events found in the ${empty} window`,
+        parsed: null
+      }
+    };
+  }
+
+  // Both windows and their contents decide the result
+  const eventsHash = [windows.baseline, windows.candidate]
+    .map(w => `${new Date(w.start).toISOString()}/${new Date(w.end).toISOString()}`)
+    .concat(hashEvents(fetched.baseline), hashEvents(fetched.candidate))
+    .join(':');
+  const cacheKeyFor = (name) => cacheKey([name], { consensus: false, definition, eventsHash, maxEvents });
+
+  if (!force) {
+    const cached = await getCachedAnalysis(cacheKeyFor(provider));
+    if (cached) {
+      log.info(`Windows unchanged; returning cached comparison ${cached.analysis.analysisId || ''} from ${cached.cachedAt}`);
+      return { ...cached.analysis, cache: { hit: true, cachedAt: cached.cachedAt } };
+    }
+  }
+
+  const overBudget = await providersOverBudget(getAllProviders());
+  const plan = applyBudget(provider, null, overBudget);
+
+  signal?.throwIfAborted();
+
+  const run = await runWithFallback(plan.provider, fallback, {
+    analysisType: definition.id,
+    definition,
+    events: sample,
+    chunks: [],
+    maxEvents: sample.length,
+    pipelineCompleteness: null,
+    comparison,
+    overBudget,
+    signal,
+    report
+  });
+  const { result } = run;
+  log.info(`Comparison complete in ${result.durationMs}ms`);
+
+  const usage = priceUsage(run);
+  await recordUsage(usage, filters.source || 'all');
+
+  const starts = [comparison.baseline.timeRange.start, comparison.candidate.timeRange.start].sort();
+  const ends = [comparison.baseline.timeRange.end, comparison.candidate.timeRange.end].sort();
+
+  const analysisResult = {
+    provider: run.provider,
+    ...(run.fallbackAttempts.length > 0 && {
+      requestedProvider: plan.provider,
+      fallbackAttempts: run.fallbackAttempts
+    }),
+    ...(plan.budget && { budget: plan.budget }),
+    model: result.model,
+    analysisType: definition.id,
+    template: { id: definition.id, version: definition.version, builtIn: definition.builtIn },
+    status: result.validation.valid ? 'completed' : 'failed',
+    eventsAnalyzed: fetched.baseline.length + fetched.candidate.length,
+    timeRange: { start: starts[0], end: ends[1] },
+    compare: windows,
+    comparison,                 // Deterministic deltas the provider explained
+    filters,
+    redaction,
+    pipelineCompleteness: null,
+    mapReduce: null,
+    result: {
+      content: result.content,
+      parsed: result.parsed
+    },
+    validation: result.validation,
+    tokensUsed: result.tokensUsed,
+    usage,
+    durationMs: result.durationMs
+  };
+
+  signal?.throwIfAborted();
+
+  if (saveToFile) {
+    await saveResult(analysisResult, { source: filters.source || 'default', generateReferences: false, report });
+  }
+
+  if (result.validation.valid) {
+    await cacheAnalysis(cacheKeyFor(run.provider), analysisResult);
+  }
+
+  return { ...analysisResult, cache: { hit: false } };
+}
+
+// =============================================================================
+// MAP-REDUCE
+// =============================================================================
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Short label identifying a finding (string findings are their own label)
+ */
+function findingLabel(item) {
+  if (typeof item === 'string') return item;
+  return item?.title || item?.name || item?.description || JSON.stringify(item);
+}
+
+/**
+ * Keep provenance entries that name real chunks
+ *
+ * @param {Array} provenance - Provider-reported [{ finding, chunks }]
+ * @param {Set} validChunks - Chunk numbers that produced a partial result
+ * @returns {Array} Cleaned [{ finding, chunks }]
+ */
+function cleanProvenance(provenance, validChunks) {
+  return provenance
+    .filter(entry => entry && typeof entry.finding === 'string' && Array.isArray(entry.chunks))
+    .map(entry => ({
+      finding: entry.finding,
+      chunks: [...new Set(entry.chunks.map(Number))].filter(n => validChunks.has(n)).sort((a, b) => a - b)
+    }))
+    .filter(entry => entry.chunks.length > 0);
+}
+
+/**
+ * Merge partial results without the provider
+ * Used when the reduce call fails: findings are concatenated, identical
+ * ones collapsed, and every other field taken from the first partial.
+ *
+ * @param {Object} definition - Analysis type definition (from getAnalysisType)
+ * @param {Array} partials - Successful map results [{ chunk, parsed, content }]
+ * @returns {Object} { parsed, content, provenance }
+ */
+function mergePartials(definition, partials) {
+  const field = definition.findingsField;
+  const base = partials.find(p => p.parsed)?.parsed;
+
+  if (!base) {
+    return {
+      parsed: null,
+      content: partials.map(p => `--- Chunk ${p.chunk} ---\n${p.content}`).join('\n\n'),
+      provenance: []
+    };
+  }
+
+  const merged = { ...base, [field]: [] };
+  const byLabel = new Map();
+
+  for (const { chunk, parsed } of partials) {
+    for (const item of parsed?.[field] || []) {
+      const label = findingLabel(item);
+      if (byLabel.has(label)) {
+        byLabel.get(label).chunks.push(chunk);
+      } else {
+        byLabel.set(label, { finding: label, chunks: [chunk] });
+        merged[field].push(item);
+      }
+    }
+  }
+
+  return {
+    parsed: merged,
+    content: JSON.stringify(merged, null, 2),
+    provenance: [...byLabel.values()]
+  };
+}
+
+/**
+ * Analyze chunks separately, then merge them in a reduce pass
+ *
+ * Chunks that fail for good (e.g. never validate) are recorded in
+ * mapReduce.failedChunks and skipped; the analysis only fails if every chunk
+ * does. A transient provider error fails the whole run instead, so
+ * runWithFallback can try the next provider rather than build the result
+ * from part of the events. Thrown errors carry the tokens already spent
+ * (err.tokensUsed). If the reduce call fails or returns no JSON, partial
+ * findings are merged locally so the chunk results aren't lost.
+ *
+ * @param {Object} providerConfig - Provider registry entry
+ * @param {Object} definition - Analysis type definition (from getAnalysisType)
+ * @param {Array} chunks - From chunkEvents()
+ * @param {Object} context - { events, pipelineCompleteness, detectedAnomalies } for the whole set
+ * @returns {Object} { result, mapReduce } - result is shaped like a provider result
+ */
+async function runMapReduce(providerConfig, definition, chunks, { events, pipelineCompleteness, detectedAnomalies, signal, report }) {
+  const analysisType = definition.id;
+  const { concurrency, chunkTokens } = config.ai.chunking;
+  const startTime = Date.now();
+  let finished = 0;
+  report('analyzing', 0, chunks.length + 1);
+  const tokensUsed = { input: 0, output: 0, total: 0 };
+  let repairs = 0;
+  const addTokens = (usage) => {
+    tokensUsed.input += usage?.input || 0;
+    tokensUsed.output += usage?.output || 0;
+    tokensUsed.total += usage?.total || 0;
+  };
+
+  // Set by the first chunk to hit a transient error; later chunks don't start
+  let transientError = null;
+
+  // Map: completeness and detected anomalies are left out of chunk prompts -
+  // they describe the whole window, so every chunk would report the same stalls
+  const mapped = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    signal?.throwIfAborted();
+    if (transientError) return { chunk: chunk.index, error: transientError };
+    const prompt = buildPrompt(definition, chunk.events, {
+      maxEvents: chunk.events.length,
+      chunk: { index: chunk.index, count: chunks.length }
+    });
+
+    try {
+      const result = await analyzeWithRepair(providerConfig, prompt, { analysisType, definition, events: chunk.events, pipelineCompleteness: null, signal });
+      addTokens(result.tokensUsed);
+      repairs += result.validation.repairs;
+      if (!result.validation.valid) {
+        throw new Error(`Response failed validation: ${result.validation.errors.join('; ')}`);
+      }
+      log.debug(`Chunk ${chunk.index}/${chunks.length} analyzed (${chunk.events.length} events)`);
+      return { chunk: chunk.index, result };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      addTokens(err.tokensUsed);
+      if (isTransientError(err)) transientError = transientError || err;
+      log.warn(`Chunk ${chunk.index}/${chunks.length} failed: ${err.message}`);
+      return { chunk: chunk.index, error: err };
+    } finally {
+      report('analyzing', ++finished, chunks.length + 1);
+    }
+  });
+
+  const partials = mapped
+    .filter(m => m.result)
+    .map(m => ({ chunk: m.chunk, parsed: m.result.parsed, content: m.result.content, model: m.result.model }));
+
+  const failed = transientError || (partials.length === 0 && mapped[0].error);
+  if (failed) {
+    failed.tokensUsed = tokensUsed;
+    throw failed;
+  }
+
+  // Reduce
+  const field = definition.findingsField;
+  const validChunks = new Set(partials.map(p => p.chunk));
+  const stats = computeEventStats(events);
+  const reducePrompt = buildReducePrompt(definition, partials.map(p => {
+    const chunk = chunks[p.chunk - 1];
+    return {
+      chunk: p.chunk,
+      eventCount: chunk.events.length,
+      timeRange: chunk.timeRange,
+      result: p.parsed || p.content
+    };
+  }), {
+    overallStats: {
+      totalEvents: stats.totalEvents,
+      failures: stats.failures,
+      errorRate: stats.errorRate,
+      latency: stats.latency,
+      timeRange: stats.timeRange,
+      eventsBySource: Object.fromEntries(Object.entries(stats.bySource).map(([s, g]) => [s, g.count]))
+    },
+    pipelineCompleteness,
+    detectedAnomalies
+  });
+
+  let merged = null;
+  let mergedBy = 'provider';
+  let model = partials[0].model;
+
+  signal?.throwIfAborted();
+  report('reducing', chunks.length, chunks.length + 1);
+
+  try {
+    const reduced = await analyzeWithRepair(providerConfig, reducePrompt, { analysisType, definition, events, pipelineCompleteness, signal });
+    addTokens(reduced.tokensUsed);
+    repairs += reduced.validation.repairs;
+
+    if (reduced.validation.valid) {
+      const { provenance = [], ...parsed } = reduced.parsed;
+      merged = {
+        parsed,
+        content: reduced.content,
+        provenance: Array.isArray(provenance) ? cleanProvenance(provenance, validChunks) : []
+      };
+      model = reduced.model;
+    } else {
+      log.warn('Reduce response failed validation; merging chunk results locally');
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    addTokens(err.tokensUsed);
+    log.warn(`Reduce step failed: ${err.message}; merging chunk results locally`);
+  }
+
+  if (!merged) {
+    merged = mergePartials(definition, partials);
+    mergedBy = 'fallback';
+  }
+
+  return {
+    result: {
+      model,
+      content: merged.content,
+      parsed: merged.parsed,
+      tokensUsed,
+      durationMs: Date.now() - startTime,
+      validation: { ...validateResponse(definition, merged.parsed), repairs }
+    },
+    mapReduce: {
+      chunkCount: chunks.length,
+      chunkTokenBudget: chunkTokens,
+      chunks: chunks.map(chunk => {
+        const m = mapped[chunk.index - 1];
+        return {
+          chunk: chunk.index,
+          eventCount: chunk.events.length,
+          estimatedTokens: chunk.estimatedTokens,
+          timeRange: chunk.timeRange,
+          findings: m.result?.parsed?.[field]?.length ?? null,
+          error: m.error?.message || null
+        };
+      }),
+      failedChunks: mapped.filter(m => m.error).map(m => ({ chunk: m.chunk, error: m.error.message })),
+      mergedBy,
+      provenance: merged.provenance
+    }
+  };
 }
 
 // Export analysis types for use by routes
-export { ANALYSIS_TYPES };
+export { ANALYSIS_TYPES, listAnalysisTypes };
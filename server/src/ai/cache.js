@@ -0,0 +1,178 @@
+/**
+ * =============================================================================
+ * CACHE.JS - Reuse Analyses of Unchanged Event Sets
+ * =============================================================================
+ *
+ * Running the same analysis over the same events twice would pay for the
+ * same provider calls twice. Each completed analysis is cached under a key
+ * built from everything that decides its prompts and who answers them:
+ *
+ *   provider(s) and configured model(s)
+ *   analysis type and template version (built-ins: a hash of the prompt)
+ *   content hash of the selected events (IDs and event bodies)
+ *   chunking settings, redaction, and whether detected anomalies are attached
+ *
+ * A request with the same key gets the cached analysis back at once (with
+ * cache.hit = true); `force: true` skips the lookup and refreshes the entry.
+ * Entries expire after ANALYSIS_CACHE_TTL_HOURS.
+ *
+ * Kept in the "analysis-cache" document collection.
+ *
+ * =============================================================================
+ */
+
+import { createHash } from 'crypto';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, loadDocument, saveDocument, deleteDocument } from '../storage/index.js';
+
+// Create logger for this module
+const log = Logger('AnalysisCache');
+
+// Document collection holding cached analyses
+const COLLECTION = 'analysis-cache';
+
+// Expiry time of every cached key, loaded on first use
+let expiries = null;
+
+/**
+ * SHA-256 of a string, hex encoded
+ */
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Load cache expiry times (cached after the first call)
+ *
+ * @returns {Map} key -> expiresAt (ISO string)
+ */
+async function getExpiries() {
+  if (!expiries) {
+    const documents = await loadDocuments(COLLECTION);
+    expiries = new Map(documents.map(doc => [doc.key, doc.expiresAt]));
+    log.debug(`Loaded ${expiries.size} cached analyses`);
+  }
+  return expiries;
+}
+
+/**
+ * Drop a cached entry
+ */
+async function evict(all, key) {
+  all.delete(key);
+  await deleteDocument(COLLECTION, key);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Content hash of the events an analysis selected
+ *
+ * @param {Array} events - Stored events, as fetched
+ * @returns {string} Hex digest
+ */
+export function hashEvents(events) {
+  const hash = createHash('sha256');
+  for (const event of events) {
+    hash.update(`${event.id}:${JSON.stringify(event.event)}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Build the cache key for an analysis
+ *
+ * @param {Object} parts - { providers: [{ provider, model }], consensus, definition, eventsHash,
+ *   maxEvents, attachAnomalies }
+ * @returns {string} Hex key
+ */
+export function analysisCacheKey({ providers, consensus, definition, eventsHash, maxEvents, attachAnomalies }) {
+  const { chunkTokens, maxChunks } = config.ai.chunking;
+
+  return sha256(JSON.stringify({
+    providers: consensus ? [...providers].sort((a, b) => a.provider.localeCompare(b.provider)) : providers,
+    consensus: Boolean(consensus),
+    analysisType: definition.id,
+    // Built-in types have no version; hash their prompt so edits invalidate
+    template: definition.version ?? sha256(definition.template + JSON.stringify(definition.schema)),
+    events: eventsHash,
+    settings: {
+      maxEvents,
+      chunkTokens,
+      maxChunks,
+      redaction: config.ai.redaction.enabled,
+      anomalies: Boolean(attachAnomalies)
+    }
+  }));
+}
+
+/**
+ * Look up a cached analysis (ANALYSIS_CACHE_ENABLED)
+ *
+ * @param {string} key - From analysisCacheKey()
+ * @returns {Object|null} { analysis, cachedAt }, or null on a miss
+ */
+export async function getCachedAnalysis(key) {
+  if (!config.ai.cache.enabled) return null;
+
+  const all = await getExpiries();
+  const expiresAt = all.get(key);
+  if (!expiresAt) return null;
+
+  if (new Date(expiresAt) <= new Date()) {
+    await evict(all, key);
+    return null;
+  }
+
+  const doc = await loadDocument(COLLECTION, key);
+  if (!doc) {
+    all.delete(key);
+    return null;
+  }
+
+  return { analysis: doc.analysis, cachedAt: doc.createdAt };
+}
+
+/**
+ * Cache a completed analysis, replacing any entry with the same key
+ * Expired entries are removed at the same time.
+ *
+ * @param {string} key - From analysisCacheKey()
+ * @param {Object} analysis - Analysis result as returned to the client
+ */
+export async function cacheAnalysis(key, analysis) {
+  if (!config.ai.cache.enabled) return;
+
+  const all = await getExpiries();
+  const now = new Date();
+
+  for (const [cachedKey, expiresAt] of all) {
+    if (new Date(expiresAt) <= now) await evict(all, cachedKey);
+  }
+
+  const expiresAt = new Date(now.getTime() + config.ai.cache.ttlHours * 60 * 60 * 1000).toISOString();
+  await saveDocument(COLLECTION, key, { key, createdAt: now.toISOString(), expiresAt, analysis });
+  all.set(key, expiresAt);
+
+  log.debug(`Cached analysis ${analysis.analysisId || '(unsaved)'} until ${expiresAt}`);
+}
+
+/**
+ * Remove every cached analysis
+ *
+ * @returns {number} Entries removed
+ */
+export async function clearAnalysisCache() {
+  const all = await getExpiries();
+  const count = all.size;
+
+  for (const key of [...all.keys()]) {
+    await evict(all, key);
+  }
+
+  log.info(`Cleared ${count} cached analyses`);
+  return count;
+}
@@ -0,0 +1,135 @@
+/**
+ * =============================================================================
+ * CHUNKING.JS - Compact Events and Token-Budgeted Chunks
+ * =============================================================================
+ *
+ * Prepares large event sets for map-reduce analysis:
+ *   - compactEvent:  Drop empty fields and trim big payloads
+ *   - estimateTokens: Cheap size estimate (no tokenizer dependency)
+ *   - chunkEvents:   Split events into chunks that fit a token budget,
+ *                    keeping each correlationId's events together
+ *
+ * =============================================================================
+ */
+
+import { getSortTimestamp } from '../storage/cursor.js';
+
+// Characters of event data kept per event before truncating
+const MAX_DATA_CHARS = 500;
+
+// Rough characters-per-token ratio for English/JSON text
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate how many tokens a string will use
+ *
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Reduce an event to the fields analysis needs
+ * Payloads over MAX_DATA_CHARS are cut and marked as truncated.
+ *
+ * @param {Object} event - Stored event
+ * @returns {Object} Compact event (no null/undefined fields)
+ */
+export function compactEvent(event) {
+  const e = event.event || {};
+
+  let data = e.data;
+  if (data !== undefined) {
+    const json = JSON.stringify(data);
+    if (json.length > MAX_DATA_CHARS) {
+      data = `${json.slice(0, MAX_DATA_CHARS)}... (truncated)`;
+    }
+  }
+
+  const compact = {
+    id: event.id,
+    source: event.source,
+    stage: e.stage,
+    action: e.action,
+    success: e.success,
+    timestamp: e.timestamp || event.receivedAt,
+    durationMs: e.duration_ms,
+    correlationId: e.correlationId,
+    error: e.error?.message || e.error,
+    data
+  };
+
+  return Object.fromEntries(Object.entries(compact).filter(([_, v]) => v !== undefined && v !== null));
+}
+
+/**
+ * Format events for a prompt - one compact JSON object per line
+ *
+ * @param {Array} events - Stored events
+ * @returns {string} Event lines
+ */
+export function formatEvents(events) {
+  return events.map(event => JSON.stringify(compactEvent(event))).join('\n');
+}
+
+/**
+ * Split events into chunks that each fit within a token budget
+ *
+ * Events are ordered oldest first and grouped by correlationId so a journey
+ * is analyzed in one chunk; a single journey larger than the budget is split.
+ *
+ * @param {Array} events - Stored events (any order)
+ * @param {number} tokenBudget - Max estimated tokens of event lines per chunk
+ * @returns {Array} Chunks: [{ index, events, estimatedTokens, timeRange: { start, end } }]
+ *   (index is 1-based, matching how chunks are named in prompts)
+ */
+export function chunkEvents(events, tokenBudget) {
+  const ordered = [...events].sort((a, b) => getSortTimestamp(a).localeCompare(getSortTimestamp(b)));
+
+  // Group by correlationId in order of first appearance
+  const groups = new Map();
+  for (const event of ordered) {
+    const key = event.event?.correlationId || `event:${event.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  }
+
+  const chunks = [];
+  let current = { events: [], tokens: 0 };
+
+  const flush = () => {
+    if (current.events.length > 0) chunks.push(current);
+    current = { events: [], tokens: 0 };
+  };
+
+  for (const group of groups.values()) {
+    // +1 per event for the newline between lines
+    const sizes = group.map(event => estimateTokens(JSON.stringify(compactEvent(event))) + 1);
+    const groupTokens = sizes.reduce((sum, n) => sum + n, 0);
+
+    if (current.tokens + groupTokens > tokenBudget) flush();
+
+    group.forEach((event, i) => {
+      if (current.events.length > 0 && current.tokens + sizes[i] > tokenBudget) flush();
+      current.events.push(event);
+      current.tokens += sizes[i];
+    });
+  }
+  flush();
+
+  return chunks.map((chunk, i) => {
+    // Chunk events stay oldest first; re-sort since journeys interleave in time
+    chunk.events.sort((a, b) => getSortTimestamp(a).localeCompare(getSortTimestamp(b)));
+    return {
+      index: i + 1,
+      events: chunk.events,
+      estimatedTokens: chunk.tokens,
+      timeRange: {
+        start: getSortTimestamp(chunk.events[0]),
+        end: getSortTimestamp(chunk.events[chunk.events.length - 1])
+      }
+    };
+  });
+}
@@ -60,6 +60,7 @@ function getClient() {
  * Attempts to extract JSON from the response if present.
  *
  * @param {string} prompt - The analysis prompt to send
+ * @param {Object} context - Optional { signal } to abort the request
  * @returns {Object} Analysis result:
  *   - provider: 'claude'
  *   - model: Model used (from config)
@@ -70,7 +71,7 @@ function getClient() {
  *
  * @throws {Error} If API key not configured or API call fails
  */
-export async function analyzeWithClaude(prompt) {
+export async function analyzeWithClaude(prompt, context = {}) {
   const anthropic = getClient();
 
   // Check if client is available
@@ -97,7 +98,7 @@ export async function analyzeWithClaude(prompt) {
         content: prompt
       }
     ]
-  });
+  }, { signal: context.signal });
 
   const duration = Date.now() - startTime;
 
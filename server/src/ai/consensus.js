@@ -0,0 +1,138 @@
+/**
+ * =============================================================================
+ * CONSENSUS.JS - Merge Findings from Several Providers
+ * =============================================================================
+ *
+ * Consensus mode runs more than one provider on the same events. This module
+ * lines up their anomalies (or recommendations), merges the ones that describe
+ * the same issue, and records which providers agreed on each finding.
+ *
+ * Two findings match when they have the same type/category and either touch
+ * the same stage/file or describe it in similar words.
+ *
+ * =============================================================================
+ */
+
+// Analysis types whose findings can be lined up across providers
+export const CONSENSUS_TYPES = ['anomaly', 'recommendations'];
+
+// Word-overlap (Jaccard) needed for two descriptions to count as the same finding
+const SIMILARITY_THRESHOLD = 0.4;
+
+// Rank used to keep the most serious rating when providers disagree
+const SEVERITY_RANK = { critical: 3, warning: 2, info: 1 };
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Lower-case words of 3+ characters
+ */
+function words(text) {
+  return new Set(String(text || '').toLowerCase().match(/[a-z0-9_-]{3,}/g) || []);
+}
+
+/**
+ * Jaccard similarity of two texts' word sets
+ */
+function similarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 || wb.size === 0) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+/**
+ * True if two lists share an entry
+ */
+function overlaps(a = [], b = []) {
+  return a.some(item => b.includes(item));
+}
+
+/**
+ * Per-type rules: where findings live, how to match and rank them
+ */
+const RULES = {
+  anomaly: {
+    field: 'anomalies',
+    matches: (a, b) => a.type === b.type &&
+      (overlaps(a.affectedStages, b.affectedStages) || similarity(a.description, b.description) >= SIMILARITY_THRESHOLD),
+    rank: finding => SEVERITY_RANK[finding.severity] || 0,
+    rankField: 'severity'
+  },
+  recommendations: {
+    field: 'recommendations',
+    matches: (a, b) => a.category === b.category &&
+      (overlaps(a.affectedFiles, b.affectedFiles) || similarity(a.title, b.title) >= SIMILARITY_THRESHOLD),
+    rank: finding => PRIORITY_RANK[finding.priority] || 0,
+    rankField: 'priority'
+  }
+};
+
+/**
+ * Unique values of a string list field across results
+ */
+function union(results, field) {
+  return [...new Set(results.flatMap(r => r.parsed[field] || []))];
+}
+
+/**
+ * Merge parsed results from several providers
+ *
+ * @param {string} analysisType - 'anomaly' or 'recommendations'
+ * @param {Array} results - [{ provider, parsed }] (valid results only, in priority order)
+ * @returns {Object} Merged result in the analysis type's format; every finding
+ *   gains agreedBy: [providers] and agreement: "2/3", most agreed-on first
+ */
+export function mergeConsensus(analysisType, results) {
+  const rules = RULES[analysisType];
+  const providerCount = results.length;
+  const clusters = [];
+
+  for (const { provider, parsed } of results) {
+    for (const finding of parsed[rules.field] || []) {
+      const cluster = clusters.find(c => !c.agreedBy.includes(provider) && rules.matches(c.finding, finding));
+
+      if (!cluster) {
+        clusters.push({ finding: { ...finding }, agreedBy: [provider] });
+        continue;
+      }
+
+      cluster.agreedBy.push(provider);
+      // Keep the most serious rating any provider gave
+      if (rules.rank(finding) > rules.rank(cluster.finding)) {
+        cluster.finding[rules.rankField] = finding[rules.rankField];
+      }
+    }
+  }
+
+  const findings = clusters
+    .map(({ finding, agreedBy }) => ({ ...finding, agreedBy, agreement: `${agreedBy.length}/${providerCount}` }))
+    .sort((a, b) => b.agreedBy.length - a.agreedBy.length || rules.rank(b) - rules.rank(a));
+
+  const unanimous = findings.filter(f => f.agreedBy.length === providerCount).length;
+
+  if (analysisType === 'anomaly') {
+    const scores = results.map(r => r.parsed.healthScore).filter(Number.isFinite);
+    return {
+      summary: `${findings.length} finding(s) from ${providerCount} providers; ${unanimous} reported by all`,
+      anomalies: findings,
+      healthScore: scores.length > 0 ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : 100,
+      metrics: results[0].parsed.metrics
+    };
+  }
+
+  const alerts = new Map();
+  for (const { parsed } of results) {
+    for (const alert of parsed.monitoringAlerts || []) {
+      if (!alerts.has(alert.metric)) alerts.set(alert.metric, alert);
+    }
+  }
+
+  return {
+    recommendations: findings,
+    quickWins: union(results, 'quickWins'),
+    criticalIssues: union(results, 'criticalIssues'),
+    monitoringAlerts: [...alerts.values()]
+  };
+}
@@ -16,7 +16,7 @@ function getModel() {
   return model;
 }
 
-export async function analyzeWithGemini(prompt) {
+export async function analyzeWithGemini(prompt, context = {}) {
   const gemini = getModel();
 
   if (!gemini) {
@@ -25,7 +25,7 @@ export async function analyzeWithGemini(prompt) {
 
   const startTime = Date.now();
 
-  const result = await gemini.generateContent(prompt);
+  const result = await gemini.generateContent(prompt, { signal: context.signal });
   const response = result.response;
 
   const duration = Date.now() - startTime;
@@ -0,0 +1,319 @@
+/**
+ * =============================================================================
+ * JOBS.JS - Asynchronous Analysis Jobs
+ * =============================================================================
+ *
+ * Runs analyzeEvents() in the background so HTTP requests return at once:
+ *
+ *   createJob(options)  - Queue an analysis, returns the job record
+ *   getJob(id)          - Job record including the result when finished
+ *   listJobs(filters)   - Recent jobs, newest first (without results)
+ *   cancelJob(id)       - Drop a queued job or abort a running one
+ *
+ * Job records are kept in the "analysis-jobs" document collection so they
+ * survive a restart; every change is pushed to /ws/jobs watchers.
+ *
+ * Lifecycle: queued → running → completed | failed | cancelled
+ * On startup, queued jobs are queued again and jobs that were running are
+ * marked failed (their provider calls died with the old process).
+ * onJobFinished listeners (e.g. Prometheus metrics) see every job that
+ * finishes in this process.
+ *
+ * =============================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, loadDocument, saveDocument, deleteDocument } from '../storage/index.js';
+import { broadcastJobUpdate } from '../integrations/job-broadcast.js';
+import { analyzeEvents } from './analyzer.js';
+
+// Create logger for this module
+const log = Logger('Jobs');
+
+// Document collection holding job records
+const COLLECTION = 'analysis-jobs';
+
+// Statuses a job never leaves
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Jobs queued or running in this process: id -> { job, controller }
+const active = new Map();
+
+// IDs of queued jobs, oldest first
+const queue = [];
+
+// Number of jobs currently running
+let running = 0;
+
+// Pending writes per job, so saves of one record never overlap
+const writes = new Map();
+
+// Callbacks notified when a job finishes (see onJobFinished)
+const finishedListeners = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Job record without its (potentially large) result
+ */
+function toSummary(job) {
+  const { result, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Save a job and tell watchers, in the order changes happened
+ */
+function persist(job) {
+  const snapshot = structuredClone(job);
+  const previous = writes.get(job.id) || Promise.resolve();
+
+  const write = previous
+    .then(() => saveDocument(COLLECTION, job.id, snapshot))
+    .catch(err => log.error(`Failed to save job ${job.id}`, err.message))
+    .finally(() => {
+      if (writes.get(job.id) === write) writes.delete(job.id);
+    });
+  writes.set(job.id, write);
+
+  broadcastJobUpdate(toSummary(snapshot));
+  return write;
+}
+
+/**
+ * Tell onJobFinished listeners about a finished job
+ */
+function notifyFinished(job) {
+  for (const listener of finishedListeners) {
+    try {
+      listener(job);
+    } catch (err) {
+      log.error('Job finished listener failed', err.message);
+    }
+  }
+}
+
+/**
+ * Start queued jobs while there is capacity
+ */
+function drain() {
+  while (running < config.ai.jobs.concurrency && queue.length > 0) {
+    const entry = active.get(queue.shift());
+    if (entry) runJob(entry);
+  }
+}
+
+/**
+ * Run one job to completion, failure or cancellation
+ */
+async function runJob({ job, controller }) {
+  running++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  persist(job);
+  log.info(`Job ${job.id} started: ${job.options.analysisType || 'anomaly'} via ${job.options.consensus ? 'consensus' : job.options.provider || 'claude'}`);
+
+  try {
+    const result = await analyzeEvents({
+      ...job.options,
+      signal: controller.signal,
+      onProgress: (progress) => {
+        job.progress = progress;
+        persist(job);
+      }
+    });
+
+    job.status = result.status === 'failed' ? 'failed' : 'completed';
+    job.error = result.status === 'failed' ? 'Response failed schema validation' : null;
+    job.analysisId = result.analysisId || null;
+    job.result = result;
+  } catch (err) {
+    if (controller.signal.aborted) {
+      job.status = 'cancelled';
+    } else {
+      log.error(`Job ${job.id} failed`, err.message);
+      job.status = 'failed';
+      job.error = err.message;
+    }
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    job.progress = { ...job.progress, phase: job.status };
+    active.delete(job.id);
+    running--;
+    notifyFinished(job);
+    await persist(job);
+    log.info(`Job ${job.id} ${job.status}`);
+    drain();
+  }
+}
+
+/**
+ * Add a job to this process's queue
+ */
+function enqueue(job) {
+  active.set(job.id, { job, controller: new AbortController() });
+  queue.push(job.id);
+  drain();
+}
+
+/**
+ * Remove the oldest finished jobs beyond ANALYSIS_JOB_HISTORY
+ */
+async function pruneJobs() {
+  const finished = (await loadDocuments(COLLECTION))
+    .filter(job => FINISHED_STATUSES.includes(job.status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  for (const job of finished.slice(config.ai.jobs.historyLimit)) {
+    await deleteDocument(COLLECTION, job.id);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Restore jobs after a restart
+ * Queued jobs run again; running ones are marked failed.
+ */
+export async function initJobs() {
+  const jobs = (await loadDocuments(COLLECTION))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  let requeued = 0;
+  let interrupted = 0;
+
+  for (const job of jobs) {
+    if (job.status === 'queued') {
+      enqueue(job);
+      requeued++;
+    } else if (job.status === 'running') {
+      job.status = 'failed';
+      job.error = 'Interrupted by a server restart';
+      job.finishedAt = new Date().toISOString();
+      await persist(job);
+      interrupted++;
+    }
+  }
+
+  if (requeued > 0 || interrupted > 0) {
+    log.info(`Restored jobs: ${requeued} requeued, ${interrupted} marked failed (interrupted)`);
+  }
+}
+
+/**
+ * Queue an analysis
+ *
+ * @param {Object} options - analyzeEvents() options (provider, analysisType, ...)
+ * @returns {Object} The new job record
+ */
+export async function createJob(options) {
+  const job = {
+    id: `job_${uuidv4()}`,
+    status: 'queued',
+    options,
+    progress: { phase: 'queued', completed: 0, total: 0 },
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    cancelRequested: false,
+    analysisId: null,
+    error: null,
+    result: null
+  };
+
+  await persist(job);
+  enqueue(job);
+  pruneJobs().catch(err => log.warn('Failed to prune old jobs', err.message));
+
+  log.info(`Job ${job.id} queued (${queue.length} waiting, ${running} running)`);
+  return job;
+}
+
+/**
+ * Get a job, including its result once finished
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job record or null if not found
+ */
+export async function getJob(id) {
+  const entry = active.get(id);
+  if (entry) return entry.job;
+  return loadDocument(COLLECTION, id);
+}
+
+/**
+ * List recent jobs, newest first
+ *
+ * @param {Object} filters - { status, limit }
+ * @returns {Array} Job summaries (no results)
+ */
+export async function listJobs({ status, limit = 20 } = {}) {
+  return (await loadDocuments(COLLECTION))
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(job => toSummary(active.get(job.id)?.job || job));
+}
+
+/**
+ * Cancel a job
+ * A queued job is cancelled immediately; a running one is aborted and
+ * becomes cancelled once its in-flight provider call stops.
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} { job, cancelled } - cancelled is false if the job had
+ *   already finished; null if the job doesn't exist
+ */
+export async function cancelJob(id) {
+  const entry = active.get(id);
+
+  if (!entry) {
+    const job = await loadDocument(COLLECTION, id);
+    return job ? { job, cancelled: false } : null;
+  }
+
+  const { job, controller } = entry;
+  job.cancelRequested = true;
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(id), 1);
+    active.delete(id);
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    job.progress = { ...job.progress, phase: 'cancelled' };
+    log.info(`Job ${id} cancelled before starting`);
+    notifyFinished(job);
+  } else {
+    log.info(`Job ${id} cancellation requested`);
+    controller.abort();
+  }
+
+  await persist(job);
+  return { job, cancelled: true };
+}
+
+/**
+ * Count jobs waiting and running in this process
+ *
+ * @returns {Object} { queued, running }
+ */
+export function getJobCounts() {
+  return { queued: queue.length, running };
+}
+
+/**
+ * Subscribe to finished jobs (completed, failed or cancelled)
+ * Listeners run synchronously with the final job record; a listener that
+ * throws is logged and does not affect the job.
+ *
+ * @param {Function} listener - (job) => void
+ */
+export function onJobFinished(listener) {
+  finishedListeners.push(listener);
+}
@@ -0,0 +1,514 @@
+/**
+ * =============================================================================
+ * LOCAL.JS - Rule-Based Offline Analysis Provider
+ * =============================================================================
+ *
+ * Built-in provider for machines with no network access or API keys
+ * (e.g. air-gapped clinic workstations). Instead of sending the prompt to an
+ * LLM it computes statistics over the same events and fills in the same
+ * JSON shapes the prompts ask for, so saved analyses and generated
+ * references look the same regardless of provider.
+ *
+ * Rules:
+ *   - Error rate per stage:       >= 25% critical, >= 5% warning, > 0 info
+ *   - Latency outliers per stage: durations above the stage's IQR fence
+ *   - Stalled/skipped stages:     from pipeline completeness (pipelines.js)
+ *   - Comparisons:                stage error rate up >= 5 points or p95 up
+ *                                 >= 50%, new errors, missing stages
+ *
+ * Results are deterministic: the same events always give the same output.
+ * Disable with LOCAL_ANALYZER_ENABLED=false.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { computeEventStats } from '../telemetry/stats.js';
+import { getSortTimestamp } from '../storage/cursor.js';
+
+// Create logger for this module
+const log = Logger('Local');
+
+// Model name recorded on results (bump when rules change meaningfully)
+export const LOCAL_MODEL = 'rules-v1';
+
+// Error rate thresholds per stage
+const CRITICAL_ERROR_RATE = 0.25;
+const WARNING_ERROR_RATE = 0.05;
+
+// Share of a source's traces stalled before it is critical
+const CRITICAL_STALL_RATE = 0.1;
+
+// Increases that count as a regression in compare analyses: error rate
+// (absolute, 0.05 = 5 points) and p95 latency (relative, 0.5 = +50%)
+const REGRESSION_ERROR_RATE = 0.05;
+const REGRESSION_LATENCY = 0.5;
+
+// p95 drop that counts as an improvement (the reverse of +50%: 150ms -> 100ms)
+const IMPROVEMENT_LATENCY = 0.33;
+
+// Health score penalty per finding severity
+const SEVERITY_PENALTY = { critical: 15, warning: 5, info: 1 };
+
+// =============================================================================
+// FORMATTING HELPERS
+// =============================================================================
+
+/**
+ * Format a 0-1 rate as a percentage string (e.g. "12.5%")
+ */
+function formatPercent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
+/**
+ * Format a duration for display (e.g. "230ms"), "n/a" if unknown
+ */
+function formatMs(ms) {
+  return ms === null || ms === undefined ? 'n/a' : `${ms}ms`;
+}
+
+/**
+ * Get the error severity for a stage's error rate
+ */
+function getErrorSeverity(errorRate) {
+  if (errorRate >= CRITICAL_ERROR_RATE) return 'critical';
+  if (errorRate >= WARNING_ERROR_RATE) return 'warning';
+  return 'info';
+}
+
+// =============================================================================
+// FINDINGS
+// =============================================================================
+
+/**
+ * Derive anomalies from statistics and pipeline completeness
+ *
+ * @param {Object} stats - From computeEventStats
+ * @param {Object|null} completeness - Map of source -> completeness stats
+ * @returns {Array} Anomalies in the anomaly prompt's shape, most severe first
+ */
+function findAnomalies(stats, completeness) {
+  const anomalies = [];
+
+  // Error rates per stage
+  for (const [stage, group] of Object.entries(stats.byStage)) {
+    if (group.failures === 0) continue;
+
+    const topError = stats.errors.find(e => e.stage === stage);
+    anomalies.push({
+      severity: getErrorSeverity(group.errorRate),
+      type: 'error',
+      description: `${stage} failed ${group.failures} of ${group.count} times (${formatPercent(group.errorRate)})` +
+                   (topError?.message ? `; most common error: ${topError.message}` : ''),
+      affectedStages: [stage],
+      occurrences: group.failures,
+      recommendation: `Inspect failing ${stage}/${topError?.action || 'events'} events and add handling for the most common error`
+    });
+  }
+
+  // Latency outliers per stage
+  const outliersByStage = {};
+  for (const outlier of stats.outliers) {
+    (outliersByStage[outlier.stage] ||= []).push(outlier);
+  }
+  for (const [stage, outliers] of Object.entries(outliersByStage)) {
+    const latency = stats.byStage[stage].latency;
+    anomalies.push({
+      severity: 'warning',
+      type: 'performance',
+      description: `${outliers.length} ${stage} event(s) took up to ${formatMs(outliers[0].durationMs)} ` +
+                   `(p50 ${formatMs(latency.p50)}, p95 ${formatMs(latency.p95)})`,
+      affectedStages: [stage],
+      occurrences: outliers.length,
+      recommendation: `Trace the slowest ${stage} events (e.g. ${outliers[0].eventId}) for timeouts or retries`
+    });
+  }
+
+  // Stalled and skipped stages against registered pipelines
+  for (const [source, pipeline] of Object.entries(completeness || {})) {
+    for (const [stage, count] of Object.entries(pipeline.stalledAfter)) {
+      const nextStage = pipeline.expectedStages[pipeline.expectedStages.indexOf(stage) + 1];
+      anomalies.push({
+        severity: pipeline.stalled / pipeline.traces >= CRITICAL_STALL_RATE ? 'critical' : 'warning',
+        type: 'data_flow',
+        description: `${count} ${source} correlation(s) stalled after ${stage} and never reached ${nextStage}`,
+        affectedStages: [stage, nextStage],
+        occurrences: count,
+        recommendation: `Check the handoff from ${stage} to ${nextStage} (e.g. ${pipeline.examples.stalled.join(', ')})`
+      });
+    }
+
+    for (const [stage, count] of Object.entries(pipeline.skippedStages)) {
+      anomalies.push({
+        severity: 'warning',
+        type: 'correlation',
+        description: `${count} ${source} correlation(s) skipped ${stage}`,
+        affectedStages: [stage],
+        occurrences: count,
+        recommendation: `Verify ${stage} reports telemetry with the correlationId on every path`
+      });
+    }
+  }
+
+  const order = { critical: 0, warning: 1, info: 2 };
+  return anomalies.sort((a, b) => order[a.severity] - order[b.severity] || b.occurrences - a.occurrences);
+}
+
+/**
+ * Score pipeline health from findings (100 = no findings)
+ */
+function getHealthScore(anomalies) {
+  const penalty = anomalies.reduce((sum, a) => sum + SEVERITY_PENALTY[a.severity], 0);
+  return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Get stage sequences per correlationId, oldest step first
+ * Repeated consecutive stages are collapsed (capture, capture → capture)
+ *
+ * @param {Array} events - Stored events
+ * @returns {Array} [{ correlationId, source, stages, durationMs }]
+ */
+function getJourneys(events) {
+  const groups = new Map();
+  for (const event of events) {
+    const id = event.event?.correlationId;
+    if (!id) continue;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(event);
+  }
+
+  return [...groups].map(([correlationId, group]) => {
+    group.sort((a, b) => (getSortTimestamp(a) < getSortTimestamp(b) ? -1 : 1));
+    const stages = group
+      .map(e => e.event?.stage)
+      .filter((stage, i, all) => stage !== all[i - 1]);
+
+    return {
+      correlationId,
+      source: group[0].source,
+      stages,
+      durationMs: Date.parse(getSortTimestamp(group[group.length - 1])) - Date.parse(getSortTimestamp(group[0]))
+    };
+  });
+}
+
+// =============================================================================
+// ANALYSIS TYPES
+// =============================================================================
+
+/**
+ * Anomaly analysis - same shape as ANALYSIS_PROMPTS.anomaly
+ */
+function analyzeAnomalies(stats, context) {
+  const anomalies = findAnomalies(stats, context.pipelineCompleteness);
+  const critical = anomalies.filter(a => a.severity === 'critical').length;
+
+  return {
+    summary: anomalies.length === 0
+      ? `No anomalies in ${stats.totalEvents} events`
+      : `${anomalies.length} finding(s) in ${stats.totalEvents} events, ${critical} critical; ` +
+        `overall error rate ${formatPercent(stats.errorRate)}`,
+    anomalies,
+    healthScore: getHealthScore(anomalies),
+    metrics: {
+      totalEvents: stats.totalEvents,
+      errorRate: formatPercent(stats.errorRate),
+      avgLatency: formatMs(stats.latency.avg)
+    }
+  };
+}
+
+/**
+ * Summary analysis - same shape as ANALYSIS_PROMPTS.summary
+ */
+function analyzeSummary(stats, context) {
+  const stageBreakdown = Object.fromEntries(
+    Object.entries(stats.byStage)
+      .sort(([, a], [, b]) => b.count - a.count)
+      .map(([stage, group]) => [stage, { count: group.count, successRate: formatPercent(1 - group.errorRate) }])
+  );
+
+  const topSources = Object.entries(stats.bySource)
+    .sort(([, a], [, b]) => b.count - a.count)
+    .map(([source]) => source);
+
+  const keyFindings = findAnomalies(stats, context.pipelineCompleteness)
+    .filter(a => a.severity !== 'info')
+    .slice(0, 5)
+    .map(a => a.description);
+
+  return {
+    overview: `${stats.totalEvents} events from ${topSources.length} source(s) across ` +
+              `${Object.keys(stats.byStage).length} stage(s); success rate ${formatPercent(1 - stats.errorRate)}, ` +
+              `median latency ${formatMs(stats.latency.p50)}`,
+    timeRange: stats.timeRange,
+    totalEvents: stats.totalEvents,
+    successRate: formatPercent(1 - stats.errorRate),
+    stageBreakdown,
+    topSources,
+    keyFindings: keyFindings.length > 0 ? keyFindings : ['No significant issues found']
+  };
+}
+
+/**
+ * Pattern analysis - same shape as ANALYSIS_PROMPTS.pattern
+ */
+function analyzePatterns(stats, context, events) {
+  const journeys = getJourneys(events);
+  const completeness = context.pipelineCompleteness || {};
+
+  // Count identical stage sequences
+  const sequences = new Map();
+  for (const journey of journeys) {
+    const key = `${journey.source}|${journey.stages.join('>')}`;
+    const entry = sequences.get(key) || { source: journey.source, stages: journey.stages, count: 0 };
+    entry.count++;
+    sequences.set(key, entry);
+  }
+
+  const patterns = [...sequences.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 10)
+    .map(({ source, stages, count }) => {
+      const expected = completeness[source]?.expectedStages;
+      return {
+        name: `${source}: ${stages.join(' → ')}`,
+        description: `${count} of ${journeys.length} correlated journeys followed this sequence`,
+        frequency: formatPercent(count / journeys.length),
+        stages,
+        // Without a registered pipeline there is nothing to compare against
+        isExpected: expected ? expected.join('>') === stages.join('>') : null
+      };
+    });
+
+  const journeyTimes = journeys.map(j => j.durationMs);
+  const averageJourneyTime = journeyTimes.length > 0
+    ? Math.round(journeyTimes.reduce((sum, d) => sum + d, 0) / journeyTimes.length)
+    : null;
+
+  const peakActivityHours = stats.byHour
+    .map((count, hour) => ({ hour, count }))
+    .filter(h => h.count > 0)
+    .sort((a, b) => b.count - a.count || a.hour - b.hour)
+    .slice(0, 4)
+    .map(h => h.hour);
+
+  const sourceProfiles = {};
+  for (const [source, group] of Object.entries(stats.bySource)) {
+    const stageCounts = {};
+    for (const event of events.filter(e => (e.source || 'unknown') === source)) {
+      const stage = event.event?.stage || 'unknown';
+      stageCounts[stage] = (stageCounts[stage] || 0) + 1;
+    }
+    sourceProfiles[source] = {
+      eventCount: group.count,
+      typicalStages: Object.entries(stageCounts).sort(([, a], [, b]) => b - a).slice(0, 5).map(([stage]) => stage),
+      avgDuration: formatMs(group.latency.avg)
+    };
+  }
+
+  return {
+    patterns,
+    typicalFlow: patterns[0]?.stages || Object.keys(stats.byStage),
+    averageJourneyTime: formatMs(averageJourneyTime),
+    peakActivityHours,
+    sourceProfiles
+  };
+}
+
+/**
+ * Recommendations analysis - same shape as ANALYSIS_PROMPTS.recommendations
+ */
+function analyzeRecommendations(stats, context) {
+  const anomalies = findAnomalies(stats, context.pipelineCompleteness);
+
+  const categoryFor = { error: 'error_handling', performance: 'performance', data_flow: 'reliability', correlation: 'monitoring' };
+  const priorityFor = { critical: 'high', warning: 'medium', info: 'low' };
+
+  const recommendations = anomalies.map(a => ({
+    priority: priorityFor[a.severity],
+    category: categoryFor[a.type],
+    title: a.recommendation.split(' (')[0],
+    description: a.description,
+    effort: a.type === 'error' ? 'medium' : 'low',
+    impact: `Addresses ${a.occurrences} occurrence(s) in ${a.affectedStages.join(', ')}`,
+    affectedFiles: a.affectedStages.map(stage => `stage: ${stage}`)
+  }));
+
+  const monitoringAlerts = Object.entries(stats.byStage)
+    .filter(([, group]) => group.failures > 0 || group.latency.p95 !== null)
+    .slice(0, 5)
+    .map(([stage, group]) => group.failures > 0
+      ? { metric: `${stage} error rate`, threshold: `> ${formatPercent(Math.max(group.errorRate, WARNING_ERROR_RATE))}`, severity: getErrorSeverity(group.errorRate) === 'critical' ? 'critical' : 'warning' }
+      : { metric: `${stage} p95 latency`, threshold: `> ${formatMs(group.latency.p95 * 2)}`, severity: 'warning' });
+
+  return {
+    recommendations,
+    quickWins: recommendations.filter(r => r.effort === 'low').slice(0, 3).map(r => r.title),
+    criticalIssues: anomalies.filter(a => a.severity === 'critical').map(a => a.description),
+    monitoringAlerts
+  };
+}
+
+/**
+ * Compare analysis - same shape as ANALYSIS_PROMPTS.compare
+ * Works from context.comparison (compareEventStats over both windows),
+ * not the sampled events.
+ */
+function analyzeComparison(stats, context) {
+  const { comparison } = context;
+  const regressions = [];
+  const improvements = [];
+
+  for (const [stage, diff] of Object.entries(comparison.byStage)) {
+    if (diff.count.baseline === 0 || diff.count.candidate === 0) continue;
+
+    if (diff.errorRate.delta >= REGRESSION_ERROR_RATE) {
+      regressions.push({
+        severity: diff.errorRate.candidate >= CRITICAL_ERROR_RATE ? 'critical' : 'warning',
+        metric: 'error_rate',
+        description: `${stage} error rate rose from ${formatPercent(diff.errorRate.baseline)} to ${formatPercent(diff.errorRate.candidate)}`,
+        affectedStages: [stage],
+        likelyCause: 'Changed behaviour in this stage or a dependency it calls',
+        recommendation: `Compare failing ${stage} events in the candidate window with the baseline`
+      });
+    } else if (diff.errorRate.delta <= -REGRESSION_ERROR_RATE) {
+      improvements.push(`${stage} error rate fell from ${formatPercent(diff.errorRate.baseline)} to ${formatPercent(diff.errorRate.candidate)}`);
+    }
+
+    if (diff.p95.change !== null && diff.p95.change >= REGRESSION_LATENCY) {
+      regressions.push({
+        severity: 'warning',
+        metric: 'latency',
+        description: `${stage} p95 latency rose from ${formatMs(diff.p95.baseline)} to ${formatMs(diff.p95.candidate)}`,
+        affectedStages: [stage],
+        likelyCause: 'Slower processing, retries or a slower downstream service',
+        recommendation: `Trace the slowest ${stage} events in the candidate window`
+      });
+    } else if (diff.p95.change !== null && diff.p95.change <= -IMPROVEMENT_LATENCY) {
+      improvements.push(`${stage} p95 latency fell from ${formatMs(diff.p95.baseline)} to ${formatMs(diff.p95.candidate)}`);
+    }
+  }
+
+  for (const error of comparison.newErrors.slice(0, 5)) {
+    regressions.push({
+      severity: 'warning',
+      metric: 'new_error',
+      description: `New error in ${error.stage}/${error.action} (${error.count}x)` +
+                   (error.message ? `: ${error.message}` : ''),
+      affectedStages: [error.stage],
+      likelyCause: 'A failure mode the baseline window never had',
+      recommendation: `Find what changed in ${error.stage}/${error.action} between the windows`
+    });
+  }
+
+  for (const stage of comparison.missingStages) {
+    regressions.push({
+      severity: 'warning',
+      metric: 'missing_stage',
+      description: `${stage} reported ${comparison.byStage[stage].count.baseline} event(s) in the baseline and none in the candidate window`,
+      affectedStages: [stage],
+      likelyCause: 'The stage stopped running or stopped reporting telemetry',
+      recommendation: `Check that ${stage} still runs and reports telemetry`
+    });
+  }
+
+  if (comparison.newActions.length > 0) {
+    const actions = comparison.newActions.slice(0, 5);
+    regressions.push({
+      severity: 'info',
+      metric: 'new_action',
+      description: `New action(s) in the candidate window: ${actions.map(a => `${a.action} (${a.count}x)`).join(', ')}`,
+      affectedStages: [...new Set(actions.map(a => a.action.split('/')[0]))],
+      likelyCause: 'New or renamed code paths',
+      recommendation: 'Confirm the new actions are intended'
+    });
+  }
+
+  const order = { critical: 0, warning: 1, info: 2 };
+  regressions.sort((a, b) => order[a.severity] - order[b.severity]);
+  const serious = regressions.filter(r => r.severity !== 'info').length;
+
+  const { overall } = comparison;
+  return {
+    summary: `Error rate ${formatPercent(overall.errorRate.baseline)} → ${formatPercent(overall.errorRate.candidate)}, ` +
+             `p95 latency ${formatMs(overall.p95.baseline)} → ${formatMs(overall.p95.candidate)}; ` +
+             `${serious} regression(s)`,
+    verdict: serious > 0 ? 'regressed' : improvements.length > 0 ? 'improved' : 'unchanged',
+    regressions,
+    improvements
+  };
+}
+
+// Analysis type -> builder(stats, context, events)
+const BUILDERS = {
+  anomaly: analyzeAnomalies,
+  summary: analyzeSummary,
+  pattern: analyzePatterns,
+  recommendations: analyzeRecommendations,
+  compare: analyzeComparison
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Run analysis with local rules
+ *
+ * The prompt is ignored; the result is computed from the events the prompt
+ * was built from.
+ *
+ * @param {string} prompt - The analysis prompt (unused)
+ * @param {Object} context - { analysisType, events, pipelineCompleteness, comparison }
+ * @returns {Object} Analysis result in the same shape as the cloud providers
+ */
+export async function analyzeWithLocal(prompt, context) {
+  const { analysisType, events = [] } = context;
+  const builder = BUILDERS[analysisType];
+  if (!builder) {
+    // Custom template types need a model to follow their prompt
+    const err = new Error(`Local analyzer does not support analysis type: ${analysisType}`);
+    err.status = 400;
+    throw err;
+  }
+
+  log.info(`Running local ${analysisType} analysis on ${events.length} events`);
+  const startTime = Date.now();
+
+  const stats = computeEventStats(events);
+  const parsed = builder(stats, context, events);
+
+  return {
+    provider: 'local',
+    model: LOCAL_MODEL,
+    content: JSON.stringify(parsed, null, 2),
+    parsed,
+    tokensUsed: { input: 0, output: 0, total: 0 },
+    durationMs: Date.now() - startTime
+  };
+}
+
+/**
+ * Score pipeline health for a set of events, as the anomaly analysis does
+ * Used where a score is needed without running an analysis (alert rules).
+ *
+ * @param {Array} events - Stored events
+ * @param {Object} pipelineCompleteness - Per-source completeness stats, or null
+ * @returns {number} 0-100 (100 = no findings)
+ */
+export function computeHealthScore(events, pipelineCompleteness = null) {
+  return getHealthScore(findAnomalies(computeEventStats(events), pipelineCompleteness));
+}
+
+/**
+ * Check if the local analyzer is enabled
+ *
+ * @returns {boolean} True unless LOCAL_ANALYZER_ENABLED=false
+ */
+export function isLocalAvailable() {
+  return config.ai.local.enabled;
+}
@@ -0,0 +1,190 @@
+/**
+ * =============================================================================
+ * ONPREM.JS - Self-Hosted OpenAI-Compatible LLM Provider
+ * =============================================================================
+ *
+ * Sends analysis prompts to any server that speaks the OpenAI chat
+ * completions API - llama.cpp server, vLLM, LM Studio, Ollama's /v1 - so
+ * PHI-adjacent telemetry never leaves the building.
+ *
+ * Requirements:
+ *   - ONPREM_LLM_BASE_URL must be set in .env (e.g. http://localhost:8080/v1)
+ *   - ONPREM_LLM_API_KEY only if the server checks one
+ *   - ONPREM_LLM_MODEL optional; defaults to the first model the server lists
+ *
+ * For a quick end-to-end check without a real model, run the stub server:
+ *   npm run stub:openai   (then ONPREM_LLM_BASE_URL=http://localhost:8089/v1)
+ *
+ * =============================================================================
+ */
+
+import OpenAI from 'openai';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { SYSTEM_PROMPT } from './prompts.js';
+
+// Create logger for this module
+const log = Logger('OnPrem');
+
+// Singleton client instance (lazy initialization)
+let client = null;
+
+// Model picked from the server's list when ONPREM_LLM_MODEL is not set
+let discoveredModel = null;
+
+// =============================================================================
+// CLIENT MANAGEMENT
+// =============================================================================
+
+/**
+ * Get or create the client for the configured base URL
+ *
+ * @returns {OpenAI|null} Client or null if no base URL is configured
+ */
+function getClient() {
+  if (!client && config.ai.onprem.baseUrl) {
+    log.debug(`Initializing client for ${config.ai.onprem.baseUrl}`);
+    client = new OpenAI({
+      baseURL: config.ai.onprem.baseUrl,
+      // The SDK requires a key; most self-hosted servers ignore it
+      apiKey: config.ai.onprem.apiKey || 'not-needed',
+      timeout: config.ai.onprem.timeoutMs,
+      maxRetries: 0
+    });
+  }
+  return client;
+}
+
+/**
+ * Resolve which model to use
+ * Falls back to the first model the server reports (cached)
+ *
+ * @returns {string} Model ID
+ */
+async function getModel() {
+  if (config.ai.onprem.model) return config.ai.onprem.model;
+
+  if (!discoveredModel) {
+    const [first] = await listOnPremModels();
+    if (!first) {
+      throw new Error(`No models available at ${config.ai.onprem.baseUrl}. Set ONPREM_LLM_MODEL in .env`);
+    }
+    discoveredModel = first.id;
+    log.info(`Using model ${discoveredModel} (first listed by server)`);
+  }
+  return discoveredModel;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * List the models the server offers
+ *
+ * @returns {Array} [{ id, ownedBy }]
+ * @throws {Error} If no base URL is configured, or with status 502 if the server is unreachable
+ */
+export async function listOnPremModels() {
+  const llm = getClient();
+  if (!llm) {
+    const err = new Error('On-prem LLM not configured. Set ONPREM_LLM_BASE_URL in .env');
+    err.status = 400;
+    throw err;
+  }
+
+  try {
+    const page = await llm.models.list();
+    return page.data.map(model => ({ id: model.id, ownedBy: model.owned_by || null }));
+  } catch (cause) {
+    // The upstream server failing is a bad gateway, not an error in this server
+    const err = new Error(`On-prem LLM at ${config.ai.onprem.baseUrl} failed to list models: ${cause.message}`);
+    err.status = 502;
+    throw err;
+  }
+}
+
+/**
+ * Run analysis on the self-hosted model
+ *
+ * @param {string} prompt - The analysis prompt to send
+ * @param {Object} context - Optional { signal } to abort the request
+ * @returns {Object} Analysis result:
+ *   - provider: 'onprem'
+ *   - model: Model used
+ *   - content: Raw text response
+ *   - parsed: Parsed JSON if found in response
+ *   - tokensUsed: { input, output, total } (0 if the server doesn't report usage)
+ *   - durationMs: Request duration
+ *
+ * @throws {Error} If not configured or the request fails
+ */
+export async function analyzeWithOnPrem(prompt, context = {}) {
+  const llm = getClient();
+
+  if (!llm) {
+    log.error('On-prem LLM base URL not configured');
+    throw new Error('On-prem LLM not configured. Set ONPREM_LLM_BASE_URL in .env');
+  }
+
+  const model = await getModel();
+
+  log.info(`Sending request to ${config.ai.onprem.baseUrl} (${model})`);
+  log.debug(`Prompt length: ${prompt.length} characters`);
+
+  const startTime = Date.now();
+
+  const response = await llm.chat.completions.create({
+    model,
+    max_tokens: 4096,
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt }
+    ]
+  }, { signal: context.signal });
+
+  const duration = Date.now() - startTime;
+  log.info(`On-prem response received in ${duration}ms`);
+
+  const content = response.choices?.[0]?.message?.content || '';
+
+  // Smaller local models often wrap JSON in prose or code fences
+  let parsed = null;
+  try {
+    const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/) ||
+                      content.match(/(\{[\s\S]*\})/);
+    if (jsonMatch) {
+      parsed = JSON.parse(jsonMatch[1]);
+      log.debug('Successfully parsed JSON from response');
+    }
+  } catch (e) {
+    log.debug('Response does not contain valid JSON');
+  }
+
+  const input = response.usage?.prompt_tokens || 0;
+  const output = response.usage?.completion_tokens || 0;
+
+  return {
+    provider: 'onprem',
+    model: response.model || model,
+    content,
+    parsed,
+    tokensUsed: {
+      input,
+      output,
+      total: response.usage?.total_tokens || input + output
+    },
+    durationMs: duration
+  };
+}
+
+/**
+ * Check if an on-prem LLM is configured (base URL set)
+ *
+ * @returns {boolean} True if ONPREM_LLM_BASE_URL is set
+ */
+export function isOnPremAvailable() {
+  const available = !!config.ai.onprem.baseUrl;
+  log.debug(`On-prem LLM available: ${available}`);
+  return available;
+}
@@ -13,7 +13,7 @@ function getClient() {
   return client;
 }
 
-export async function analyzeWithOpenAI(prompt) {
+export async function analyzeWithOpenAI(prompt, context = {}) {
   const openai = getClient();
 
   if (!openai) {
@@ -35,7 +35,7 @@ export async function analyzeWithOpenAI(prompt) {
         content: prompt
       }
     ]
-  });
+  }, { signal: context.signal });
 
   const duration = Date.now() - startTime;
 
@@ -1,5 +1,7 @@
 // Prompt templates for AI analysis of medical pipeline telemetry
 
+import { formatEvents } from './chunking.js';
+
 export const SYSTEM_PROMPT = `You are an expert medical data pipeline analyst. You analyze telemetry events from healthcare applications to identify issues, patterns, and optimization opportunities.
 
 Key context:
@@ -53,20 +55,10 @@ For bidirectional sync (plaud-fetch/plaud-export), pay attention to:
 Provide structured, actionable insights. Be concise but thorough.
 When possible, format output as JSON for easy parsing.`;
 
-export const ANALYSIS_PROMPTS = {
-  anomaly: `Analyze the following medical pipeline telemetry events for anomalies and issues.
-
-EVENTS DATA:
-{events}
-
-Analyze for:
-1. **Error Patterns** - Recurring failures, cascading errors, error spikes
-2. **Performance Issues** - Unusual latency, slow stages, bottlenecks
-3. **Data Flow Gaps** - Missing expected stages, incomplete pipelines
-4. **Correlation Gaps** - Events with same correlationId that don't complete their journey
-
-Provide your analysis in this JSON format:
-{
+// JSON shape each analysis type responds with (shared by single-pass,
+// chunk and reduce prompts)
+export const RESPONSE_FORMATS = {
+  anomaly: `{
   "summary": "Brief overview of findings",
   "anomalies": [
     {
@@ -86,20 +78,7 @@ Provide your analysis in this JSON format:
   }
 }`,
 
-  summary: `Summarize the following medical pipeline telemetry events.
-
-EVENTS DATA:
-{events}
-
-Provide a comprehensive summary including:
-1. Total events processed and time range
-2. Success/failure rates by stage
-3. Most active pipeline stages
-4. Active data sources
-5. Notable patterns or trends
-
-Format as JSON:
-{
+  summary: `{
   "overview": "Brief summary paragraph",
   "timeRange": { "start": "ISO", "end": "ISO" },
   "totalEvents": 0,
@@ -111,19 +90,7 @@ Format as JSON:
   "keyFindings": ["finding1", "finding2"]
 }`,
 
-  pattern: `Analyze behavioral patterns in these medical pipeline events.
-
-EVENTS DATA:
-{events}
-
-Look for:
-1. **Common Sequences** - Typical stage progressions
-2. **Timing Patterns** - Processing times, peak activity periods
-3. **Source Behavior** - How different sources use the pipeline
-4. **Deviation Patterns** - Events that don't follow expected flow
-
-Format as JSON:
-{
+  pattern: `{
   "patterns": [
     {
       "name": "Pattern name",
@@ -145,20 +112,7 @@ Format as JSON:
   }
 }`,
 
-  recommendations: `Based on these pipeline telemetry events, provide optimization recommendations.
-
-EVENTS DATA:
-{events}
-
-Recommend improvements for:
-1. **Error Reduction** - How to decrease failure rates
-2. **Performance** - Speed up slow stages
-3. **Reliability** - Make the pipeline more robust
-4. **Monitoring** - What to watch and alert on
-5. **Code Improvements** - Specific code changes if issues are apparent
-
-Format as JSON:
-{
+  recommendations: `{
   "recommendations": [
     {
       "priority": "high|medium|low",
@@ -178,24 +132,436 @@ Format as JSON:
       "severity": "critical|warning"
     }
   ]
+}`,
+
+  compare: `{
+  "summary": "What changed between the baseline and candidate windows",
+  "verdict": "regressed|improved|unchanged",
+  "regressions": [
+    {
+      "severity": "critical|warning|info",
+      "metric": "error_rate|latency|new_error|new_action|missing_stage|other",
+      "description": "What got worse, with the numbers",
+      "affectedStages": ["stage1"],
+      "likelyCause": "Most likely explanation",
+      "recommendation": "How to confirm or fix it"
+    }
+  ],
+  "improvements": ["What got better"]
 }`
 };
 
-// Helper to build prompt with event data
-export function buildPrompt(analysisType, events, options = {}) {
-  const template = ANALYSIS_PROMPTS[analysisType];
-  if (!template) {
+// JSON Schema for each response format. Deliberately loose on extra fields
+// (models add context) but strict on what references and the dashboard read.
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+export const RESPONSE_SCHEMAS = {
+  anomaly: {
+    type: 'object',
+    required: ['summary', 'anomalies', 'healthScore'],
+    properties: {
+      summary: { type: 'string' },
+      anomalies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['severity', 'type', 'description'],
+          properties: {
+            severity: { enum: ['critical', 'warning', 'info'] },
+            type: { type: 'string' },
+            description: { type: 'string' },
+            affectedStages: stringArray,
+            occurrences: { type: 'number' },
+            recommendation: { type: 'string' }
+          }
+        }
+      },
+      healthScore: { type: 'number', minimum: 0, maximum: 100 },
+      metrics: { type: 'object' }
+    }
+  },
+
+  summary: {
+    type: 'object',
+    required: ['overview', 'totalEvents', 'keyFindings'],
+    properties: {
+      overview: { type: 'string' },
+      timeRange: { type: 'object' },
+      totalEvents: { type: 'number' },
+      successRate: { type: 'string' },
+      stageBreakdown: { type: 'object' },
+      topSources: stringArray,
+      keyFindings: stringArray
+    }
+  },
+
+  pattern: {
+    type: 'object',
+    required: ['patterns', 'typicalFlow'],
+    properties: {
+      patterns: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'description'],
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            stages: stringArray,
+            isExpected: { type: 'boolean' }
+          }
+        }
+      },
+      typicalFlow: stringArray,
+      peakActivityHours: { type: 'array', items: { type: 'number' } },
+      sourceProfiles: { type: 'object' }
+    }
+  },
+
+  recommendations: {
+    type: 'object',
+    required: ['recommendations'],
+    properties: {
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['priority', 'category', 'title', 'description'],
+          properties: {
+            priority: { enum: ['high', 'medium', 'low'] },
+            category: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            effort: { enum: ['low', 'medium', 'high'] },
+            impact: { type: 'string' },
+            affectedFiles: stringArray
+          }
+        }
+      },
+      quickWins: stringArray,
+      criticalIssues: stringArray,
+      monitoringAlerts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['metric'],
+          properties: {
+            metric: { type: 'string' },
+            threshold: { type: 'string' },
+            severity: { enum: ['critical', 'warning'] }
+          }
+        }
+      }
+    }
+  },
+
+  compare: {
+    type: 'object',
+    required: ['summary', 'verdict', 'regressions'],
+    properties: {
+      summary: { type: 'string' },
+      verdict: { enum: ['regressed', 'improved', 'unchanged'] },
+      regressions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['severity', 'metric', 'description'],
+          properties: {
+            severity: { enum: ['critical', 'warning', 'info'] },
+            metric: { type: 'string' },
+            description: { type: 'string' },
+            affectedStages: stringArray,
+            likelyCause: { type: 'string' },
+            recommendation: { type: 'string' }
+          }
+        }
+      },
+      improvements: stringArray
+    }
+  }
+};
+
+// Field in each response format that holds the individual findings
+export const FINDING_FIELDS = {
+  anomaly: 'anomalies',
+  summary: 'keyFindings',
+  pattern: 'patterns',
+  recommendations: 'recommendations',
+  compare: 'regressions'
+};
+
+export const ANALYSIS_PROMPTS = {
+  anomaly: `Analyze the following medical pipeline telemetry events for anomalies and issues.
+
+EVENTS DATA:
+{events}
+
+Analyze for:
+1. **Error Patterns** - Recurring failures, cascading errors, error spikes
+2. **Performance Issues** - Unusual latency, slow stages, bottlenecks
+3. **Data Flow Gaps** - Missing expected stages, incomplete pipelines (use PIPELINE COMPLETENESS below when present)
+4. **Correlation Gaps** - Events with same correlationId that don't complete their journey
+
+Provide your analysis in this JSON format:
+${RESPONSE_FORMATS.anomaly}`,
+
+  summary: `Summarize the following medical pipeline telemetry events.
+
+EVENTS DATA:
+{events}
+
+Provide a comprehensive summary including:
+1. Total events processed and time range
+2. Success/failure rates by stage
+3. Most active pipeline stages
+4. Active data sources
+5. Notable patterns or trends
+
+Format as JSON:
+${RESPONSE_FORMATS.summary}`,
+
+  pattern: `Analyze behavioral patterns in these medical pipeline events.
+
+EVENTS DATA:
+{events}
+
+Look for:
+1. **Common Sequences** - Typical stage progressions
+2. **Timing Patterns** - Processing times, peak activity periods
+3. **Source Behavior** - How different sources use the pipeline
+4. **Deviation Patterns** - Events that don't follow expected flow
+
+Format as JSON:
+${RESPONSE_FORMATS.pattern}`,
+
+  recommendations: `Based on these pipeline telemetry events, provide optimization recommendations.
+
+EVENTS DATA:
+{events}
+
+Recommend improvements for:
+1. **Error Reduction** - How to decrease failure rates
+2. **Performance** - Speed up slow stages
+3. **Reliability** - Make the pipeline more robust
+4. **Monitoring** - What to watch and alert on
+5. **Code Improvements** - Specific code changes if issues are apparent
+
+Format as JSON:
+${RESPONSE_FORMATS.recommendations}`,
+
+  // Filled from two windows by the analyzer: {comparison} holds the deltas,
+  // {events} a sample of the candidate window
+  compare: `Explain what changed between two windows of medical pipeline telemetry: a BASELINE window (the reference, e.g. before a deploy) and a CANDIDATE window (e.g. after it).
+
+COMPARISON (computed by the server from every event in both windows - treat these numbers as facts):
+{comparison}
+
+SAMPLE CANDIDATE EVENTS (failures and actions the baseline never had, newest first):
+{events}
+
+Explain:
+1. **Regressions** - Higher error rates or latency, new errors, and their most likely cause
+2. **Flow Changes** - New or missing actions and stages, and whether they look intended
+3. **Improvements** - Anything that got better
+Differences in event volume alone are not regressions.
+
+Format as JSON:
+${RESPONSE_FORMATS.compare}`
+};
+
+// Custom analysis types registered from user templates (see templates.js):
+// id -> definition, same shape as builtInType() returns
+const customTypes = new Map();
+
+// Definition of a built-in analysis type
+function builtInType(id) {
+  return {
+    id,
+    version: null,
+    builtIn: true,
+    template: ANALYSIS_PROMPTS[id],
+    schema: RESPONSE_SCHEMAS[id],
+    format: RESPONSE_FORMATS[id],
+    findingsField: FINDING_FIELDS[id],
+    defaultFilters: {}
+  };
+}
+
+// Example JSON shape for a schema, in the style of RESPONSE_FORMATS
+// (descriptions as string values, enums as "a|b|c")
+function schemaExample(schema = {}) {
+  if (Array.isArray(schema.enum)) return schema.enum.join('|');
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, prop]) => [key, schemaExample(prop)])
+      );
+    case 'array':
+      return schema.items ? [schemaExample(schema.items)] : [];
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return true;
+    default:
+      return schema.description || 'string';
+  }
+}
+
+// Make a user template usable as an analysis type. template must contain
+// {events}; the JSON format (derived from the schema) replaces {format} or
+// is appended when the template doesn't place it.
+// version: { id, version, template, schema, findingsField, defaultFilters }
+export function registerAnalysisType(version) {
+  const format = JSON.stringify(schemaExample(version.schema), null, 2);
+  const template = version.template.includes('{format}')
+    ? version.template.replace('{format}', () => format)
+    : `${version.template}\n\nFormat as JSON:\n${format}`;
+
+  customTypes.set(version.id, {
+    id: version.id,
+    version: version.version,
+    builtIn: false,
+    template,
+    schema: version.schema,
+    format,
+    findingsField: version.findingsField,
+    defaultFilters: version.defaultFilters || {}
+  });
+}
+
+export function unregisterAnalysisType(id) {
+  customTypes.delete(id);
+}
+
+// Definition of an analysis type (built-in or custom), or null if unknown.
+// Callers holding a definition pass it instead of the name to pin a version.
+export function getAnalysisType(analysisType) {
+  if (typeof analysisType === 'object' && analysisType !== null) return analysisType;
+  if (Object.hasOwn(ANALYSIS_PROMPTS, analysisType)) return builtInType(analysisType);
+  return customTypes.get(analysisType) || null;
+}
+
+// Names of all analysis types, built-in first
+export function listAnalysisTypes() {
+  return [...ANALYSIS_TYPES, ...customTypes.keys()];
+}
+
+// Definition of an analysis type; throws if unknown
+function requireType(analysisType) {
+  const definition = getAnalysisType(analysisType);
+  if (!definition) {
     throw new Error(`Unknown analysis type: ${analysisType}`);
   }
+  return definition;
+}
+
+// Helper to build prompt with event data
+// Events are compacted to one JSON line each. options.chunk ({ index, count })
+// marks a map-step prompt over one slice of a larger event set;
+// options.comparison fills in a compare prompt's window deltas.
+// options.pipelineCompleteness and options.detectedAnomalies append
+// server-computed facts about the whole window.
+export function buildPrompt(analysisType, events, options = {}) {
+  const { template } = requireType(analysisType);
 
   // Limit events to avoid token limits
   const maxEvents = options.maxEvents || 100;
   const limitedEvents = events.slice(0, maxEvents);
 
   // Format events for prompt
-  const eventsJson = JSON.stringify(limitedEvents, null, 2);
+  let eventsText = formatEvents(limitedEvents);
+  if (options.chunk) {
+    eventsText = `(Chunk ${options.chunk.index} of ${options.chunk.count} - ${limitedEvents.length} events. ` +
+      `Other chunks are analyzed separately; report only what this chunk shows.)\n${eventsText}`;
+  }
+
+  let prompt = template.replace('{events}', eventsText);
+
+  // Window deltas for compare analyses (see compareEventStats)
+  if (options.comparison) {
+    prompt = prompt.replace('{comparison}', () => JSON.stringify(options.comparison, null, 2));
+  }
+
+  // Server-computed completeness against registered stage sequences
+  if (options.pipelineCompleteness) {
+    prompt += `
+
+PIPELINE COMPLETENESS (computed by the server from each source's expected stage sequence - treat these counts as facts):
+${JSON.stringify(options.pipelineCompleteness, null, 2)}`;
+  }
+
+  if (options.detectedAnomalies) {
+    prompt += `
+
+DETECTED ANOMALIES (flagged by the server's statistical detector against learned per-source/stage baselines - treat as facts, and relate your findings to them where the events explain them):
+${JSON.stringify(options.detectedAnomalies, null, 2)}`;
+  }
+
+  return prompt;
+}
+
+// Helper to build the reduce prompt that merges per-chunk results
+// partials: [{ chunk, eventCount, timeRange, result }]
+export function buildReducePrompt(analysisType, partials, options = {}) {
+  const { id, format, findingsField } = requireType(analysisType);
+
+  let prompt = `The events for a ${id} analysis were too many for one request, so they were split into ${partials.length} chunks and each chunk was analyzed separately. Merge the partial results below into one ${id} analysis.
+
+PARTIAL RESULTS:
+${JSON.stringify(partials)}
+
+Rules:
+1. Combine findings that describe the same issue across chunks; add up their counts
+2. Keep findings seen in only one chunk unless another chunk contradicts them
+3. Do not add findings that no partial result contains
+4. Recompute totals and rates for the whole event set using OVERALL STATISTICS`;
+
+  if (options.overallStats) {
+    prompt += `
+
+OVERALL STATISTICS (computed by the server across all chunks - treat as facts):
+${JSON.stringify(options.overallStats, null, 2)}`;
+  }
+
+  if (options.pipelineCompleteness) {
+    prompt += `
+
+PIPELINE COMPLETENESS (computed by the server from each source's expected stage sequence - treat these counts as facts):
+${JSON.stringify(options.pipelineCompleteness, null, 2)}`;
+  }
+
+  if (options.detectedAnomalies) {
+    prompt += `
+
+DETECTED ANOMALIES (flagged by the server's statistical detector against learned per-source/stage baselines - treat as facts, and relate your findings to them where the events explain them):
+${JSON.stringify(options.detectedAnomalies, null, 2)}`;
+  }
+
+  prompt += `
+
+Format as JSON, with one extra top-level "provenance" array naming, for each item in "${findingsField}", the chunk numbers it was merged from:
+${format.replace(/\n}$/, ',\n  "provenance": [{ "finding": "Title, name or text of the finding", "chunks": [1, 3] }]\n}')}`;
+
+  return prompt;
+}
+
+// Helper to build a prompt asking the model to fix a response that failed
+// schema validation. Only the previous response is resent, not the events.
+export function buildRepairPrompt(analysisType, previousContent, errors) {
+  const { id, format } = requireType(analysisType);
+
+  return `Your previous response to the ${id} analysis request did not match the required JSON format.
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+PREVIOUS RESPONSE:
+${previousContent.slice(0, 20000)}
 
-  return template.replace('{events}', eventsJson);
+Return the same analysis as one corrected JSON object - keep the findings, fix only the format - in this format:
+${format}`;
 }
 
+// Built-in analysis types; listAnalysisTypes() adds the custom ones
 export const ANALYSIS_TYPES = Object.keys(ANALYSIS_PROMPTS);
@@ -0,0 +1,188 @@
+/**
+ * =============================================================================
+ * REDACTION.JS - Strip PHI from Events Before They Reach an AI Provider
+ * =============================================================================
+ *
+ * Every analysis runs its events through a redactor before any prompt is
+ * built, so identifiers never leave the server:
+ *
+ *   Field rules  - Keys in event data matched by name (case and _/- ignored):
+ *                    pseudonymize  patientId: "12345" → "PATIENT_9c1e4a7b20"
+ *                    mask          dob: "1970-01-01"  → "[REDACTED]"
+ *                    drop          the key is removed
+ *                  Defaults below; REDACTION_FIELDS adds or overrides rules.
+ *
+ *   Detectors    - Patterns found in any other string (data values, error
+ *                  messages, correlation IDs): MRN, DOB, dates, names,
+ *                  phone, SSN, email. Matches are pseudonymized.
+ *
+ * Pseudonyms are an HMAC of the value (keyed by REDACTION_SECRET), so the
+ * same patient gets the same token in every event and correlations survive.
+ * No mapping back to the original values is kept. Detectors and pseudonyms
+ * are shared with ingestion scrubbing (utils/phi.js).
+ *
+ * Usage:
+ *   const redactor = createRedactor();
+ *   const safe = events.map(redactor.redactEvent);
+ *   redactor.summary();  // { enabled, eventsRedacted, fields, detections, pseudonyms }
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { DETECTORS, MASK, normalizeKey, pseudonymize } from '../utils/phi.js';
+
+// Create logger for this module
+const log = Logger('Redaction');
+
+// Nesting depth walked in event data (deeper values are masked)
+const MAX_DEPTH = 20;
+
+// Actions a field rule may use
+const ACTIONS = ['pseudonymize', 'mask', 'drop'];
+
+// Built-in field rules: normalized key -> { action, category }
+const DEFAULT_FIELD_RULES = {
+  patientid: { action: 'pseudonymize', category: 'PATIENT' },
+  mrn: { action: 'pseudonymize', category: 'MRN' },
+  medicalrecordnumber: { action: 'pseudonymize', category: 'MRN' },
+  patientname: { action: 'pseudonymize', category: 'NAME' },
+  name: { action: 'pseudonymize', category: 'NAME' },
+  firstname: { action: 'pseudonymize', category: 'NAME' },
+  lastname: { action: 'pseudonymize', category: 'NAME' },
+  fullname: { action: 'pseudonymize', category: 'NAME' },
+  dob: { action: 'pseudonymize', category: 'DOB' },
+  dateofbirth: { action: 'pseudonymize', category: 'DOB' },
+  birthdate: { action: 'pseudonymize', category: 'DOB' },
+  phone: { action: 'pseudonymize', category: 'PHONE' },
+  phonenumber: { action: 'pseudonymize', category: 'PHONE' },
+  email: { action: 'pseudonymize', category: 'EMAIL' },
+  ssn: { action: 'mask', category: 'SSN' },
+  address: { action: 'mask', category: 'ADDRESS' }
+};
+
+/**
+ * Field rules: defaults plus REDACTION_FIELDS overrides
+ */
+function buildFieldRules() {
+  const rules = { ...DEFAULT_FIELD_RULES };
+
+  for (const [field, action] of Object.entries(config.ai.redaction.fields)) {
+    if (!ACTIONS.includes(action)) {
+      log.warn(`Ignoring REDACTION_FIELDS rule ${field}=${action}; action must be one of: ${ACTIONS.join(', ')}`);
+      continue;
+    }
+    const key = normalizeKey(field);
+    rules[key] = { action, category: DEFAULT_FIELD_RULES[key]?.category || key.toUpperCase() };
+  }
+
+  return rules;
+}
+
+const fieldRules = buildFieldRules();
+
+const detectors = DETECTORS.filter(d => config.ai.redaction.detectors.includes(d.name));
+
+/**
+ * Create a redactor that counts what it changes
+ * Use one per analysis so its summary describes that analysis.
+ *
+ * @returns {Object} { redactEvent, redactText, summary }
+ */
+export function createRedactor() {
+  const enabled = config.ai.redaction.enabled;
+  const counts = { eventsRedacted: 0, fields: {}, detections: {} };
+  const tokens = new Set();
+  let changes = 0;
+
+  const count = (bucket, key) => {
+    bucket[key] = (bucket[key] || 0) + 1;
+    changes++;
+  };
+
+  const token = (category, value) => {
+    const t = pseudonymize(category, value);
+    tokens.add(t);
+    return t;
+  };
+
+  /**
+   * Replace detected identifiers in a string
+   */
+  function redactText(text) {
+    if (!enabled || typeof text !== 'string') return text;
+
+    let result = text;
+    for (const { category, group, pattern } of detectors) {
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const value = args[group];
+        count(counts.detections, category);
+        return group === 0 ? token(category, value) : match.replace(value, token(category, value));
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Apply field rules and detectors to a value, recursively
+   */
+  function redactValue(value, depth = 0) {
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return MASK;
+
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const rule = fieldRules[normalizeKey(key)];
+      if (!rule || item === null || item === undefined || item === '') {
+        result[key] = redactValue(item, depth + 1);
+        continue;
+      }
+
+      count(counts.fields, key);
+      if (rule.action === 'pseudonymize') result[key] = token(rule.category, item);
+      else if (rule.action === 'mask') result[key] = MASK;
+      // drop: leave the key out
+    }
+    return result;
+  }
+
+  /**
+   * Redacted copy of a stored event (data, error and correlationId)
+   * Source, stage, action and timing are pipeline metadata and kept as-is.
+   */
+  function redactEvent(event) {
+    if (!enabled || !event.event) return event;
+
+    const before = changes;
+    const e = event.event;
+    const redacted = {
+      ...event,
+      event: {
+        ...e,
+        ...(e.data !== undefined && { data: redactValue(e.data) }),
+        ...(e.error !== undefined && { error: redactValue(e.error) }),
+        ...(e.correlationId !== undefined && { correlationId: redactText(e.correlationId) })
+      }
+    };
+
+    if (changes > before) counts.eventsRedacted++;
+    return redacted;
+  }
+
+  /**
+   * What this redactor changed
+   */
+  function summary() {
+    if (!enabled) return { enabled: false };
+    return { enabled: true, ...counts, pseudonyms: tokens.size };
+  }
+
+  return { redactEvent, redactText, summary };
+}
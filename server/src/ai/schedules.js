@@ -0,0 +1,363 @@
+/**
+ * =============================================================================
+ * SCHEDULES.JS - Recurring Analyses per Source
+ * =============================================================================
+ *
+ * Runs an analysis of one source's recent events on a cron schedule, so each
+ * app's shared references stay fresh without someone pressing the button:
+ *
+ *   "0 6 * * *"  - every day at 06:00 (server local time)
+ *     → analysis job over the last windowHours of events for the source
+ *     → generateReferencesFromAnalysis(source) when the result is valid
+ *
+ * A "compare" schedule checks the last windowHours against the windowHours
+ * before them, e.g. a daily "what changed since yesterday".
+ *
+ * Each run is an ordinary background job (see jobs.js), so it shows up in
+ * GET /api/analyze/jobs and on /ws/jobs. A run is skipped while the
+ * schedule's previous job is still queued or running, and runs missed while
+ * the server was down are not made up - the next run is computed from now.
+ *
+ * Schedules are kept in the "analysis-schedules" document collection.
+ *
+ * =============================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { parseCron, nextCronTime } from '../utils/cron.js';
+import { loadDocuments, saveDocument, deleteDocument } from '../storage/index.js';
+import { getAllProviders, resolveConsensusProviders, listAnalysisTypes } from './analyzer.js';
+import { createJob, getJob, FINISHED_STATUSES } from './jobs.js';
+
+// Create logger for this module
+const log = Logger('Schedules');
+
+// Document collection holding schedules
+const COLLECTION = 'analysis-schedules';
+
+// Look-back window when a schedule doesn't set one
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Fields a client may set, with their defaults for new schedules
+const DEFAULTS = {
+  name: null,
+  source: null,
+  cron: null,
+  analysisType: 'recommendations',
+  provider: 'claude',
+  consensus: null,
+  windowHours: DEFAULT_WINDOW_HOURS,
+  maxEvents: null,
+  generateReferences: true,
+  enabled: true
+};
+
+// All schedules, by ID (loaded at startup)
+const schedules = new Map();
+
+// Tick timer, set by initSchedules()
+let timer = null;
+
+// Tail of the queue that due runs, manual runs, updates and deletes run through
+let queue = Promise.resolve();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Run a task after every earlier queued one has finished
+ * Starting a run waits on the job store; queueing changes behind it keeps a
+ * run from saving a schedule that was updated or deleted in the meantime.
+ */
+function exclusive(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check a schedule's fields
+ *
+ * @param {Object} schedule - Schedule with defaults applied
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(schedule) {
+  const { source, cron, analysisType, provider, consensus, windowHours, maxEvents } = schedule;
+
+  if (typeof source !== 'string' || !source.trim()) {
+    return 'source is required';
+  }
+  if (typeof cron !== 'string' || !cron.trim()) {
+    return 'cron is required (e.g. "0 6 * * *")';
+  }
+  try {
+    parseCron(cron);
+  } catch (err) {
+    return err.message;
+  }
+  if (!listAnalysisTypes().includes(analysisType)) {
+    return `Invalid analysisType. Must be one of: ${listAnalysisTypes().join(', ')}`;
+  }
+  if (consensus) {
+    try {
+      resolveConsensusProviders(consensus, analysisType);
+    } catch (err) {
+      return err.message;
+    }
+  } else if (!getAllProviders().includes(provider)) {
+    return `Unknown provider '${provider}'. Must be one of: ${getAllProviders().join(', ')}`;
+  }
+  if (!Number.isFinite(windowHours) || windowHours <= 0) {
+    return 'windowHours must be a positive number';
+  }
+  if (maxEvents !== null && (!Number.isInteger(maxEvents) || maxEvents <= 0)) {
+    return 'maxEvents must be a positive integer';
+  }
+
+  return null;
+}
+
+/**
+ * Copy the client-settable fields out of a request body
+ */
+function pickFields(body = {}) {
+  return Object.fromEntries(
+    Object.keys(DEFAULTS)
+      .filter(key => body[key] !== undefined)
+      .map(key => [key, body[key]])
+  );
+}
+
+/**
+ * Next run time as an ISO string (null when disabled or the cron never fires)
+ */
+function computeNextRun(schedule, after = new Date()) {
+  if (!schedule.enabled) return null;
+  return nextCronTime(schedule.cron, after)?.toISOString() || null;
+}
+
+/**
+ * Schedule plus the status of its most recent job
+ */
+async function withLastJob(schedule) {
+  const job = schedule.lastJobId ? await getJob(schedule.lastJobId) : null;
+  return {
+    ...schedule,
+    lastJob: job
+      ? { id: job.id, status: job.status, analysisId: job.analysisId, error: job.error, finishedAt: job.finishedAt }
+      : null
+  };
+}
+
+/**
+ * Queue one run of a schedule
+ *
+ * @returns {Object|null} The new job, or null if the previous run is still going
+ */
+async function runSchedule(schedule) {
+  if (schedule.lastJobId) {
+    const previous = await getJob(schedule.lastJobId);
+    if (previous && !FINISHED_STATUSES.includes(previous.status)) {
+      log.warn(`Schedule ${schedule.id} (${schedule.source}): previous job ${previous.id} still ${previous.status}; skipping run`);
+      return null;
+    }
+  }
+
+  const end = new Date();
+  const windowMs = schedule.windowHours * 60 * 60 * 1000;
+  const start = new Date(end.getTime() - windowMs);
+
+  const job = await createJob({
+    provider: schedule.provider,
+    analysisType: schedule.analysisType,
+    consensus: schedule.consensus || undefined,
+    filters: { source: schedule.source },
+    timeRange: { start: start.toISOString(), end: end.toISOString() },
+    ...(schedule.analysisType === 'compare' && {
+      baseline: { start: new Date(start.getTime() - windowMs).toISOString(), end: start.toISOString() },
+      candidate: { start: start.toISOString(), end: end.toISOString() }
+    }),
+    maxEvents: schedule.maxEvents || undefined,
+    generateReferences: schedule.generateReferences,
+    scheduleId: schedule.id
+  });
+
+  schedule.lastRunAt = end.toISOString();
+  schedule.lastJobId = job.id;
+  log.info(`Schedule ${schedule.id} (${schedule.source}) queued job ${job.id}`);
+  return job;
+}
+
+/**
+ * Run every enabled schedule that is due
+ */
+async function tick() {
+  const now = new Date();
+
+  for (const id of [...schedules.keys()]) {
+    await exclusive(async () => {
+      // Look the schedule up once it's our turn; it may have changed or gone
+      const schedule = schedules.get(id);
+      if (!schedule?.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) return;
+
+      try {
+        await runSchedule(schedule);
+      } catch (err) {
+        log.error(`Schedule ${schedule.id} (${schedule.source}) failed to start`, err.message);
+      }
+
+      schedule.nextRunAt = computeNextRun(schedule, now);
+      await saveDocument(COLLECTION, schedule.id, schedule);
+    });
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load schedules and start checking for due runs (SCHEDULES_ENABLED)
+ */
+export async function initSchedules() {
+  for (const schedule of await loadDocuments(COLLECTION)) {
+    // Missed runs aren't made up; the next one is counted from now
+    schedule.nextRunAt = computeNextRun(schedule);
+    schedules.set(schedule.id, schedule);
+  }
+
+  if (!config.schedules.enabled) {
+    log.info(`Scheduler disabled; ${schedules.size} schedule(s) will not run`);
+    return;
+  }
+
+  timer = setInterval(() => {
+    tick().catch(err => log.error('Schedule tick failed', err.message));
+  }, config.schedules.tickMs);
+  timer.unref();
+
+  log.info(`Scheduler started: ${schedules.size} schedule(s), checking every ${config.schedules.tickMs / 1000}s`);
+}
+
+/**
+ * List schedules, ordered by source then name
+ *
+ * @returns {Array} Schedules with their last job's status
+ */
+export async function listSchedules() {
+  const sorted = [...schedules.values()]
+    .sort((a, b) => a.source.localeCompare(b.source) || (a.name || '').localeCompare(b.name || ''));
+  return Promise.all(sorted.map(withLastJob));
+}
+
+/**
+ * Get one schedule
+ *
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} Schedule with its last job's status, or null if not found
+ */
+export async function getSchedule(id) {
+  const schedule = schedules.get(id);
+  return schedule ? withLastJob(schedule) : null;
+}
+
+/**
+ * Create a schedule
+ *
+ * @param {Object} body - { source, cron, name, analysisType, provider, consensus,
+ *   windowHours, maxEvents, generateReferences, enabled }
+ * @returns {Object} { schedule } or { error }
+ */
+export async function createSchedule(body) {
+  const now = new Date().toISOString();
+  const schedule = {
+    id: `sch_${uuidv4()}`,
+    ...DEFAULTS,
+    ...pickFields(body),
+    lastRunAt: null,
+    lastJobId: null,
+    nextRunAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const error = validateSchedule(schedule);
+  if (error) return { error };
+
+  schedule.name = schedule.name || `${schedule.analysisType} for ${schedule.source}`;
+  schedule.nextRunAt = computeNextRun(schedule);
+
+  await saveDocument(COLLECTION, schedule.id, schedule);
+  schedules.set(schedule.id, schedule);
+
+  log.info(`Schedule ${schedule.id} created: ${schedule.source} "${schedule.cron}", next run ${schedule.nextRunAt}`);
+  return { schedule };
+}
+
+/**
+ * Update a schedule (only the fields given change)
+ * Waits for a run being started to finish first.
+ *
+ * @param {string} id - Schedule ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object|null>} { schedule } or { error }; null if not found
+ */
+export function updateSchedule(id, body) {
+  return exclusive(async () => {
+    const existing = schedules.get(id);
+    if (!existing) return null;
+
+    const schedule = { ...existing, ...pickFields(body), updatedAt: new Date().toISOString() };
+
+    const error = validateSchedule(schedule);
+    if (error) return { error };
+
+    schedule.nextRunAt = computeNextRun(schedule);
+
+    await saveDocument(COLLECTION, id, schedule);
+    schedules.set(id, schedule);
+
+    log.info(`Schedule ${id} updated, next run ${schedule.nextRunAt || 'never (disabled)'}`);
+    return { schedule };
+  });
+}
+
+/**
+ * Delete a schedule (jobs it already queued keep running)
+ * Waits for a run being started to finish first.
+ *
+ * @param {string} id - Schedule ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+export function deleteSchedule(id) {
+  return exclusive(async () => {
+    if (!schedules.has(id)) return false;
+
+    schedules.delete(id);
+    await deleteDocument(COLLECTION, id);
+
+    log.info(`Schedule ${id} deleted`);
+    return true;
+  });
+}
+
+/**
+ * Run a schedule now, outside its cron times (works when disabled too)
+ *
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object|null>} { job } - job is null if the previous run is still going;
+ *   null if the schedule doesn't exist
+ */
+export function runScheduleNow(id) {
+  return exclusive(async () => {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    const job = await runSchedule(schedule);
+    await saveDocument(COLLECTION, id, schedule);
+    return { job };
+  });
+}
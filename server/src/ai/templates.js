@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * TEMPLATES.JS - User-Defined Analysis Types
+ * =============================================================================
+ *
+ * Besides the four built-in analysis types, users can define their own
+ * (e.g. "ultrasound-billing", "transcription-quality"), each with:
+ *
+ *   template       - Prompt text; {events} marks where the events go and
+ *                    {format} where the JSON format goes (appended if absent)
+ *   schema         - JSON Schema the response must match (repairs as usual)
+ *   findingsField  - Top-level array holding the findings, used to merge
+ *                    chunks (default: the schema's first array property)
+ *   defaultFilters - { source, stage, success } applied when a request
+ *                    doesn't set them
+ *
+ * Templates are versioned: changing any of those fields adds a version
+ * (name/description edits don't), and every analysis records the
+ * { id, version } it ran with. Old versions stay readable, including after
+ * the template is deleted, so past analyses can always be traced back.
+ *
+ * Stored in the "analysis-templates" document collection and registered
+ * with prompts.js at startup.
+ *
+ * =============================================================================
+ */
+
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument } from '../storage/index.js';
+import { checkSchema } from './validation.js';
+import {
+  registerAnalysisType,
+  unregisterAnalysisType,
+  getAnalysisType,
+  ANALYSIS_TYPES
+} from './prompts.js';
+
+// Create logger for this module
+const log = Logger('Templates');
+
+// Document collection holding templates
+const COLLECTION = 'analysis-templates';
+
+// Template IDs double as analysisType values
+const ID_PATTERN = /^[a-z][a-z0-9-]{1,47}$/;
+
+// Fields that change what the provider is asked; editing one adds a version
+const VERSIONED_FIELDS = ['template', 'schema', 'findingsField', 'defaultFilters'];
+
+// Filters a template may preset, with their expected types
+const FILTER_TYPES = { source: 'string', stage: 'string', success: 'boolean' };
+
+// All templates (including deleted ones), by ID
+const templates = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * First top-level array property of a schema
+ */
+function firstArrayField(schema) {
+  return Object.entries(schema.properties || {})
+    .find(([, prop]) => prop.type === 'array')?.[0] || null;
+}
+
+/**
+ * Check a template version's fields
+ *
+ * @param {Object} version - { template, schema, findingsField, defaultFilters }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateVersion({ template, schema, findingsField, defaultFilters }) {
+  if (typeof template !== 'string' || !template.includes('{events}')) {
+    return 'template is required and must contain an {events} placeholder';
+  }
+  if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+    return 'schema is required and must be a JSON Schema with type "object"';
+  }
+
+  const schemaError = checkSchema(schema);
+  if (schemaError) return schemaError;
+
+  if (!findingsField) {
+    return 'schema needs a top-level array property for findings (or set findingsField)';
+  }
+  if (schema.properties?.[findingsField]?.type !== 'array') {
+    return `findingsField "${findingsField}" must name a top-level array property of the schema`;
+  }
+
+  if (typeof defaultFilters !== 'object' || defaultFilters === null || Array.isArray(defaultFilters)) {
+    return 'defaultFilters must be an object';
+  }
+  for (const [key, value] of Object.entries(defaultFilters)) {
+    if (!FILTER_TYPES[key]) {
+      return `Unsupported default filter "${key}". Allowed: ${Object.keys(FILTER_TYPES).join(', ')}`;
+    }
+    if (typeof value !== FILTER_TYPES[key]) {
+      return `defaultFilters.${key} must be a ${FILTER_TYPES[key]}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a version record from a request body, over the previous version
+ */
+function buildVersion(body, previous = {}) {
+  const schema = body.schema ?? previous.schema;
+  return {
+    template: body.template ?? previous.template,
+    schema,
+    // A new schema without findingsField picks its own first array
+    findingsField: body.findingsField ??
+      (body.schema ? null : previous.findingsField) ??
+      firstArrayField(schema || {}),
+    defaultFilters: body.defaultFilters ?? previous.defaultFilters ?? {}
+  };
+}
+
+/**
+ * Current version of a template
+ */
+function currentVersion(doc) {
+  return doc.versions[doc.versions.length - 1];
+}
+
+/**
+ * Register a template's current version as an analysis type
+ */
+function register(doc) {
+  registerAnalysisType({ id: doc.id, ...currentVersion(doc) });
+}
+
+/**
+ * Template as listed: current version's fields, without history
+ */
+function toSummary(doc) {
+  const { versions, ...summary } = doc;
+  return { ...currentVersion(doc), ...summary, builtIn: false };
+}
+
+/**
+ * Built-in analysis type in the same shape as a custom template
+ */
+function builtInSummary(id) {
+  const { template, schema, findingsField } = getAnalysisType(id);
+  return { id, name: id, builtIn: true, version: null, template, schema, findingsField, defaultFilters: {} };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load templates and register their current versions as analysis types
+ * Call before jobs or schedules can run.
+ */
+export async function initTemplates() {
+  for (const doc of await loadDocuments(COLLECTION)) {
+    templates.set(doc.id, doc);
+    if (!doc.deletedAt) register(doc);
+  }
+
+  const active = [...templates.values()].filter(doc => !doc.deletedAt).length;
+  if (active > 0) {
+    log.info(`Registered ${active} custom analysis type(s)`);
+  }
+}
+
+/**
+ * List analysis types: built-in first, then custom templates by ID
+ *
+ * @returns {Array} Templates with their current version's fields
+ */
+export function listTemplates() {
+  const custom = [...templates.values()]
+    .filter(doc => !doc.deletedAt)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(toSummary);
+
+  return [...ANALYSIS_TYPES.map(builtInSummary), ...custom];
+}
+
+/**
+ * Get a template with its version history
+ * Deleted templates are still returned (with deletedAt) for traceability.
+ *
+ * @param {string} id - Template ID (analysis type)
+ * @returns {Object|null} Template, or null if not found
+ */
+export function getTemplate(id) {
+  if (ANALYSIS_TYPES.includes(id)) return builtInSummary(id);
+  const doc = templates.get(id);
+  return doc ? { ...toSummary(doc), versions: doc.versions } : null;
+}
+
+/**
+ * Get one version of a template
+ *
+ * @param {string} id - Template ID
+ * @param {number} version - Version number
+ * @returns {Object|null} { id, version, template, schema, ... } or null
+ */
+export function getTemplateVersion(id, version) {
+  const found = templates.get(id)?.versions.find(v => v.version === version);
+  return found ? { id, ...found } : null;
+}
+
+/**
+ * Create a template (or bring back a deleted one as a new version)
+ *
+ * @param {Object} body - { id, name, description, template, schema, findingsField, defaultFilters }
+ * @returns {Object} { template } or { error, status }
+ */
+export async function createTemplate(body = {}) {
+  const { id } = body;
+
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return { status: 400, error: 'id must be 2-48 lowercase letters, digits or dashes, starting with a letter' };
+  }
+  if (ANALYSIS_TYPES.includes(id)) {
+    return { status: 409, error: `"${id}" is a built-in analysis type` };
+  }
+
+  const existing = templates.get(id);
+  if (existing && !existing.deletedAt) {
+    return { status: 409, error: `Template already exists: ${id}` };
+  }
+
+  const fields = buildVersion(body);
+  const error = validateVersion(fields);
+  if (error) return { status: 400, error };
+
+  const now = new Date().toISOString();
+  const versionNumber = existing ? currentVersion(existing).version + 1 : 1;
+  const doc = {
+    id,
+    name: body.name || id,
+    description: body.description || '',
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    deletedAt: null,
+    versions: [...(existing?.versions || []), { version: versionNumber, ...fields, createdAt: now }]
+  };
+
+  await saveDocument(COLLECTION, id, doc);
+  templates.set(id, doc);
+  register(doc);
+
+  log.info(`Template ${id} ${existing ? 'restored' : 'created'} (v${versionNumber})`);
+  return { template: toSummary(doc) };
+}
+
+/**
+ * Update a template; changes to versioned fields add a new version
+ *
+ * @param {string} id - Template ID
+ * @param {Object} body - Fields to change
+ * @returns {Object|null} { template } or { error, status }; null if not found
+ */
+export async function updateTemplate(id, body = {}) {
+  if (ANALYSIS_TYPES.includes(id)) {
+    return { status: 400, error: `Built-in analysis type "${id}" can't be changed; create a custom template instead` };
+  }
+
+  const existing = templates.get(id);
+  if (!existing || existing.deletedAt) return null;
+
+  const previous = currentVersion(existing);
+  const fields = buildVersion(body, previous);
+  const error = validateVersion(fields);
+  if (error) return { status: 400, error };
+
+  const now = new Date().toISOString();
+  const changed = VERSIONED_FIELDS.some(key => JSON.stringify(fields[key]) !== JSON.stringify(previous[key]));
+  const doc = {
+    ...existing,
+    name: body.name ?? existing.name,
+    description: body.description ?? existing.description,
+    updatedAt: now,
+    versions: changed
+      ? [...existing.versions, { version: previous.version + 1, ...fields, createdAt: now }]
+      : existing.versions
+  };
+
+  await saveDocument(COLLECTION, id, doc);
+  templates.set(id, doc);
+  register(doc);
+
+  log.info(`Template ${id} updated${changed ? ` to v${previous.version + 1}` : ''}`);
+  return { template: toSummary(doc) };
+}
+
+/**
+ * Delete a template
+ * It stops being an analysis type, but its versions are kept so past
+ * analyses stay traceable.
+ *
+ * @param {string} id - Template ID
+ * @returns {Object|null} { deleted: true } or { error, status }; null if not found
+ */
+export async function deleteTemplate(id) {
+  if (ANALYSIS_TYPES.includes(id)) {
+    return { status: 400, error: `Built-in analysis type "${id}" can't be deleted` };
+  }
+
+  const existing = templates.get(id);
+  if (!existing || existing.deletedAt) return null;
+
+  const doc = { ...existing, deletedAt: new Date().toISOString() };
+  await saveDocument(COLLECTION, id, doc);
+  templates.set(id, doc);
+  unregisterAnalysisType(id);
+
+  log.info(`Template ${id} deleted`);
+  return { deleted: true };
+}
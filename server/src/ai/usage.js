@@ -0,0 +1,334 @@
+/**
+ * =============================================================================
+ * USAGE.JS - Token and Cost Accounting for AI Analyses
+ * =============================================================================
+ *
+ * Every analysis that reaches a provider records the tokens it used and an
+ * estimated cost, priced per model:
+ *
+ *   priceUsage(run)        - { input, output, total, costUsd, byProvider } for a result
+ *   recordUsage(usage, s)  - Add it to the daily ledger for source s
+ *   getUsageReport(range)  - Totals by day, provider/model and source
+ *   getBudgetStatus()      - Month-to-date spend against the budgets
+ *
+ * Prices are USD per million tokens, matched by the longest model-name
+ * prefix (AI_PRICING overrides or adds entries). local and onprem run on
+ * our own hardware and cost nothing.
+ *
+ * Budgets (AI_MONTHLY_BUDGET_USD overall, AI_PROVIDER_BUDGETS_USD per
+ * provider) cover the current UTC calendar month. Once one is used up,
+ * analyses on a paid provider are blocked or downgraded to a free one
+ * (AI_BUDGET_ACTION) - see analyzer.js.
+ *
+ * The ledger is kept in the "ai-usage" document collection, one document
+ * per UTC day.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument } from '../storage/index.js';
+
+// Create logger for this module
+const log = Logger('Usage');
+
+// Document collection holding the daily ledger
+const COLLECTION = 'ai-usage';
+
+// Providers that cost nothing per token
+export const FREE_PROVIDERS = ['local', 'onprem'];
+
+/**
+ * Built-in prices: model-name prefix -> USD per million { input, output } tokens
+ */
+const DEFAULT_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 }
+};
+
+// Prices for unknown models of a paid provider (its flagship tier)
+const PROVIDER_PRICING = {
+  claude: DEFAULT_PRICING['claude-sonnet-4'],
+  openai: DEFAULT_PRICING['gpt-4o'],
+  gemini: DEFAULT_PRICING['gemini-1.5-pro']
+};
+
+// Built-in prices with AI_PRICING applied
+const pricing = { ...DEFAULT_PRICING, ...config.ai.usage.pricing };
+
+// Longest prefixes first, so "gpt-4o-mini" wins over "gpt-4o"
+const pricedModels = Object.keys(pricing).sort((a, b) => b.length - a.length);
+
+// Daily ledger documents by date (YYYY-MM-DD), loaded on first use
+let ledger = null;
+
+// Ledger writes, chained so two analyses never write one document at once
+let writes = Promise.resolve();
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+/**
+ * Round a dollar amount to millionths (token prices are that small)
+ */
+function roundUsd(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Price per million tokens for a provider's model
+ *
+ * @returns {Object} { input, output } in USD
+ */
+function priceFor(provider, model) {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+
+  const prefix = pricedModels.find(name => (model || '').startsWith(name));
+  return pricing[prefix] || PROVIDER_PRICING[provider] || { input: 0, output: 0 };
+}
+
+/**
+ * Estimated cost of one provider's tokens
+ *
+ * @param {string} provider - Provider name
+ * @param {string} model - Model that answered
+ * @param {Object} tokensUsed - { input, output }
+ * @returns {number} USD
+ */
+export function estimateCost(provider, model, tokensUsed) {
+  const price = priceFor(provider, model);
+  return roundUsd(((tokensUsed?.input || 0) * price.input + (tokensUsed?.output || 0) * price.output) / 1e6);
+}
+
+/**
+ * Tokens and cost of an analysis run, per provider
+ * Consensus runs list each member; other runs the provider that answered,
+ * after any fallback attempts that spent tokens before failing.
+ *
+ * @param {Object} run - { provider, result, consensus } from the analyzer
+ * @returns {Object} { input, output, total, costUsd, byProvider: [{ provider, model, input, output, total, costUsd }] }
+ */
+export function priceUsage(run) {
+  const members = run.consensus
+    ? run.consensus.providers.filter(m => m.tokensUsed)
+    : [
+      ...(run.fallbackAttempts || []).filter(a => a.tokensUsed).map(a => ({ provider: a.provider, tokensUsed: a.tokensUsed })),
+      { provider: run.provider, model: run.result.model, tokensUsed: run.result.tokensUsed }
+    ];
+
+  const byProvider = members.map(({ provider, model, tokensUsed }) => ({
+    provider,
+    model: model || null,
+    input: tokensUsed.input || 0,
+    output: tokensUsed.output || 0,
+    total: tokensUsed.total || 0,
+    costUsd: estimateCost(provider, model, tokensUsed)
+  }));
+
+  const sum = (field) => byProvider.reduce((acc, entry) => acc + entry[field], 0);
+
+  return {
+    input: sum('input'),
+    output: sum('output'),
+    total: sum('total'),
+    costUsd: roundUsd(sum('costUsd')),
+    byProvider
+  };
+}
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+/**
+ * Load the ledger (cached after the first call)
+ *
+ * @returns {Map} date -> { date, entries: { [provider|model|source]: totals } }
+ */
+async function getLedger() {
+  if (!ledger) {
+    const documents = await loadDocuments(COLLECTION);
+    ledger = new Map(documents.map(doc => [doc.date, doc]));
+    log.debug(`Loaded ${ledger.size} day(s) of AI usage`);
+  }
+  return ledger;
+}
+
+/**
+ * Add one entry's numbers to a running total
+ */
+function addTo(totals, entry) {
+  totals.runs += entry.runs ?? 1;
+  totals.input += entry.input;
+  totals.output += entry.output;
+  totals.total += entry.total;
+  totals.costUsd = roundUsd(totals.costUsd + entry.costUsd);
+  return totals;
+}
+
+/**
+ * Empty running total
+ */
+function emptyTotals() {
+  return { runs: 0, input: 0, output: 0, total: 0, costUsd: 0 };
+}
+
+/**
+ * Add an analysis's usage to today's ledger
+ *
+ * @param {Object} usage - From priceUsage()
+ * @param {string} source - Source the analysis covered ("all" when unfiltered)
+ */
+export async function recordUsage(usage, source = 'all') {
+  if (usage.byProvider.length === 0) return;
+
+  const days = await getLedger();
+  const date = new Date().toISOString().slice(0, 10);
+  const doc = days.get(date) || { date, entries: {} };
+  days.set(date, doc);
+
+  for (const entry of usage.byProvider) {
+    const key = `${entry.provider}|${entry.model || ''}|${source}`;
+    const totals = doc.entries[key] ||
+      (doc.entries[key] = { provider: entry.provider, model: entry.model, source, ...emptyTotals() });
+    addTo(totals, entry);
+  }
+
+  writes = writes
+    .then(() => saveDocument(COLLECTION, date, doc))
+    .catch(err => log.error(`Failed to save AI usage for ${date}`, err.message));
+  await writes;
+
+  log.debug(`Recorded ${usage.total} tokens ($${usage.costUsd}) for ${source}`);
+}
+
+/**
+ * Ledger entries for dates in [start, end] (YYYY-MM-DD, inclusive)
+ */
+async function entriesBetween(start, end) {
+  const days = [...(await getLedger()).values()]
+    .filter(doc => doc.date >= start && doc.date <= end)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return days.flatMap(doc => Object.values(doc.entries).map(entry => ({ ...entry, date: doc.date })));
+}
+
+/**
+ * Sum entries grouped by a key function
+ */
+function groupTotals(entries, keyOf, describe) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, { ...describe(entry), ...emptyTotals() });
+    addTo(groups.get(key), entry);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * First day of the current UTC month (YYYY-MM-DD)
+ */
+function monthStart(now = new Date()) {
+  return `${now.toISOString().slice(0, 7)}-01`;
+}
+
+// =============================================================================
+// REPORTS AND BUDGETS
+// =============================================================================
+
+/**
+ * Month-to-date spend against the configured budgets
+ *
+ * @returns {Object} { month, action, downgradeTo, spentUsd, monthlyUsd, remainingUsd,
+ *   exceeded, providers: { [name]: { spentUsd, budgetUsd, remainingUsd, exceeded } } }
+ */
+export async function getBudgetStatus() {
+  const { monthlyBudgetUsd, providerBudgetsUsd, budgetAction, downgradeProvider } = config.ai.usage;
+  const today = new Date().toISOString().slice(0, 10);
+  const entries = await entriesBetween(monthStart(), today);
+
+  const spentBy = {};
+  for (const entry of entries) {
+    spentBy[entry.provider] = roundUsd((spentBy[entry.provider] || 0) + entry.costUsd);
+  }
+  const spentUsd = roundUsd(Object.values(spentBy).reduce((sum, cost) => sum + cost, 0));
+
+  const providers = {};
+  for (const name of new Set([...Object.keys(spentBy), ...Object.keys(providerBudgetsUsd)])) {
+    const budgetUsd = providerBudgetsUsd[name] ?? null;
+    const spent = spentBy[name] || 0;
+    providers[name] = {
+      spentUsd: spent,
+      budgetUsd,
+      remainingUsd: budgetUsd === null ? null : roundUsd(Math.max(budgetUsd - spent, 0)),
+      exceeded: budgetUsd !== null && spent >= budgetUsd
+    };
+  }
+
+  return {
+    month: today.slice(0, 7),
+    // Anything but "block" downgrades (validateConfig warns about typos)
+    action: budgetAction === 'block' ? 'block' : 'downgrade',
+    downgradeTo: downgradeProvider,
+    spentUsd,
+    monthlyUsd: monthlyBudgetUsd || null,
+    remainingUsd: monthlyBudgetUsd ? roundUsd(Math.max(monthlyBudgetUsd - spentUsd, 0)) : null,
+    exceeded: Boolean(monthlyBudgetUsd) && spentUsd >= monthlyBudgetUsd,
+    providers
+  };
+}
+
+/**
+ * Providers that may not run this month: every paid provider once the
+ * overall budget is used up, plus any provider past its own budget
+ *
+ * @param {string[]} names - Providers to check
+ * @returns {string[]} The ones over budget
+ */
+export async function providersOverBudget(names) {
+  const status = await getBudgetStatus();
+  return names.filter(name =>
+    (status.exceeded && !FREE_PROVIDERS.includes(name)) || status.providers[name]?.exceeded);
+}
+
+/**
+ * Usage report by day, provider/model and source
+ *
+ * @param {Object} options - { startDate, endDate } (ISO dates; default: this month to date)
+ * @returns {Object} { startDate, endDate, totals, byDay, byProvider, bySource, budget }
+ */
+export async function getUsageReport({ startDate, endDate } = {}) {
+  const start = startDate ? new Date(startDate).toISOString().slice(0, 10) : monthStart();
+  const end = endDate ? new Date(endDate).toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10);
+
+  const entries = await entriesBetween(start, end);
+
+  return {
+    startDate: start,
+    endDate: end,
+    totals: entries.reduce(addTo, emptyTotals()),
+    byDay: groupTotals(entries, e => e.date, e => ({ date: e.date })),
+    byProvider: groupTotals(entries, e => `${e.provider}|${e.model}`, e => ({ provider: e.provider, model: e.model }))
+      .sort((a, b) => b.costUsd - a.costUsd),
+    bySource: groupTotals(entries, e => e.source, e => ({ source: e.source }))
+      .sort((a, b) => b.costUsd - a.costUsd),
+    budget: await getBudgetStatus()
+  };
+}
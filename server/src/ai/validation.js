@@ -0,0 +1,147 @@
+/**
+ * =============================================================================
+ * VALIDATION.JS - Schema Checks and Repair Retries for AI Responses
+ * =============================================================================
+ *
+ * Every provider response is validated against the JSON Schema for its
+ * analysis type (RESPONSE_SCHEMAS in prompts.js, or a custom template's
+ * schema). When it doesn't match, the
+ * model is re-prompted with the validation errors, up to AI_REPAIR_ATTEMPTS
+ * times, before the response is reported as invalid.
+ *
+ * =============================================================================
+ */
+
+import Ajv from 'ajv';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { getAnalysisType, buildRepairPrompt } from './prompts.js';
+
+// Create logger for this module
+const log = Logger('Validation');
+
+// Compiled validators, keyed by schema object (one per template version)
+const ajv = new Ajv({ allErrors: true });
+const validators = new WeakMap();
+
+// Most errors listed back to the model in one repair prompt
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Format an Ajv error as "path: message"
+ */
+function formatError(error) {
+  const path = error.instancePath || '(root)';
+  const allowed = error.params?.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : '';
+  return `${path}: ${error.message}${allowed}`;
+}
+
+/**
+ * Compiled validator for a schema
+ */
+function getValidator(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  return validators.get(schema);
+}
+
+/**
+ * Check that a custom template's output schema is a usable JSON Schema
+ *
+ * @param {Object} schema - JSON Schema
+ * @returns {string|null} Error message, or null if it compiles
+ */
+export function checkSchema(schema) {
+  if (!ajv.validateSchema(schema)) {
+    return `Invalid schema: ${ajv.errorsText(ajv.errors)}`;
+  }
+  try {
+    ajv.compile(schema);
+  } catch (err) {
+    return `Invalid schema: ${err.message}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed response against its analysis type's schema
+ *
+ * @param {string|Object} analysisType - Analysis type, or its definition from getAnalysisType()
+ * @param {Object|null} parsed - Parsed JSON from the provider
+ * @returns {Object} { valid, errors: string[] }
+ */
+export function validateResponse(analysisType, parsed) {
+  if (parsed === null || parsed === undefined) {
+    return { valid: false, errors: ['(root): response contained no parseable JSON object'] };
+  }
+
+  const validate = getValidator(getAnalysisType(analysisType).schema);
+  if (validate(parsed)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.slice(0, MAX_REPORTED_ERRORS).map(formatError)
+  };
+}
+
+/**
+ * Call a provider and re-prompt until its response validates
+ *
+ * Token usage and duration cover every attempt. Providers that don't read
+ * the prompt (usesPrompt: false) are validated but never re-prompted. If a
+ * call throws, the error carries the tokens earlier attempts used
+ * (err.tokensUsed).
+ *
+ * @param {Object} providerConfig - Provider registry entry
+ * @param {string} prompt - Analysis prompt
+ * @param {Object} context - { analysisType, definition, events, pipelineCompleteness };
+ *   definition (from getAnalysisType) pins the template version, if given
+ * @returns {Object} Provider result plus validation: { valid, repairs, errors }
+ */
+export async function analyzeWithRepair(providerConfig, prompt, context) {
+  const { analysisType } = context;
+  const definition = context.definition || analysisType;
+  const maxRepairs = providerConfig.usesPrompt === false ? 0 : config.ai.validation.repairAttempts;
+  const tokensUsed = { input: 0, output: 0, total: 0 };
+  const startTime = Date.now();
+
+  let result;
+  let check;
+  let repairs = 0;
+  let nextPrompt = prompt;
+
+  while (true) {
+    context.signal?.throwIfAborted();
+    try {
+      result = await providerConfig.analyze(nextPrompt, context);
+    } catch (err) {
+      err.tokensUsed = { ...tokensUsed };
+      throw err;
+    }
+    tokensUsed.input += result.tokensUsed?.input || 0;
+    tokensUsed.output += result.tokensUsed?.output || 0;
+    tokensUsed.total += result.tokensUsed?.total || 0;
+
+    check = validateResponse(definition, result.parsed);
+    if (check.valid || repairs >= maxRepairs) break;
+
+    repairs++;
+    log.warn(`${analysisType} response failed validation (${check.errors.length} error(s)); repair attempt ${repairs}/${maxRepairs}`);
+    log.debug('Validation errors', check.errors);
+    nextPrompt = buildRepairPrompt(definition, result.content || '', check.errors);
+  }
+
+  if (!check.valid) {
+    log.error(`${analysisType} response still invalid after ${repairs} repair attempt(s)`);
+  }
+
+  return {
+    ...result,
+    tokensUsed,
+    durationMs: Date.now() - startTime,
+    validation: { valid: check.valid, repairs, errors: check.errors }
+  };
+}
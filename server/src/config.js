@@ -13,15 +13,89 @@
  *     - NODE_ENV: Environment mode (development/production)
  *
  *   STORAGE:
+ *     - STORAGE_BACKEND: 'file' (JSON/NDJSON files) or 'sqlite' (default: file)
+ *     - SQLITE_PATH: Database file for the sqlite backend (default: DATA_DIR/observer.db)
  *     - DATA_DIR: Base directory for data files (default: ./data)
  *     - RETENTION_DAYS: Days to keep event files (default: 30)
- *     - MAX_FILE_SIZE_MB: Max size per event file (default: 50)
+ *     - MAX_FILE_SIZE_MB: Max size per event segment (default: 50)
  *     - MAX_EVENTS: Max events to store total (default: 10000)
+ *     - DEDUPE_WINDOW_MINUTES: How long retried idempotency keys are recognized (default: 10)
+ *
+ *   INGESTION SCRUBBING (applied before events are stored):
+ *     - SCRUBBING_ENABLED: Apply per-source scrubbing policies (default: true)
+ *     - QUARANTINE_MAX_EVENTS: Quarantined events kept for review (default: 1000)
+ *
+ *   TRACES:
+ *     - TRACE_GAP_THRESHOLD_MS: Pause between steps that marks a trace incomplete (default: 30000)
+ *     - TRACE_WINDOW_HOURS: Default look-back for GET /api/traces (default: 24)
+ *     - PIPELINE_STALL_TIMEOUT_MS: Idle time before an unfinished pipeline counts as stalled (default: 300000)
+ *
+ *   ANOMALY DETECTION (statistical, as events arrive; see telemetry/anomalies.js):
+ *     - ANOMALY_DETECTION_ENABLED: Learn baselines and flag deviations (default: true)
+ *     - ANOMALY_BUCKET_MINUTES: Length of each evaluated time bucket (default: 5)
+ *     - ANOMALY_EWMA_ALPHA: Weight of the newest bucket in each baseline (default: 0.1)
+ *     - ANOMALY_WARMUP_BUCKETS: Buckets learned before a baseline can flag (default: 12)
+ *     - ANOMALY_MIN_SAMPLES: Events a bucket needs before it is judged (default: 10)
+ *     - ANOMALY_ERROR_RATE_DELTA: Error rate rise over baseline that flags, 0.1 = 10 points (default: 0.1)
+ *     - ANOMALY_LATENCY_FACTOR: p95 latency multiple of baseline that flags (default: 2)
+ *     - ANOMALY_VOLUME_FACTOR: Event volume multiple (or fraction) of the hour-of-week baseline that flags (default: 3)
+ *     - ANOMALY_MAX_RECORDS: Anomaly records kept (default: 1000)
+ *     - ANOMALY_ATTACH_TO_ANALYSES: Include detected anomalies in AI prompts (default: true)
+ *
+ *   ROLLUPS (per-minute/hour/day event metrics; see telemetry/rollups.js):
+ *     - ROLLUPS_ENABLED: Maintain rollups for GET /api/metrics/series (default: true)
+ *     - ROLLUP_MINUTE_RETENTION_HOURS: Hours of minute buckets kept (default: 24)
+ *     - ROLLUP_HOUR_RETENTION_DAYS: Days of hour buckets kept (default: 30)
+ *     - ROLLUP_DAY_RETENTION_DAYS: Days of day buckets kept (default: 365)
+ *     - ROLLUP_FLUSH_SECONDS: How often rollups are written to storage (default: 30)
+ *
+ *   PROMETHEUS:
+ *     - PROMETHEUS_ENABLED: Serve GET /metrics for scraping (default: true)
+ *     - PROMETHEUS_DURATION_BUCKETS_MS: Histogram bucket bounds for telemetry
+ *       duration_ms (default: 5,10,25,50,100,250,500,1000,2500,5000,10000,30000)
+ *
+ *   ALERTS (rules and notification channels; see telemetry/alerts.js):
+ *     - ALERTS_ENABLED: Evaluate alert rules (default: true)
+ *     - ALERT_EVALUATE_SECONDS: How often rules are evaluated (default: 60)
+ *     - ALERT_GROUP_MINUTES: A rule firing again this soon after resolving
+ *       reopens its last alert instead of starting a new one (default: 30)
+ *     - ALERT_HISTORY_MAX_RECORDS: Resolved alerts kept (default: 1000)
+ *     - ALERT_WEBHOOK_URL: Default URL for the webhook channel
+ *     - ALERT_WEBHOOK_TIMEOUT_MS: Webhook request timeout (default: 5000)
+ *     - ALERT_EMAIL_TO: Default recipients for the email channel (comma-separated)
+ *     - SMTP_HOST / SMTP_PORT: Mail relay for the email channel (port default: 25)
+ *     - SMTP_FROM: Sender address (default: observer@localhost)
  *
  *   AI PROVIDERS (at least one required for analysis):
  *     - ANTHROPIC_API_KEY: Claude API key (https://console.anthropic.com/)
  *     - GOOGLE_AI_API_KEY: Gemini API key (https://aistudio.google.com/apikey)
  *     - OPENAI_API_KEY: OpenAI API key (https://platform.openai.com/api-keys)
+ *     - ONPREM_LLM_BASE_URL: Self-hosted OpenAI-compatible server (e.g. http://localhost:8080/v1)
+ *     - ONPREM_LLM_API_KEY / ONPREM_LLM_MODEL: Optional key and model (default: first listed)
+ *     - LOCAL_ANALYZER_ENABLED: Offline rule-based provider, no key needed (default: true)
+ *     - ANALYSIS_MAX_EVENTS: Events analyzed when a request sets no maxEvents (default: 1000)
+ *     - ANALYSIS_CHUNK_TOKENS / ANALYSIS_MAX_CHUNKS: Map-reduce chunk size and count
+ *     - AI_FALLBACK_ORDER: Providers tried on transient errors (default: claude,openai,gemini,local)
+ *     - ANALYSIS_JOB_CONCURRENCY: Background analysis jobs run at once (default: 1)
+ *     - AI_REPAIR_ATTEMPTS: Re-prompts for responses that fail schema validation (default: 2)
+ *     - ANALYSIS_CACHE_ENABLED / ANALYSIS_CACHE_TTL_HOURS: Reuse analyses of unchanged events (default: true, 168)
+ *
+ *   AI USAGE AND BUDGETS (current UTC month; see ai/usage.js):
+ *     - AI_MONTHLY_BUDGET_USD: Estimated spend allowed across paid providers (default: 0 = no limit)
+ *     - AI_PROVIDER_BUDGETS_USD: Per-provider limits, e.g. "claude=50,openai=20"
+ *     - AI_BUDGET_ACTION: 'downgrade' (switch to a free provider) or 'block' (default: downgrade)
+ *     - AI_BUDGET_DOWNGRADE_PROVIDER: Provider used when downgrading (default: local)
+ *     - AI_PRICING: Extra/overriding prices per million tokens, e.g. "gpt-4o=2.5/10"
+ *
+ *   PHI REDACTION (applied to events before any prompt is built):
+ *     - REDACTION_ENABLED: Redact identifiers before analysis (default: true)
+ *     - REDACTION_SECRET: Key for consistent pseudonyms (default: random per restart)
+ *     - REDACTION_FIELDS: Extra field rules, e.g. "insuranceId=pseudonymize,notes=drop"
+ *     - REDACTION_DETECTORS: Patterns to look for (default: mrn,dob,date,name,phone,ssn,email)
+ *
+ *   SCHEDULES:
+ *     - SCHEDULES_ENABLED: Run scheduled analyses (default: true)
+ *     - SCHEDULE_TICK_MS: How often due schedules are checked (default: 30000)
  *
  * Usage:
  *   1. Copy .env.example to .env in the server directory
@@ -40,6 +114,9 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Base data directory (also used to derive the default SQLite path)
+const dataDir = process.env.DATA_DIR || join(__dirname, '..', 'data');
+
 /**
  * Main configuration object
  * All values are loaded from environment variables with fallback defaults
@@ -62,12 +139,19 @@ export const config = {
   // STORAGE CONFIGURATION
   // ---------------------------------------------------------------------------
   storage: {
+    // Which storage backend to use: 'file' or 'sqlite'
+    // The sqlite backend runs event filters as indexed queries
+    backend: process.env.STORAGE_BACKEND || 'file',
+
     // Base directory for all data files
     // Default: ./data (relative to server directory)
-    dataDir: process.env.DATA_DIR || join(__dirname, '..', 'data'),
+    dataDir,
+
+    // SQLite database file (only used when backend is 'sqlite')
+    sqlitePath: process.env.SQLITE_PATH || join(dataDir, 'observer.db'),
 
     // Subdirectory names (these are fixed, not configurable)
-    eventsDir: 'events',       // Stores daily event JSON files
+    eventsDir: 'events',       // Stores append-only NDJSON event segments
     analysisDir: 'analysis',   // Stores AI analysis results
     exportsDir: 'exports',     // Stores generated export files
 
@@ -75,13 +159,129 @@ export const config = {
     // Set to 0 to disable automatic cleanup
     retentionDays: parseInt(process.env.RETENTION_DAYS || '30'),
 
-    // Maximum size (MB) for a single day's event file
-    // When exceeded, creates a new file with suffix (e.g., 2024-01-15-1.json)
+    // Maximum size (MB) for a single event segment
+    // When exceeded, rolls over to the next segment (e.g., 2024-01-15-0001.ndjson)
     maxFileSizeMb: parseInt(process.env.MAX_FILE_SIZE_MB || '50'),
 
     // Maximum total events to store across all files
     // Oldest events are removed when this limit is reached
-    maxEvents: parseInt(process.env.MAX_EVENTS || '10000')
+    maxEvents: parseInt(process.env.MAX_EVENTS || '10000'),
+
+    // Minutes an idempotencyKey/eventId is remembered per source
+    // Retries within this window return the original eventId; 0 disables
+    dedupeWindowMinutes: parseInt(process.env.DEDUPE_WINDOW_MINUTES || '10')
+  },
+
+  // ---------------------------------------------------------------------------
+  // INGESTION SCRUBBING
+  // ---------------------------------------------------------------------------
+  // Per-source PHI policies applied in POST /api/events (see telemetry/scrubbing.js)
+  scrubbing: {
+    enabled: process.env.SCRUBBING_ENABLED !== 'false',
+    // Quarantined events kept for review; the oldest are removed beyond this
+    quarantineLimit: parseInt(process.env.QUARANTINE_MAX_EVENTS || '1000')
+  },
+
+  // ---------------------------------------------------------------------------
+  // TRACE CONFIGURATION
+  // ---------------------------------------------------------------------------
+  traces: {
+    // A pause longer than this between two steps of one correlationId
+    // marks the trace as incomplete
+    gapThresholdMs: parseInt(process.env.TRACE_GAP_THRESHOLD_MS || '30000'),
+
+    // How far back GET /api/traces looks when no startDate is given
+    windowHours: parseInt(process.env.TRACE_WINDOW_HOURS || '24')
+  },
+
+  // ---------------------------------------------------------------------------
+  // PIPELINE CONFIGURATION
+  // ---------------------------------------------------------------------------
+  pipelines: {
+    // A correlationId that stops before its last expected stage and stays
+    // idle this long counts as stalled (a definition can override it)
+    stallTimeoutMs: parseInt(process.env.PIPELINE_STALL_TIMEOUT_MS || '300000')
+  },
+
+  // ---------------------------------------------------------------------------
+  // ANOMALY DETECTION
+  // ---------------------------------------------------------------------------
+  // Streaming detector fed by every stored event (see telemetry/anomalies.js)
+  anomalies: {
+    enabled: process.env.ANOMALY_DETECTION_ENABLED !== 'false',
+    // Events are grouped into buckets of this length; each finished bucket
+    // is compared with its baseline, then folded into it
+    bucketMinutes: parseInt(process.env.ANOMALY_BUCKET_MINUTES || '5'),
+    // Weight of the newest bucket in the moving averages (0-1)
+    ewmaAlpha: parseFloat(process.env.ANOMALY_EWMA_ALPHA || '0.1'),
+    // A baseline (or hour-of-week slot) flags nothing until it has learned this many buckets
+    warmupBuckets: parseInt(process.env.ANOMALY_WARMUP_BUCKETS || '12'),
+    // Buckets with fewer events are learned from but not judged
+    minSamples: parseInt(process.env.ANOMALY_MIN_SAMPLES || '10'),
+    // Thresholds: absolute error-rate rise, p95 latency multiple, volume multiple
+    errorRateDelta: parseFloat(process.env.ANOMALY_ERROR_RATE_DELTA || '0.1'),
+    latencyFactor: parseFloat(process.env.ANOMALY_LATENCY_FACTOR || '2'),
+    volumeFactor: parseFloat(process.env.ANOMALY_VOLUME_FACTOR || '3'),
+    // Anomaly records kept; the oldest are removed beyond this
+    maxRecords: parseInt(process.env.ANOMALY_MAX_RECORDS || '1000'),
+    // Default for an analysis request's attachAnomalies option
+    attachToAnalyses: process.env.ANOMALY_ATTACH_TO_ANALYSES !== 'false'
+  },
+
+  // ---------------------------------------------------------------------------
+  // ROLLUPS
+  // ---------------------------------------------------------------------------
+  // Event counts, failures and latency per source/stage/action and time bucket,
+  // kept up to date as events are stored (see telemetry/rollups.js)
+  rollups: {
+    enabled: process.env.ROLLUPS_ENABLED !== 'false',
+    minuteRetentionHours: parseInt(process.env.ROLLUP_MINUTE_RETENTION_HOURS || '24'),
+    hourRetentionDays: parseInt(process.env.ROLLUP_HOUR_RETENTION_DAYS || '30'),
+    dayRetentionDays: parseInt(process.env.ROLLUP_DAY_RETENTION_DAYS || '365'),
+    // Rollups are held in memory and written out this often (and on shutdown)
+    flushSeconds: parseInt(process.env.ROLLUP_FLUSH_SECONDS || '30')
+  },
+
+  // ---------------------------------------------------------------------------
+  // PROMETHEUS
+  // ---------------------------------------------------------------------------
+  // Scrape endpoint with ingestion, job and connection metrics
+  // (see integrations/prometheus.js)
+  prometheus: {
+    enabled: process.env.PROMETHEUS_ENABLED !== 'false',
+    durationBucketsMs: (process.env.PROMETHEUS_DURATION_BUCKETS_MS || '5,10,25,50,100,250,500,1000,2500,5000,10000,30000')
+      .split(',')
+      .map(Number)
+      .filter(bound => Number.isFinite(bound) && bound > 0)
+      .sort((a, b) => a - b)
+  },
+
+  // ---------------------------------------------------------------------------
+  // ALERTS
+  // ---------------------------------------------------------------------------
+  // Declarative alert rules evaluated on a timer, with webhook, Claude Team,
+  // partner WebSocket and email notifications (see telemetry/alerts.js)
+  alerts: {
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    evaluateSeconds: parseInt(process.env.ALERT_EVALUATE_SECONDS || '60'),
+    // Re-firing within this many minutes of resolving reopens the same alert
+    groupMinutes: parseInt(process.env.ALERT_GROUP_MINUTES || '30'),
+    // Resolved alerts kept for history (oldest removed beyond this)
+    historyMaxRecords: parseInt(process.env.ALERT_HISTORY_MAX_RECORDS || '1000'),
+    // Defaults for rules that don't set their own webhookUrl / emailTo
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    webhookTimeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '5000'),
+    emailTo: (process.env.ALERT_EMAIL_TO || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean),
+    // Plain SMTP (no TLS or auth) - a local relay or a development sink
+    smtp: {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT || '25'),
+      from: process.env.SMTP_FROM || 'observer@localhost',
+      timeoutMs: 10000
+    }
   },
 
   // ---------------------------------------------------------------------------
@@ -105,9 +305,124 @@ export const config = {
     openai: {
       apiKey: process.env.OPENAI_API_KEY,
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+
+    // Self-hosted OpenAI-compatible server (llama.cpp, vLLM, LM Studio)
+    // Keeps analysis on-premises; available when a base URL is set
+    onprem: {
+      baseUrl: process.env.ONPREM_LLM_BASE_URL,
+      apiKey: process.env.ONPREM_LLM_API_KEY,
+      // Empty = use the first model the server lists
+      model: process.env.ONPREM_LLM_MODEL,
+      // Local models can be slow on CPU-only machines
+      timeoutMs: parseInt(process.env.ONPREM_LLM_TIMEOUT_MS || '300000')
+    },
+
+    // Local rule-based analyzer - statistics only, works with no network
+    local: {
+      enabled: process.env.LOCAL_ANALYZER_ENABLED !== 'false'
+    },
+
+    // Order tried when a provider fails with a transient error (rate limit,
+    // 5xx, timeout); only available providers are used, requested one first
+    fallback: {
+      enabled: process.env.AI_FALLBACK_ENABLED !== 'false',
+      order: (process.env.AI_FALLBACK_ORDER || 'claude,openai,gemini,local')
+        .split(',').map(name => name.trim()).filter(Boolean)
+    },
+
+    // Responses are checked against each analysis type's JSON Schema; an
+    // invalid one is sent back to the model with the errors this many times
+    validation: {
+      repairAttempts: parseInt(process.env.AI_REPAIR_ATTEMPTS || '2')
+    },
+
+    // Repeat analyses of an unchanged event set return the cached result
+    // (see ai/cache.js); a request with force: true always runs
+    cache: {
+      enabled: process.env.ANALYSIS_CACHE_ENABLED !== 'false',
+      ttlHours: parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS || '168')
+    },
+
+    // Token cost estimates and monthly budgets (see ai/usage.js)
+    usage: {
+      // model-name prefix=input/output USD per million tokens, over the built-in prices
+      pricing: Object.fromEntries(
+        (process.env.AI_PRICING || '')
+          .split(',').map(rule => rule.trim()).filter(Boolean)
+          .map(rule => {
+            const [model, prices = ''] = rule.split('=').map(part => part.trim());
+            const [input, output] = prices.split('/').map(parseFloat);
+            return [model, { input: input || 0, output: output || 0 }];
+          })
+      ),
+      // Overall month-to-date limit for paid providers; 0 = unlimited
+      monthlyBudgetUsd: parseFloat(process.env.AI_MONTHLY_BUDGET_USD || '0'),
+      // provider=USD pairs, each checked on its own
+      providerBudgetsUsd: Object.fromEntries(
+        (process.env.AI_PROVIDER_BUDGETS_USD || '')
+          .split(',').map(rule => rule.trim()).filter(Boolean)
+          .map(rule => {
+            const [provider, amount] = rule.split('=').map(part => part.trim());
+            return [provider, parseFloat(amount) || 0];
+          })
+      ),
+      // What happens to an analysis on an over-budget provider: block | downgrade
+      budgetAction: process.env.AI_BUDGET_ACTION || 'downgrade',
+      downgradeProvider: process.env.AI_BUDGET_DOWNGRADE_PROVIDER || 'local'
+    },
+
+    // PHI redaction before events reach any provider (see ai/redaction.js)
+    redaction: {
+      enabled: process.env.REDACTION_ENABLED !== 'false',
+      // HMAC key for pseudonyms; set it so tokens stay the same across restarts
+      secret: process.env.REDACTION_SECRET || '',
+      // field=action pairs (pseudonymize|mask|drop), added to the built-in rules
+      fields: Object.fromEntries(
+        (process.env.REDACTION_FIELDS || '')
+          .split(',').map(rule => rule.trim()).filter(Boolean)
+          .map(rule => {
+            const [field, action = 'pseudonymize'] = rule.split('=').map(part => part.trim());
+            return [field, action];
+          })
+      ),
+      detectors: (process.env.REDACTION_DETECTORS || 'mrn,dob,date,name,phone,ssn,email')
+        .split(',').map(name => name.trim()).filter(Boolean)
+    },
+
+    // Background analysis jobs (POST /api/analyze/jobs)
+    jobs: {
+      // Jobs analyzed at the same time; the rest wait in a queue
+      concurrency: parseInt(process.env.ANALYSIS_JOB_CONCURRENCY || '1'),
+      // Finished job records kept before the oldest are deleted
+      historyLimit: parseInt(process.env.ANALYSIS_JOB_HISTORY || '200')
+    },
+
+    // Map-reduce over event sets too large for one prompt: events are split
+    // into token-budgeted chunks, each analyzed, then merged in a reduce pass
+    chunking: {
+      // Events analyzed when a request doesn't set maxEvents
+      defaultMaxEvents: parseInt(process.env.ANALYSIS_MAX_EVENTS || '1000'),
+      // Estimated tokens of event data per chunk prompt
+      chunkTokens: parseInt(process.env.ANALYSIS_CHUNK_TOKENS || '12000'),
+      // Upper bound on chunks (and provider calls) per analysis
+      maxChunks: parseInt(process.env.ANALYSIS_MAX_CHUNKS || '20'),
+      // Chunks analyzed in parallel
+      concurrency: parseInt(process.env.ANALYSIS_CHUNK_CONCURRENCY || '2')
     }
   },
 
+  // ---------------------------------------------------------------------------
+  // SCHEDULED ANALYSES
+  // ---------------------------------------------------------------------------
+  // Recurring per-source analyses managed via /api/analyze/schedules
+  schedules: {
+    // Set to false to keep schedules on disk without running them
+    enabled: process.env.SCHEDULES_ENABLED !== 'false',
+    // How often to check for due schedules (cron resolution is one minute)
+    tickMs: parseInt(process.env.SCHEDULE_TICK_MS || '30000')
+  },
+
   // ---------------------------------------------------------------------------
   // CORS CONFIGURATION
   // ---------------------------------------------------------------------------
@@ -149,5 +464,22 @@ export function validateConfig() {
     warnings.push('OPENAI_API_KEY not set - OpenAI analysis unavailable');
   }
 
+  if (config.ai.redaction.enabled && !config.ai.redaction.secret) {
+    warnings.push('REDACTION_SECRET not set - PHI pseudonyms will change on every restart');
+  } else if (!config.ai.redaction.enabled) {
+    warnings.push('REDACTION_ENABLED=false - raw event data is sent to AI providers');
+  }
+  if (!['block', 'downgrade'].includes(config.ai.usage.budgetAction)) {
+    warnings.push(`AI_BUDGET_ACTION=${config.ai.usage.budgetAction} is not block or downgrade - analyses will be downgraded`);
+  }
+
+  if (!config.scrubbing.enabled) {
+    warnings.push('SCRUBBING_ENABLED=false - events are stored without PHI scrubbing');
+  }
+
+  if (config.alerts.enabled && !config.rollups.enabled) {
+    warnings.push('ROLLUPS_ENABLED=false - error_rate and no_events alert rules cannot be evaluated');
+  }
+
   return warnings;
 }
@@ -6,7 +6,7 @@
  * Main entry point for the backend server. This server:
  *
  * 1. RECEIVES telemetry events from the Chrome extension via HTTP POST
- * 2. STORES events in local JSON files (organized by date)
+ * 2. STORES events via the configured backend (NDJSON segments or SQLite)
  * 3. ANALYZES events using AI providers (Claude, Gemini, OpenAI)
  * 4. EXPORTS data as JSON or CSV for external analysis
  *
@@ -28,16 +28,30 @@ import { fileURLToPath } from 'url';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import { config, validateConfig } from './config.js';
-import { initStorage, rotateOldFiles } from './storage/file-store.js';
+import { initStorage, rotateOldFiles } from './storage/index.js';
 import { Logger, logRequest } from './utils/logger.js';
 import eventsRouter from './routes/events.js';
 import analysisRouter from './routes/analysis.js';
 import exportRouter from './routes/export.js';
+import tracesRouter from './routes/traces.js';
+import pipelinesRouter from './routes/pipelines.js';
+import scrubbingRouter from './routes/scrubbing.js';
+import anomaliesRouter from './routes/anomalies.js';
+import metricsRouter from './routes/metrics.js';
+import alertsRouter from './routes/alerts.js';
 import referencesRouter from './routes/references.js';
 import orchestratorRouter from './routes/orchestrator.js';
 import ultrasoundRouter from './routes/ultrasound.js';
 import claudeTeamClient from './integrations/claude-team-client.js';
 import { addPartnerClient, removePartnerClient, getPartnerCount } from './integrations/partner-broadcast.js';
+import { addJobClient, removeJobClient } from './integrations/job-broadcast.js';
+import { initJobs } from './ai/jobs.js';
+import { initTemplates } from './ai/templates.js';
+import { initSchedules } from './ai/schedules.js';
+import { initAnomalies } from './telemetry/anomalies.js';
+import { initRollups, flushRollups } from './telemetry/rollups.js';
+import { initAlerts } from './telemetry/alerts.js';
+import { initPrometheus, renderMetrics, PROMETHEUS_CONTENT_TYPE } from './integrations/prometheus.js';
 
 // Create logger instance for this module
 const log = Logger('Server');
@@ -103,20 +117,89 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Prometheus scrape endpoint
+ * - Ingestion counters, telemetry duration_ms and analysis job histograms,
+ *   partner client and Claude Team hub gauges (see integrations/prometheus.js)
+ */
+app.get('/metrics', (req, res) => {
+  if (!config.prometheus.enabled) {
+    return res.status(404).json({ error: 'Prometheus metrics are disabled (PROMETHEUS_ENABLED=false)' });
+  }
+  res.type(PROMETHEUS_CONTENT_TYPE).send(renderMetrics());
+});
+
 /**
  * Events API - /api/events
  * - POST: Receive and store telemetry events from extension
+ * - POST /batch: Receive many events in one request (JSON array or NDJSON)
  * - GET: Query stored events with filters (source, stage, date range)
  * - GET /stats: Get aggregated statistics
  * - DELETE: Clear all stored events
  */
 app.use('/api/events', eventsRouter);
 
+/**
+ * Traces API - /api/traces
+ * - GET: List failed/stalled/skipped/incomplete correlation traces
+ * - GET /:correlationId: Ordered events with per-stage durations and gaps
+ */
+app.use('/api/traces', tracesRouter);
+
+/**
+ * Pipelines API - /api/pipelines
+ * - GET: Expected stage sequences per source
+ * - GET /stats: Stalled/skipped correlation counts per source
+ * - PUT/DELETE /:source: Register or remove a source's sequence
+ */
+app.use('/api/pipelines', pipelinesRouter);
+
+/**
+ * Scrubbing API - /api/scrubbing
+ * - GET/PUT/DELETE /policies/:source: PHI policies applied at ingestion
+ * - GET /quarantine: Events held back for containing disallowed identifiers
+ * - POST /quarantine/:id/release, DELETE /quarantine/:id: Review them
+ */
+app.use('/api/scrubbing', scrubbingRouter);
+
+/**
+ * Anomalies API - /api/anomalies
+ * - GET: Error rate, latency and volume anomalies flagged as events arrive
+ * - GET /baselines: Learned per-source/stage baselines
+ * - GET /:id: One anomaly record
+ */
+app.use('/api/anomalies', anomaliesRouter);
+
+/**
+ * Metrics API - /api/metrics
+ * - GET /series: Minute/hour/day event counts, failures and latency percentiles
+ *   per source/stage/action, from incrementally maintained rollups
+ */
+app.use('/api/metrics', metricsRouter);
+
+/**
+ * Alerts API - /api/alerts
+ * - GET: Alert history (firing, acknowledged, resolved); GET /:id, POST /:id/acknowledge
+ * - GET/POST /silences, DELETE /silences/:id: Mute alerts by source/stage/rule until expiry
+ * - GET/POST /rules, GET/PUT/DELETE /rules/:id: Error rate, no-events, stalled
+ *   correlation and health score rules
+ * - POST /rules/:id/evaluate: Check a rule's condition now
+ * - GET /channels, POST /channels/:channel/test: Webhook, Claude Team, partner
+ *   and email notification channels
+ */
+app.use('/api/alerts', alertsRouter);
+
 /**
  * Analysis API - /api/analyze
  * - GET: List available AI providers and analysis types
  * - POST: Run AI analysis on stored events
+ * - POST /jobs: Queue a background analysis (progress on WS /ws/jobs)
+ * - GET /jobs/:jobId, POST /jobs/:jobId/cancel: Job status and cancellation
+ * - GET/POST /templates, GET/PUT/DELETE /templates/:id: Custom analysis types (versioned)
+ * - GET/POST /schedules, GET/PUT/DELETE /schedules/:id: Recurring analyses per source
  * - GET /history: View past analyses
+ * - GET /usage: Tokens and estimated cost by day/provider/source, budget status
+ * - DELETE /cache: Forget cached analyses (a request with force: true skips the cache)
  * - GET /providers: Check which AI providers are configured
  */
 app.use('/api/analyze', analysisRouter);
@@ -253,6 +336,27 @@ async function start() {
   log.info('Initializing storage...');
   await initStorage();
 
+  // Step 2a: Register custom analysis types (before jobs that may use them)
+  await initTemplates();
+
+  // Step 2b: Requeue analysis jobs that were waiting when the server stopped
+  await initJobs();
+
+  // Step 2c: Load recurring analysis schedules and start the scheduler
+  await initSchedules();
+
+  // Step 2d: Restore anomaly baselines and start watching stored events
+  await initAnomalies();
+
+  // Step 2e: Load time-series rollups and keep them updated as events arrive
+  await initRollups();
+
+  // Step 2f: Count ingested events and finished jobs for GET /metrics
+  initPrometheus();
+
+  // Step 2g: Load alert rules and start evaluating them
+  await initAlerts();
+
   // Step 3: Clean up old event files (older than RETENTION_DAYS)
   log.info('Checking for old files to rotate...');
   const rotation = await rotateOldFiles();
@@ -266,6 +370,9 @@ async function start() {
   // WebSocket server for /partner endpoint (SCC UI connection)
   const wss = new WebSocketServer({ noServer: true });
 
+  // WebSocket server for /ws/jobs endpoint (analysis job progress)
+  const jobsWss = new WebSocketServer({ noServer: true });
+
   // Handle WebSocket upgrade requests
   server.on('upgrade', (request, socket, head) => {
     const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
@@ -274,6 +381,10 @@ async function start() {
       wss.handleUpgrade(request, socket, head, (ws) => {
         wss.emit('connection', ws, request);
       });
+    } else if (pathname === '/ws/jobs') {
+      jobsWss.handleUpgrade(request, socket, head, (ws) => {
+        jobsWss.emit('connection', ws, request);
+      });
     } else {
       socket.destroy();
     }
@@ -313,6 +424,23 @@ async function start() {
     });
   });
 
+  // Handle job watcher connections (updates only flow server → client)
+  jobsWss.on('connection', (ws) => {
+    addJobClient(ws);
+
+    ws.send(JSON.stringify({
+      type: 'connected',
+      message: 'Watching analysis jobs',
+      timestamp: new Date().toISOString()
+    }));
+
+    ws.on('close', () => removeJobClient(ws));
+    ws.on('error', (err) => {
+      log.error('[Jobs WS] Error:', err.message);
+      removeJobClient(ws);
+    });
+  });
+
   // Start the server
   server.listen(config.port, config.host, () => {
     log.info(`Server listening on http://${config.host}:${config.port}`);
@@ -323,14 +451,28 @@ async function start() {
     console.log('\n' + '-'.repeat(50));
     console.log('Available Endpoints:');
     console.log('  POST /api/events       - Receive telemetry');
+    console.log('  POST /api/events/batch - Receive event batch');
     console.log('  GET  /api/events       - Query events');
     console.log('  GET  /api/events/stats - Get statistics');
+    console.log('  GET  /api/traces       - Correlation traces');
+    console.log('  GET  /api/pipelines    - Expected pipeline stages');
+    console.log('  GET  /api/scrubbing/quarantine - Quarantined events');
+    console.log('  GET  /api/anomalies    - Statistical anomalies');
+    console.log('  GET  /api/metrics/series - Event time series');
+    console.log('  GET  /api/alerts       - Alert history');
+    console.log('  GET  /api/alerts/rules - Alert rules and their state');
     console.log('  POST /api/analyze      - Run AI analysis');
+    console.log('  POST /api/analyze/jobs - Queue background analysis');
+    console.log('  GET  /api/analyze/templates - Analysis types');
+    console.log('  GET  /api/analyze/schedules - Recurring analyses');
+    console.log('  GET  /api/analyze/usage - AI tokens, cost and budgets');
     console.log('  GET  /api/references   - Shared recommendations');
     console.log('  GET  /api/export       - Download events');
     console.log('  GET  /integrations     - Telemetry client scripts');
     console.log('  GET  /health           - Health check');
+    console.log('  GET  /metrics          - Prometheus metrics');
     console.log('  WS   /partner          - SCC UI WebSocket');
+    console.log('  WS   /ws/jobs          - Analysis job progress');
     console.log('-'.repeat(50) + '\n');
 
     // Step 4b: Connect to Claude Team hub (optional)
@@ -383,14 +525,23 @@ process.on('unhandledRejection', (reason) => {
  */
 process.on('SIGTERM', () => {
   log.info('Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   log.info('Received SIGINT, shutting down gracefully...');
-  process.exit(0);
+  shutdown();
 });
 
+/**
+ * Write in-memory state that would otherwise be lost, then exit
+ */
+function shutdown() {
+  flushRollups()
+    .catch(err => log.error('Failed to flush rollups', err.message))
+    .finally(() => process.exit(0));
+}
+
 // Start the server
 start().catch(err => {
   log.error('Failed to start server', err);
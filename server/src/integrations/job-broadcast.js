@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ * JOB-BROADCAST.JS - WebSocket progress updates for analysis jobs
+ * =============================================================================
+ *
+ * Manages WebSocket connections on /ws/jobs (the dashboard) and pushes
+ * every analysis job status/progress change to them.
+ * This module is separate to avoid circular dependencies.
+ *
+ * =============================================================================
+ */
+
+import { Logger } from '../utils/logger.js';
+
+const log = Logger('JobWS');
+
+// Connected job watchers (dashboard tabs)
+const jobClients = new Set();
+
+/**
+ * Add a job watcher connection
+ */
+export function addJobClient(ws) {
+  jobClients.add(ws);
+  log.debug(`Job watcher connected (${jobClients.size} total)`);
+}
+
+/**
+ * Remove a job watcher connection
+ */
+export function removeJobClient(ws) {
+  jobClients.delete(ws);
+  log.debug(`Job watcher disconnected (${jobClients.size} total)`);
+}
+
+/**
+ * Broadcast a job update to all connected watchers
+ *
+ * @param {Object} job - Job summary (without its result)
+ */
+export function broadcastJobUpdate(job) {
+  if (jobClients.size === 0) return;
+
+  const message = JSON.stringify({
+    type: 'job',
+    payload: job,
+    timestamp: new Date().toISOString()
+  });
+
+  jobClients.forEach(client => {
+    if (client.readyState === 1) { // WebSocket.OPEN
+      try {
+        client.send(message);
+      } catch (err) {
+        log.error('Send error:', err.message);
+      }
+    }
+  });
+}
+
+export default {
+  addJobClient,
+  removeJobClient,
+  broadcastJobUpdate
+};
@@ -0,0 +1,210 @@
+/**
+ * =============================================================================
+ * NOTIFICATIONS.JS - Alert Notification Channels
+ * =============================================================================
+ *
+ * Delivers alert notifications (see telemetry/alerts.js) over:
+ *
+ *   webhook      POST the notification as JSON to the rule's webhookUrl
+ *                (or ALERT_WEBHOOK_URL)
+ *   claude-team  Broadcast a one-line summary to the Claude Team hub
+ *   partner      Push { type: "alert", payload } to connected SCC UI clients
+ *   email        Plain-text mail to the rule's emailTo (or ALERT_EMAIL_TO)
+ *                through SMTP_HOST
+ *
+ * A notification looks like:
+ * {
+ *   "status": "firing",                    // or "resolved"
+ *   "alertId": "alt_...", "occurrences": 1,  // repeated firings grouped into one alert
+ *   "rule": { id, name, type, source, stage, severity },
+ *   "value": 23.5, "threshold": 10,
+ *   "description": "Error rate 23.5% over the last 10 min (threshold 10%)",
+ *   "startedAt": "...", "at": "..."
+ * }
+ *
+ * A channel that fails doesn't stop the others; each send reports its own
+ * outcome.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { broadcast as broadcastToHub, isHubConnected } from './claude-team-client.js';
+import { broadcastAlertToPartners } from './partner-broadcast.js';
+import { sendMail, isValidAddress } from './smtp.js';
+
+// Create logger for this module
+const log = Logger('Notifications');
+
+// Channels a rule can notify
+export const NOTIFICATION_CHANNELS = ['webhook', 'claude-team', 'partner', 'email'];
+
+/**
+ * One-line summary, e.g. "[FIRING] warning: API errors - Error rate 23.5% ..."
+ */
+function formatSummary(notification) {
+  const { status, rule, description } = notification;
+  return `[${status.toUpperCase()}] ${rule.severity}: ${rule.name} - ${description}`;
+}
+
+/**
+ * Plain-text email body
+ */
+function formatEmailBody(notification) {
+  const { alertId, occurrences, rule, value, threshold, startedAt, at } = notification;
+  return [
+    formatSummary(notification),
+    '',
+    ...(alertId ? [`Alert:     ${alertId}${occurrences > 1 ? ` (fired ${occurrences} times)` : ''}`] : []),
+    `Rule:      ${rule.name} (${rule.id})`,
+    `Type:      ${rule.type}`,
+    `Source:    ${rule.source || 'all'}${rule.stage ? ` / ${rule.stage}` : ''}`,
+    `Value:     ${value ?? 'n/a'}`,
+    `Threshold: ${threshold ?? 'n/a'}`,
+    `Since:     ${startedAt}`,
+    `At:        ${at}`,
+    '',
+    '-- Medical Mirror Observer'
+  ].join('\n');
+}
+
+// =============================================================================
+// CHANNELS
+// =============================================================================
+
+async function sendWebhook(notification, rule) {
+  const url = rule.webhookUrl || config.alerts.webhookUrl;
+  if (!url) throw new Error('No webhook URL (set webhookUrl on the rule or ALERT_WEBHOOK_URL)');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(notification),
+    signal: AbortSignal.timeout(config.alerts.webhookTimeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status} ${response.statusText}`);
+  }
+}
+
+async function sendToClaudeTeam(notification) {
+  if (!isHubConnected()) throw new Error('Not connected to the Claude Team hub');
+  if (!broadcastToHub(formatSummary(notification), 'alert')) {
+    throw new Error('Claude Team broadcast failed');
+  }
+}
+
+async function sendToPartners(notification) {
+  // No clients connected is not a failure; there's just nobody to tell
+  broadcastAlertToPartners(notification);
+}
+
+async function sendEmail(notification, rule) {
+  const { smtp } = config.alerts;
+  const to = rule.emailTo?.length ? rule.emailTo : config.alerts.emailTo;
+  if (!smtp.host) throw new Error('SMTP_HOST is not set');
+  if (to.length === 0) throw new Error('No recipients (set emailTo on the rule or ALERT_EMAIL_TO)');
+
+  await sendMail({
+    host: smtp.host,
+    port: smtp.port,
+    from: smtp.from,
+    to,
+    subject: formatSummary(notification),
+    text: formatEmailBody(notification),
+    timeoutMs: smtp.timeoutMs
+  });
+}
+
+const senders = {
+  webhook: sendWebhook,
+  'claude-team': sendToClaudeTeam,
+  partner: sendToPartners,
+  email: sendEmail
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Check per-rule channel targets (rules and test sends)
+ * Only http(s) webhooks, and only addresses that can't break out of an SMTP
+ * command.
+ *
+ * @param {Object} targets - { webhookUrl, emailTo } (null = server default)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateTargets({ webhookUrl = null, emailTo = null }) {
+  if (webhookUrl !== null) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch {
+      url = null;
+    }
+    if (typeof webhookUrl !== 'string' || !url || !['http:', 'https:'].includes(url.protocol)) {
+      return 'webhookUrl must be an http(s) URL';
+    }
+  }
+  if (emailTo !== null && (!Array.isArray(emailTo) || !emailTo.every(isValidAddress))) {
+    return 'emailTo must be an array of email addresses';
+  }
+
+  return null;
+}
+
+/**
+ * Send a notification over one channel
+ *
+ * @param {string} channel - One of NOTIFICATION_CHANNELS
+ * @param {Object} notification - Notification payload (see above)
+ * @param {Object} rule - The rule (for its webhookUrl / emailTo overrides)
+ * @returns {Promise<Object>} { channel, ok, error? } - never rejects
+ */
+export async function sendNotification(channel, notification, rule) {
+  try {
+    await senders[channel](notification, rule);
+    log.debug(`${channel}: sent ${notification.status} for ${rule.name}`);
+    return { channel, ok: true };
+  } catch (err) {
+    log.warn(`${channel}: failed to send ${notification.status} for ${rule.name}`, err.message);
+    return { channel, ok: false, error: err.message };
+  }
+}
+
+/**
+ * Which channels have what they need to send
+ *
+ * @returns {Array} [{ channel, configured, detail }] - webhook and email can
+ *   still be configured per rule when the server defaults are missing
+ */
+export function getChannelStatus() {
+  const { webhookUrl, emailTo, smtp } = config.alerts;
+  return [
+    {
+      channel: 'webhook',
+      configured: !!webhookUrl,
+      detail: webhookUrl ? `Default URL ${webhookUrl}` : 'No ALERT_WEBHOOK_URL; rules must set webhookUrl'
+    },
+    {
+      channel: 'claude-team',
+      configured: isHubConnected(),
+      detail: isHubConnected() ? 'Connected to hub' : 'Not connected to the Claude Team hub'
+    },
+    {
+      channel: 'partner',
+      configured: true,
+      detail: 'Pushed to connected SCC UI clients'
+    },
+    {
+      channel: 'email',
+      configured: !!smtp.host,
+      detail: smtp.host
+        ? `SMTP ${smtp.host}:${smtp.port}${emailTo.length ? `, default recipients ${emailTo.join(', ')}` : ', rules must set emailTo'}`
+        : 'SMTP_HOST is not set'
+    }
+  ];
+}
@@ -40,17 +40,11 @@ export function getPartnerCount() {
 }
 
 /**
- * Broadcast event to all connected partner clients (SCC UI)
+ * Send a serialized message to every open partner client
+ *
+ * @returns {number} Number of clients the message was sent to
  */
-export function broadcastToPartners(event) {
-  if (partnerClients.size === 0) return;
-
-  const message = JSON.stringify({
-    type: 'event',
-    payload: event,
-    timestamp: new Date().toISOString()
-  });
-
+function sendToPartners(message) {
   let sent = 0;
   partnerClients.forEach(client => {
     if (client.readyState === 1) { // WebSocket.OPEN
@@ -62,15 +56,72 @@ export function broadcastToPartners(event) {
       }
     }
   });
+  return sent;
+}
+
+/**
+ * Broadcast event to all connected partner clients (SCC UI)
+ */
+export function broadcastToPartners(event) {
+  if (partnerClients.size === 0) return;
+
+  const message = JSON.stringify({
+    type: 'event',
+    payload: event,
+    timestamp: new Date().toISOString()
+  });
+
+  const sent = sendToPartners(message);
 
   if (sent > 0) {
     log.debug(`Broadcast to ${sent} partner(s): ${event.type || 'event'}`);
   }
 }
 
+/**
+ * Broadcast a batch of events to all connected partner clients in one frame
+ */
+export function broadcastBatchToPartners(events) {
+  if (partnerClients.size === 0 || events.length === 0) return;
+
+  const message = JSON.stringify({
+    type: 'events',
+    payload: events,
+    count: events.length,
+    timestamp: new Date().toISOString()
+  });
+
+  const sent = sendToPartners(message);
+
+  if (sent > 0) {
+    log.debug(`Broadcast batch of ${events.length} event(s) to ${sent} partner(s)`);
+  }
+}
+
+/**
+ * Push an alert notification to all connected partner clients
+ *
+ * @param {Object} alert - Notification payload (see integrations/notifications.js)
+ * @returns {number} Number of clients it was sent to
+ */
+export function broadcastAlertToPartners(alert) {
+  if (partnerClients.size === 0) return 0;
+
+  const sent = sendToPartners(JSON.stringify({
+    type: 'alert',
+    payload: alert,
+    timestamp: new Date().toISOString()
+  }));
+
+  log.debug(`Alert sent to ${sent} partner(s): ${alert.rule?.name || 'alert'}`);
+  return sent;
+}
+
 export default {
   addPartnerClient,
   removePartnerClient,
   getPartnerCount,
-  broadcastToPartners
+  broadcastToPartners,
+  broadcastBatchToPartners,
+  broadcastAlertToPartners
 };
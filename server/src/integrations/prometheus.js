@@ -0,0 +1,245 @@
+/**
+ * =============================================================================
+ * PROMETHEUS.JS - Prometheus Metrics Exposition
+ * =============================================================================
+ *
+ * Collects the metrics served at GET /metrics, in the Prometheus text format:
+ *
+ *   observer_events_ingested_total{source,stage,success}   counter
+ *   observer_event_duration_ms{source,stage}                histogram of the
+ *       duration_ms telemetry reports (PROMETHEUS_DURATION_BUCKETS_MS)
+ *   observer_analysis_jobs_total{provider,analysis_type,status}  counter
+ *   observer_analysis_job_duration_seconds{provider,analysis_type}  histogram
+ *       of job run time (start to finish)
+ *   observer_analysis_jobs{state}                           queued / running
+ *   observer_partner_clients                                SCC UI WebSockets
+ *   observer_claude_team_connected                          1 when the hub
+ *       connection is up
+ *
+ * Counters and histograms start at zero when the server starts (Prometheus
+ * handles the reset); gauges are read at scrape time.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { onEventsStored } from '../storage/index.js';
+import { onJobFinished, getJobCounts } from '../ai/jobs.js';
+import { getPartnerCount } from './partner-broadcast.js';
+import { isHubConnected } from './claude-team-client.js';
+
+// Create logger for this module
+const log = Logger('Prometheus');
+
+// Content type of the text exposition format
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Job run time bucket bounds, in seconds
+const JOB_DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+// =============================================================================
+// METRIC TYPES
+// =============================================================================
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {a="1",b="2"} (empty string when there are none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value (Prometheus spells infinities +Inf / -Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Counter with labels
+ */
+function createCounter(name, help) {
+  const series = new Map();
+
+  return {
+    inc(labels, value = 1) {
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      ];
+    }
+  };
+}
+
+/**
+ * Histogram with labels and fixed bucket bounds
+ */
+function createHistogram(name, help, bounds) {
+  const series = new Map();
+
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: new Array(bounds.length).fill(0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      const index = bounds.findIndex(bound => value <= bound);
+      if (index >= 0) entry.counts[index]++;
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        let cumulative = 0;
+        bounds.forEach((bound, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+/**
+ * Gauge lines for values read at scrape time
+ *
+ * @param {Array} samples - [{ labels, value }]
+ */
+function renderGauge(name, help, samples) {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+  ];
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const eventsIngested = createCounter(
+  'observer_events_ingested_total',
+  'Telemetry events stored, by source, stage and success'
+);
+
+const eventDuration = createHistogram(
+  'observer_event_duration_ms',
+  'duration_ms reported by stored telemetry events, by source and stage',
+  config.prometheus.durationBucketsMs
+);
+
+const jobsFinished = createCounter(
+  'observer_analysis_jobs_total',
+  'Analysis jobs finished, by provider, analysis type and final status'
+);
+
+const jobDuration = createHistogram(
+  'observer_analysis_job_duration_seconds',
+  'Analysis job run time from start to finish, by provider and analysis type',
+  JOB_DURATION_BUCKETS
+);
+
+/**
+ * Count stored events (storage listener)
+ */
+function recordEvents(events) {
+  for (const event of events) {
+    const source = event.source || 'unknown';
+    const stage = event.event?.stage || 'unknown';
+
+    eventsIngested.inc({ source, stage, success: event.event?.success === false ? 'false' : 'true' });
+
+    const duration = event.event?.duration_ms;
+    if (Number.isFinite(duration) && duration >= 0) {
+      eventDuration.observe({ source, stage }, duration);
+    }
+  }
+}
+
+/**
+ * Count a finished job (jobs listener)
+ * The provider is the one that answered when known (after fallbacks or
+ * budget downgrades), otherwise the one requested.
+ */
+function recordJob(job) {
+  const provider = job.options.consensus
+    ? 'consensus'
+    : job.result?.provider || job.options.provider || 'claude';
+  const labels = { provider, analysis_type: job.options.analysisType || 'anomaly' };
+
+  jobsFinished.inc({ ...labels, status: job.status });
+
+  if (job.startedAt && job.finishedAt) {
+    jobDuration.observe(labels, (Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Start collecting ingestion and job metrics (PROMETHEUS_ENABLED)
+ */
+export function initPrometheus() {
+  if (!config.prometheus.enabled) {
+    log.info('Prometheus metrics disabled');
+    return;
+  }
+
+  onEventsStored(recordEvents);
+  onJobFinished(recordJob);
+  log.info('Prometheus metrics enabled at GET /metrics');
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ *
+ * @returns {string} Exposition body
+ */
+export function renderMetrics() {
+  const jobs = getJobCounts();
+
+  return [
+    ...eventsIngested.render(),
+    ...eventDuration.render(),
+    ...jobsFinished.render(),
+    ...jobDuration.render(),
+    ...renderGauge('observer_analysis_jobs', 'Analysis jobs in this process, by state', [
+      { labels: { state: 'queued' }, value: jobs.queued },
+      { labels: { state: 'running' }, value: jobs.running }
+    ]),
+    ...renderGauge('observer_partner_clients', 'Connected partner (SCC UI) WebSocket clients', [
+      { value: getPartnerCount() }
+    ]),
+    ...renderGauge('observer_claude_team_connected', 'Whether the Claude Team hub connection is up (1) or not (0)', [
+      { value: isHubConnected() ? 1 : 0 }
+    ])
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,154 @@
+/**
+ * =============================================================================
+ * SMTP.JS - Minimal SMTP Client for Alert Email
+ * =============================================================================
+ *
+ * Sends one plain-text message per connection:
+ *
+ *   EHLO → MAIL FROM → RCPT TO (each recipient) → DATA → QUIT
+ *
+ * No TLS and no authentication: it is meant for a relay on the local network
+ * or a development sink (MailHog, smtp4dev, `npx maildev`), not for sending
+ * straight to a public mail provider.
+ *
+ * =============================================================================
+ */
+
+import net from 'net';
+import { hostname } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+
+// local@domain with no whitespace, angle brackets or control characters, so
+// an address can't end the SMTP command it's written into
+const ADDRESS_PATTERN = /^[^\s<>@\x00-\x1f\x7f]+@[^\s<>@\x00-\x1f\x7f]+$/;
+
+/**
+ * Check that a string is safe to use as an envelope address
+ *
+ * @param {string} address - Email address
+ * @returns {boolean} True if valid
+ */
+export function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Build the message: headers, blank line, body with CRLF line endings and
+ * leading dots doubled (so a line with a single "." can't end DATA early)
+ */
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${uuidv4()}@${hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} options - { host, port, from, to: string[], subject, text, timeoutMs }
+ * @returns {Promise<Object>} { accepted: string[], response } - response is the
+ *   server's reply to the message (usually includes a queue ID)
+ * @throws {Error} On an invalid address, connection failure, timeout or any
+ *   rejected command (err.code is the SMTP reply code when the server refused)
+ */
+export function sendMail({ host, port = 25, from, to, subject, text, timeoutMs = 10000 }) {
+  return new Promise((resolve, reject) => {
+    const invalid = [from, ...to].find(address => !isValidAddress(address));
+    if (invalid !== undefined) {
+      reject(new Error(`Invalid email address: ${JSON.stringify(invalid)}`));
+      return;
+    }
+
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+    let settled = false;
+    // Set once the server has accepted the message; QUIT is a courtesy after that
+    let delivered = null;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    socket.setEncoding('utf-8');
+    socket.setTimeout(timeoutMs, () => finish(new Error(`SMTP timeout after ${timeoutMs}ms (${host}:${port})`)));
+    socket.on('error', err => finish(new Error(`SMTP connection to ${host}:${port} failed: ${err.message}`)));
+    socket.on('close', () => finish(delivered ? null : new Error('SMTP server closed the connection'), delivered));
+
+    // A reply is complete at a line with a space after the code ("250 OK");
+    // "250-..." lines continue it
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          const reply = { code: parseInt(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') };
+          lines = [];
+          const next = waiting;
+          waiting = null;
+          next?.(reply);
+        }
+      }
+    });
+
+    // Send a command (null = just wait for the next reply) and check the reply code
+    const command = (line, expected) => new Promise((resolveReply, rejectReply) => {
+      waiting = reply => {
+        if (expected.includes(reply.code)) {
+          resolveReply(reply);
+        } else {
+          const err = new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} rejected: ${reply.code} ${reply.text}`);
+          err.code = reply.code;
+          rejectReply(err);
+        }
+      };
+      if (line !== null) socket.write(`${line}\r\n`);
+    });
+
+    (async () => {
+      await command(null, [220]);
+      await command(`EHLO ${hostname()}`, [250]);
+      await command(`MAIL FROM:<${from}>`, [250]);
+      for (const recipient of to) {
+        await command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await command('DATA', [354]);
+      const queued = await command(buildMessage({ from, to, subject, text }).replace(/\r\n$/, ''), [250]);
+      delivered = { accepted: to, response: `${queued.code} ${queued.text}` };
+      await command('QUIT', [221]).catch(() => {});
+      finish(null, delivered);
+    })().catch(err => finish(err));
+  });
+}
@@ -0,0 +1,437 @@
+/**
+ * =============================================================================
+ * ALERTS.JS - Alert Rules API
+ * =============================================================================
+ *
+ * Manage alert rules, the alerts they raise and notification channels:
+ *
+ *   GET    /api/alerts                      - Alert history, newest first
+ *   GET    /api/alerts/:id                  - One alert
+ *   POST   /api/alerts/:id/acknowledge      - Acknowledge a firing alert
+ *   GET    /api/alerts/silences             - Silences
+ *   POST   /api/alerts/silences             - Silence a source/stage/rule for a while
+ *   DELETE /api/alerts/silences/:id         - Expire a silence now
+ *   GET    /api/alerts/rules                - Rules with their current state
+ *   POST   /api/alerts/rules                - Create a rule
+ *   GET/PUT/DELETE /api/alerts/rules/:id    - Read, change or remove a rule
+ *   POST   /api/alerts/rules/:id/evaluate   - Check a rule's condition now
+ *   GET    /api/alerts/channels             - Which channels are configured
+ *   POST   /api/alerts/channels/:channel/test - Send a test notification
+ *
+ * Rules are evaluated on a timer; see telemetry/alerts.js. Alert states,
+ * grouping and silences are in telemetry/alert-lifecycle.js.
+ *
+ * =============================================================================
+ */
+
+import { Router } from 'express';
+import { Logger } from '../utils/logger.js';
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateRuleNow,
+  sendTestNotification,
+  ALERT_SEVERITIES
+} from '../telemetry/alerts.js';
+import {
+  listAlerts,
+  getAlert,
+  acknowledgeAlert,
+  listSilences,
+  createSilence,
+  expireSilence,
+  ALERT_STATUSES
+} from '../telemetry/alert-lifecycle.js';
+import { NOTIFICATION_CHANNELS, getChannelStatus, validateTargets } from '../integrations/notifications.js';
+
+// Create logger for this module
+const log = Logger('Alerts');
+
+// Create Express router
+const router = Router();
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/alerts/rules - List rules, firing first
+ *
+ * Response:
+ * {
+ *   "rules": [{
+ *     "id": "alr_...", "name": "API errors", "type": "error_rate",
+ *     "source": "athena-scraper", "stage": "backend",
+ *     "threshold": 10, "windowMinutes": 10, "minEvents": 10,
+ *     "severity": "warning", "channels": ["partner", "email"], "enabled": true,
+ *     "state": {
+ *       "status": "firing", "value": 23.5, "since": "...", "lastEvaluatedAt": "...",
+ *       "alertId": "alt_...", "error": null,
+ *       "lastNotification": { "status": "firing", "at": "...",
+ *                             "results": [{ "channel": "email", "ok": true }] }
+ *     }
+ *   }]
+ * }
+ */
+router.get('/rules', (req, res, next) => {
+  try {
+    res.json({ rules: listRules() });
+  } catch (err) {
+    log.error('Failed to list alert rules', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/alerts/rules - Create a rule
+ *
+ * Request body:
+ * {
+ *   "type": "error_rate",          // Required - error_rate, no_events,
+ *                                  // stalled_correlations or health_score
+ *   "source": "athena-scraper",    // Required for no_events; otherwise all sources
+ *   "stage": "backend",            // Optional (error_rate, health_score)
+ *   "threshold": 10,               // error_rate: % failed (default 10)
+ *                                  // stalled_correlations: count (default 1)
+ *                                  // health_score: points dropped (default 20)
+ *                                  // no_events: unused
+ *   "windowMinutes": 10,           // Default: 10, 30, 60 and 60 by type
+ *   "minEvents": 10,               // Fewer events in the window never fire (default 10)
+ *   "name": "API errors",          // Optional label
+ *   "severity": "warning",         // info, warning or critical
+ *   "channels": ["partner"],       // webhook, claude-team, partner, email
+ *   "webhookUrl": "http://...",    // Optional - instead of ALERT_WEBHOOK_URL
+ *   "emailTo": ["ops@example.org"],// Optional - instead of ALERT_EMAIL_TO
+ *   "enabled": true
+ * }
+ *
+ * Response (201): the rule
+ */
+router.post('/rules', async (req, res, next) => {
+  try {
+    const { rule, error } = await createRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json(rule);
+  } catch (err) {
+    log.error('Failed to create alert rule', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts/rules/:id - One rule
+ */
+router.get('/rules/:id', (req, res, next) => {
+  try {
+    const rule = getRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(rule);
+  } catch (err) {
+    log.error('Failed to get alert rule', err);
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id - Change a rule (fields as for POST; only those given change)
+ */
+router.put('/rules/:id', async (req, res, next) => {
+  try {
+    const result = await updateRule(req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.rule);
+  } catch (err) {
+    log.error('Failed to update alert rule', err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id - Remove a rule
+ */
+router.delete('/rules/:id', async (req, res, next) => {
+  try {
+    if (!(await deleteRule(req.params.id))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    log.error('Failed to delete alert rule', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/alerts/rules/:id/evaluate - Check a rule's condition now
+ * Doesn't change the rule's state or send notifications.
+ *
+ * Response: { "status": "firing", "value": 23.5, "description": "..." }
+ *   or { "error": "..." } when the condition can't be evaluated
+ */
+router.post('/rules/:id/evaluate', async (req, res, next) => {
+  try {
+    const result = await evaluateRuleNow(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    log.error('Failed to evaluate alert rule', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts/channels - Notification channels and whether each is configured
+ *
+ * Response: { "channels": [{ "channel": "email", "configured": true, "detail": "SMTP ..." }] }
+ */
+router.get('/channels', (req, res, next) => {
+  try {
+    res.json({ channels: getChannelStatus() });
+  } catch (err) {
+    log.error('Failed to get alert channels', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/alerts/channels/:channel/test - Send a test notification
+ *
+ * Request body (optional): { "webhookUrl": "...", "emailTo": ["..."] }
+ * to test those instead of the server defaults
+ *
+ * Response: { "channel": "email", "ok": false, "error": "SMTP_HOST is not set" }
+ */
+router.post('/channels/:channel/test', async (req, res, next) => {
+  try {
+    const { channel } = req.params;
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return res.status(404).json({
+        error: `Unknown channel '${channel}'. Must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`
+      });
+    }
+
+    const { webhookUrl = null, emailTo = null } = req.body || {};
+    const invalid = validateTargets({ webhookUrl, emailTo });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    res.json(await sendTestNotification(channel, { webhookUrl, emailTo }));
+  } catch (err) {
+    log.error('Failed to send test notification', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts/silences - List silences, newest first
+ *
+ * Query parameters:
+ *   - active: "true" for unexpired silences, "false" for expired ones
+ *
+ * Response:
+ * {
+ *   "silences": [{
+ *     "id": "sil_...", "source": "athena-scraper", "stage": null, "ruleId": null,
+ *     "comment": "Deploying", "createdBy": "dana",
+ *     "createdAt": "...", "expiresAt": "...", "active": true
+ *   }]
+ * }
+ */
+router.get('/silences', (req, res, next) => {
+  try {
+    const { active } = req.query;
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({ error: 'active must be "true" or "false"' });
+    }
+
+    res.json({ silences: listSilences({ active: active === undefined ? undefined : active === 'true' }) });
+  } catch (err) {
+    log.error('Failed to list silences', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/alerts/silences - Silence notifications for matching alerts
+ *
+ * Request body:
+ * {
+ *   "source": "athena-scraper",     // At least one of source, stage and ruleId;
+ *   "stage": "backend",             // fields left out match anything
+ *   "ruleId": "alr_...",
+ *   "durationMinutes": 60,          // Or "expiresAt": "2024-01-15T12:00:00Z"
+ *   "comment": "Deploying",         // Optional
+ *   "createdBy": "dana"             // Optional
+ * }
+ *
+ * Response (201): the silence
+ */
+router.post('/silences', async (req, res, next) => {
+  try {
+    const { ruleId } = req.body || {};
+    if (typeof ruleId === 'string' && !getRule(ruleId)) {
+      return res.status(400).json({ error: `Unknown ruleId '${ruleId}'` });
+    }
+
+    const { silence, error } = await createSilence(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json(silence);
+  } catch (err) {
+    log.error('Failed to create silence', err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/alerts/silences/:id - Expire a silence now
+ * It stays listed (inactive) for a week after expiring.
+ *
+ * Response: the silence
+ */
+router.delete('/silences/:id', async (req, res, next) => {
+  try {
+    const silence = await expireSilence(req.params.id);
+    if (!silence) {
+      return res.status(404).json({ error: 'Silence not found' });
+    }
+
+    res.json(silence);
+  } catch (err) {
+    log.error('Failed to expire silence', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts - Alert history, most recently started first
+ *
+ * Query parameters:
+ *   - status: firing, acknowledged or resolved
+ *   - severity: info, warning or critical
+ *   - source / stage / ruleId: Only alerts for these
+ *   - since / until: Only alerts open at some point in this window (ISO strings)
+ *   - limit: Max alerts to return (default 100, max 1000)
+ *   - offset: Pagination offset (default 0)
+ *
+ * Response:
+ * {
+ *   "alerts": [{
+ *     "id": "alt_...", "ruleId": "alr_...", "ruleName": "API errors",
+ *     "type": "error_rate", "source": "athena-scraper", "stage": null,
+ *     "severity": "critical", "status": "acknowledged",
+ *     "value": 23.5, "threshold": 10, "description": "...",
+ *     "startedAt": "...", "lastFiredAt": "...", "occurrences": 2,
+ *     "acknowledgedAt": "...", "acknowledgedBy": "dana", "note": "Looking",
+ *     "resolvedAt": null, "resolvedReason": null, "silencedBy": null,
+ *     "notifications": [{ "status": "firing", "at": "...", "results": [...] }]
+ *   }],
+ *   "total": 1
+ * }
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { status, severity, source, stage, ruleId, since, until, limit = '100', offset = '0' } = req.query;
+
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${ALERT_STATUSES.join(', ')}` });
+    }
+    if (severity && !ALERT_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `Invalid severity. Must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+    }
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date string` });
+      }
+    }
+
+    res.json(listAlerts({
+      status,
+      severity,
+      source,
+      stage,
+      ruleId,
+      since,
+      until,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    }));
+  } catch (err) {
+    log.error('Failed to list alerts', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts/:id - One alert
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const alert = getAlert(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json(alert);
+  } catch (err) {
+    log.error('Failed to get alert', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge - Acknowledge a firing alert
+ * An acknowledged alert that resolves and fires again within
+ * ALERT_GROUP_MINUTES stays acknowledged and doesn't notify again.
+ *
+ * Request body (optional): { "by": "dana", "note": "Looking into it" }
+ *
+ * Response: the alert (409 if it already resolved)
+ */
+router.post('/:id/acknowledge', async (req, res, next) => {
+  try {
+    const { by, note } = req.body || {};
+    for (const [name, value] of [['by', by], ['note', note]]) {
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(400).json({ error: `${name} must be a string` });
+      }
+    }
+
+    const result = await acknowledgeAlert(req.params.id, { by, note });
+    if (!result) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error, alert: getAlert(req.params.id) });
+    }
+
+    res.json(result.alert);
+  } catch (err) {
+    log.error('Failed to acknowledge alert', err);
+    next(err);
+  }
+});
+
+export default router;
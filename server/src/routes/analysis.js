@@ -6,27 +6,78 @@
  * Handles AI-powered analysis of telemetry events:
  *   - GET  /api/analyze           - Get available providers and analysis types
  *   - POST /api/analyze           - Run AI analysis on events
+ *   - POST /api/analyze/dry-run   - Show the redacted prompts an analysis would send
+ *   - POST /api/analyze/jobs      - Queue an analysis in the background
+ *   - GET  /api/analyze/jobs      - List recent analysis jobs
+ *   - GET  /api/analyze/jobs/:id  - Job status, progress and result
+ *   - POST /api/analyze/jobs/:id/cancel - Cancel a queued or running job
+ *   - GET  /api/analyze/templates - Built-in and custom analysis types
+ *   - POST /api/analyze/templates - Create a custom analysis type
+ *   - GET/PUT/DELETE /api/analyze/templates/:id - Read, change or remove one
+ *   - GET  /api/analyze/templates/:id/versions/:version - One past version
+ *   - GET  /api/analyze/schedules - List recurring analyses
+ *   - POST /api/analyze/schedules - Create a recurring analysis
+ *   - GET/PUT/DELETE /api/analyze/schedules/:id - Read, change or remove one
+ *   - POST /api/analyze/schedules/:id/run - Run a schedule now
  *   - GET  /api/analyze/history   - Get past analysis results
+ *   - GET  /api/analyze/usage     - Tokens and estimated cost by day, provider and source
+ *   - DELETE /api/analyze/cache   - Forget cached analyses
  *   - GET  /api/analyze/providers - Check configured AI providers
+ *   - GET  /api/analyze/providers/:provider/models - Models a provider serves
  *
  * Supports multiple AI providers:
  *   - Claude (Anthropic)
  *   - Gemini (Google)
  *   - OpenAI (GPT)
+ *   - OnPrem (self-hosted OpenAI-compatible server)
+ *   - Local (rule-based, works offline)
+ *
+ * Job progress is also pushed over WebSocket on /ws/jobs.
+ * Event data is PHI-redacted before any prompt is built (ai/redaction.js).
  *
  * Analysis types:
  *   - anomaly: Find errors, failures, and concerning patterns
  *   - summary: High-level overview of events
  *   - pattern: Identify behavioral patterns and sequences
  *   - recommendations: Optimization suggestions
+ *   - compare: What changed between a baseline and a candidate window
+ *   - plus any custom types defined via /api/analyze/templates
  *
  * =============================================================================
  */
 
 import { Router } from 'express';
 import { Logger } from '../utils/logger.js';
-import { analyzeEvents, getAvailableProviders, ANALYSIS_TYPES } from '../ai/analyzer.js';
-import { getAnalysisHistory } from '../storage/file-store.js';
+import {
+  analyzeEvents,
+  previewAnalysis,
+  getAvailableProviders,
+  getAllProviders,
+  listProviderModels,
+  resolveConsensusProviders,
+  validateComparison,
+  listAnalysisTypes
+} from '../ai/analyzer.js';
+import { createJob, getJob, listJobs, cancelJob, FINISHED_STATUSES } from '../ai/jobs.js';
+import {
+  listTemplates,
+  getTemplate,
+  getTemplateVersion,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} from '../ai/templates.js';
+import {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow
+} from '../ai/schedules.js';
+import { getUsageReport } from '../ai/usage.js';
+import { clearAnalysisCache } from '../ai/cache.js';
+import { getAnalysisHistory } from '../storage/index.js';
 
 // Create logger for this module
 const log = Logger('Analysis');
@@ -34,6 +85,78 @@ const log = Logger('Analysis');
 // Create Express router
 const router = Router();
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Read analysis options from a request body and check them
+ * Shared by the synchronous endpoint and background jobs.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} { options } or { error: { status, body } }
+ */
+function parseAnalysisRequest(body = {}) {
+  const {
+    provider = 'claude',
+    analysisType = 'anomaly',
+    timeRange,
+    baseline,
+    candidate,
+    filters,
+    maxEvents,
+    saveToFile = true,
+    fallback,
+    consensus,
+    force,
+    attachAnomalies
+  } = body;
+
+  // Validate analysis type
+  if (!listAnalysisTypes().includes(analysisType)) {
+    log.warn(`Invalid analysis type: ${analysisType}`);
+    return {
+      error: {
+        status: 400,
+        body: { error: `Invalid analysisType. Must be one of: ${listAnalysisTypes().join(', ')}` }
+      }
+    };
+  }
+
+  // Compare analyses need both windows
+  if (analysisType === 'compare') {
+    const invalid = validateComparison({ baseline, candidate });
+    if (invalid) {
+      return { error: { status: 400, body: { error: invalid } } };
+    }
+  }
+
+  // Check if provider is available (has API key configured)
+  const available = getAvailableProviders();
+  if (consensus) {
+    try {
+      resolveConsensusProviders(consensus, analysisType);
+    } catch (err) {
+      return { error: { status: 400, body: { error: err.message, available } } };
+    }
+  } else if (!available.includes(provider)) {
+    log.warn(`Provider not available: ${provider}`);
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: `Provider '${provider}' not available. Configure API key or use: ${available.join(', ')}`,
+          available
+        }
+      }
+    };
+  }
+
+  return {
+    options: { provider, analysisType, timeRange, baseline, candidate, filters, maxEvents, saveToFile, fallback, consensus, force, attachAnomalies }
+  };
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -51,23 +174,27 @@ router.get('/', (req, res) => {
 
   res.json({
     availableProviders: providers,
-    analysisTypes: ANALYSIS_TYPES,
+    analysisTypes: listAnalysisTypes(),
     usage: {
       method: 'POST',
       description: 'Run AI analysis on stored events',
       body: {
-        provider: 'claude|gemini|openai (default: claude)',
-        analysisType: 'anomaly|summary|pattern|recommendations (default: anomaly)',
+        provider: `${getAllProviders().join('|')} (default: claude)`,
+        analysisType: 'anomaly|summary|pattern|recommendations|compare or a custom template ID (default: anomaly)',
         timeRange: {
           start: 'ISO date string (optional)',
           end: 'ISO date string (optional)'
         },
+        baseline: 'compare only: { start, end } of the reference window',
+        candidate: 'compare only: { start, end } of the window to check',
         filters: {
           source: 'Filter by source application (optional)',
           stage: 'Filter by pipeline stage (optional)',
           success: 'Filter by success status (optional)'
         },
-        maxEvents: 'Max events to analyze (default: 100)',
+        maxEvents: 'Max events to analyze (default: ANALYSIS_MAX_EVENTS, 1000)',
+        fallback: 'Try AI_FALLBACK_ORDER providers on transient errors (default: true)',
+        consensus: 'true or ["claude","openai"] - merge several providers (anomaly/recommendations)',
         saveToFile: 'Save results to file (default: true)'
       }
     }
@@ -79,81 +206,77 @@ router.get('/', (req, res) => {
  *
  * Request body:
  * {
- *   "provider": "claude",           // AI provider (claude, gemini, openai)
- *   "analysisType": "anomaly",      // Type of analysis
+ *   "provider": "claude",           // AI provider (claude, gemini, openai, onprem, local)
+ *   "analysisType": "anomaly",      // Type of analysis (or a custom template ID)
  *   "timeRange": {                  // Optional date filter
  *     "start": "2024-01-01T00:00:00Z",
  *     "end": "2024-01-31T23:59:59Z"
  *   },
+ *   "baseline": { "start": "...", "end": "..." },  // analysisType "compare" only, instead of
+ *   "candidate": { "start": "...", "end": "..." }, // timeRange: reference window and window to check
  *   "filters": {                    // Optional content filters
  *     "source": "athena-scraper",
  *     "stage": "interceptor",
  *     "success": false
  *   },
- *   "maxEvents": 100,               // Max events to include
+ *   "maxEvents": 1000,              // Max events to include (chunked if over one prompt; per window for compare)
+ *   "fallback": true,               // On 429/5xx/timeouts, try the next AI_FALLBACK_ORDER provider
+ *   "consensus": ["claude", "local"], // Optional - run these (or true = all available) and
+ *                                   // merge findings; replaces "provider"
+ *   "force": false,                 // Run even if these events were already analyzed (cache)
+ *   "attachAnomalies": true,        // Include the statistical detector's anomalies for the window
+ *                                   // (default: ANOMALY_ATTACH_TO_ANALYSES)
  *   "saveToFile": true              // Save results to analysis directory
  * }
  *
  * Response:
  * {
  *   "analysisId": "ana_xxx",
- *   "provider": "claude",
+ *   "provider": "claude",           // Provider that answered ("consensus" in consensus mode)
+ *   "requestedProvider": "openai",  // Only when a fallback answered, with "fallbackAttempts"
  *   "analysisType": "anomaly",
+ *   "template": { "id": "anomaly", "version": null, "builtIn": true },
+ *   "status": "completed",          // "failed" (HTTP 502) if the response never validated
  *   "eventsAnalyzed": 50,
+ *   "comparison": { ... },          // compare only: error rate/latency deltas, new actions and stages
+ *   "validation": { "valid": true, "repairs": 0, "errors": [] },
+ *   "mapReduce": null,              // Or { chunkCount, chunks, failedChunks, mergedBy, provenance }
  *   "result": { ... },
  *   "tokensUsed": { input: N, output: N, total: N },
+ *   "usage": { input: N, output: N, total: N, costUsd: 0.0123, byProvider: [...] },
+ *   "cache": { "hit": false },      // hit: true (with cachedAt) for an earlier analysis of the same events
  *   "durationMs": 1234,
  *   "savedTo": "/path/to/analysis/file.json"
  * }
  */
 router.post('/', async (req, res, next) => {
   try {
-    const {
-      provider = 'claude',
-      analysisType = 'anomaly',
-      timeRange,
-      filters,
-      maxEvents = 100,
-      saveToFile = true
-    } = req.body;
-
-    log.info(`Analysis requested: ${analysisType} via ${provider}`);
-    log.debug('Analysis options', { timeRange, filters, maxEvents, saveToFile });
-
-    // Validate analysis type
-    if (!ANALYSIS_TYPES.includes(analysisType)) {
-      log.warn(`Invalid analysis type: ${analysisType}`);
-      return res.status(400).json({
-        error: `Invalid analysisType. Must be one of: ${ANALYSIS_TYPES.join(', ')}`
-      });
+    const { options, error } = parseAnalysisRequest(req.body);
+    if (error) {
+      return res.status(error.status).json(error.body);
     }
 
-    // Check if provider is available (has API key configured)
-    const available = getAvailableProviders();
-    if (!available.includes(provider)) {
-      log.warn(`Provider not available: ${provider}`);
-      return res.status(400).json({
-        error: `Provider '${provider}' not available. Configure API key or use: ${available.join(', ')}`,
-        available
-      });
-    }
+    const { provider, analysisType, consensus } = options;
+    log.info(`Analysis requested: ${analysisType} via ${consensus ? 'consensus' : provider}`);
+    log.debug('Analysis options', options);
 
     // Run the analysis
     log.info(`Starting ${analysisType} analysis with ${provider}...`);
     const startTime = Date.now();
 
-    const result = await analyzeEvents({
-      provider,
-      analysisType,
-      timeRange,
-      filters,
-      maxEvents,
-      saveToFile
-    });
+    const result = await analyzeEvents(options);
 
     const duration = Date.now() - startTime;
     log.info(`Analysis complete in ${duration}ms, analyzed ${result.eventsAnalyzed} events`);
 
+    // The provider answered, but never in the required format
+    if (result.status === 'failed') {
+      return res.status(502).json({
+        error: `${result.provider} response failed schema validation after ${result.validation.repairs} repair attempt(s)`,
+        ...result
+      });
+    }
+
     res.json(result);
   } catch (err) {
     log.error('Analysis failed', err);
@@ -161,6 +284,377 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/analyze/dry-run - See exactly what an analysis would send
+ *
+ * Request body: same as POST /api/analyze. Nothing is sent to a provider
+ * and nothing is saved.
+ *
+ * Response:
+ * {
+ *   "providers": ["claude"],
+ *   "sentToProvider": true,         // false for providers that run in-process (local)
+ *   "eventsAnalyzed": 50,
+ *   "redaction": { "enabled": true, "eventsRedacted": 12, "fields": { "patientName": 12 },
+ *                  "detections": { "MRN": 3 }, "pseudonyms": 9 },
+ *   "systemPrompt": "...",
+ *   "prompts": [{ "chunk": null, "estimatedTokens": 2100, "prompt": "..." }],
+ *   "reducePromptFollows": false    // true when chunk results are merged in a further call
+ * }
+ */
+router.post('/dry-run', async (req, res, next) => {
+  try {
+    const { options, error } = parseAnalysisRequest(req.body);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const preview = await previewAnalysis(options);
+
+    log.info(`Dry run: ${preview.prompts.length} prompt(s), ${preview.redaction.eventsRedacted || 0} event(s) redacted`);
+
+    res.json(preview);
+  } catch (err) {
+    log.error('Dry run failed', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/analyze/jobs - Queue an analysis to run in the background
+ *
+ * Request body: same as POST /api/analyze
+ *
+ * Response (202): { jobId, status: "queued", job: { ... } }
+ * Then poll GET /api/analyze/jobs/:jobId or watch /ws/jobs for progress.
+ */
+router.post('/jobs', async (req, res, next) => {
+  try {
+    const { options, error } = parseAnalysisRequest(req.body);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const job = await createJob(options);
+
+    res.status(202).json({ jobId: job.id, status: job.status, job });
+  } catch (err) {
+    log.error('Failed to create analysis job', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analyze/jobs - List recent jobs (newest first, without results)
+ *
+ * Query parameters:
+ *   - status: queued|running|completed|failed|cancelled
+ *   - limit: Max jobs (default: 20, max: 100)
+ */
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    res.json({ jobs: await listJobs({ status: req.query.status, limit }) });
+  } catch (err) {
+    log.error('Failed to list analysis jobs', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analyze/jobs/:jobId - Job status and progress
+ *
+ * Response:
+ * {
+ *   "id": "job_xxx",
+ *   "status": "running",            // queued|running|completed|failed|cancelled
+ *   "progress": { "phase": "analyzing", "completed": 3, "total": 9 },
+ *   "options": { ... },             // The analysis request
+ *   "analysisId": null,             // Set when a saved analysis completes
+ *   "error": null,
+ *   "result": null                  // Full analysis result once finished
+ * }
+ */
+router.get('/jobs/:jobId', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+    }
+
+    res.json(job);
+  } catch (err) {
+    log.error(`Failed to get job ${req.params.jobId}`, err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/analyze/jobs/:jobId/cancel - Cancel a job
+ *
+ * Queued jobs are cancelled at once. Running jobs are aborted (202) and
+ * reach "cancelled" when the in-flight provider call stops.
+ * Returns 409 if the job had already finished.
+ */
+router.post('/jobs/:jobId/cancel', async (req, res, next) => {
+  try {
+    const outcome = await cancelJob(req.params.jobId);
+    if (!outcome) {
+      return res.status(404).json({ error: `Job not found: ${req.params.jobId}` });
+    }
+
+    const { job, cancelled } = outcome;
+    if (!cancelled) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job });
+    }
+
+    res.status(FINISHED_STATUSES.includes(job.status) ? 200 : 202).json({ success: true, job });
+  } catch (err) {
+    log.error(`Failed to cancel job ${req.params.jobId}`, err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analyze/templates - List analysis types
+ *
+ * Built-in types first (builtIn: true, version: null), then custom
+ * templates with their current version.
+ *
+ * Response: { templates: [{ id, name, builtIn, version, template, schema, findingsField, defaultFilters }] }
+ */
+router.get('/templates', (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+/**
+ * POST /api/analyze/templates - Create a custom analysis type
+ *
+ * Request body:
+ * {
+ *   "id": "ultrasound-billing",     // Becomes the analysisType value
+ *   "name": "Ultrasound billing compliance",
+ *   "description": "...",
+ *   "template": "Check these events for billing issues...\n\nEVENTS DATA:\n{events}\n\nFormat as JSON:\n{format}",
+ *   "schema": { "type": "object", "required": ["issues"], "properties": { "issues": { "type": "array" } } },
+ *   "findingsField": "issues",      // Optional - default: first array property
+ *   "defaultFilters": { "source": "athena-scraper" }  // Optional
+ * }
+ *
+ * Response (201): the template at version 1
+ */
+router.post('/templates', async (req, res, next) => {
+  try {
+    const { template, error, status } = await createTemplate(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(template);
+  } catch (err) {
+    log.error('Failed to create template', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analyze/templates/:id - A template and its version history
+ * Deleted templates are still returned (with deletedAt).
+ */
+router.get('/templates/:id', (req, res) => {
+  const template = getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+  }
+
+  res.json(template);
+});
+
+/**
+ * GET /api/analyze/templates/:id/versions/:version - One version of a template
+ * The "template" field of an analysis result names the version it ran with.
+ */
+router.get('/templates/:id/versions/:version', (req, res) => {
+  const version = getTemplateVersion(req.params.id, parseInt(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: `Template version not found: ${req.params.id} v${req.params.version}` });
+  }
+
+  res.json(version);
+});
+
+/**
+ * PUT /api/analyze/templates/:id - Change a custom template
+ *
+ * Request body: any POST fields except id; omitted ones keep their values.
+ * Changing template, schema, findingsField or defaultFilters adds a version.
+ */
+router.put('/templates/:id', async (req, res, next) => {
+  try {
+    const outcome = await updateTemplate(req.params.id, req.body);
+    if (!outcome) {
+      return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    }
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json(outcome.template);
+  } catch (err) {
+    log.error(`Failed to update template ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/analyze/templates/:id - Remove a custom analysis type
+ * Its versions are kept so past analyses stay traceable.
+ */
+router.delete('/templates/:id', async (req, res, next) => {
+  try {
+    const outcome = await deleteTemplate(req.params.id);
+    if (!outcome) {
+      return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    }
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    log.error(`Failed to delete template ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analyze/schedules - List recurring analyses
+ *
+ * Response: { schedules: [{ id, source, cron, ..., nextRunAt, lastJob }] }
+ */
+router.get('/schedules', async (req, res, next) => {
+  try {
+    res.json({ schedules: await listSchedules() });
+  } catch (err) {
+    log.error('Failed to list schedules', err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/analyze/schedules - Create a recurring analysis
+ *
+ * Request body:
+ * {
+ *   "source": "athena-scraper",     // Required - events analyzed (filters.source)
+ *   "cron": "0 6 * * *",            // Required - 5 fields or @hourly/@daily/@weekly/@monthly,
+ *                                   // server local time
+ *   "name": "Morning recs",         // Optional label
+ *   "analysisType": "recommendations", // Default: recommendations
+ *   "provider": "claude",           // Or "consensus": [...] as for POST /api/analyze
+ *   "windowHours": 24,              // Analyze events from the last N hours (default: 24)
+ *   "maxEvents": 1000,              // Optional (default: ANALYSIS_MAX_EVENTS)
+ *   "generateReferences": true,     // Refresh the source's shared references (default: true)
+ *   "enabled": true
+ * }
+ *
+ * Response (201): the schedule, including nextRunAt
+ */
+router.post('/schedules', async (req, res, next) => {
+  try {
+    const { schedule, error } = await createSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json(schedule);
+  } catch (err) {
+    log.error('Failed to create schedule', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/analyze/schedules/:id - One schedule and its last job's status
+ */
+router.get('/schedules/:id', async (req, res, next) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    res.json(schedule);
+  } catch (err) {
+    log.error(`Failed to get schedule ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/analyze/schedules/:id - Change a schedule
+ *
+ * Request body: any POST fields; omitted ones keep their values.
+ * Send { "enabled": false } to pause it.
+ */
+router.put('/schedules/:id', async (req, res, next) => {
+  try {
+    const outcome = await updateSchedule(req.params.id, req.body);
+    if (!outcome) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+    if (outcome.error) {
+      return res.status(400).json({ error: outcome.error });
+    }
+
+    res.json(outcome.schedule);
+  } catch (err) {
+    log.error(`Failed to update schedule ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/analyze/schedules/:id - Remove a schedule
+ * Jobs it already queued are left to finish.
+ */
+router.delete('/schedules/:id', async (req, res, next) => {
+  try {
+    if (!await deleteSchedule(req.params.id)) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    log.error(`Failed to delete schedule ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/analyze/schedules/:id/run - Run a schedule now
+ *
+ * Response (202): { jobId, job }
+ * Returns 409 if the schedule's previous job is still queued or running.
+ */
+router.post('/schedules/:id/run', async (req, res, next) => {
+  try {
+    const outcome = await runScheduleNow(req.params.id);
+    if (!outcome) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+    if (!outcome.job) {
+      return res.status(409).json({ error: 'Previous run of this schedule is still in progress' });
+    }
+
+    res.status(202).json({ jobId: outcome.job.id, job: outcome.job });
+  } catch (err) {
+    log.error(`Failed to run schedule ${req.params.id}`, err);
+    next(err);
+  }
+});
+
 /**
  * GET /api/analyze/history - Get past analysis results
  *
@@ -187,16 +681,69 @@ router.get('/history', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/analyze/usage - Token and cost report
+ *
+ * Query parameters:
+ *   - startDate: First day (ISO date, default: first of this month, UTC)
+ *   - endDate: Last day (ISO date, default: today)
+ *
+ * "runs" counts provider runs, so a consensus analysis counts once per member.
+ *
+ * Response:
+ * {
+ *   "startDate": "2026-10-01", "endDate": "2026-10-18",
+ *   "totals": { "runs": 12, "input": 84000, "output": 9100, "total": 93100, "costUsd": 0.3885 },
+ *   "byDay": [{ "date": "2026-10-01", ...totals }],
+ *   "byProvider": [{ "provider": "claude", "model": "claude-sonnet-4-20250514", ...totals }],
+ *   "bySource": [{ "source": "athena-scraper", ...totals }],
+ *   "budget": { "month": "2026-10", "action": "downgrade", "spentUsd": 0.3885,
+ *               "monthlyUsd": 50, "remainingUsd": 49.6115, "exceeded": false, "providers": { ... } }
+ * }
+ */
+router.get('/usage', async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    for (const [name, value] of Object.entries({ startDate, endDate })) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date` });
+      }
+    }
+
+    res.json(await getUsageReport({ startDate, endDate }));
+  } catch (err) {
+    log.error('Failed to build usage report', err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/analyze/cache - Forget cached analyses
+ * The next request for any event set runs the provider again.
+ *
+ * Response: { cleared: N }
+ */
+router.delete('/cache', async (req, res, next) => {
+  try {
+    res.json({ cleared: await clearAnalysisCache() });
+  } catch (err) {
+    log.error('Failed to clear analysis cache', err);
+    next(err);
+  }
+});
+
 /**
  * GET /api/analyze/providers - List available AI providers
  *
  * Returns which AI providers are configured and ready to use.
- * A provider is available if its API key is set in the .env file.
+ * A provider is available if its API key is set in the .env file
+ * (the local rule-based provider needs no key).
  *
  * Response:
  * {
- *   "available": ["claude", "gemini"],  // Providers with API keys
- *   "all": ["claude", "gemini", "openai"],  // All supported providers
+ *   "available": ["claude", "gemini", "local"],  // Providers ready to use
+ *   "all": ["claude", "gemini", "openai", "local"],  // All supported providers
  *   "configured": 2,  // Number configured
  *   "message": "2 provider(s) ready for analysis."
  * }
@@ -208,7 +755,7 @@ router.get('/providers', (req, res) => {
 
   res.json({
     available,
-    all: ['claude', 'gemini', 'openai'],
+    all: getAllProviders(),
     configured: available.length,
     message: available.length === 0
       ? 'No AI providers configured. Add API keys to .env file.'
@@ -216,4 +763,27 @@ router.get('/providers', (req, res) => {
   });
 });
 
+/**
+ * GET /api/analyze/providers/:provider/models - List a provider's models
+ *
+ * Currently supported by "onprem", which asks the self-hosted server's
+ * /v1/models endpoint - handy to confirm the server is reachable.
+ *
+ * Response: { provider: "onprem", models: [{ id, ownedBy }] }
+ */
+router.get('/providers/:provider/models', async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    const models = await listProviderModels(provider);
+
+    log.debug(`${provider} lists ${models.length} model(s)`);
+
+    res.json({ provider, models });
+  } catch (err) {
+    log.error(`Failed to list models for ${req.params.provider}`, err);
+    next(err);
+  }
+});
+
 export default router;
@@ -0,0 +1,148 @@
+/**
+ * =============================================================================
+ * ANOMALIES.JS - Statistical Anomaly API
+ * =============================================================================
+ *
+ * Read access to what the streaming detector has flagged:
+ *
+ *   GET /api/anomalies            - Anomaly records, newest first
+ *   GET /api/anomalies/baselines  - Learned per-source/stage baselines
+ *   GET /api/anomalies/:id        - One anomaly record
+ *
+ * Detection itself runs as events are stored; see telemetry/anomalies.js.
+ *
+ * =============================================================================
+ */
+
+import { Router } from 'express';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import {
+  listAnomalies,
+  getAnomaly,
+  getBaselines,
+  ANOMALY_METRICS,
+  ANOMALY_SEVERITIES
+} from '../telemetry/anomalies.js';
+
+// Create logger for this module
+const log = Logger('Anomalies');
+
+// Create Express router
+const router = Router();
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/anomalies - List anomaly records
+ *
+ * Query parameters:
+ *   - source: Only this source
+ *   - stage: Only this stage (volume anomalies have no stage)
+ *   - metric: error_rate, latency_p95, volume_spike or volume_drop
+ *   - severity: critical or warning
+ *   - ongoing: "true" for anomalies still in progress, "false" for ended ones
+ *   - since / until: Only anomalies overlapping this window (ISO strings)
+ *   - limit: Max records to return (default 100, max 1000)
+ *   - offset: Pagination offset (default 0)
+ *
+ * Response:
+ * {
+ *   "anomalies": [{
+ *     "id": "anm_...", "source": "athena-scraper", "stage": "backend",
+ *     "metric": "error_rate", "severity": "critical",
+ *     "observed": 0.42, "expected": 0.02, "threshold": 0.12,
+ *     "startedAt": "...", "lastSeenAt": "...", "endedAt": null,
+ *     "buckets": 3, "bucketMinutes": 5, "ongoing": true,
+ *     "description": "athena-scraper/backend error rate 42.0% (usually 2.0%, 21/50 failed)"
+ *   }],
+ *   "total": 1,
+ *   "enabled": true
+ * }
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { source, stage, metric, severity, ongoing, since, until, limit = '100', offset = '0' } = req.query;
+
+    if (metric && !ANOMALY_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `Invalid metric. Must be one of: ${ANOMALY_METRICS.join(', ')}` });
+    }
+    if (severity && !ANOMALY_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `Invalid severity. Must be one of: ${ANOMALY_SEVERITIES.join(', ')}` });
+    }
+    if (ongoing !== undefined && ongoing !== 'true' && ongoing !== 'false') {
+      return res.status(400).json({ error: 'ongoing must be "true" or "false"' });
+    }
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date string` });
+      }
+    }
+
+    const result = listAnomalies({
+      source,
+      stage,
+      metric,
+      severity,
+      ongoing: ongoing === undefined ? undefined : ongoing === 'true',
+      since,
+      until,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({ ...result, enabled: config.anomalies.enabled });
+  } catch (err) {
+    log.error('Failed to list anomalies', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/anomalies/baselines - What the detector considers normal
+ *
+ * Query parameters:
+ *   - source: Only this source
+ *
+ * Response:
+ * {
+ *   "baselines": [{
+ *     "source": "athena-scraper",
+ *     "stages": { "backend": { "errorRate": 0.02, "latency": { "p50", "p95", "p99" },
+ *                              "buckets": 40, "warmedUp": true } },
+ *     "volume": [{ "hourOfWeek": 33, "mean": 48.5, "samples": 12, "warmedUp": true }]
+ *   }],
+ *   "settings": { bucketMinutes, ewmaAlpha, warmupBuckets, minSamples, ... }
+ * }
+ */
+router.get('/baselines', (req, res, next) => {
+  try {
+    const { enabled, attachToAnalyses, maxRecords, ...settings } = config.anomalies;
+
+    res.json({ baselines: getBaselines(req.query.source), settings, enabled });
+  } catch (err) {
+    log.error('Failed to get anomaly baselines', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/anomalies/:id - Get one anomaly record
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const anomaly = getAnomaly(req.params.id);
+    if (!anomaly) {
+      return res.status(404).json({ error: `Anomaly not found: ${req.params.id}` });
+    }
+
+    res.json(anomaly);
+  } catch (err) {
+    log.error(`Failed to get anomaly ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+export default router;
@@ -5,30 +5,38 @@
  *
  * Handles all event-related API endpoints:
  *   - POST /api/events      - Receive and store telemetry events
- *   - GET  /api/events      - Query events with filters
+ *   - POST /api/events/batch - Receive many events (JSON array or NDJSON)
+ *   - GET  /api/events      - Query events with filters (cursor pages or NDJSON stream)
  *   - GET  /api/events/stats - Get aggregated statistics
  *   - DELETE /api/events    - Clear all stored events
  *
- * Events are validated against the telemetry schema (protocols/telemetry-schema.json)
- * and stored in daily JSON files via the file-store module.
+ * Events are validated against the telemetry schema (protocols/telemetry-schema.json),
+ * scrubbed with their source's PHI policy (telemetry/scrubbing.js) and stored via
+ * the configured storage backend (storage/index.js). Events with disallowed
+ * identifiers are quarantined instead (see /api/scrubbing).
  *
  * =============================================================================
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
 import { promises as fs } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { Logger } from '../utils/logger.js';
+import { writeStream } from '../utils/stream.js';
 import {
   storeEvent,
+  storeEvents,
   getEvents,
+  streamEvents,
   getStats,
   clearEvents
-} from '../storage/file-store.js';
-import { broadcastToPartners } from '../integrations/partner-broadcast.js';
+} from '../storage/index.js';
+import { scrubEvent } from '../telemetry/scrubbing.js';
+import { quarantineEvent } from '../telemetry/quarantine.js';
+import { broadcastToPartners, broadcastBatchToPartners } from '../integrations/partner-broadcast.js';
 
 // Create logger for this module
 const log = Logger('Events');
@@ -74,6 +82,60 @@ async function loadSchema() {
 // Load schema on module initialization
 loadSchema();
 
+/**
+ * Validate a single telemetry event
+ * Applies the JSON schema when loaded, then the basic required-field check
+ *
+ * @param {Object} telemetry - Candidate telemetry event
+ * @returns {Object|null} { error, details } if invalid, null if valid
+ */
+function validateEvent(telemetry) {
+  if (validateTelemetry && !validateTelemetry(telemetry)) {
+    return {
+      error: 'Invalid telemetry format',
+      details: validateTelemetry.errors
+    };
+  }
+
+  // Basic validation (fallback if schema not loaded)
+  if (!telemetry?.type || !telemetry.source || !telemetry.event) {
+    return {
+      error: 'Missing required fields: type, source, event'
+    };
+  }
+
+  return null;
+}
+
+// Maximum number of events accepted in one batch request
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Extract batch items from a request body
+ * Accepts a JSON array, { "events": [...] }, or an NDJSON text body
+ *
+ * @param {Object|Array|string} body - Parsed request body
+ * @returns {Array|null} [{ telemetry } | { parseError }], or null if the body has no items
+ */
+function parseBatchBody(body) {
+  if (typeof body === 'string') {
+    // NDJSON: one telemetry event per non-empty line
+    return body
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return { telemetry: JSON.parse(line) };
+        } catch (err) {
+          return { parseError: `Invalid JSON: ${err.message}` };
+        }
+      });
+  }
+
+  const items = Array.isArray(body) ? body : body?.events;
+  return Array.isArray(items) ? items.map(telemetry => ({ telemetry })) : null;
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -94,7 +156,13 @@ loadSchema();
  *   }
  * }
  *
+ * Optional top-level "idempotencyKey" (or "eventId"): a resend with the same
+ * key from the same source within the dedupe window is not stored again.
+ *
  * Response: { success: true, eventId: "evt_xxx", storedAt: "ISO date" }
+ * Duplicate (200): { success: true, eventId: "<original>", storedAt: "...", duplicate: true }
+ * Quarantined (202): { success: true, quarantined: true, quarantineId: "q_xxx",
+ *                      reasons: [{ detector: "mrn", path: "event.data.note" }] }
  */
 router.post('/', async (req, res, next) => {
   try {
@@ -106,31 +174,47 @@ router.post('/', async (req, res, next) => {
       action: telemetry.event?.action
     });
 
-    // Validate against JSON schema if loaded
-    if (validateTelemetry && !validateTelemetry(telemetry)) {
-      log.warn('Schema validation failed', validateTelemetry.errors);
-      return res.status(400).json({
-        error: 'Invalid telemetry format',
-        details: validateTelemetry.errors
-      });
+    // Validate against JSON schema (or basic checks if schema not loaded)
+    const invalid = validateEvent(telemetry);
+    if (invalid) {
+      log.warn(`Validation failed: ${invalid.error}`, invalid.details);
+      return res.status(400).json(invalid);
     }
 
-    // Basic validation (fallback if schema not loaded)
-    if (!telemetry.type || !telemetry.source || !telemetry.event) {
-      log.warn('Basic validation failed - missing required fields');
-      return res.status(400).json({
-        error: 'Missing required fields: type, source, event'
-      });
+    // Apply the source's PHI policy; disallowed identifiers go to quarantine
+    // unless the event was already stored (a retry of a released one)
+    const scrubbed = await scrubEvent(telemetry);
+    let result;
+    if (scrubbed.reasons.length > 0) {
+      result = await quarantineEvent(scrubbed.telemetry, scrubbed.reasons);
+      if (!result.eventId) {
+        return res.status(202).json({
+          success: true,
+          quarantined: true,
+          quarantineId: result.id,
+          reasons: result.reasons
+        });
+      }
+    } else {
+      // Store the event (a retried idempotencyKey returns the original)
+      result = await storeEvent(scrubbed.telemetry);
     }
 
-    // Store the event
-    const result = await storeEvent(telemetry);
+    if (result.duplicate) {
+      log.info(`Duplicate submission from ${telemetry.source}, original ${result.eventId}`);
+      return res.status(200).json({
+        success: true,
+        eventId: result.eventId,
+        storedAt: result.storedAt,
+        duplicate: true
+      });
+    }
 
     log.info(`Stored event ${result.eventId} from ${telemetry.source}`);
 
     // Broadcast to connected SCC UI partners
     broadcastToPartners({
-      ...telemetry,
+      ...scrubbed.telemetry,
       id: result.eventId,
       receivedAt: result.storedAt
     });
@@ -146,6 +230,139 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/events/batch - Receive and store many telemetry events
+ *
+ * Request body (Content-Type: application/json):
+ *   [ { telemetry }, { telemetry }, ... ]   or   { "events": [ ... ] }
+ *
+ * Request body (Content-Type: application/x-ndjson):
+ *   One telemetry event per line
+ *
+ * Each item is validated and scrubbed on its own. Valid items are stored in
+ * a single write and broadcast to partners in a single frame; quarantined
+ * items count as accepted and invalid items are reported without failing
+ * the rest of the batch.
+ *
+ * Response (201 all stored, 207 some rejected, 400 none stored):
+ * {
+ *   "success": true,
+ *   "accepted": 3,
+ *   "rejected": 1,
+ *   "quarantined": 1,
+ *   "results": [
+ *     { "index": 0, "success": true, "eventId": "evt_xxx", "storedAt": "ISO date" },
+ *     { "index": 1, "success": true, "eventId": "evt_yyy", "storedAt": "...", "duplicate": true },
+ *     { "index": 2, "success": true, "quarantined": true, "quarantineId": "q_xxx", "reasons": [...] },
+ *     { "index": 3, "success": false, "error": "Invalid telemetry format", "details": [...] },
+ *     ...
+ *   ]
+ * }
+ */
+router.post(
+  '/batch',
+  express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '10mb' }),
+  async (req, res, next) => {
+    try {
+      const items = parseBatchBody(req.body);
+
+      if (!items) {
+        log.warn('Batch rejected - body is not an array, { events }, or NDJSON');
+        return res.status(400).json({
+          error: 'Batch body must be a JSON array, { "events": [...] }, or NDJSON'
+        });
+      }
+
+      if (items.length === 0) {
+        return res.status(400).json({ error: 'Batch contains no events' });
+      }
+
+      if (items.length > MAX_BATCH_SIZE) {
+        log.warn(`Batch rejected - ${items.length} items exceeds ${MAX_BATCH_SIZE}`);
+        return res.status(413).json({
+          error: `Batch too large: ${items.length} items (max ${MAX_BATCH_SIZE})`
+        });
+      }
+
+      log.debug(`Received batch of ${items.length} event(s)`);
+
+      // Validate every item, keeping per-item results in input order
+      const results = [];
+      const valid = [];
+
+      items.forEach((item, index) => {
+        const invalid = item.parseError
+          ? { error: item.parseError }
+          : validateEvent(item.telemetry);
+
+        if (invalid) {
+          results.push({ index, success: false, ...invalid });
+        } else {
+          const result = { index, success: true };
+          results.push(result);
+          valid.push({ telemetry: item.telemetry, result });
+        }
+      });
+
+      // Scrub valid items; those with disallowed identifiers are quarantined
+      const toStore = [];
+      let quarantined = 0;
+
+      for (const v of valid) {
+        const scrubbed = await scrubEvent(v.telemetry);
+        if (scrubbed.reasons.length > 0) {
+          const entry = await quarantineEvent(scrubbed.telemetry, scrubbed.reasons);
+          if (entry.eventId) {
+            // A retry of an event stored since
+            Object.assign(v.result, { eventId: entry.eventId, storedAt: entry.storedAt, duplicate: true });
+          } else {
+            Object.assign(v.result, { quarantined: true, quarantineId: entry.id, reasons: entry.reasons });
+            quarantined++;
+          }
+        } else {
+          toStore.push({ telemetry: scrubbed.telemetry, result: v.result });
+        }
+      }
+
+      // Store all remaining events in one write
+      if (toStore.length > 0) {
+        const stored = await storeEvents(toStore.map(v => v.telemetry));
+
+        stored.forEach(({ eventId, storedAt, duplicate }, i) => {
+          Object.assign(toStore[i].result, { eventId, storedAt }, duplicate && { duplicate });
+        });
+
+        // Broadcast newly stored events to SCC UI partners as a single frame
+        broadcastBatchToPartners(toStore
+          .filter((v, i) => !stored[i].duplicate)
+          .map(v => ({
+            ...v.telemetry,
+            id: v.result.eventId,
+            receivedAt: v.result.storedAt
+          })));
+      }
+
+      const accepted = valid.length;
+      const rejected = items.length - accepted;
+
+      log.info(`Stored batch: ${accepted} accepted (${quarantined} quarantined), ${rejected} rejected`);
+
+      const status = rejected === 0 ? 201 : accepted > 0 ? 207 : 400;
+
+      res.status(status).json({
+        success: accepted > 0,
+        accepted,
+        rejected,
+        quarantined,
+        results
+      });
+    } catch (err) {
+      log.error('Failed to store event batch', err);
+      next(err);
+    }
+  }
+);
+
 /**
  * GET /api/events - Query stored events with filters
  *
@@ -153,12 +370,18 @@ router.post('/', async (req, res, next) => {
  *   - source: Filter by source application (e.g., "athena-scraper")
  *   - stage: Filter by pipeline stage (e.g., "interceptor")
  *   - success: Filter by success status ("true" or "false")
+ *   - correlationId: Filter by correlation ID
  *   - startDate: Start of date range (ISO string)
  *   - endDate: End of date range (ISO string)
  *   - limit: Max events to return (default 100, max 1000)
- *   - offset: Pagination offset (default 0)
+ *   - cursor: nextCursor from the previous page (stable under new inserts)
+ *   - offset: Pagination offset (default 0, ignored when cursor is given)
+ *   - includeTotal: "false" to skip counting total (pages return sooner)
+ *   - format: "ndjson" to stream every matching event, one per line
  *
- * Response: { events: [...], total: N, limit: N, offset: N }
+ * Response: { events: [...], total: N, limit: N, offset: N, nextCursor: "..." | null }
+ * total is null with includeTotal=false
+ * With format=ndjson: application/x-ndjson stream, newest first
  */
 router.get('/', async (req, res, next) => {
   try {
@@ -166,22 +389,29 @@ router.get('/', async (req, res, next) => {
       source,
       stage,
       success,
+      correlationId,
       startDate,
       endDate,
       limit = '100',
-      offset = '0'
+      offset = '0',
+      cursor,
+      includeTotal,
+      format
     } = req.query;
 
-    log.debug('Query events', { source, stage, success, startDate, endDate });
+    log.debug('Query events', { source, stage, success, correlationId, startDate, endDate, cursor, format });
 
     // Build query options
     const options = {
       source,
       stage,
+      correlationId,
       startDate,
       endDate,
       limit: Math.min(parseInt(limit) || 100, 1000), // Cap at 1000
-      offset: parseInt(offset) || 0
+      offset: parseInt(offset) || 0,
+      cursor,
+      includeTotal: includeTotal !== 'false'
     };
 
     // Parse success boolean from query string
@@ -189,9 +419,16 @@ router.get('/', async (req, res, next) => {
       options.success = success === 'true';
     }
 
+    if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      const written = await writeStream(res, toNdjsonLines(streamEvents(options)));
+      log.debug(`Streamed ${written} events`);
+      return;
+    }
+
     const result = await getEvents(options);
 
-    log.debug(`Returning ${result.events.length} of ${result.total} events`);
+    log.debug(`Returning ${result.events.length} events${result.total !== null ? ` of ${result.total}` : ''}`);
 
     res.json(result);
   } catch (err) {
@@ -200,6 +437,18 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * Serialize a stream of events as NDJSON lines
+ *
+ * @param {AsyncIterable<Object>} events - Events to serialize
+ * @yields {string} One JSON document per line
+ */
+async function* toNdjsonLines(events) {
+  for await (const event of events) {
+    yield JSON.stringify(event) + '\n';
+  }
+}
+
 /**
  * GET /api/events/stats - Get aggregated statistics
  *
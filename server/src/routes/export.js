@@ -4,12 +4,15 @@
  * =============================================================================
  *
  * Handles exporting telemetry events for external analysis:
- *   - GET /api/export - Download events as JSON or CSV
+ *   - GET /api/export - Download events as JSON, NDJSON or CSV
  *
  * Export formats:
  *   - JSON: Full event data with metadata
+ *   - NDJSON: One event per line, for streaming into other tools
  *   - CSV: Flattened tabular format for spreadsheets
  *
+ * Exports are streamed from storage, so they work for any number of events.
+ *
  * Supports filtering by:
  *   - source: Application name
  *   - stage: Pipeline stage
@@ -21,7 +24,8 @@
 
 import { Router } from 'express';
 import { Logger } from '../utils/logger.js';
-import { getEvents } from '../storage/file-store.js';
+import { streamEvents } from '../storage/index.js';
+import { writeStream } from '../utils/stream.js';
 
 // Create logger for this module
 const log = Logger('Export');
@@ -34,10 +38,10 @@ const router = Router();
 // =============================================================================
 
 /**
- * GET /api/export - Export events as JSON or CSV
+ * GET /api/export - Export events as JSON, NDJSON or CSV
  *
  * Query parameters:
- *   - format: Output format ('json' or 'csv', default: 'json')
+ *   - format: Output format ('json', 'ndjson' or 'csv', default: 'json')
  *   - source: Filter by source application
  *   - stage: Filter by pipeline stage
  *   - success: Filter by success status ('true' or 'false')
@@ -49,6 +53,7 @@ const router = Router();
  * Examples:
  *   GET /api/export?format=json
  *   GET /api/export?format=csv&source=athena-scraper
+ *   GET /api/export?format=ndjson&stage=interceptor
  *   GET /api/export?format=json&startDate=2024-01-01&endDate=2024-01-31
  */
 router.get('/', async (req, res, next) => {
@@ -64,14 +69,12 @@ router.get('/', async (req, res, next) => {
 
     log.info(`Export requested: format=${format}`, { source, stage, success, startDate, endDate });
 
-    // Build query options (high limit for full export)
+    // Build query options (no limit - every matching event is streamed)
     const options = {
       source,
       stage,
       startDate,
-      endDate,
-      limit: 100000, // High limit to get all matching events
-      offset: 0
+      endDate
     };
 
     // Parse success boolean
@@ -79,37 +82,33 @@ router.get('/', async (req, res, next) => {
       options.success = success === 'true';
     }
 
-    // Fetch all matching events
-    const result = await getEvents(options);
-    const events = result.events;
-
-    log.info(`Exporting ${events.length} events as ${format.toUpperCase()}`);
-
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `medical-mirror-export-${timestamp}`;
 
+    // Events are streamed from storage, so exports of any size use bounded memory
+    const events = streamEvents(options);
+    let chunks;
+
     if (format === 'csv') {
       // CSV Export
-      const csv = eventsToCSV(events);
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
-      res.send(csv);
-      log.debug('CSV export sent');
+      chunks = eventsToCSV(events);
+    } else if (format === 'ndjson') {
+      // NDJSON Export (one event per line)
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.ndjson"`);
+      chunks = eventsToNDJSON(events);
     } else {
       // JSON Export (default)
-      const exportData = {
-        exportedAt: new Date().toISOString(),
-        totalEvents: events.length,
-        filters: { source, stage, success, startDate, endDate },
-        events
-      };
-
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
-      res.json(exportData);
-      log.debug('JSON export sent');
+      chunks = eventsToJSON(events, { source, stage, success, startDate, endDate });
     }
+
+    const written = await writeStream(res, chunks);
+    log.info(`Export sent as ${format.toUpperCase()} (${written} chunk(s))`);
   } catch (err) {
     log.error('Export failed', err);
     next(err);
@@ -121,13 +120,49 @@ router.get('/', async (req, res, next) => {
 // =============================================================================
 
 /**
- * Convert events array to CSV format
+ * Stream events as a JSON export document
+ *
+ * The event array is written element by element; totalEvents comes after
+ * it because the count is only known once the stream is exhausted.
+ *
+ * @param {AsyncIterable} events - Events to export
+ * @param {Object} filters - Filters echoed into the export
+ * @yields {string} JSON text chunks
+ */
+async function* eventsToJSON(events, filters) {
+  yield `{"exportedAt":${JSON.stringify(new Date().toISOString())},` +
+        `"filters":${JSON.stringify(filters)},"events":[`;
+
+  let count = 0;
+  for await (const event of events) {
+    yield (count > 0 ? ',' : '') + JSON.stringify(event);
+    count++;
+  }
+
+  yield `],"totalEvents":${count}}`;
+  log.debug(`JSON export streamed ${count} events`);
+}
+
+/**
+ * Stream events as NDJSON lines
+ *
+ * @param {AsyncIterable} events - Events to export
+ * @yields {string} One JSON document per line
+ */
+async function* eventsToNDJSON(events) {
+  for await (const event of events) {
+    yield JSON.stringify(event) + '\n';
+  }
+}
+
+/**
+ * Convert events to CSV format
  *
  * Flattens the nested event structure into a tabular format.
  * Handles special characters and proper CSV escaping.
  *
- * @param {Array} events - Array of event objects
- * @returns {string} CSV formatted string
+ * @param {AsyncIterable} events - Events to export
+ * @yields {string} CSV lines (header first)
  *
  * CSV Columns:
  *   - id: Event ID
@@ -142,13 +177,7 @@ router.get('/', async (req, res, next) => {
  *   - correlationId: Cross-event correlation ID
  *   - data: Event data as JSON string
  */
-function eventsToCSV(events) {
-  // Handle empty export
-  if (events.length === 0) {
-    log.debug('No events to export');
-    return 'No events to export';
-  }
-
+async function* eventsToCSV(events) {
   // Define CSV column headers
   const headers = [
     'id',
@@ -164,10 +193,30 @@ function eventsToCSV(events) {
     'data'
   ];
 
-  // Map events to row arrays (flatten nested structure)
-  const rows = events.map(e => {
+  /**
+   * Escape a value for CSV format
+   * Wraps in quotes if contains comma, quote, or newline
+   * Doubles up any quotes within the value
+   */
+  const escapeCSV = (val) => {
+    const str = String(val);
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  };
+
+  let count = 0;
+
+  for await (const e of events) {
+    // Header goes out with the first row so an empty export stays a plain message
+    if (count === 0) {
+      yield headers.join(',');
+    }
+
+    // Flatten nested structure into one row
     const event = e.event || {};
-    return [
+    const row = [
       e.id || '',
       e.receivedAt || '',
       e.type || '',
@@ -181,30 +230,19 @@ function eventsToCSV(events) {
       // Stringify data object, escape quotes for CSV
       event.data ? JSON.stringify(event.data).replace(/"/g, '""') : ''
     ];
-  });
 
-  /**
-   * Escape a value for CSV format
-   * Wraps in quotes if contains comma, quote, or newline
-   * Doubles up any quotes within the value
-   */
-  const escapeCSV = (val) => {
-    const str = String(val);
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-      return `"${str.replace(/"/g, '""')}"`;
-    }
-    return str;
-  };
-
-  // Build CSV lines (header + data rows)
-  const csvLines = [
-    headers.join(','),
-    ...rows.map(row => row.map(escapeCSV).join(','))
-  ];
+    yield '\n' + row.map(escapeCSV).join(',');
+    count++;
+  }
 
-  log.debug(`Generated CSV with ${csvLines.length - 1} data rows`);
+  // Handle empty export
+  if (count === 0) {
+    log.debug('No events to export');
+    yield 'No events to export';
+    return;
+  }
 
-  return csvLines.join('\n');
+  log.debug(`Generated CSV with ${count} data rows`);
 }
 
 export default router;
@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ * METRICS.JS - Time-Series Metrics API
+ * =============================================================================
+ *
+ * Event trends for charts, answered from rollups instead of raw events:
+ *
+ *   GET /api/metrics/series - Counts, failures and latency per time bucket
+ *
+ * Rollups are maintained as events are stored; see telemetry/rollups.js.
+ *
+ * =============================================================================
+ */
+
+import { Router } from 'express';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { getSeries, validateSeriesQuery } from '../telemetry/rollups.js';
+
+// Create logger for this module
+const log = Logger('Metrics');
+
+// Create Express router
+const router = Router();
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/metrics/series - Time series of event metrics
+ *
+ * Query parameters:
+ *   - bucket: minute, hour (default) or day
+ *   - source / stage / action: Only events matching these
+ *   - groupBy: Comma-separated (or repeated) fields to split series by
+ *              (source, stage, action); default: one series for everything matching
+ *   - start / end: Range (ISO strings; default: the last 60 minutes,
+ *                  48 hours or 30 days, depending on bucket)
+ *
+ * Response:
+ * {
+ *   "bucket": "hour",
+ *   "start": "...", "end": "...",
+ *   "groupBy": ["stage"],
+ *   "series": [{
+ *     "labels": { "stage": "backend" },
+ *     "totals": { count, failures, errorRate, avgMs, p50, p95, p99, maxMs },
+ *     "points": [{ "t": "2024-01-15T10:00:00.000Z", "count": 120, "failures": 3,
+ *                  "errorRate": 0.025, "avgMs": 180, "p50": 140, "p95": 610,
+ *                  "p99": 1200, "maxMs": 2300 }]
+ *   }]
+ * }
+ *
+ * Percentiles are estimated from log-scale histograms (within ~12%).
+ */
+router.get('/series', (req, res, next) => {
+  try {
+    if (!config.rollups.enabled) {
+      return res.status(404).json({ error: 'Rollups are disabled (ROLLUPS_ENABLED=false)' });
+    }
+
+    const { source, stage, action, bucket = 'hour', start, end } = req.query;
+    // groupBy may repeat (?groupBy=stage&groupBy=source) as well as list fields
+    const groupByParams = [].concat(req.query.groupBy ?? []);
+    if (!groupByParams.every(value => typeof value === 'string')) {
+      return res.status(400).json({ error: 'groupBy must be a comma-separated list of fields' });
+    }
+    const groupBy = groupByParams.join(',').split(',').map(field => field.trim()).filter(Boolean);
+
+    const invalid = validateSeriesQuery({ bucket, start, end, groupBy });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    res.json(getSeries({ source, stage, action, bucket, start, end, groupBy }));
+  } catch (err) {
+    log.error('Failed to get metric series', err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+/**
+ * =============================================================================
+ * PIPELINES.JS - Expected Pipeline Definitions API
+ * =============================================================================
+ *
+ * Lets a source register the stage sequence every correlationId should pass
+ * through, so stalled and skipped journeys are flagged by the server:
+ *
+ *   GET    /api/pipelines          - Effective definitions for all sources
+ *   GET    /api/pipelines/stats    - Completeness stats per source
+ *   GET    /api/pipelines/:source  - Definition for one source
+ *   PUT    /api/pipelines/:source  - Register or replace a definition
+ *   DELETE /api/pipelines/:source  - Remove a registration
+ *
+ * Definitions and checks live in telemetry/pipelines.js.
+ *
+ * =============================================================================
+ */
+
+import { Router } from 'express';
+import { Logger } from '../utils/logger.js';
+import {
+  getPipelines,
+  getPipeline,
+  validatePipeline,
+  savePipeline,
+  deletePipeline
+} from '../telemetry/pipelines.js';
+import { getCompletenessStats } from '../telemetry/traces.js';
+
+// Create logger for this module
+const log = Logger('Pipelines');
+
+// Create Express router
+const router = Router();
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/pipelines - List effective definitions
+ *
+ * Response:
+ * {
+ *   "pipelines": {
+ *     "athena-scraper": {
+ *       "source": "athena-scraper",
+ *       "stages": ["interceptor", "injector", "background", "backend", "fhir-converter"],
+ *       "builtIn": true
+ *     }
+ *   }
+ * }
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.json({ pipelines: await getPipelines() });
+  } catch (err) {
+    log.error('Failed to list pipelines', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/pipelines/stats - Completeness stats per source
+ *
+ * Query parameters:
+ *   - source: Only this source
+ *   - startDate: Window start (ISO string, default: last TRACE_WINDOW_HOURS)
+ *   - endDate: Window end (ISO string)
+ *
+ * Response: { startDate, endDate, sources: { [source]: { traces, complete,
+ *             stalled, skipped, completionRate, stalledAfter, skippedStages, ... } } }
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    const { source, startDate, endDate } = req.query;
+
+    res.json(await getCompletenessStats({ source, startDate, endDate }));
+  } catch (err) {
+    log.error('Failed to get pipeline stats', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/pipelines/:source - Get the definition for one source
+ */
+router.get('/:source', async (req, res, next) => {
+  try {
+    const { source } = req.params;
+
+    const pipeline = await getPipeline(source);
+    if (!pipeline) {
+      return res.status(404).json({ error: `No pipeline defined for source: ${source}` });
+    }
+
+    res.json(pipeline);
+  } catch (err) {
+    log.error(`Failed to get pipeline for ${req.params.source}`, err);
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/pipelines/:source - Register the expected stage sequence
+ *
+ * Request body:
+ * {
+ *   "stages": ["interceptor", "injector", "background", "backend", "fhir-converter"],
+ *   "stallTimeoutMs": 300000   // Optional - defaults to PIPELINE_STALL_TIMEOUT_MS
+ * }
+ */
+router.put('/:source', async (req, res, next) => {
+  try {
+    const { source } = req.params;
+
+    const invalid = validatePipeline(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const pipeline = await savePipeline(source, req.body);
+
+    res.json({ success: true, pipeline });
+  } catch (err) {
+    log.error(`Failed to save pipeline for ${req.params.source}`, err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/pipelines/:source - Remove a registration
+ * A built-in default for the source (if any) applies again afterwards.
+ */
+router.delete('/:source', async (req, res, next) => {
+  try {
+    const { source } = req.params;
+
+    const deleted = await deletePipeline(source);
+    if (!deleted) {
+      return res.status(404).json({ error: `No registered pipeline for source: ${source}` });
+    }
+
+    res.json({ success: true, source, pipeline: await getPipeline(source) });
+  } catch (err) {
+    log.error(`Failed to delete pipeline for ${req.params.source}`, err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,244 @@
+/**
+ * =============================================================================
+ * SCRUBBING.JS - Ingestion Scrubbing Policies and Quarantine API
+ * =============================================================================
+ *
+ * Manages the PHI policies applied to incoming events and the events they
+ * held back for review:
+ *
+ *   GET    /api/scrubbing/policies                  - Effective policies ("*" and registered sources)
+ *   GET    /api/scrubbing/policies/:source          - Effective policy for one source
+ *   PUT    /api/scrubbing/policies/:source          - Register or replace a policy
+ *   DELETE /api/scrubbing/policies/:source          - Remove a registration
+ *   GET    /api/scrubbing/quarantine                - Quarantined events, newest first
+ *   GET    /api/scrubbing/quarantine/:id            - One quarantined event
+ *   POST   /api/scrubbing/quarantine/:id/release    - Store it as a normal event
+ *   DELETE /api/scrubbing/quarantine/:id            - Discard it
+ *
+ * Policies and scrubbing live in telemetry/scrubbing.js, the quarantine in
+ * telemetry/quarantine.js.
+ *
+ * =============================================================================
+ */
+
+import { Router } from 'express';
+import { Logger } from '../utils/logger.js';
+import {
+  getPolicies,
+  getPolicy,
+  validatePolicy,
+  savePolicy,
+  deletePolicy
+} from '../telemetry/scrubbing.js';
+import {
+  listQuarantine,
+  getQuarantined,
+  releaseQuarantined,
+  discardQuarantined,
+  RELEASE_MODES
+} from '../telemetry/quarantine.js';
+import { broadcastToPartners } from '../integrations/partner-broadcast.js';
+
+// Create logger for this module
+const log = Logger('Scrubbing');
+
+// Create Express router
+const router = Router();
+
+// =============================================================================
+// POLICY ROUTES
+// =============================================================================
+
+/**
+ * GET /api/scrubbing/policies - List effective policies
+ *
+ * Response:
+ * {
+ *   "policies": {
+ *     "*": { "source": "*", "enabled": true, "fields": { "patientname": "hash", ... },
+ *            "detectors": { "mrn": "quarantine", ... }, "builtIn": true },
+ *     "athena-scraper": { ... }
+ *   }
+ * }
+ */
+router.get('/policies', async (req, res, next) => {
+  try {
+    res.json({ policies: await getPolicies() });
+  } catch (err) {
+    log.error('Failed to list scrubbing policies', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/scrubbing/policies/:source - Effective policy for one source
+ * Sources without a registration get the "*" policy (builtIn: true).
+ */
+router.get('/policies/:source', async (req, res, next) => {
+  try {
+    res.json(await getPolicy(req.params.source));
+  } catch (err) {
+    log.error(`Failed to get scrubbing policy for ${req.params.source}`, err);
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/scrubbing/policies/:source - Register a source's policy
+ * Rules are merged over the "*" policy; use source "*" to change the default.
+ *
+ * Request body (all optional):
+ * {
+ *   "enabled": true,
+ *   "fields": { "insuranceId": "hash", "notes": "drop", "patientName": "keep" },
+ *   "detectors": { "name": "quarantine", "phone": "allow" }
+ * }
+ *
+ * Field actions: drop | mask | hash | keep
+ * Detector actions: quarantine | hash | mask | allow
+ */
+router.put('/policies/:source', async (req, res, next) => {
+  try {
+    const { source } = req.params;
+
+    const invalid = validatePolicy(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const policy = await savePolicy(source, req.body);
+
+    res.json({ success: true, policy });
+  } catch (err) {
+    log.error(`Failed to save scrubbing policy for ${req.params.source}`, err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/scrubbing/policies/:source - Remove a registration
+ * The source falls back to the "*" policy ("*" falls back to the built-in one).
+ */
+router.delete('/policies/:source', async (req, res, next) => {
+  try {
+    const { source } = req.params;
+
+    const deleted = await deletePolicy(source);
+    if (!deleted) {
+      return res.status(404).json({ error: `No registered scrubbing policy for source: ${source}` });
+    }
+
+    res.json({ success: true, source, policy: await getPolicy(source) });
+  } catch (err) {
+    log.error(`Failed to delete scrubbing policy for ${req.params.source}`, err);
+    next(err);
+  }
+});
+
+// =============================================================================
+// QUARANTINE ROUTES
+// =============================================================================
+
+/**
+ * GET /api/scrubbing/quarantine - List quarantined events
+ *
+ * Query parameters:
+ *   - source: Only this source
+ *   - limit: Max entries to return (default 100, max 1000)
+ *   - offset: Pagination offset (default 0)
+ *
+ * Response: { entries: [{ id, source, quarantinedAt, reasons, telemetry }],
+ *             total: N, bySource: { [source]: N } }
+ */
+router.get('/quarantine', async (req, res, next) => {
+  try {
+    const { source, limit = '100', offset = '0' } = req.query;
+
+    res.json(await listQuarantine({
+      source,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    }));
+  } catch (err) {
+    log.error('Failed to list quarantine', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/scrubbing/quarantine/:id - Get one quarantined event
+ */
+router.get('/quarantine/:id', async (req, res, next) => {
+  try {
+    const entry = await getQuarantined(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `Quarantined event not found: ${req.params.id}` });
+    }
+
+    res.json(entry);
+  } catch (err) {
+    log.error(`Failed to get quarantined event ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * POST /api/scrubbing/quarantine/:id/release - Store a reviewed event
+ *
+ * Request body (optional):
+ *   { "mode": "hash" }  - hash (default) or mask the flagged matches,
+ *                         or "none" to store them as they are
+ *
+ * Response: { success: true, eventId: "evt_xxx", storedAt: "ISO date" }
+ */
+router.post('/quarantine/:id/release', async (req, res, next) => {
+  try {
+    const { mode = 'hash' } = req.body || {};
+
+    if (!RELEASE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Must be one of: ${RELEASE_MODES.join(', ')}` });
+    }
+
+    const released = await releaseQuarantined(req.params.id, mode);
+    if (!released) {
+      return res.status(404).json({ error: `Quarantined event not found: ${req.params.id}` });
+    }
+
+    if (!released.duplicate) {
+      broadcastToPartners({
+        ...released.telemetry,
+        id: released.eventId,
+        receivedAt: released.storedAt
+      });
+    }
+
+    res.json({
+      success: true,
+      eventId: released.eventId,
+      storedAt: released.storedAt,
+      ...(released.duplicate && { duplicate: true })
+    });
+  } catch (err) {
+    log.error(`Failed to release quarantined event ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/scrubbing/quarantine/:id - Discard a quarantined event
+ */
+router.delete('/quarantine/:id', async (req, res, next) => {
+  try {
+    const discarded = await discardQuarantined(req.params.id);
+    if (!discarded) {
+      return res.status(404).json({ error: `Quarantined event not found: ${req.params.id}` });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    log.error(`Failed to discard quarantined event ${req.params.id}`, err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+/**
+ * =============================================================================
+ * TRACES.JS - Correlation Trace API Routes
+ * =============================================================================
+ *
+ * Follows one correlationId across sources and pipeline stages:
+ *   - GET /api/traces                - List traces that failed, stalled, skipped a
+ *                                      stage or paused too long in a window
+ *   - GET /api/traces/:correlationId - Ordered events with stage durations and gaps
+ *
+ * Trace reconstruction lives in telemetry/traces.js.
+ *
+ * =============================================================================
+ */
+
+import { Router } from 'express';
+import { Logger } from '../utils/logger.js';
+import { getTrace, listTraces, TRACE_STATUSES, PROBLEM_STATUSES } from '../telemetry/traces.js';
+
+// Create logger for this module
+const log = Logger('Traces');
+
+// Create Express router
+const router = Router();
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * GET /api/traces - List traces that need attention
+ *
+ * Query parameters:
+ *   - status: Comma-separated statuses, or "all"
+ *             (default: "failed,stalled,skipped,incomplete")
+ *   - source: Only traces that include this source
+ *   - startDate: Window start (ISO string, default: last TRACE_WINDOW_HOURS)
+ *   - endDate: Window end (ISO string)
+ *   - limit: Max traces to return (default 100, max 1000)
+ *
+ * Response:
+ * {
+ *   "traces": [{ correlationId, status, sources, startedAt, endedAt,
+ *                totalDurationMs, eventCount, failedStages, maxGapMs, gaps, pipeline, stages }],
+ *   "total": 3,
+ *   "counts": { "failed": 1, "stalled": 1, "skipped": 0, "incomplete": 1, "in_progress": 2, "ok": 40 },
+ *   "startDate": "...",
+ *   "endDate": null
+ * }
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { source, startDate, endDate, status, limit = '100' } = req.query;
+
+    const statuses = !status ? PROBLEM_STATUSES
+      : status === 'all' ? TRACE_STATUSES
+      : status.split(',').map(s => s.trim());
+    const unknown = statuses.filter(s => !TRACE_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Invalid status: ${unknown.join(', ')}`,
+        available: [...TRACE_STATUSES, 'all']
+      });
+    }
+
+    const result = await listTraces({
+      source,
+      startDate,
+      endDate,
+      statuses,
+      limit: Math.min(parseInt(limit) || 100, 1000)
+    });
+
+    log.debug(`Returning ${result.traces.length} of ${result.total} traces`);
+
+    res.json(result);
+  } catch (err) {
+    log.error('Failed to list traces', err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/traces/:correlationId - Get one trace
+ *
+ * Response:
+ * {
+ *   "correlationId": "abc-123",
+ *   "status": "failed",
+ *   "totalDurationMs": 1840,
+ *   "stages": [{ stage, events, failures, durationMs, startOffsetMs, endOffsetMs }],
+ *   "gaps": [{ beforeEventId, stage, gapMs }],
+ *   "pipeline": { source, expectedStages, lastStage, nextStage, skippedStages, state } | null,
+ *   "steps": [{ eventId, source, stage, action, success, timestamp,
+ *               offsetMs, durationMs, gapMs, error }],
+ *   ...
+ * }
+ */
+router.get('/:correlationId', async (req, res, next) => {
+  try {
+    const { correlationId } = req.params;
+
+    const trace = await getTrace(correlationId);
+    if (!trace) {
+      return res.status(404).json({ error: `No events found for correlationId: ${correlationId}` });
+    }
+
+    res.json(trace);
+  } catch (err) {
+    log.error('Failed to get trace', err);
+    next(err);
+  }
+});
+
+export default router;
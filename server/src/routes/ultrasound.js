@@ -6,10 +6,20 @@
  */
 
 import express from 'express';
-import { storeEvent } from '../storage/file-store.js';
+import { storeEvent } from '../storage/index.js';
+import { scrubEvent } from '../telemetry/scrubbing.js';
+import { quarantineEvent } from '../telemetry/quarantine.js';
 
 const router = express.Router();
 
+/**
+ * Store a telemetry event through the same PHI scrubbing as POST /api/events
+ */
+async function storeScrubbedEvent(event) {
+  const { telemetry, reasons } = await scrubEvent(event);
+  return reasons.length > 0 ? quarantineEvent(telemetry, reasons) : storeEvent(telemetry);
+}
+
 // =============================================================================
 // ULTRASOUND ANALYSIS ENDPOINT
 // =============================================================================
@@ -63,7 +73,7 @@ router.post('/analyze', async (req, res) => {
     };
 
     // Log to storage (fire and forget)
-    storeEvent(event).catch(err => console.warn('[Ultrasound] Event store error:', err.message));
+    storeScrubbedEvent(event).catch(err => console.warn('[Ultrasound] Event store error:', err.message));
 
     res.json({
       success: true,
@@ -141,7 +151,7 @@ router.post('/validate-cpt', async (req, res) => {
       }
     };
 
-    storeEvent(event).catch(err => console.warn('[CPT Validation] Event store error:', err.message));
+    storeScrubbedEvent(event).catch(err => console.warn('[CPT Validation] Event store error:', err.message));
 
     res.json({
       success: true,
@@ -0,0 +1,100 @@
+/**
+ * =============================================================================
+ * CURSOR.JS - Event Ordering and Pagination Cursors
+ * =============================================================================
+ *
+ * Events are listed newest first, ordered by (timestamp, id). A cursor is
+ * the position of the last event on a page, so the next page starts right
+ * after it no matter how many newer events arrived in the meantime - unlike
+ * offsets, which shift every time something is inserted.
+ *
+ * Cursors are opaque to clients (base64url JSON) and shared by all storage
+ * backends so a cursor never depends on which backend produced it.
+ *
+ * =============================================================================
+ */
+
+/**
+ * Normalize an event's ordering timestamp to ISO-8601 UTC
+ * Falls back to receivedAt when the source timestamp is missing or invalid
+ *
+ * @param {Object} event - Stored event
+ * @returns {string} ISO timestamp that sorts lexically
+ */
+export function getSortTimestamp(event) {
+  const time = new Date(event.event?.timestamp || event.receivedAt);
+  return isNaN(time) ? event.receivedAt : time.toISOString();
+}
+
+/**
+ * Compare two sort positions, newest first
+ *
+ * @param {Object} a - { t, id }
+ * @param {Object} b - { t, id }
+ * @returns {number} Negative if a comes before b
+ */
+function comparePositions(a, b) {
+  if (a.t !== b.t) return a.t < b.t ? 1 : -1;
+  if (a.id !== b.id) return a.id < b.id ? 1 : -1;
+  return 0;
+}
+
+/**
+ * Get the sort position of an event
+ *
+ * @param {Object} event - Stored event
+ * @returns {Object} { t, id }
+ */
+export function getPosition(event) {
+  return { t: getSortTimestamp(event), id: event.id };
+}
+
+/**
+ * Sort comparator for events, newest first (ties broken by id)
+ */
+export function compareNewestFirst(a, b) {
+  return comparePositions(getPosition(a), getPosition(b));
+}
+
+/**
+ * Check whether an event sorts after a cursor position (i.e. belongs to a later page)
+ *
+ * @param {Object} event - Stored event
+ * @param {Object} position - Decoded cursor { t, id }
+ * @returns {boolean}
+ */
+export function isAfterCursor(event, position) {
+  return comparePositions(getPosition(event), position) > 0;
+}
+
+/**
+ * Encode the cursor pointing just past an event
+ *
+ * @param {Object} event - Last event of a page
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(event) {
+  return Buffer.from(JSON.stringify(getPosition(event))).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a client
+ *
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object} { t, id }
+ * @throws {Error} With status 400 if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (typeof position.t === 'string' && typeof position.id === 'string') {
+      return position;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+
+  const err = new Error('Invalid cursor');
+  err.status = 400;
+  throw err;
+}
@@ -3,26 +3,29 @@
  * FILE-STORE.JS - JSON File Storage Layer
  * =============================================================================
  *
- * Handles persistent storage of telemetry events and analysis results.
- * Events are stored in daily JSON files for easy management and rotation.
+ * Default storage backend (STORAGE_BACKEND=file). Handles persistent storage
+ * of telemetry events, analysis results and shared references.
+ * Events are appended to NDJSON segments (one or more per day), so a write
+ * never rewrites earlier events and rotation stays a matter of deleting files.
  *
  * File Structure:
  *   server/data/
- *   ├── events/          # Telemetry events (one file per day)
- *   │   ├── 2024-01-15.json
- *   │   └── 2024-01-16.json
+ *   ├── events/          # Telemetry events (append-only segments per day)
+ *   │   ├── 2024-01-15-0000.ndjson
+ *   │   ├── 2024-01-15-0001.ndjson   # Rolled over at MAX_FILE_SIZE_MB
+ *   │   └── 2024-01-16-0000.ndjson
  *   ├── analysis/        # AI analysis results
  *   │   └── 2024-01-15-ana_abc123.json
+ *   ├── references/      # Shared recommendations (one file per source)
+ *   ├── pipelines/       # Documents: one JSON file per id, one dir per collection
  *   └── exports/         # Generated export files
  *
- * Event File Format:
- *   {
- *     "date": "2024-01-15",
- *     "eventCount": 1234,
- *     "events": [
- *       { "id": "evt_abc123", "source": "...", "event": {...} }
- *     ]
- *   }
+ * Event Segment Format (one event per line):
+ *   {"id":"evt_abc123","receivedAt":"...","source":"...","event":{...}}
+ *   {"id":"evt_def456","receivedAt":"...","source":"...","event":{...}}
+ *
+ * Daily JSON files written by older versions (2024-01-15.json) are migrated
+ * to segments on startup.
  *
  * =============================================================================
  */
@@ -32,6 +35,7 @@ import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { config } from '../config.js';
 import { Logger } from '../utils/logger.js';
+import { compareNewestFirst, decodeCursor, encodeCursor, getSortTimestamp, isAfterCursor } from './cursor.js';
 
 // Create logger for this module
 const log = Logger('Storage');
@@ -106,14 +110,40 @@ function getDateString(date = new Date()) {
 }
 
 /**
- * Get the file path for a day's events file
+ * Get the events directory path
+ *
+ * @returns {string} Full path to the events directory
+ */
+function getEventsDir() {
+  return join(config.storage.dataDir, config.storage.eventsDir);
+}
+
+/**
+ * Get the file path for an events segment
+ * Segments are named DATE-SEQ.ndjson so they sort by day, then by sequence
  *
- * @param {Date} date - Date for the events file
- * @returns {string} Full path to the events file
+ * @param {string} dateStr - Day the segment belongs to (YYYY-MM-DD)
+ * @param {number} seq - Segment sequence number within the day
+ * @returns {string} Full path to the segment file
  */
-function getEventsFilePath(date = new Date()) {
-  const dateStr = getDateString(date);
-  return join(config.storage.dataDir, config.storage.eventsDir, `${dateStr}.json`);
+function getSegmentPath(dateStr, seq) {
+  return join(getEventsDir(), `${dateStr}-${String(seq).padStart(4, '0')}.ndjson`);
+}
+
+// Segment files: 2024-01-15-0000.ndjson, 2024-01-15-0001.ndjson, ...
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})-(\d+)\.ndjson$/;
+
+// Pre-NDJSON daily files: 2024-01-15.json (migrated on startup)
+const LEGACY_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+/**
+ * Serialize events as NDJSON (one JSON document per line)
+ *
+ * @param {Array} events - Events to serialize
+ * @returns {string} NDJSON payload, newline-terminated
+ */
+function toNdjson(events) {
+  return events.map(e => JSON.stringify(e) + '\n').join('');
 }
 
 // =============================================================================
@@ -140,51 +170,262 @@ export async function initStorage() {
     log.debug(`Directory ready: ${dir}`);
   }
 
+  // Convert any daily JSON files left by older versions
+  await migrateLegacyEventFiles();
+
   log.info(`Storage initialized at ${config.storage.dataDir}`);
 }
 
+/**
+ * Migrate legacy daily JSON files (YYYY-MM-DD.json) to NDJSON segments
+ *
+ * Each legacy file becomes segment 0 of its day. The segment is written to a
+ * temp file, fsync'd and renamed into place before the legacy file is
+ * removed, so an interrupted migration simply resumes on the next startup.
+ *
+ * @returns {Object} { migrated: number } - Count of legacy files converted
+ */
+export async function migrateLegacyEventFiles() {
+  const eventsDir = getEventsDir();
+
+  let files;
+  try {
+    files = await fs.readdir(eventsDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return { migrated: 0 };
+    throw err;
+  }
+
+  let migrated = 0;
+
+  for (const file of files) {
+    const match = LEGACY_PATTERN.exec(file);
+    if (!match) continue;
+
+    const dateStr = match[1];
+    const legacyPath = join(eventsDir, file);
+    const existing = await listSegments({ start: dateStr, end: dateStr });
+
+    if (existing.length > 0) {
+      // A previous migration renamed the segment but stopped before cleanup
+      log.warn(`Segments already exist for ${dateStr}, removing leftover ${file}`);
+    } else {
+      const data = JSON.parse(await fs.readFile(legacyPath, 'utf-8'));
+      const events = data.events || [];
+      const segmentPath = getSegmentPath(dateStr, 0);
+      const tmpPath = `${segmentPath}.tmp`;
+
+      const handle = await fs.open(tmpPath, 'w');
+      try {
+        await handle.write(toNdjson(events));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tmpPath, segmentPath);
+
+      log.info(`Migrated ${events.length} event(s) from ${file} to NDJSON`);
+    }
+
+    await fs.unlink(legacyPath);
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    log.info(`Migrated ${migrated} legacy event file(s)`);
+  }
+
+  return { migrated };
+}
+
 // =============================================================================
-// EVENT FILE OPERATIONS
+// EVENT SEGMENT OPERATIONS
 // =============================================================================
 
 /**
- * Read events file for a specific date
- * Returns empty structure if file doesn't exist (new day)
+ * List event segments, oldest first
+ * Optionally restricted to an inclusive range of days
  *
- * @param {Date} date - Date to read events for
- * @returns {Object} Events data structure
+ * @param {Object} range - Day range filter
+ * @param {string} range.start - First day to include (YYYY-MM-DD)
+ * @param {string} range.end - Last day to include (YYYY-MM-DD)
+ * @returns {Array} Segments as { file, date, seq }
  */
-async function readEventsFile(date = new Date()) {
-  const filePath = getEventsFilePath(date);
-
+async function listSegments({ start, end } = {}) {
+  let files;
   try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    return JSON.parse(content);
+    files = await fs.readdir(getEventsDir());
   } catch (err) {
     if (err.code === 'ENOENT') {
-      // File doesn't exist - return empty structure for new day
-      log.debug(`No events file for ${getDateString(date)}, creating new`);
-      return {
-        date: getDateString(date),
-        eventCount: 0,
-        events: []
-      };
+      log.debug('Events directory not found');
+      return [];
     }
     throw err;
   }
+
+  return files
+    .map(file => {
+      const match = SEGMENT_PATTERN.exec(file);
+      return match ? { file, date: match[1], seq: parseInt(match[2]) } : null;
+    })
+    .filter(seg => seg && (!start || seg.date >= start) && (!end || seg.date <= end))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.seq - b.seq);
 }
 
 /**
- * Write events data to file
- * Creates directory if needed, formats JSON with indentation
+ * Sort timestamp range of each segment read so far, so queries can tell
+ * which days may hold the events they need without reading them again
+ * Key: file name, Value: { size, min, max } - segments only grow, so a
+ * different size means the range is out of date
+ */
+const segmentBounds = new Map();
+
+/**
+ * Read all events from one segment
+ * Unparseable lines (e.g. a partial line left by a crash mid-append) are skipped
  *
- * @param {Object} data - Events data to write
- * @param {Date} date - Date for the file
+ * @param {string} file - Segment file name
+ * @returns {Array} Events in append order
  */
-async function writeEventsFile(data, date = new Date()) {
-  const filePath = getEventsFilePath(date);
-  await ensureDir(join(config.storage.dataDir, config.storage.eventsDir));
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+async function readSegment(file) {
+  const content = await fs.readFile(join(getEventsDir(), file), 'utf-8');
+  const events = [];
+
+  content.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      log.warn(`Skipping unreadable line ${i + 1} in ${file}`);
+    }
+  });
+
+  const timestamps = events.map(getSortTimestamp).sort();
+  segmentBounds.set(file, {
+    size: Buffer.byteLength(content),
+    min: timestamps[0] ?? null,
+    max: timestamps[timestamps.length - 1] ?? null
+  });
+
+  return events;
+}
+
+/**
+ * Sort timestamp range of one day's segments
+ * Only segments not read before (or appended to since) are read
+ *
+ * @param {Array} segments - The day's segments
+ * @returns {Object} { min, max } ISO timestamps (null for an empty day)
+ */
+async function getDayBounds(segments) {
+  let min = null;
+  let max = null;
+
+  for (const segment of segments) {
+    const { size } = await fs.stat(join(getEventsDir(), segment.file));
+    if (segmentBounds.get(segment.file)?.size !== size) {
+      await readSegment(segment.file);
+    }
+
+    const bounds = segmentBounds.get(segment.file);
+    if (bounds.min !== null && (min === null || bounds.min < min)) min = bounds.min;
+    if (bounds.max !== null && (max === null || bounds.max > max)) max = bounds.max;
+  }
+
+  return { min, max };
+}
+
+/**
+ * Iterate over stored events, oldest segment first
+ * Only one segment is held in memory at a time
+ *
+ * @param {Object} range - Optional day range { start, end } (YYYY-MM-DD)
+ * @yields {Object} Stored event
+ */
+async function* iterateEvents(range) {
+  for (const segment of await listSegments(range)) {
+    yield* await readSegment(segment.file);
+  }
+}
+
+/**
+ * Active (currently appended) segment per day
+ * Key: date string, Value: { seq, size } of the segment being written
+ */
+const activeSegments = new Map();
+
+/**
+ * Get the segment new events for a day should be appended to
+ * On first use after startup, resumes the day's last segment - unless it
+ * does not end in a newline (crash mid-write), in which case a fresh
+ * segment is started so the partial line cannot corrupt the next event.
+ *
+ * @param {string} dateStr - Day (YYYY-MM-DD)
+ * @returns {Object} Mutable { seq, size } state for the active segment
+ */
+async function getActiveSegment(dateStr) {
+  let active = activeSegments.get(dateStr);
+  if (active) return active;
+
+  const segments = await listSegments({ start: dateStr, end: dateStr });
+  const last = segments[segments.length - 1];
+  active = { seq: 0, size: 0 };
+
+  if (last) {
+    const lastPath = join(getEventsDir(), last.file);
+    const { size } = await fs.stat(lastPath);
+    active = { seq: last.seq, size };
+
+    if (size > 0) {
+      const handle = await fs.open(lastPath, 'r');
+      try {
+        const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+        if (buffer[0] !== 0x0a) {
+          log.warn(`Segment ${last.file} ends with a partial line, starting a new segment`);
+          active = { seq: last.seq + 1, size: 0 };
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+  }
+
+  activeSegments.set(dateStr, active);
+  return active;
+}
+
+/**
+ * Append events to a day's active segment
+ * Rolls over to a new segment once MAX_FILE_SIZE_MB would be exceeded, and
+ * fsyncs before returning so an acknowledged event survives a crash.
+ * Callers must hold the day's lock (see withFileLock).
+ *
+ * @param {string} dateStr - Day (YYYY-MM-DD)
+ * @param {Array} events - Events to append
+ */
+async function appendEvents(dateStr, events) {
+  const payload = toNdjson(events);
+  const bytes = Buffer.byteLength(payload);
+  const maxBytes = config.storage.maxFileSizeMb * 1024 * 1024;
+
+  const active = await getActiveSegment(dateStr);
+  if (active.size > 0 && active.size + bytes > maxBytes) {
+    active.seq++;
+    active.size = 0;
+    log.info(`Rolling over to segment ${active.seq} for ${dateStr}`);
+  }
+
+  await ensureDir(getEventsDir());
+
+  const handle = await fs.open(getSegmentPath(dateStr, active.seq), 'a');
+  try {
+    await handle.write(payload);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  active.size += bytes;
 }
 
 // =============================================================================
@@ -193,7 +434,7 @@ async function writeEventsFile(data, date = new Date()) {
 
 /**
  * Store a single telemetry event
- * Adds unique ID and timestamp, appends to today's events file
+ * Adds unique ID and timestamp, appends to today's active segment
  *
  * @param {Object} telemetry - The telemetry event from the extension
  * @returns {Object} { eventId, storedAt } - Confirmation of storage
@@ -207,138 +448,217 @@ async function writeEventsFile(data, date = new Date()) {
  * // result: { eventId: 'evt_abc123def456', storedAt: '2024-01-15T10:30:00.000Z' }
  */
 export async function storeEvent(telemetry) {
-  const now = new Date();
-  const filePath = getEventsFilePath(now);
+  const [result] = await storeEvents([telemetry]);
+  return result;
+}
 
-  // Generate unique event ID (evt_ prefix + 12 char UUID)
-  const eventId = `evt_${uuidv4().slice(0, 12)}`;
+/**
+ * Store several telemetry events in one append
+ * All events share one receivedAt and land in the same segment write,
+ * so a batch costs a single fsync regardless of its size.
+ *
+ * @param {Array} telemetryList - Telemetry events to store
+ * @returns {Array} [{ eventId, storedAt }] in the same order as the input
+ */
+export async function storeEvents(telemetryList) {
+  const now = new Date();
+  const dateStr = getDateString(now);
 
-  // Build the event object with metadata
-  const event = {
-    id: eventId,
+  // Generate unique event IDs (evt_ prefix + 12 char UUID) and add metadata
+  const events = telemetryList.map(telemetry => ({
+    id: `evt_${uuidv4().slice(0, 12)}`,
     receivedAt: now.toISOString(),
     ...telemetry
-  };
+  }));
 
-  // Use file lock to prevent race conditions on concurrent writes
-  await withFileLock(filePath, async () => {
-    // Read current day's events, append new event, write back
-    const data = await readEventsFile(now);
-    data.events.push(event);
-    data.eventCount = data.events.length;
-    await writeEventsFile(data, now);
-  });
+  // Lock per day so segment roll-over is decided by one writer at a time
+  await withFileLock(join(getEventsDir(), dateStr), () => appendEvents(dateStr, events));
 
-  log.debug(`Stored event ${eventId} from ${telemetry.source || 'unknown'}`);
+  for (const event of events) {
+    log.debug(`Stored event ${event.id} from ${event.source || 'unknown'}`);
+  }
 
-  return { eventId, storedAt: now.toISOString() };
+  return events.map(event => ({ eventId: event.id, storedAt: event.receivedAt }));
 }
 
 // =============================================================================
 // EVENT QUERIES
 // =============================================================================
 
+/**
+ * Check an event against the content filters shared by all queries
+ *
+ * @param {Object} event - Stored event
+ * @param {Object} filters - { source, stage, success, correlationId }
+ * @returns {boolean} True if the event matches every given filter
+ */
+function matchesFilters(event, { source, stage, success, correlationId }) {
+  if (source && event.source !== source) return false;
+  if (stage && event.event?.stage !== stage) return false;
+  if (success !== undefined && event.event?.success !== success) return false;
+  if (correlationId && event.event?.correlationId !== correlationId) return false;
+  return true;
+}
+
+/**
+ * Convert ISO start/end dates to an inclusive range of segment days
+ *
+ * @param {string} startDate - Start of date range (ISO string)
+ * @param {string} endDate - End of date range (ISO string)
+ * @returns {Object} { start, end } as YYYY-MM-DD (undefined if open)
+ */
+function getDayRange(startDate, endDate) {
+  return {
+    start: startDate ? getDateString(new Date(startDate)) : undefined,
+    end: endDate ? getDateString(new Date(endDate)) : undefined
+  };
+}
+
+/**
+ * Iterate over matching events newest first, ordered by (timestamp, id)
+ *
+ * Segments are kept per day received, but timestamps come from the sender, so
+ * a late arrival can be older than events received before it. Days are read
+ * newest first and an event is only yielded once no older day can hold a
+ * newer one - the same order as the sqlite backend, while normally only the
+ * days being yielded are held in memory.
+ *
+ * @param {Object} options - Filters { source, stage, success, correlationId, startDate, endDate }
+ * @param {Object} after - Optional cursor position; days that only hold
+ *   events before it (newer) are not read
+ * @yields {Object} Stored event
+ */
+async function* iterateNewestFirst(options, after = null) {
+  const { source, stage, success, correlationId, startDate, endDate } = options;
+
+  const segments = await listSegments(getDayRange(startDate, endDate));
+  const days = [...new Set(segments.map(seg => seg.date))].reverse().map(date => ({
+    date,
+    segments: segments.filter(seg => seg.date === date)
+  }));
+
+  // Newest timestamp each day, or any day older than it, can hold (the
+  // newest day's own range only matters when skipping to a cursor)
+  for (const [i, day] of days.entries()) {
+    day.bounds = i > 0 || after ? await getDayBounds(day.segments) : { min: null, max: null };
+  }
+  for (let i = days.length - 1; i >= 0; i--) {
+    const olderMax = days[i + 1]?.newestFromHere ?? null;
+    const { max } = days[i].bounds;
+    days[i].newestFromHere = max !== null && (olderMax === null || max > olderMax) ? max : olderMax;
+  }
+
+  let pending = [];
+
+  for (let i = 0; i < days.length; i++) {
+    const { segments: daySegments, bounds } = days[i];
+
+    if (!after || bounds.min === null || bounds.min <= after.t) {
+      for (const segment of daySegments) {
+        for (const event of await readSegment(segment.file)) {
+          if (matchesFilters(event, { source, stage, success, correlationId })) {
+            pending.push(event);
+          }
+        }
+      }
+      pending.sort(compareNewestFirst);
+    }
+
+    const olderMax = days[i + 1]?.newestFromHere ?? null;
+    const ready = olderMax === null
+      ? pending.length
+      : pending.findIndex(event => getSortTimestamp(event) <= olderMax);
+    const count = ready === -1 ? pending.length : ready;
+
+    yield* pending.slice(0, count);
+    pending = pending.slice(count);
+  }
+}
+
 /**
  * Get events with optional filtering and pagination
  *
+ * Pass `cursor` (the nextCursor of a previous page) for pages that stay
+ * stable while new events arrive; `offset` is still honored without a cursor.
+ *
+ * Counting `total` reads every day in the range; with includeTotal false,
+ * reading stops as soon as the page is full.
+ *
  * @param {Object} options - Query options
  * @param {string} options.source - Filter by source application
  * @param {string} options.stage - Filter by pipeline stage
  * @param {boolean} options.success - Filter by success status
+ * @param {string} options.correlationId - Filter by correlation ID
  * @param {string} options.startDate - Start of date range (ISO string)
  * @param {string} options.endDate - End of date range (ISO string)
  * @param {number} options.limit - Max events to return (default: 100)
  * @param {number} options.offset - Pagination offset (default: 0)
+ * @param {string} options.cursor - Opaque cursor from a previous page
+ * @param {boolean} options.includeTotal - Count every match (default: true)
  *
- * @returns {Object} { events, total, limit, offset }
+ * @returns {Object} { events, total, limit, offset, nextCursor } - total is
+ *   null when includeTotal is false
  */
 export async function getEvents(options = {}) {
   const {
     source,
     stage,
     success,
+    correlationId,
     startDate,
     endDate,
     limit = 100,
-    offset = 0
+    offset = 0,
+    cursor,
+    includeTotal = true
   } = options;
 
-  log.debug('Querying events', { source, stage, success, startDate, endDate, limit, offset });
-
-  // Get list of event files in the events directory
-  const eventsDir = join(config.storage.dataDir, config.storage.eventsDir);
-  let files;
+  log.debug('Querying events', { source, stage, success, correlationId, startDate, endDate, limit, offset, cursor });
 
-  try {
-    files = await fs.readdir(eventsDir);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      log.debug('Events directory not found, returning empty');
-      return { events: [], total: 0, limit, offset };
-    }
-    throw err;
-  }
+  const position = cursor ? decodeCursor(cursor) : null;
+  const start = position ? 0 : offset;
+  const filters = { source, stage, success, correlationId, startDate, endDate };
 
-  // Filter to only JSON files, sort most recent first
-  files = files
-    .filter(f => f.endsWith('.json'))
-    .sort()
-    .reverse();
+  // One extra match tells whether another page exists
+  const wanted = start + limit + 1;
+  const matched = [];
+  let total = 0;
 
-  // Apply date range filters to file list
-  if (startDate) {
-    const start = getDateString(new Date(startDate));
-    files = files.filter(f => f.replace('.json', '') >= start);
-  }
-  if (endDate) {
-    const end = getDateString(new Date(endDate));
-    files = files.filter(f => f.replace('.json', '') <= end);
+  // Total counts every match, independent of the page position
+  for await (const event of iterateNewestFirst(filters, includeTotal ? null : position)) {
+    total++;
+    if (position && !isAfterCursor(event, position)) continue;
+    if (matched.length < wanted) matched.push(event);
+    if (matched.length >= wanted && !includeTotal) break;
   }
 
-  // Collect events from all matching files
-  let allEvents = [];
-
-  for (const file of files) {
-    const filePath = join(eventsDir, file);
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
+  const paginatedEvents = matched.slice(start, start + limit);
+  const hasMore = matched.length > start + limit;
 
-    let events = data.events || [];
-
-    // Apply content filters
-    if (source) {
-      events = events.filter(e => e.source === source);
-    }
-    if (stage) {
-      events = events.filter(e => e.event?.stage === stage);
-    }
-    if (success !== undefined) {
-      events = events.filter(e => e.event?.success === success);
-    }
-
-    allEvents = allEvents.concat(events);
-  }
-
-  // Sort all events by timestamp (most recent first)
-  allEvents.sort((a, b) => {
-    const timeA = new Date(a.event?.timestamp || a.receivedAt);
-    const timeB = new Date(b.event?.timestamp || b.receivedAt);
-    return timeB - timeA;
-  });
-
-  const total = allEvents.length;
-  const paginatedEvents = allEvents.slice(offset, offset + limit);
-
-  log.debug(`Found ${total} events, returning ${paginatedEvents.length}`);
+  log.debug(`Returning ${paginatedEvents.length} events${includeTotal ? ` of ${total}` : ''}`);
 
   return {
     events: paginatedEvents,
-    total,
+    total: includeTotal ? total : null,
     limit,
-    offset
+    offset: start,
+    nextCursor: hasMore ? encodeCursor(paginatedEvents[paginatedEvents.length - 1]) : null
   };
 }
 
+/**
+ * Stream matching events, newest first
+ *
+ * Days are read one at a time (see iterateNewestFirst), so exports of any
+ * size run in bounded memory.
+ *
+ * @param {Object} options - Filters { source, stage, success, correlationId, startDate, endDate }
+ * @yields {Object} Stored event
+ */
+export async function* streamEvents(options = {}) {
+  yield* iterateNewestFirst(options);
+}
+
 /**
  * Get aggregated statistics across all events
  * Calculates totals, error counts, source list, and stage breakdown
@@ -346,28 +666,8 @@ export async function getEvents(options = {}) {
  * @returns {Object} Statistics object
  */
 export async function getStats() {
-  const eventsDir = join(config.storage.dataDir, config.storage.eventsDir);
-
   log.debug('Calculating statistics...');
 
-  let files;
-  try {
-    files = await fs.readdir(eventsDir);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return {
-        totalEvents: 0,
-        errorCount: 0,
-        sources: [],
-        stageBreakdown: {},
-        lastEventTime: null
-      };
-    }
-    throw err;
-  }
-
-  files = files.filter(f => f.endsWith('.json')).sort().reverse();
-
   // Initialize counters
   let totalEvents = 0;
   let errorCount = 0;
@@ -375,32 +675,26 @@ export async function getStats() {
   const stageBreakdown = {};
   let lastEventTime = null;
 
-  // Process each file
-  for (const file of files) {
-    const filePath = join(eventsDir, file);
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
-
-    for (const event of data.events || []) {
-      totalEvents++;
+  // Process each segment
+  for await (const event of iterateEvents()) {
+    totalEvents++;
 
-      // Track unique sources
-      if (event.source) sources.add(event.source);
+    // Track unique sources
+    if (event.source) sources.add(event.source);
 
-      // Count events by stage
-      const stage = event.event?.stage || 'unknown';
-      stageBreakdown[stage] = (stageBreakdown[stage] || 0) + 1;
+    // Count events by stage
+    const stage = event.event?.stage || 'unknown';
+    stageBreakdown[stage] = (stageBreakdown[stage] || 0) + 1;
 
-      // Count errors (success === false)
-      if (event.event?.success === false) {
-        errorCount++;
-      }
+    // Count errors (success === false)
+    if (event.event?.success === false) {
+      errorCount++;
+    }
 
-      // Track most recent event time
-      const eventTime = event.event?.timestamp || event.receivedAt;
-      if (!lastEventTime || eventTime > lastEventTime) {
-        lastEventTime = eventTime;
-      }
+    // Track most recent event time
+    const eventTime = event.event?.timestamp || event.receivedAt;
+    if (!lastEventTime || eventTime > lastEventTime) {
+      lastEventTime = eventTime;
     }
   }
 
@@ -421,12 +715,12 @@ export async function getStats() {
 
 /**
  * Clear all stored events
- * Deletes all JSON files from the events directory
+ * Deletes all segments (and any unmigrated legacy files) from the events directory
  *
  * @returns {Object} { cleared: true }
  */
 export async function clearEvents() {
-  const eventsDir = join(config.storage.dataDir, config.storage.eventsDir);
+  const eventsDir = getEventsDir();
 
   log.info('Clearing all events...');
 
@@ -435,7 +729,7 @@ export async function clearEvents() {
     let deleted = 0;
 
     for (const file of files) {
-      if (file.endsWith('.json')) {
+      if (SEGMENT_PATTERN.test(file) || LEGACY_PATTERN.test(file)) {
         await fs.unlink(join(eventsDir, file));
         deleted++;
       }
@@ -446,18 +740,21 @@ export async function clearEvents() {
     if (err.code !== 'ENOENT') throw err;
   }
 
+  activeSegments.clear();
+  segmentBounds.clear();
+
   return { cleared: true };
 }
 
 /**
- * Rotate (delete) old event files
- * Removes files older than the configured retention period
+ * Rotate (delete) old event segments
+ * Removes segments older than the configured retention period
  * Called on startup and daily via scheduled task
  *
  * @returns {Object} { deleted: number } - Count of deleted files
  */
 export async function rotateOldFiles() {
-  const eventsDir = join(config.storage.dataDir, config.storage.eventsDir);
+  const eventsDir = getEventsDir();
 
   // Calculate cutoff date
   const cutoffDate = new Date();
@@ -472,13 +769,13 @@ export async function rotateOldFiles() {
     const files = await fs.readdir(eventsDir);
 
     for (const file of files) {
-      if (file.endsWith('.json')) {
-        const fileDate = file.replace('.json', '');
-        if (fileDate < cutoff) {
-          await fs.unlink(join(eventsDir, file));
-          deleted++;
-          log.debug(`Deleted old file: ${file}`);
-        }
+      const match = SEGMENT_PATTERN.exec(file) || LEGACY_PATTERN.exec(file);
+      if (match && match[1] < cutoff) {
+        await fs.unlink(join(eventsDir, file));
+        activeSegments.delete(match[1]);
+        segmentBounds.delete(file);
+        deleted++;
+        log.debug(`Deleted old file: ${file}`);
       }
     }
   } catch (err) {
@@ -563,3 +860,201 @@ export async function getAnalysisHistory(limit = 20) {
 
   return analyses;
 }
+
+// =============================================================================
+// REFERENCE STORAGE
+// =============================================================================
+
+/**
+ * Get the path to the shared references directory
+ *
+ * @returns {string} Full path to the references directory
+ */
+function getRefsDir() {
+  return join(config.storage.dataDir, 'references');
+}
+
+/**
+ * Load reference data for every source
+ * Skips the _summary.json file and anything that fails to parse
+ *
+ * @returns {Object} Map of source -> reference data
+ */
+export async function loadAllReferences() {
+  const refsDir = getRefsDir();
+
+  let files;
+  try {
+    files = await fs.readdir(refsDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      log.debug('References directory does not exist yet');
+      return {};
+    }
+    throw err;
+  }
+
+  const references = {};
+
+  for (const file of files) {
+    // Skip summary file and non-JSON files
+    if (file.startsWith('_') || !file.endsWith('.json')) continue;
+
+    try {
+      const content = await fs.readFile(join(refsDir, file), 'utf-8');
+      references[file.replace('.json', '')] = JSON.parse(content);
+    } catch (err) {
+      log.warn(`Failed to read reference file: ${file}`, err.message);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Load reference data for one source
+ *
+ * @param {string} source - Source application name
+ * @returns {Object|null} Reference data or null if not found
+ */
+export async function loadReferences(source) {
+  try {
+    const content = await fs.readFile(join(getRefsDir(), `${source}.json`), 'utf-8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Write reference data for one source (replaces any existing file)
+ *
+ * @param {string} source - Source application name
+ * @param {Object} data - Complete reference document
+ * @returns {string} Path of the written reference file
+ */
+export async function writeReferences(source, data) {
+  await ensureDir(getRefsDir());
+
+  const filePath = join(getRefsDir(), `${source}.json`);
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+
+  return filePath;
+}
+
+/**
+ * Write the aggregate reference summary to _summary.json
+ *
+ * @param {Object} summary - Summary from getReferenceSummary()
+ */
+export async function writeReferenceSummary(summary) {
+  await ensureDir(getRefsDir());
+  await fs.writeFile(join(getRefsDir(), '_summary.json'), JSON.stringify(summary, null, 2));
+}
+
+// =============================================================================
+// DOCUMENT STORAGE
+// =============================================================================
+
+/**
+ * Small JSON documents grouped in named collections (e.g. "pipelines").
+ * Each document is one file: data/<collection>/<id>.json
+ */
+
+/**
+ * Get the path of a document file
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID (URI-encoded so any string is a safe filename)
+ * @returns {string} Full path to the document file
+ */
+function getDocumentPath(collection, id) {
+  return join(config.storage.dataDir, collection, `${encodeURIComponent(id)}.json`);
+}
+
+/**
+ * Load every document in a collection
+ *
+ * @param {string} collection - Collection name
+ * @returns {Array} Documents (unordered); unreadable files are skipped
+ */
+export async function loadDocuments(collection) {
+  const dir = join(config.storage.dataDir, collection);
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const documents = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      documents.push(JSON.parse(await fs.readFile(join(dir, file), 'utf-8')));
+    } catch (err) {
+      log.warn(`Failed to read ${collection} document: ${file}`, err.message);
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Load one document
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID
+ * @returns {Object|null} Document or null if not found
+ */
+export async function loadDocument(collection, id) {
+  try {
+    return JSON.parse(await fs.readFile(getDocumentPath(collection, id), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Create or replace a document
+ * Written to a temp file and renamed so readers never see a partial document.
+ * Each save gets its own temp file, so concurrent saves of one document
+ * don't clobber each other's (the last rename wins).
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID
+ * @param {Object} data - Document body
+ */
+export async function saveDocument(collection, id, data) {
+  await ensureDir(join(config.storage.dataDir, collection));
+
+  const filePath = getDocumentPath(collection, id);
+  const tempPath = `${filePath}.${process.pid}-${uuidv4()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Delete a document
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID
+ * @returns {boolean} True if the document existed
+ */
+export async function deleteDocument(collection, id) {
+  try {
+    await fs.unlink(getDocumentPath(collection, id));
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * =============================================================================
+ * IDEMPOTENCY.JS - Duplicate Suppression for Retried Submissions
+ * =============================================================================
+ *
+ * Clients that retry after a timeout may resend an event the server already
+ * stored. When a telemetry event carries an `idempotencyKey` (or a client
+ * `eventId`), the first submission is remembered for DEDUPE_WINDOW_MINUTES
+ * and any repeat from the same source returns the original eventId instead
+ * of storing a duplicate.
+ *
+ * Keys are scoped per source, so two apps can't collide on the same key.
+ * The window is rebuilt from recently stored events on startup, so a
+ * retry that straddles a server restart is still recognized.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+// Create logger for this module
+const log = Logger('Idempotency');
+
+/**
+ * Recently seen keys
+ * Key: "source:key", Value: { promise, expiresAt }
+ * The promise resolves to the original { eventId, storedAt }; keeping the
+ * promise (not the result) lets a retry that arrives while the first write
+ * is still in flight wait for it instead of storing again.
+ */
+const recentKeys = new Map();
+
+/**
+ * Get the dedupe window in milliseconds (0 disables deduplication)
+ */
+function getWindowMs() {
+  return config.storage.dedupeWindowMinutes * 60 * 1000;
+}
+
+/**
+ * Get the scoped dedupe key for a telemetry event
+ *
+ * @param {Object} telemetry - Telemetry event
+ * @returns {string|null} "source:key", or null if the event has no key
+ */
+function getDedupeKey(telemetry) {
+  const key = telemetry.idempotencyKey || telemetry.eventId;
+  return key ? `${telemetry.source}:${key}` : null;
+}
+
+/**
+ * Drop keys whose window has passed
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [key, entry] of recentKeys) {
+    if (entry.expiresAt <= now) recentKeys.delete(key);
+  }
+}
+
+/**
+ * Store events, skipping any that repeat a key seen within the window
+ *
+ * @param {Array} telemetryList - Telemetry events to store
+ * @param {Function} storeEvents - Backend storeEvents(list) => [{ eventId, storedAt }]
+ * @returns {Array} [{ eventId, storedAt, duplicate }] in the same order as the input
+ */
+export async function storeIdempotent(telemetryList, storeEvents) {
+  const windowMs = getWindowMs();
+  if (windowMs <= 0) {
+    const stored = await storeEvents(telemetryList);
+    return stored.map(result => ({ ...result, duplicate: false }));
+  }
+
+  pruneExpired();
+
+  // Split into events to store and repeats of an earlier (or in-batch) key
+  const fresh = [];
+  const plan = telemetryList.map(telemetry => {
+    const key = getDedupeKey(telemetry);
+
+    if (key && recentKeys.has(key)) {
+      return { original: recentKeys.get(key) };
+    }
+
+    const freshIndex = fresh.length;
+    fresh.push(telemetry);
+
+    if (key) {
+      // Reserve the key now so later items (and concurrent requests) see it
+      recentKeys.set(key, { promise: null, expiresAt: Date.now() + windowMs });
+    }
+    return { key, freshIndex };
+  });
+
+  const storing = fresh.length > 0 ? storeEvents(fresh) : Promise.resolve([]);
+
+  // Point every reserved key at its pending result. Nothing above awaits,
+  // so no other request can interleave between reserving and this loop
+  for (const { key, freshIndex } of plan) {
+    if (!key) continue;
+    const entry = recentKeys.get(key);
+    entry.promise = storing.then(stored => stored[freshIndex]);
+
+    // A failed write must not block the client's retry
+    entry.promise.catch(() => recentKeys.delete(key));
+  }
+
+  const stored = await storing;
+
+  const results = [];
+  for (const item of plan) {
+    if (item.original) {
+      const original = await item.original.promise;
+      log.debug(`Duplicate submission, returning original ${original.eventId}`);
+      results.push({ ...original, duplicate: true });
+    } else {
+      results.push({ ...stored[item.freshIndex], duplicate: false });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get the stored original of a retried event, without storing anything
+ * For paths that hold an event back instead of storing it (quarantine), so
+ * a retry of one that was stored - e.g. released since - is recognized.
+ *
+ * @param {Object} telemetry - Telemetry event
+ * @returns {Promise<Object|null>} Original { eventId, storedAt }, or null if
+ *   its key wasn't stored within the window
+ */
+export async function findStoredOriginal(telemetry) {
+  const key = getDedupeKey(telemetry);
+  const entry = key ? recentKeys.get(key) : null;
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+
+  // A failed write was never stored
+  return entry.promise.catch(() => null);
+}
+
+/**
+ * Rebuild the dedupe window from recently stored events
+ * Called on startup after the storage backend is initialized
+ *
+ * @param {Function} getEvents - Backend getEvents(options)
+ * @returns {Object} { loaded: number } - Count of keys restored
+ */
+export async function loadRecentKeys(getEvents) {
+  const windowMs = getWindowMs();
+  if (windowMs <= 0) return { loaded: 0 };
+
+  const cutoff = new Date(Date.now() - windowMs);
+  const { events } = await getEvents({
+    startDate: cutoff.toISOString(),
+    limit: Number.MAX_SAFE_INTEGER,
+    includeTotal: false
+  });
+
+  let loaded = 0;
+  for (const event of events) {
+    const key = getDedupeKey(event);
+    const receivedAt = new Date(event.receivedAt);
+    if (!key || receivedAt < cutoff || recentKeys.has(key)) continue;
+
+    recentKeys.set(key, {
+      promise: Promise.resolve({ eventId: event.id, storedAt: event.receivedAt }),
+      expiresAt: receivedAt.getTime() + windowMs
+    });
+    loaded++;
+  }
+
+  if (loaded > 0) {
+    log.info(`Restored ${loaded} idempotency key(s) from the last ${config.storage.dedupeWindowMinutes} minute(s)`);
+  }
+
+  return { loaded };
+}
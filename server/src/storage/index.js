@@ -0,0 +1,148 @@
+/**
+ * =============================================================================
+ * INDEX.JS - Storage Backend Selection
+ * =============================================================================
+ *
+ * Single import point for persistence. Routes, the analyzer and the
+ * references store import from here instead of a concrete backend.
+ *
+ * Backends (STORAGE_BACKEND):
+ *   - file:   JSON/NDJSON files under DATA_DIR (default) - file-store.js
+ *   - sqlite: Embedded SQLite database with indexed queries - sqlite-store.js
+ *
+ * Every backend implements the same functions:
+ *   Events:     initStorage, storeEvent, storeEvents, getEvents,
+ *               streamEvents, getStats, clearEvents, rotateOldFiles
+ *   Analyses:   saveAnalysis, getAnalysisHistory
+ *   References: loadAllReferences, loadReferences, writeReferences,
+ *               writeReferenceSummary
+ *   Documents:  loadDocuments, loadDocument, saveDocument, deleteDocument
+ *               (small JSON records grouped by collection, e.g. "pipelines")
+ *
+ * storeEvent/storeEvents are wrapped here with idempotency handling
+ * (see idempotency.js), so every backend gets the same dedupe behavior.
+ * Modules that follow ingestion (e.g. anomaly detection) subscribe with
+ * onEventsStored and see each newly stored event once, whichever route
+ * stored it.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import * as fileStore from './file-store.js';
+import * as sqliteStore from './sqlite-store.js';
+import { storeIdempotent, loadRecentKeys, findStoredOriginal } from './idempotency.js';
+
+// Create logger for this module
+const log = Logger('Storage');
+
+/**
+ * Registry of available storage backends
+ */
+const backends = {
+  file: fileStore,
+  sqlite: sqliteStore
+};
+
+const backend = backends[config.storage.backend];
+if (!backend) {
+  throw new Error(`Unknown storage backend: ${config.storage.backend}. Available: ${Object.keys(backends).join(', ')}`);
+}
+
+log.debug(`Using ${config.storage.backend} storage backend`);
+
+// Callbacks notified after events are stored (see onEventsStored)
+const storedListeners = [];
+
+export const {
+  getEvents,
+  streamEvents,
+  getStats,
+  clearEvents,
+  rotateOldFiles,
+  saveAnalysis,
+  getAnalysisHistory,
+  loadAllReferences,
+  loadReferences,
+  writeReferences,
+  writeReferenceSummary,
+  loadDocuments,
+  loadDocument,
+  saveDocument,
+  deleteDocument
+} = backend;
+
+// Retries of stored events, for paths that don't store (see idempotency.js)
+export { findStoredOriginal };
+
+/**
+ * Initialize the selected backend and restore the idempotency window
+ */
+export async function initStorage() {
+  await backend.initStorage();
+  await loadRecentKeys(backend.getEvents);
+}
+
+/**
+ * Store telemetry events, returning the original result for retried keys
+ *
+ * @param {Array} telemetryList - Telemetry events to store
+ * @returns {Array} [{ eventId, storedAt, duplicate }] in input order
+ */
+export async function storeEvents(telemetryList) {
+  const results = await storeIdempotent(telemetryList, backend.storeEvents);
+
+  if (storedListeners.length > 0) {
+    const stored = [];
+    results.forEach((result, i) => {
+      if (!result.duplicate) {
+        stored.push({ ...telemetryList[i], id: result.eventId, receivedAt: result.storedAt });
+      }
+    });
+    if (stored.length > 0) notifyStored(stored);
+  }
+
+  return results;
+}
+
+/**
+ * Subscribe to newly stored events
+ *
+ * Listeners run synchronously after each store, with the events in their
+ * stored shape ({ ...telemetry, id, receivedAt }). Retried duplicates are
+ * not passed on. A listener that throws is logged and does not affect the
+ * store or other listeners.
+ *
+ * @param {Function} listener - (events) => void
+ */
+export function onEventsStored(listener) {
+  storedListeners.push(listener);
+}
+
+/**
+ * Pass stored events to every listener
+ */
+function notifyStored(events) {
+  for (const listener of storedListeners) {
+    try {
+      listener(events);
+    } catch (error) {
+      log.error(`Stored-events listener failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Store a single telemetry event
+ *
+ * @param {Object} telemetry - Telemetry event
+ * @returns {Object} { eventId, storedAt, duplicate }
+ */
+export async function storeEvent(telemetry) {
+  const [result] = await storeEvents([telemetry]);
+  return result;
+}
+
+// Export backend names for config validation and diagnostics
+export const STORAGE_BACKENDS = Object.keys(backends);
@@ -10,7 +10,8 @@
  * Other applications (like athena-scraper) can read these to understand
  * what improvements have been suggested.
  *
- * File Structure:
+ * Persistence goes through the configured storage backend (storage/index.js).
+ * With the default file backend:
  *   server/data/references/
  *   ├── athena-scraper.json    # Recommendations for athena-scraper
  *   ├── clinical-app.json      # Recommendations for clinical-app
@@ -44,48 +45,21 @@
  * =============================================================================
  */
 
-import { promises as fs } from 'fs';
-import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { config } from '../config.js';
 import { Logger, logRecommendationSummary } from '../utils/logger.js';
-import { getAnalysisHistory } from './file-store.js';
+import {
+  getAnalysisHistory,
+  loadAllReferences,
+  loadReferences,
+  writeReferences,
+  writeReferenceSummary
+} from './index.js';
 
 // Create logger for this module
 const log = Logger('RefStore');
 
-// References directory path
-const REFS_DIR = 'references';
-
-// =============================================================================
-// HELPER FUNCTIONS
-// =============================================================================
-
-/**
- * Get the path to the references directory
- */
-function getRefsDir() {
-  return join(config.storage.dataDir, REFS_DIR);
-}
-
-/**
- * Get the path to a specific source's reference file
- */
-function getRefFilePath(source) {
-  return join(getRefsDir(), `${source}.json`);
-}
-
-/**
- * Ensure references directory exists
- */
-async function ensureRefsDir() {
-  const dir = getRefsDir();
-  try {
-    await fs.mkdir(dir, { recursive: true });
-  } catch (err) {
-    if (err.code !== 'EEXIST') throw err;
-  }
-}
+// Categories providers file stalled/skipped stage findings under
+const FLOW_CATEGORIES = ['data_flow', 'reliability', 'correlation', 'monitoring'];
 
 // =============================================================================
 // PUBLIC API
@@ -97,35 +71,9 @@ async function ensureRefsDir() {
  * @returns {Object} Map of source -> reference data
  */
 export async function getReferences() {
-  const refsDir = getRefsDir();
-
   log.debug('Loading all references');
 
-  let files;
-  try {
-    files = await fs.readdir(refsDir);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      log.debug('References directory does not exist yet');
-      return {};
-    }
-    throw err;
-  }
-
-  const references = {};
-
-  for (const file of files) {
-    // Skip summary file and non-JSON files
-    if (file.startsWith('_') || !file.endsWith('.json')) continue;
-
-    try {
-      const content = await fs.readFile(join(refsDir, file), 'utf-8');
-      const source = file.replace('.json', '');
-      references[source] = JSON.parse(content);
-    } catch (err) {
-      log.warn(`Failed to read reference file: ${file}`, err.message);
-    }
-  }
+  const references = await loadAllReferences();
 
   log.debug(`Loaded references for ${Object.keys(references).length} sources`);
 
@@ -139,19 +87,9 @@ export async function getReferences() {
  * @returns {Object|null} Reference data or null if not found
  */
 export async function getReferencesBySource(source) {
-  const filePath = getRefFilePath(source);
-
   log.debug(`Loading references for source: ${source}`);
 
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    return JSON.parse(content);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return null;
-    }
-    throw err;
-  }
+  return loadReferences(source);
 }
 
 /**
@@ -162,9 +100,6 @@ export async function getReferencesBySource(source) {
  * @returns {Object} { savedAt, filePath }
  */
 export async function saveReferences(source, data) {
-  await ensureRefsDir();
-
-  const filePath = getRefFilePath(source);
   const now = new Date().toISOString();
 
   // Add/update IDs for recommendations if missing
@@ -183,7 +118,7 @@ export async function saveReferences(source, data) {
     generatedFrom: data.generatedFrom || null
   };
 
-  await fs.writeFile(filePath, JSON.stringify(referenceData, null, 2));
+  const filePath = await writeReferences(source, referenceData);
 
   log.info(`Saved ${recommendations.length} recommendations for ${source}`);
 
@@ -240,12 +175,9 @@ export async function getReferenceSummary() {
  * Update the summary file
  */
 async function updateSummary() {
-  await ensureRefsDir();
-
   const summary = await getReferenceSummary();
-  const summaryPath = join(getRefsDir(), '_summary.json');
 
-  await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+  await writeReferenceSummary(summary);
 
   log.debug('Updated reference summary');
 }
@@ -339,6 +271,15 @@ export async function generateReferencesFromAnalysis(source, analysisId = null)
     }
   }
 
+  // Deterministic pipeline findings recorded with the analysis, unless the
+  // provider already reported the same stall (stage -> next stage) or skip;
+  // the local provider reports every one of them
+  const reported = new Set(recommendations
+    .filter(r => FLOW_CATEGORIES.includes(r.category))
+    .map(r => getStageKey(r.affectedFiles)));
+  recommendations.push(...getCompletenessRecommendations(source, analysis.pipelineCompleteness)
+    .filter(r => !reported.has(getStageKey(r.affectedFiles))));
+
   // Calculate health score
   const healthScore = parsed.healthScore ||
                       parsed.metrics?.healthScore ||
@@ -364,3 +305,54 @@ export async function generateReferencesFromAnalysis(source, analysisId = null)
     savedAt: result.savedAt
   };
 }
+
+/**
+ * Key for the stages a recommendation covers, e.g. "stage: a|stage: b"
+ */
+function getStageKey(affectedFiles = []) {
+  return affectedFiles.join('|');
+}
+
+/**
+ * Turn stalled/skipped pipeline stats into recommendations
+ *
+ * @param {string} source - Source the references are for ('default' covers every source)
+ * @param {Object|null} completeness - analysis.pipelineCompleteness (source -> stats)
+ * @returns {Array} Recommendations in the shared reference format
+ */
+function getCompletenessRecommendations(source, completeness) {
+  if (!completeness) return [];
+
+  const recommendations = [];
+  const entries = Object.entries(completeness)
+    .filter(([name]) => source === 'default' || name === source);
+
+  for (const [name, stats] of entries) {
+    for (const [stage, count] of Object.entries(stats.stalledAfter || {})) {
+      const nextStage = stats.expectedStages[stats.expectedStages.indexOf(stage) + 1];
+      recommendations.push({
+        priority: 'high',
+        category: 'data_flow',
+        title: `${count} ${name} correlation(s) stalled after ${stage}`,
+        description: `${count} of ${stats.traces} traces reached ${stage} but never reached ${nextStage}. ` +
+                     `Examples: ${stats.examples.stalled.join(', ')}`,
+        suggestedFix: `Check the handoff from ${stage} to ${nextStage}`,
+        affectedFiles: [`stage: ${stage}`, `stage: ${nextStage}`]
+      });
+    }
+
+    for (const [stage, count] of Object.entries(stats.skippedStages || {})) {
+      recommendations.push({
+        priority: 'medium',
+        category: 'data_flow',
+        title: `${count} ${name} correlation(s) skipped ${stage}`,
+        description: `${count} of ${stats.traces} traces reached a later stage without passing ${stage}. ` +
+                     `Examples: ${stats.examples.skipped.join(', ')}`,
+        suggestedFix: `Verify ${stage} emits telemetry with the correlationId on every path`,
+        affectedFiles: [`stage: ${stage}`]
+      });
+    }
+  }
+
+  return recommendations;
+}
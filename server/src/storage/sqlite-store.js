@@ -0,0 +1,561 @@
+/**
+ * =============================================================================
+ * SQLITE-STORE.JS - Embedded SQLite Storage Backend
+ * =============================================================================
+ *
+ * Alternative to file-store.js for installations with large event volumes.
+ * Selected with STORAGE_BACKEND=sqlite. Exposes the same functions as the
+ * file backend, so routes and the analyzer don't care which one is active.
+ *
+ * Filter columns (source, stage, success, day, timestamp) are stored
+ * alongside the full event JSON and indexed, so getEvents filters run as
+ * queries instead of loading every event into memory.
+ *
+ * Database: server/data/observer.db (override with SQLITE_PATH)
+ *
+ * Tables:
+ *   events             - One row per telemetry event (+ JSON body)
+ *   analyses           - Saved AI analysis results
+ *   shared_references  - Per-source recommendations (+ _summary row)
+ *   documents          - Small JSON documents grouped by collection
+ *
+ * =============================================================================
+ */
+
+import Database from 'better-sqlite3';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { decodeCursor, encodeCursor, getPosition, getSortTimestamp } from './cursor.js';
+
+// Create logger for this module
+const log = Logger('SQLite');
+
+// Database connection (opened by initStorage)
+let db = null;
+
+// Schema is idempotent so it can run on every startup
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    id             TEXT PRIMARY KEY,
+    received_at    TEXT NOT NULL,
+    day            TEXT NOT NULL,
+    ts             TEXT NOT NULL,
+    source         TEXT,
+    stage          TEXT,
+    action         TEXT,
+    success        INTEGER,
+    correlation_id TEXT,
+    body           TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_ts_id ON events (ts, id);
+  CREATE INDEX IF NOT EXISTS idx_events_day ON events (day);
+  CREATE INDEX IF NOT EXISTS idx_events_source_ts ON events (source, ts);
+  CREATE INDEX IF NOT EXISTS idx_events_stage_ts ON events (stage, ts);
+  CREATE INDEX IF NOT EXISTS idx_events_success_ts ON events (success, ts);
+  CREATE INDEX IF NOT EXISTS idx_events_correlation ON events (correlation_id);
+
+  CREATE TABLE IF NOT EXISTS analyses (
+    id         TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    body       TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_analyses_created ON analyses (created_at);
+
+  CREATE TABLE IF NOT EXISTS shared_references (
+    source     TEXT PRIMARY KEY,
+    updated_at TEXT NOT NULL,
+    body       TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id         TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    body       TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+`;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Get the open database connection
+ *
+ * @returns {Database} better-sqlite3 connection
+ * @throws {Error} If initStorage has not been called
+ */
+function getDb() {
+  if (!db) {
+    throw new Error('SQLite storage not initialized. Call initStorage() first');
+  }
+  return db;
+}
+
+/**
+ * Get date string in YYYY-MM-DD format
+ * Same day semantics as the file backend's segment names
+ *
+ * @param {Date} date - Date to format (default: now)
+ * @returns {string} Date string like "2024-01-15"
+ */
+function getDateString(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Convert a stored event to its row parameters
+ *
+ * @param {Object} event - Stored event (with id and receivedAt)
+ * @returns {Object} Named parameters for the insert statement
+ */
+function toRow(event) {
+  const success = event.event?.success;
+  return {
+    id: event.id,
+    received_at: event.receivedAt,
+    day: event.receivedAt.split('T')[0],
+    ts: getSortTimestamp(event),
+    source: event.source ?? null,
+    stage: event.event?.stage ?? null,
+    action: event.event?.action ?? null,
+    success: typeof success === 'boolean' ? Number(success) : null,
+    correlation_id: event.event?.correlationId ?? null,
+    body: JSON.stringify(event)
+  };
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Open the database and create tables/indexes if needed
+ * Called once on server startup
+ */
+export async function initStorage() {
+  const dbPath = config.storage.sqlitePath;
+  await fs.mkdir(dirname(dbPath), { recursive: true });
+
+  db = new Database(dbPath);
+
+  // WAL keeps readers (dashboard, export) from blocking ingestion
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+
+  log.info(`SQLite storage initialized at ${dbPath}`);
+}
+
+// =============================================================================
+// EVENT STORAGE
+// =============================================================================
+
+/**
+ * Store a single telemetry event
+ *
+ * @param {Object} telemetry - The telemetry event from the extension
+ * @returns {Object} { eventId, storedAt } - Confirmation of storage
+ */
+export async function storeEvent(telemetry) {
+  const [result] = await storeEvents([telemetry]);
+  return result;
+}
+
+/**
+ * Store several telemetry events in one transaction
+ *
+ * @param {Array} telemetryList - Telemetry events to store
+ * @returns {Array} [{ eventId, storedAt }] in the same order as the input
+ */
+export async function storeEvents(telemetryList) {
+  const now = new Date();
+  const conn = getDb();
+
+  const events = telemetryList.map(telemetry => ({
+    id: `evt_${uuidv4().slice(0, 12)}`,
+    receivedAt: now.toISOString(),
+    ...telemetry
+  }));
+
+  const insert = conn.prepare(`
+    INSERT INTO events (id, received_at, day, ts, source, stage, action, success, correlation_id, body)
+    VALUES (@id, @received_at, @day, @ts, @source, @stage, @action, @success, @correlation_id, @body)
+  `);
+  conn.transaction(rows => rows.forEach(row => insert.run(row)))(events.map(toRow));
+
+  for (const event of events) {
+    log.debug(`Stored event ${event.id} from ${event.source || 'unknown'}`);
+  }
+
+  return events.map(event => ({ eventId: event.id, storedAt: event.receivedAt }));
+}
+
+// =============================================================================
+// EVENT QUERIES
+// =============================================================================
+
+/**
+ * Build the WHERE clause for event filters
+ *
+ * @param {Object} filters - { source, stage, success, correlationId, startDate, endDate, position }
+ * @returns {Object} { where, params } - SQL fragment and named parameters
+ */
+function buildWhere({ source, stage, success, correlationId, startDate, endDate, position }) {
+  const clauses = [];
+  const params = {};
+
+  if (source) {
+    clauses.push('source = @source');
+    params.source = source;
+  }
+  if (stage) {
+    clauses.push('stage = @stage');
+    params.stage = stage;
+  }
+  if (success !== undefined) {
+    clauses.push('success = @success');
+    params.success = Number(success);
+  }
+  if (correlationId) {
+    clauses.push('correlation_id = @correlationId');
+    params.correlationId = correlationId;
+  }
+  if (startDate) {
+    clauses.push('day >= @start');
+    params.start = getDateString(new Date(startDate));
+  }
+  if (endDate) {
+    clauses.push('day <= @end');
+    params.end = getDateString(new Date(endDate));
+  }
+  if (position) {
+    // Keyset pagination: strictly after the cursor in (ts, id) DESC order
+    clauses.push('(ts < @cursorTs OR (ts = @cursorTs AND id < @cursorId))');
+    params.cursorTs = position.t;
+    params.cursorId = position.id;
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Get events with optional filtering and pagination
+ * Takes the same options and returns the same shape as the file backend
+ *
+ * @param {Object} options - Query options (source, stage, success, correlationId, startDate, endDate, limit, offset, cursor, includeTotal)
+ * @returns {Object} { events, total, limit, offset, nextCursor } - total is
+ *   null when includeTotal is false
+ */
+export async function getEvents(options = {}) {
+  const {
+    source,
+    stage,
+    success,
+    correlationId,
+    startDate,
+    endDate,
+    limit = 100,
+    offset = 0,
+    cursor,
+    includeTotal = true
+  } = options;
+
+  log.debug('Querying events', { source, stage, success, correlationId, startDate, endDate, limit, offset, cursor });
+
+  const position = cursor ? decodeCursor(cursor) : null;
+  const filters = { source, stage, success, correlationId, startDate, endDate };
+  const conn = getDb();
+
+  // Total counts every match, independent of the page position
+  let total = null;
+  if (includeTotal) {
+    const counted = buildWhere(filters);
+    ({ total } = conn.prepare(`SELECT COUNT(*) AS total FROM events ${counted.where}`).get(counted.params));
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const { where, params } = buildWhere({ ...filters, position });
+  const start = position ? 0 : offset;
+  const rows = conn.prepare(`
+    SELECT body FROM events ${where}
+    ORDER BY ts DESC, id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: limit + 1, offset: start });
+
+  const events = rows.slice(0, limit).map(row => JSON.parse(row.body));
+
+  log.debug(`Returning ${events.length} events${includeTotal ? ` of ${total}` : ''}`);
+
+  return {
+    events,
+    total,
+    limit,
+    offset: start,
+    nextCursor: rows.length > limit ? encodeCursor(events[events.length - 1]) : null
+  };
+}
+
+// Rows fetched per query while streaming
+const STREAM_PAGE_SIZE = 500;
+
+/**
+ * Stream matching events, newest first
+ * Reads in keyset pages rather than holding a statement open, so inserts
+ * on the shared connection keep working while a long export is running.
+ *
+ * @param {Object} options - Filters { source, stage, success, correlationId, startDate, endDate }
+ * @yields {Object} Stored event
+ */
+export async function* streamEvents(options = {}) {
+  const { source, stage, success, correlationId, startDate, endDate } = options;
+  let position = null;
+
+  while (true) {
+    const { where, params } = buildWhere({ source, stage, success, correlationId, startDate, endDate, position });
+    const rows = getDb().prepare(`
+      SELECT body FROM events ${where}
+      ORDER BY ts DESC, id DESC
+      LIMIT @limit
+    `).all({ ...params, limit: STREAM_PAGE_SIZE });
+
+    const events = rows.map(row => JSON.parse(row.body));
+    yield* events;
+
+    if (events.length < STREAM_PAGE_SIZE) return;
+    position = getPosition(events[events.length - 1]);
+  }
+}
+
+/**
+ * Get aggregated statistics across all events
+ *
+ * @returns {Object} { totalEvents, errorCount, sources, stageBreakdown, lastEventTime }
+ */
+export async function getStats() {
+  const conn = getDb();
+
+  const totals = conn.prepare(`
+    SELECT COUNT(*) AS totalEvents,
+           COALESCE(SUM(success = 0), 0) AS errorCount,
+           MAX(ts) AS lastEventTime
+    FROM events
+  `).get();
+
+  const sources = conn.prepare('SELECT DISTINCT source FROM events WHERE source IS NOT NULL')
+    .all()
+    .map(row => row.source);
+
+  const stageBreakdown = {};
+  for (const row of conn.prepare(`
+    SELECT COALESCE(stage, 'unknown') AS stage, COUNT(*) AS count
+    FROM events GROUP BY 1
+  `).all()) {
+    stageBreakdown[row.stage] = row.count;
+  }
+
+  log.debug(`Stats: ${totals.totalEvents} events, ${totals.errorCount} errors, ${sources.length} sources`);
+
+  return {
+    totalEvents: totals.totalEvents,
+    errorCount: totals.errorCount,
+    sources,
+    stageBreakdown,
+    lastEventTime: totals.lastEventTime
+  };
+}
+
+// =============================================================================
+// EVENT MANAGEMENT
+// =============================================================================
+
+/**
+ * Clear all stored events
+ *
+ * @returns {Object} { cleared: true }
+ */
+export async function clearEvents() {
+  const { changes } = getDb().prepare('DELETE FROM events').run();
+  log.info(`Cleared ${changes} event(s)`);
+  return { cleared: true };
+}
+
+/**
+ * Delete events received before the retention cutoff
+ *
+ * @returns {Object} { deleted: number } - Count of deleted events
+ */
+export async function rotateOldFiles() {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - config.storage.retentionDays);
+  const cutoff = getDateString(cutoffDate);
+
+  const { changes } = getDb().prepare('DELETE FROM events WHERE day < ?').run(cutoff);
+
+  if (changes > 0) {
+    log.info(`Rotated ${changes} event(s) older than ${cutoff}`);
+  }
+
+  return { deleted: changes };
+}
+
+// =============================================================================
+// ANALYSIS STORAGE
+// =============================================================================
+
+/**
+ * Save an AI analysis result
+ *
+ * @param {Object} analysis - The analysis result to save
+ * @returns {Object} { id, savedTo } - Analysis ID and database location
+ */
+export async function saveAnalysis(analysis) {
+  const id = `ana_${uuidv4().slice(0, 12)}`;
+  const data = {
+    id,
+    createdAt: new Date().toISOString(),
+    ...analysis
+  };
+
+  getDb().prepare('INSERT INTO analyses (id, created_at, body) VALUES (?, ?, ?)')
+    .run(id, data.createdAt, JSON.stringify(data));
+
+  log.info(`Saved analysis ${id}`);
+
+  return { id, savedTo: `${config.storage.sqlitePath}#analyses/${id}` };
+}
+
+/**
+ * Get history of past AI analyses, most recent first
+ *
+ * @param {number} limit - Maximum number of analyses to return
+ * @returns {Array} List of analysis objects
+ */
+export async function getAnalysisHistory(limit = 20) {
+  return getDb()
+    .prepare('SELECT body FROM analyses ORDER BY created_at DESC LIMIT ?')
+    .all(limit)
+    .map(row => JSON.parse(row.body));
+}
+
+// =============================================================================
+// REFERENCE STORAGE
+// =============================================================================
+
+/**
+ * Load reference data for every source
+ *
+ * @returns {Object} Map of source -> reference data
+ */
+export async function loadAllReferences() {
+  const references = {};
+  for (const row of getDb().prepare(
+    "SELECT source, body FROM shared_references WHERE source NOT LIKE '\\_%' ESCAPE '\\'"
+  ).all()) {
+    references[row.source] = JSON.parse(row.body);
+  }
+  return references;
+}
+
+/**
+ * Load reference data for one source
+ *
+ * @param {string} source - Source application name
+ * @returns {Object|null} Reference data or null if not found
+ */
+export async function loadReferences(source) {
+  const row = getDb().prepare('SELECT body FROM shared_references WHERE source = ?').get(source);
+  return row ? JSON.parse(row.body) : null;
+}
+
+/**
+ * Write reference data for one source (replaces any existing data)
+ *
+ * @param {string} source - Source application name
+ * @param {Object} data - Complete reference document
+ * @returns {string} Location the references were written to
+ */
+export async function writeReferences(source, data) {
+  getDb().prepare(`
+    INSERT INTO shared_references (source, updated_at, body) VALUES (?, ?, ?)
+    ON CONFLICT (source) DO UPDATE SET updated_at = excluded.updated_at, body = excluded.body
+  `).run(source, data.lastUpdated || new Date().toISOString(), JSON.stringify(data));
+
+  return `${config.storage.sqlitePath}#references/${source}`;
+}
+
+/**
+ * Write the aggregate reference summary
+ * Stored as the reserved "_summary" row, mirroring the file backend
+ *
+ * @param {Object} summary - Summary from getReferenceSummary()
+ */
+export async function writeReferenceSummary(summary) {
+  await writeReferences('_summary', summary);
+}
+
+// =============================================================================
+// DOCUMENT STORAGE
+// =============================================================================
+
+/**
+ * Load every document in a collection
+ *
+ * @param {string} collection - Collection name
+ * @returns {Array} Documents
+ */
+export async function loadDocuments(collection) {
+  return getDb()
+    .prepare('SELECT body FROM documents WHERE collection = ?')
+    .all(collection)
+    .map(row => JSON.parse(row.body));
+}
+
+/**
+ * Load one document
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID
+ * @returns {Object|null} Document or null if not found
+ */
+export async function loadDocument(collection, id) {
+  const row = getDb()
+    .prepare('SELECT body FROM documents WHERE collection = ? AND id = ?')
+    .get(collection, id);
+  return row ? JSON.parse(row.body) : null;
+}
+
+/**
+ * Create or replace a document
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID
+ * @param {Object} data - Document body
+ */
+export async function saveDocument(collection, id, data) {
+  getDb().prepare(`
+    INSERT INTO documents (collection, id, updated_at, body) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET updated_at = excluded.updated_at, body = excluded.body
+  `).run(collection, id, new Date().toISOString(), JSON.stringify(data));
+}
+
+/**
+ * Delete a document
+ *
+ * @param {string} collection - Collection name
+ * @param {string} id - Document ID
+ * @returns {boolean} True if the document existed
+ */
+export async function deleteDocument(collection, id) {
+  const result = getDb()
+    .prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+    .run(collection, id);
+  return result.changes > 0;
+}
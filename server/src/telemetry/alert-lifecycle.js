@@ -0,0 +1,464 @@
+/**
+ * =============================================================================
+ * ALERT-LIFECYCLE.JS - Alert Instances, Acknowledgement and Silences
+ * =============================================================================
+ *
+ * Each time a rule fires (see alerts.js) it opens an alert instance, which
+ * moves through:
+ *
+ *   firing → acknowledged → resolved
+ *      └─────────────────────↗
+ *
+ * Repeated firings are grouped: a rule that fires again within
+ * ALERT_GROUP_MINUTES of its last alert resolving reopens that alert
+ * (occurrences + 1) instead of starting a new one. A reopened alert that had
+ * been acknowledged stays acknowledged and notifies nobody - someone is
+ * already on it. Its resolution is still sent.
+ *
+ * Silences mute notifications for alerts matching their scope (any of
+ * source, stage and ruleId; unset fields match anything) until they expire.
+ * Silenced alerts are still recorded, with silencedBy set.
+ *
+ * Alerts are kept in the "alerts" collection (resolved ones beyond
+ * ALERT_HISTORY_MAX_RECORDS are removed, oldest first) and silences in
+ * "alert-silences" (removed a week after they expire).
+ *
+ * =============================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument, deleteDocument } from '../storage/index.js';
+
+// Create logger for this module
+const log = Logger('Alerts');
+
+// Document collections
+const ALERTS_COLLECTION = 'alerts';
+const SILENCES_COLLECTION = 'alert-silences';
+
+export const ALERT_STATUSES = ['firing', 'acknowledged', 'resolved'];
+
+// How long expired silences stay listed
+const EXPIRED_SILENCE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Notification attempts kept per alert (newest)
+const MAX_NOTIFICATIONS = 20;
+
+// Default page size for listAlerts
+const DEFAULT_LIMIT = 100;
+
+// All alerts and silences, by ID (loaded at startup)
+const alerts = new Map();
+const silences = new Map();
+
+// Last pending write per document, so writes to one document stay in order
+const writes = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Queue a write (save, or delete when document is null) behind earlier
+ * writes to the same document
+ */
+function write(collection, id, document) {
+  const key = `${collection}/${id}`;
+  const done = (writes.get(key) || Promise.resolve())
+    .then(() => (document ? saveDocument(collection, id, document) : deleteDocument(collection, id)));
+
+  const settled = done.catch(() => {}).then(() => {
+    if (writes.get(key) === settled) writes.delete(key);
+  });
+  writes.set(key, settled);
+  return done;
+}
+
+/**
+ * Whether a silence covers a rule's alerts at a given time
+ */
+function silenceMatches(silence, rule, at) {
+  return silence.expiresAt > at &&
+    (!silence.ruleId || silence.ruleId === rule.id) &&
+    (!silence.source || silence.source === rule.source) &&
+    (!silence.stage || silence.stage === rule.stage);
+}
+
+/**
+ * First active silence covering a rule's alerts, or null
+ */
+function findSilence(rule, at) {
+  for (const silence of silences.values()) {
+    if (silenceMatches(silence, rule, at)) return silence;
+  }
+  return null;
+}
+
+/**
+ * The rule's alert that hasn't resolved yet, or null
+ */
+function findOpenAlert(ruleId) {
+  for (const alert of alerts.values()) {
+    if (alert.ruleId === ruleId && alert.status !== 'resolved') return alert;
+  }
+  return null;
+}
+
+/**
+ * The rule's most recently resolved alert, if it resolved within
+ * ALERT_GROUP_MINUTES of a time
+ */
+function findGroupableAlert(ruleId, at) {
+  const cutoff = new Date(Date.parse(at) - config.alerts.groupMinutes * 60 * 1000).toISOString();
+  let latest = null;
+
+  for (const alert of alerts.values()) {
+    if (alert.ruleId !== ruleId || alert.status !== 'resolved' || alert.resolvedAt < cutoff) continue;
+    if (!latest || alert.resolvedAt > latest.resolvedAt) latest = alert;
+  }
+  return latest;
+}
+
+/**
+ * Copy the rule's current description of itself onto an alert
+ */
+function applyRule(alert, rule) {
+  alert.ruleName = rule.name;
+  alert.type = rule.type;
+  alert.source = rule.source;
+  alert.stage = rule.stage;
+  alert.severity = rule.severity;
+  alert.threshold = rule.type === 'no_events' ? rule.windowMinutes : rule.threshold;
+}
+
+/**
+ * Remove resolved alerts beyond ALERT_HISTORY_MAX_RECORDS and silences a
+ * week past expiry
+ */
+async function prune(now = Date.now()) {
+  const resolved = [...alerts.values()].filter(alert => alert.status === 'resolved');
+  const excess = resolved.length - config.alerts.historyMaxRecords;
+
+  if (excess > 0) {
+    const oldest = resolved
+      .sort((a, b) => a.resolvedAt.localeCompare(b.resolvedAt))
+      .slice(0, excess);
+
+    for (const alert of oldest) {
+      alerts.delete(alert.id);
+      await write(ALERTS_COLLECTION, alert.id, null);
+    }
+  }
+
+  const cutoff = new Date(now - EXPIRED_SILENCE_RETENTION_MS).toISOString();
+  for (const silence of [...silences.values()]) {
+    if (silence.expiresAt < cutoff) {
+      silences.delete(silence.id);
+      await write(SILENCES_COLLECTION, silence.id, null);
+    }
+  }
+}
+
+// =============================================================================
+// RULE TRANSITIONS (called by alerts.js)
+// =============================================================================
+
+/**
+ * Load alerts and silences
+ */
+export async function initAlertLifecycle() {
+  for (const alert of await loadDocuments(ALERTS_COLLECTION)) {
+    alerts.set(alert.id, alert);
+  }
+  for (const silence of await loadDocuments(SILENCES_COLLECTION)) {
+    silences.set(silence.id, silence);
+  }
+
+  await prune();
+
+  const open = [...alerts.values()].filter(alert => alert.status !== 'resolved').length;
+  log.info(`Loaded ${alerts.size} alert(s) (${open} open) and ${silences.size} silence(s)`);
+}
+
+/**
+ * Record a rule starting to fire: open an alert, or reopen a recent one
+ *
+ * @param {Object} rule - The rule
+ * @param {Object} evaluation - { value, description }
+ * @param {string} at - When (ISO string)
+ * @returns {Promise<Object>} { alert, notify } - notify is false when the
+ *   alert is silenced or was reopened already acknowledged
+ */
+export async function recordFiring(rule, evaluation, at) {
+  const silence = findSilence(rule, at);
+  let alert = findOpenAlert(rule.id);
+  let notify;
+
+  if (alert) {
+    // Still open (e.g. its rule's state was reset); count it as a repeat
+    alert.occurrences++;
+    notify = false;
+  } else if ((alert = findGroupableAlert(rule.id, at))) {
+    alert.occurrences++;
+    alert.status = alert.acknowledgedAt ? 'acknowledged' : 'firing';
+    alert.resolvedAt = null;
+    alert.resolvedReason = null;
+    notify = alert.status === 'firing';
+    log.info(`Alert ${alert.id} (${rule.name}) reopened, occurrence ${alert.occurrences}`);
+  } else {
+    alert = {
+      id: `alt_${uuidv4()}`,
+      ruleId: rule.id,
+      status: 'firing',
+      startedAt: at,
+      occurrences: 1,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      note: null,
+      resolvedAt: null,
+      resolvedReason: null,
+      notifications: []
+    };
+    alerts.set(alert.id, alert);
+    notify = true;
+  }
+
+  applyRule(alert, rule);
+  alert.value = evaluation.value;
+  alert.description = evaluation.description;
+  alert.lastFiredAt = at;
+  alert.silencedBy = silence?.id || null;
+  if (silence) notify = false;
+
+  await write(ALERTS_COLLECTION, alert.id, alert);
+  prune().catch(err => log.error('Failed to prune alert history', err.message));
+  return { alert, notify };
+}
+
+/**
+ * Record a rule's open alert resolving
+ *
+ * @param {Object} rule - The rule
+ * @param {Object} evaluation - { value, description } (null when the rule
+ *   was changed, disabled or deleted rather than cleared)
+ * @param {string} at - When (ISO string)
+ * @param {string} reason - "condition cleared", "rule changed", "rule disabled"
+ *   or "rule deleted"
+ * @returns {Promise<Object|null>} { alert, notify } - notify only when the
+ *   condition cleared and the firing was notified and isn't silenced now;
+ *   null if the rule had no open alert
+ */
+export async function recordResolution(rule, evaluation, at, reason = 'condition cleared') {
+  const alert = findOpenAlert(rule.id);
+  if (!alert) return null;
+
+  const silence = findSilence(rule, at);
+  const notified = alert.notifications.some(n => n.status === 'firing' && n.results.some(r => r.ok));
+
+  alert.status = 'resolved';
+  alert.resolvedAt = at;
+  alert.resolvedReason = reason;
+  if (evaluation) {
+    alert.value = evaluation.value;
+    alert.description = evaluation.description;
+  }
+
+  await write(ALERTS_COLLECTION, alert.id, alert);
+  return { alert, notify: reason === 'condition cleared' && notified && !silence };
+}
+
+/**
+ * Record the outcome of notifying an alert's status
+ *
+ * @param {Object} alert - The alert
+ * @param {string} status - "firing" or "resolved"
+ * @param {string} at - When (ISO string)
+ * @param {Array} results - [{ channel, ok, error? }]
+ */
+export async function recordNotifications(alert, status, at, results) {
+  alert.notifications = [...alert.notifications, { status, at, results }].slice(-MAX_NOTIFICATIONS);
+  await write(ALERTS_COLLECTION, alert.id, alert);
+}
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+
+/**
+ * List alerts, most recently started first
+ *
+ * @param {Object} options - { status, severity, source, stage, ruleId, since,
+ *   until, limit, offset } - since/until keep alerts open at some point in
+ *   that window
+ * @returns {Object} { alerts, total }
+ */
+export function listAlerts(options = {}) {
+  const { status, severity, source, stage, ruleId, since, until } = options;
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const offset = options.offset ?? 0;
+  const sinceIso = since ? new Date(since).toISOString() : null;
+  const untilIso = until ? new Date(until).toISOString() : null;
+
+  const matching = [...alerts.values()]
+    .filter(alert =>
+      (!status || alert.status === status) &&
+      (!severity || alert.severity === severity) &&
+      (!source || alert.source === source) &&
+      (!stage || alert.stage === stage) &&
+      (!ruleId || alert.ruleId === ruleId) &&
+      (!sinceIso || !alert.resolvedAt || alert.resolvedAt >= sinceIso) &&
+      (!untilIso || alert.startedAt <= untilIso))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+  return {
+    alerts: matching.slice(offset, offset + limit),
+    total: matching.length
+  };
+}
+
+/**
+ * Get one alert
+ *
+ * @param {string} id - Alert ID
+ * @returns {Object|null} Alert or null if not found
+ */
+export function getAlert(id) {
+  return alerts.get(id) || null;
+}
+
+/**
+ * Acknowledge an alert (acknowledging twice keeps the first)
+ *
+ * @param {string} id - Alert ID
+ * @param {Object} options - { by, note }
+ * @returns {Promise<Object|null>} { alert } or { error } if it already
+ *   resolved; null if not found
+ */
+export async function acknowledgeAlert(id, { by = null, note = null } = {}) {
+  const alert = alerts.get(id);
+  if (!alert) return null;
+  if (alert.status === 'resolved') return { error: 'Alert has already resolved' };
+  if (alert.status === 'acknowledged') return { alert };
+
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date().toISOString();
+  alert.acknowledgedBy = by;
+  alert.note = note;
+
+  await write(ALERTS_COLLECTION, id, alert);
+  log.info(`Alert ${id} (${alert.ruleName}) acknowledged${by ? ` by ${by}` : ''}`);
+  return { alert };
+}
+
+// =============================================================================
+// SILENCES
+// =============================================================================
+
+/**
+ * Check a silence request
+ *
+ * @param {Object} body - { source, stage, ruleId, durationMinutes, expiresAt }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSilence(body) {
+  const { source, stage, ruleId, durationMinutes, expiresAt, comment, createdBy } = body;
+
+  for (const [name, value] of [['source', source], ['stage', stage], ['ruleId', ruleId], ['comment', comment], ['createdBy', createdBy]]) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !value.trim())) {
+      return `${name} must be a non-empty string`;
+    }
+  }
+  if (!source && !stage && !ruleId) {
+    return 'A silence needs at least one of source, stage or ruleId';
+  }
+  if ((durationMinutes === undefined) === (expiresAt === undefined)) {
+    return 'Give either durationMinutes or expiresAt';
+  }
+  if (durationMinutes !== undefined && (!Number.isFinite(durationMinutes) || durationMinutes <= 0)) {
+    return 'durationMinutes must be a positive number';
+  }
+  if (expiresAt !== undefined && (isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+    return 'expiresAt must be an ISO date string in the future';
+  }
+
+  return null;
+}
+
+/**
+ * List silences, newest first
+ *
+ * @param {Object} options - { active } - true for unexpired silences only,
+ *   false for expired ones only
+ * @returns {Array} Silences, each with an active flag
+ */
+export function listSilences({ active } = {}) {
+  const now = new Date().toISOString();
+  return [...silences.values()]
+    .map(silence => ({ ...silence, active: silence.expiresAt > now }))
+    .filter(silence => active === undefined || silence.active === active)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Create a silence
+ * Open alerts it covers are marked silenced straight away.
+ *
+ * @param {Object} body - { source, stage, ruleId, durationMinutes | expiresAt,
+ *   comment, createdBy }
+ * @returns {Promise<Object>} { silence } or { error }
+ */
+export async function createSilence(body = {}) {
+  const error = validateSilence(body);
+  if (error) return { error };
+
+  const now = new Date();
+  const silence = {
+    id: `sil_${uuidv4()}`,
+    source: body.source || null,
+    stage: body.stage || null,
+    ruleId: body.ruleId || null,
+    comment: body.comment || null,
+    createdBy: body.createdBy || null,
+    createdAt: now.toISOString(),
+    expiresAt: body.expiresAt !== undefined
+      ? new Date(body.expiresAt).toISOString()
+      : new Date(now.getTime() + body.durationMinutes * 60 * 1000).toISOString()
+  };
+
+  silences.set(silence.id, silence);
+  await write(SILENCES_COLLECTION, silence.id, silence);
+
+  for (const alert of alerts.values()) {
+    if (alert.status !== 'resolved' && !alert.silencedBy &&
+        silenceMatches(silence, { id: alert.ruleId, source: alert.source, stage: alert.stage }, silence.createdAt)) {
+      alert.silencedBy = silence.id;
+      await write(ALERTS_COLLECTION, alert.id, alert);
+    }
+  }
+
+  log.info(`Silence ${silence.id} created until ${silence.expiresAt}` +
+    ` (${[silence.source, silence.stage, silence.ruleId].filter(Boolean).join(' / ')})`);
+  return { silence: { ...silence, active: true } };
+}
+
+/**
+ * Expire a silence now (it stays listed as expired)
+ *
+ * @param {string} id - Silence ID
+ * @returns {Promise<Object|null>} The silence, or null if not found
+ */
+export async function expireSilence(id) {
+  const silence = silences.get(id);
+  if (!silence) return null;
+
+  const now = new Date().toISOString();
+  if (silence.expiresAt > now) {
+    silence.expiresAt = now;
+    await write(SILENCES_COLLECTION, id, silence);
+    log.info(`Silence ${id} expired early`);
+  }
+
+  return { ...silence, active: false };
+}
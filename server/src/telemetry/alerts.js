@@ -0,0 +1,625 @@
+/**
+ * =============================================================================
+ * ALERTS.JS - Declarative Alert Rules
+ * =============================================================================
+ *
+ * Rules are checked every ALERT_EVALUATE_SECONDS against what the observer
+ * already knows, without re-reading raw events where it can avoid it:
+ *
+ *   error_rate            Failed events reach threshold % of a source's (or
+ *                         stage's) events in the last windowMinutes
+ *                         (from minute rollups; needs minEvents events)
+ *   no_events             A source has sent nothing for windowMinutes
+ *                         (from minute rollups)
+ *   stalled_correlations  threshold or more correlations stalled mid-pipeline
+ *                         (after stage, if set) in the last windowMinutes
+ *                         (pipeline completeness)
+ *   health_score          The local analyzer's health score dropped threshold
+ *                         points or more, comparing the last windowMinutes with
+ *                         the windowMinutes before (event-level findings)
+ *
+ * A rule fires when its condition starts to hold and resolves when it stops.
+ * Firing opens an alert instance that can be acknowledged and silenced (see
+ * alert-lifecycle.js); each change notifies the rule's channels once
+ * (integrations/notifications.js) unless the alert is silenced. Rules whose
+ * condition can't be evaluated keep their status and record the error instead.
+ *
+ * Rules, with their current state, are kept in the "alert-rules" document
+ * collection.
+ *
+ * =============================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument, deleteDocument, streamEvents } from '../storage/index.js';
+import { getRecentTotals } from './rollups.js';
+import { getCompletenessStats } from './traces.js';
+import { computeHealthScore } from '../ai/local.js';
+import { NOTIFICATION_CHANNELS, sendNotification, validateTargets } from '../integrations/notifications.js';
+import {
+  initAlertLifecycle,
+  recordFiring,
+  recordResolution,
+  recordNotifications
+} from './alert-lifecycle.js';
+
+// Create logger for this module
+const log = Logger('Alerts');
+
+// Document collection holding rules
+const COLLECTION = 'alert-rules';
+
+// Rule types, with the threshold and window used when a rule doesn't set them
+const TYPE_DEFAULTS = {
+  error_rate: { threshold: 10, windowMinutes: 10 },
+  no_events: { threshold: null, windowMinutes: 30 },
+  stalled_correlations: { threshold: 1, windowMinutes: 60 },
+  health_score: { threshold: 20, windowMinutes: 60 }
+};
+
+export const ALERT_RULE_TYPES = Object.keys(TYPE_DEFAULTS);
+
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+// Events scored per window for health_score rules (newest kept)
+const MAX_HEALTH_EVENTS = 2000;
+
+// Fields a client may set, with their defaults for new rules
+const DEFAULTS = {
+  name: null,
+  type: null,
+  source: null,
+  stage: null,
+  threshold: null,
+  windowMinutes: null,
+  minEvents: 10,
+  severity: 'warning',
+  channels: ['partner'],
+  webhookUrl: null,
+  emailTo: null,
+  enabled: true
+};
+
+// All rules, by ID (loaded at startup)
+const rules = new Map();
+
+// Evaluation timer, set by initAlerts()
+let timer = null;
+
+// True while an evaluation pass is running (passes never overlap)
+let evaluating = false;
+
+// Tail of the queue that rule evaluations, updates and deletes run through
+let queue = Promise.resolve();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Check a rule's fields
+ *
+ * @param {Object} rule - Rule with defaults applied
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRule(rule) {
+  const { type, source, stage, threshold, windowMinutes, minEvents, severity, channels, webhookUrl, emailTo } = rule;
+
+  if (!ALERT_RULE_TYPES.includes(type)) {
+    return `Invalid type. Must be one of: ${ALERT_RULE_TYPES.join(', ')}`;
+  }
+  if (source !== null && (typeof source !== 'string' || !source.trim())) {
+    return 'source must be a non-empty string';
+  }
+  if (type === 'no_events' && !source) {
+    return 'source is required for no_events rules';
+  }
+  if (stage !== null && (typeof stage !== 'string' || !stage.trim())) {
+    return 'stage must be a non-empty string';
+  }
+  if (type !== 'no_events' && (!Number.isFinite(threshold) || threshold < 0)) {
+    return 'threshold must be a non-negative number';
+  }
+  if (type === 'error_rate' && threshold > 100) {
+    return 'threshold is a percentage for error_rate rules (0-100)';
+  }
+  if (!Number.isFinite(windowMinutes) || windowMinutes <= 0) {
+    return 'windowMinutes must be a positive number';
+  }
+  if (['error_rate', 'no_events'].includes(type) && windowMinutes > config.rollups.minuteRetentionHours * 60) {
+    return `windowMinutes can be at most ${config.rollups.minuteRetentionHours * 60} (ROLLUP_MINUTE_RETENTION_HOURS)`;
+  }
+  if (!Number.isInteger(minEvents) || minEvents < 0) {
+    return 'minEvents must be a non-negative integer';
+  }
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    return `Invalid severity. Must be one of: ${ALERT_SEVERITIES.join(', ')}`;
+  }
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return 'channels must be a non-empty array';
+  }
+  const unknown = channels.find(channel => !NOTIFICATION_CHANNELS.includes(channel));
+  if (unknown) {
+    return `Unknown channel '${unknown}'. Must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+  }
+
+  return validateTargets({ webhookUrl, emailTo });
+}
+
+/**
+ * Copy the client-settable fields out of a request body
+ */
+function pickFields(body = {}) {
+  return Object.fromEntries(
+    Object.keys(DEFAULTS)
+      .filter(key => body[key] !== undefined)
+      .map(key => [key, body[key]])
+  );
+}
+
+/**
+ * Fill in the type's threshold and window where the rule leaves them unset
+ */
+function applyTypeDefaults(rule) {
+  const defaults = TYPE_DEFAULTS[rule.type];
+  if (!defaults) return rule;
+  return {
+    ...rule,
+    threshold: rule.type === 'no_events' ? null : rule.threshold ?? defaults.threshold,
+    windowMinutes: rule.windowMinutes ?? defaults.windowMinutes
+  };
+}
+
+/**
+ * Default rule name, e.g. "error_rate for athena-scraper/backend"
+ */
+function defaultName(rule) {
+  const scope = rule.source ? `${rule.source}${rule.stage ? `/${rule.stage}` : ''}` : 'all sources';
+  return `${rule.type} for ${scope}`;
+}
+
+/**
+ * State of a rule that hasn't been evaluated yet
+ */
+function initialState() {
+  return { status: 'ok', value: null, since: null, alertId: null, lastEvaluatedAt: null, error: null, lastNotification: null };
+}
+
+/**
+ * Run a task after every earlier queued one has finished
+ * Evaluating a rule waits on events, webhooks and SMTP; queueing changes
+ * behind it keeps it from writing back a rule that was updated or deleted
+ * in the meantime.
+ */
+function exclusive(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Round to one decimal place
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Health scores for the last window and the window before it
+ * Windows are by receipt time, as rollups are.
+ */
+async function getHealthScores(rule, now) {
+  const windowMs = rule.windowMinutes * 60 * 1000;
+  const currentStart = now - windowMs;
+  const previousStart = currentStart - windowMs;
+  const current = [];
+  const previous = [];
+
+  for await (const event of streamEvents({
+    source: rule.source || undefined,
+    stage: rule.stage || undefined,
+    startDate: new Date(previousStart).toISOString(),
+    endDate: new Date(now).toISOString()
+  })) {
+    const received = Date.parse(event.receivedAt);
+    if (received >= currentStart && received <= now) {
+      if (current.length < MAX_HEALTH_EVENTS) current.push(event);
+    } else if (received >= previousStart && received < currentStart) {
+      if (previous.length < MAX_HEALTH_EVENTS) previous.push(event);
+      else break;
+    }
+  }
+
+  return {
+    current: current.length >= Math.max(rule.minEvents, 1) ? computeHealthScore(current) : null,
+    previous: previous.length >= Math.max(rule.minEvents, 1) ? computeHealthScore(previous) : null,
+    currentEvents: current.length,
+    previousEvents: previous.length
+  };
+}
+
+/**
+ * Check a rule's condition
+ *
+ * @param {Object} rule - Rule
+ * @returns {Promise<Object>} { breaching, value, description }
+ * @throws {Error} When the data the rule needs isn't available
+ */
+async function evaluateCondition(rule, now = Date.now()) {
+  const { type, source, stage, threshold, windowMinutes, minEvents } = rule;
+  const scope = source ? `${source}${stage ? `/${stage}` : ''}` : stage ? `stage ${stage}` : 'all sources';
+
+  if ((type === 'error_rate' || type === 'no_events') && !config.rollups.enabled) {
+    throw new Error(`${type} rules need rollups (ROLLUPS_ENABLED=false)`);
+  }
+
+  switch (type) {
+    case 'error_rate': {
+      const { count, failures } = getRecentTotals({ source, stage, since: now - windowMinutes * 60 * 1000 });
+      if (count < minEvents) {
+        return {
+          breaching: false,
+          value: null,
+          description: `${scope}: ${count} event(s) in the last ${windowMinutes} min, fewer than the ${minEvents} needed`
+        };
+      }
+      const value = round1((failures / count) * 100);
+      return {
+        breaching: value >= threshold,
+        value,
+        description: `${scope} error rate ${value}% over the last ${windowMinutes} min (${failures}/${count} failed, threshold ${threshold}%)`
+      };
+    }
+
+    case 'no_events': {
+      const { lastEventAt } = getRecentTotals({ source, stage, since: now });
+      const value = lastEventAt ? Math.max(0, Math.round((now - Date.parse(lastEventAt)) / 60000)) : null;
+      return {
+        breaching: value === null || value >= windowMinutes,
+        value,
+        description: value === null
+          ? `No events from ${scope} in the last ${config.rollups.minuteRetentionHours}h`
+          : `Last event from ${scope} ${value} min ago (threshold ${windowMinutes} min)`
+      };
+    }
+
+    case 'stalled_correlations': {
+      const stats = await getCompletenessStats({
+        source: source || undefined,
+        startDate: new Date(now - windowMinutes * 60 * 1000).toISOString(),
+        endDate: new Date(now).toISOString()
+      });
+      // With a stage, only correlations whose last stage reached was that one
+      const value = Object.values(stats.sources)
+        .reduce((sum, s) => sum + (stage ? s.stalledAfter[stage] || 0 : s.stalled), 0);
+      return {
+        breaching: value >= threshold,
+        value,
+        description: `${value} stalled correlation(s) for ${scope} in the last ${windowMinutes} min (threshold ${threshold})`
+      };
+    }
+
+    case 'health_score': {
+      const scores = await getHealthScores(rule, now);
+      if (scores.current === null || scores.previous === null) {
+        return {
+          breaching: false,
+          value: null,
+          description: `${scope}: not enough events to compare health scores (${scores.currentEvents} now, ${scores.previousEvents} before; ${minEvents} needed)`
+        };
+      }
+      const value = scores.previous - scores.current;
+      return {
+        breaching: value >= threshold,
+        value,
+        description: `${scope} health score ${scores.previous} → ${scores.current} over the last ${windowMinutes} min (drop ${value}, threshold ${threshold})`
+      };
+    }
+
+    default:
+      throw new Error(`Unknown rule type '${type}'`);
+  }
+}
+
+/**
+ * Send an alert's status change to each of the rule's channels
+ *
+ * @returns {Promise<Array>} [{ channel, ok, error? }]
+ */
+async function notify(rule, status, alert, at) {
+  const notification = {
+    status,
+    alertId: alert.id,
+    occurrences: alert.occurrences,
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      type: rule.type,
+      source: rule.source,
+      stage: rule.stage,
+      severity: rule.severity
+    },
+    value: alert.value,
+    threshold: alert.threshold,
+    description: alert.description,
+    startedAt: alert.startedAt,
+    at
+  };
+
+  return Promise.all(rule.channels.map(channel => sendNotification(channel, notification, rule)));
+}
+
+/**
+ * Evaluate one rule, notify on a status change and save it if the status changed
+ */
+async function evaluateRule(rule) {
+  const now = Date.now();
+  const at = new Date(now).toISOString();
+  const { state } = rule;
+  let evaluation;
+
+  try {
+    evaluation = await evaluateCondition(rule, now);
+  } catch (err) {
+    const changed = state.error !== err.message;
+    state.error = err.message;
+    state.lastEvaluatedAt = at;
+    if (changed) {
+      log.warn(`Rule ${rule.id} (${rule.name}) could not be evaluated`, err.message);
+      await saveDocument(COLLECTION, rule.id, rule);
+    }
+    return;
+  }
+
+  const status = evaluation.breaching ? 'firing' : 'ok';
+  const changed = status !== state.status || state.error !== null;
+
+  state.value = evaluation.value;
+  state.lastEvaluatedAt = at;
+  state.error = null;
+
+  if (status !== state.status) {
+    const change = status === 'firing' ? 'firing' : 'resolved';
+    state.status = status;
+    log.info(`Rule ${rule.id} (${rule.name}) ${change}: ${evaluation.description}`);
+
+    const transition = status === 'firing'
+      ? await recordFiring(rule, evaluation, at)
+      : await recordResolution(rule, evaluation, at);
+
+    state.since = status === 'firing' ? at : null;
+    state.alertId = status === 'firing' ? transition.alert.id : null;
+
+    if (transition?.notify) {
+      const results = await notify(rule, change, transition.alert, at);
+      await recordNotifications(transition.alert, change, at, results);
+      state.lastNotification = { status: change, at, results };
+    }
+  }
+
+  if (changed) {
+    await saveDocument(COLLECTION, rule.id, rule);
+  }
+}
+
+/**
+ * Evaluate every enabled rule (skipped if the previous pass is still running)
+ */
+async function evaluateAll() {
+  if (evaluating) return;
+  evaluating = true;
+
+  try {
+    for (const id of [...rules.keys()]) {
+      await exclusive(async () => {
+        // Look the rule up once it's our turn; it may have changed or gone
+        const rule = rules.get(id);
+        if (!rule?.enabled) return;
+        try {
+          await evaluateRule(rule);
+        } catch (err) {
+          log.error(`Rule ${rule.id} (${rule.name}) evaluation failed`, err.message);
+        }
+      });
+    }
+  } finally {
+    evaluating = false;
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load rules and start evaluating them (ALERTS_ENABLED)
+ */
+export async function initAlerts() {
+  for (const rule of await loadDocuments(COLLECTION)) {
+    rules.set(rule.id, rule);
+  }
+  await initAlertLifecycle();
+
+  if (!config.alerts.enabled) {
+    log.info(`Alerts disabled; ${rules.size} rule(s) will not be evaluated`);
+    return;
+  }
+
+  timer = setInterval(() => {
+    evaluateAll().catch(err => log.error('Alert evaluation failed', err.message));
+  }, config.alerts.evaluateSeconds * 1000);
+  timer.unref();
+
+  log.info(`Alerts started: ${rules.size} rule(s), evaluating every ${config.alerts.evaluateSeconds}s`);
+}
+
+/**
+ * List rules, firing first, then by name
+ *
+ * @returns {Array} Rules with their current state
+ */
+export function listRules() {
+  return [...rules.values()].sort((a, b) =>
+    (a.state.status === 'firing' ? 0 : 1) - (b.state.status === 'firing' ? 0 : 1) ||
+    a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one rule
+ *
+ * @param {string} id - Rule ID
+ * @returns {Object|null} Rule, or null if not found
+ */
+export function getRule(id) {
+  return rules.get(id) || null;
+}
+
+/**
+ * Create a rule
+ *
+ * @param {Object} body - { type, source, stage, threshold, windowMinutes, minEvents,
+ *   name, severity, channels, webhookUrl, emailTo, enabled }
+ * @returns {Object} { rule } or { error }
+ */
+export async function createRule(body) {
+  const now = new Date().toISOString();
+  const rule = applyTypeDefaults({
+    id: `alr_${uuidv4()}`,
+    ...DEFAULTS,
+    ...pickFields(body),
+    state: initialState(),
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const error = validateRule(rule);
+  if (error) return { error };
+
+  rule.name = rule.name || defaultName(rule);
+
+  await saveDocument(COLLECTION, rule.id, rule);
+  rules.set(rule.id, rule);
+
+  log.info(`Rule ${rule.id} created: ${rule.name}`);
+  return { rule };
+}
+
+/**
+ * Update a rule (only the fields given change)
+ * Changing what a rule checks starts it over from "ok"; a firing rule that
+ * is changed or disabled has its alert resolved without notifying. Waits for
+ * a rule evaluation in progress to finish first.
+ *
+ * @param {string} id - Rule ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object|null>} { rule } or { error }; null if not found
+ */
+export function updateRule(id, body) {
+  return exclusive(async () => {
+    const existing = rules.get(id);
+    if (!existing) return null;
+
+    const rule = applyTypeDefaults({ ...existing, ...pickFields(body), updatedAt: new Date().toISOString() });
+
+    const error = validateRule(rule);
+    if (error) return { error };
+
+    const conditionChanged = ['type', 'source', 'stage', 'threshold', 'windowMinutes', 'minEvents']
+      .some(key => rule[key] !== existing[key]);
+    if (conditionChanged || !rule.enabled) {
+      if (existing.state.status === 'firing') {
+        await recordResolution(existing, null, rule.updatedAt, rule.enabled ? 'rule changed' : 'rule disabled');
+      }
+      rule.state = initialState();
+    }
+
+    await saveDocument(COLLECTION, id, rule);
+    rules.set(id, rule);
+
+    log.info(`Rule ${id} updated${rule.enabled ? '' : ' (disabled)'}`);
+    return { rule };
+  });
+}
+
+/**
+ * Delete a rule (its open alert resolves without notifying)
+ * Waits for a rule evaluation in progress to finish first.
+ *
+ * @param {string} id - Rule ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+export function deleteRule(id) {
+  return exclusive(async () => {
+    const rule = rules.get(id);
+    if (!rule) return false;
+
+    rules.delete(id);
+    await deleteDocument(COLLECTION, id);
+
+    if (rule.state.status === 'firing') {
+      await recordResolution(rule, null, new Date().toISOString(), 'rule deleted');
+    }
+
+    log.info(`Rule ${id} deleted`);
+    return true;
+  });
+}
+
+/**
+ * Check a rule's condition now without changing its state or notifying
+ * (works when the rule or alerting is disabled)
+ *
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>} { status, value, description } or { error };
+ *   null if not found
+ */
+export async function evaluateRuleNow(id) {
+  const rule = rules.get(id);
+  if (!rule) return null;
+
+  try {
+    const evaluation = await evaluateCondition(rule);
+    return {
+      status: evaluation.breaching ? 'firing' : 'ok',
+      value: evaluation.value,
+      description: evaluation.description
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Send a test notification over one channel
+ *
+ * @param {string} channel - One of NOTIFICATION_CHANNELS
+ * @param {Object} overrides - { webhookUrl, emailTo } to test instead of the defaults
+ * @returns {Promise<Object>} { channel, ok, error? }
+ */
+export function sendTestNotification(channel, { webhookUrl = null, emailTo = null } = {}) {
+  const at = new Date().toISOString();
+  const rule = {
+    id: 'test',
+    name: 'Test alert',
+    type: 'test',
+    source: null,
+    stage: null,
+    severity: 'info',
+    webhookUrl,
+    emailTo
+  };
+
+  return sendNotification(channel, {
+    status: 'firing',
+    alertId: null,
+    occurrences: null,
+    rule: { id: rule.id, name: rule.name, type: rule.type, source: null, stage: null, severity: rule.severity },
+    value: null,
+    threshold: null,
+    description: 'Test notification from Medical Mirror Observer',
+    startedAt: at,
+    at
+  }, rule);
+}
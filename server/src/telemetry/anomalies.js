@@ -0,0 +1,596 @@
+/**
+ * =============================================================================
+ * ANOMALIES.JS - Streaming Statistical Anomaly Detection
+ * =============================================================================
+ *
+ * Learns what normal looks like for each source and stage from the events
+ * as they are stored, and records an anomaly when a stretch of time strays
+ * too far from it. No AI provider is involved; the same events always give
+ * the same anomalies.
+ *
+ * Events are grouped by receipt time into buckets of ANOMALY_BUCKET_MINUTES.
+ * When a bucket is over it is first judged against the baseline, then folded
+ * into it (exponentially weighted moving averages, ANOMALY_EWMA_ALPHA):
+ *
+ *   per source + stage:
+ *     error_rate   - error rate rose by ANOMALY_ERROR_RATE_DELTA or more
+ *     latency_p95  - p95 duration_ms reached ANOMALY_LATENCY_FACTOR x baseline
+ *   per source, against the same hour of the week (168 UTC slots):
+ *     volume_spike - ANOMALY_VOLUME_FACTOR x the usual event count or more
+ *     volume_drop  - the usual count / ANOMALY_VOLUME_FACTOR or less
+ *
+ * Twice the threshold (or no events at all, for a drop) is "critical",
+ * otherwise "warning". Nothing is judged until a baseline has learned
+ * ANOMALY_WARMUP_BUCKETS buckets, or from buckets with fewer than
+ * ANOMALY_MIN_SAMPLES events. A timer closes buckets that received no
+ * events, so a source going quiet is noticed.
+ *
+ * Consecutive anomalous buckets of the same metric extend one record
+ * (ongoing until a bucket passes, can't be judged or has no events for the
+ * stage), so an hour-long incident is one entry.
+ * Records are kept in the "anomalies" document collection (at most
+ * ANOMALY_MAX_RECORDS), baselines in "anomaly-baselines", one per source.
+ *
+ * =============================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument, deleteDocument, onEventsStored } from '../storage/index.js';
+import { summarizeDurations } from './stats.js';
+
+// Create logger for this module
+const log = Logger('Anomalies');
+
+// Document collections holding anomaly records and learned baselines
+const COLLECTION = 'anomalies';
+const BASELINE_COLLECTION = 'anomaly-baselines';
+
+// Metrics the detector can flag
+export const ANOMALY_METRICS = ['error_rate', 'latency_p95', 'volume_spike', 'volume_drop'];
+
+// Severities, most severe first
+export const ANOMALY_SEVERITIES = ['critical', 'warning'];
+
+// Hour-of-week slots for volume baselines (7 days x 24 UTC hours)
+const HOURS_PER_WEEK = 168;
+
+// At most this many empty buckets are closed at once for a quiet source
+// (one week's worth; more would only repeat the same slots)
+const MAX_CATCHUP_MS = HOURS_PER_WEEK * 60 * 60 * 1000;
+
+// Default page size for listAnomalies
+const DEFAULT_LIMIT = 100;
+
+// Per-source detector state, by source:
+// { source, bucketStart, count, volume: [{ mean, samples }], stages: Map }
+// where each stage is { bucketStart, count, failures, durations, baseline }
+const sources = new Map();
+
+// Anomaly records by ID, and the ongoing one per "source|stage|metric"
+const records = new Map();
+const ongoing = new Map();
+
+// Tick timer, set by initAnomalies()
+let timer = null;
+
+// Last pending write per document, so writes to one document stay in order
+const writes = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Bucket length in milliseconds
+ */
+function bucketMs() {
+  return config.anomalies.bucketMinutes * 60 * 1000;
+}
+
+/**
+ * Start of the bucket a timestamp falls in
+ */
+function bucketOf(time) {
+  return Math.floor(time / bucketMs()) * bucketMs();
+}
+
+/**
+ * UTC hour of the week (0 = Sunday 00:00) a bucket falls in
+ */
+function hourOfWeek(bucketStart) {
+  const date = new Date(bucketStart);
+  return date.getUTCDay() * 24 + date.getUTCHours();
+}
+
+/**
+ * Round a number for storage and API output
+ */
+function round(value, digits = 4) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Move a moving average toward a new value (starts at the first value)
+ */
+function ewma(average, value) {
+  if (value === null) return average;
+  if (average === null) return value;
+  return average + config.anomalies.ewmaAlpha * (value - average);
+}
+
+/**
+ * Empty stage baseline
+ */
+function createStageBaseline() {
+  return { errorRate: null, p50: null, p95: null, p99: null, buckets: 0 };
+}
+
+/**
+ * Get (or create) the detector state for a source
+ */
+function getSourceState(source) {
+  let state = sources.get(source);
+  if (!state) {
+    state = {
+      source,
+      bucketStart: null,
+      count: 0,
+      volume: Array.from({ length: HOURS_PER_WEEK }, () => ({ mean: null, samples: 0 })),
+      stages: new Map()
+    };
+    sources.set(source, state);
+  }
+  return state;
+}
+
+/**
+ * Get (or create) the detector state for a stage of a source
+ */
+function getStageState(sourceState, stage) {
+  let state = sourceState.stages.get(stage);
+  if (!state) {
+    state = { bucketStart: null, count: 0, failures: 0, durations: [], baseline: createStageBaseline() };
+    sourceState.stages.set(stage, state);
+  }
+  return state;
+}
+
+/**
+ * Queue a write (save, or delete when document is null) behind earlier
+ * writes to the same document
+ */
+function write(collection, id, document) {
+  const key = `${collection}/${id}`;
+  const done = (writes.get(key) || Promise.resolve())
+    .then(() => (document ? saveDocument(collection, id, document) : deleteDocument(collection, id)));
+
+  const settled = done.catch(() => {}).then(() => {
+    if (writes.get(key) === settled) writes.delete(key);
+  });
+  writes.set(key, settled);
+  return done;
+}
+
+/**
+ * Persist a source's baselines (fire and forget; ingestion never waits on it)
+ */
+function saveBaselines(sourceState) {
+  const document = {
+    source: sourceState.source,
+    volume: sourceState.volume,
+    stages: Object.fromEntries([...sourceState.stages].map(([stage, state]) => [stage, state.baseline])),
+    updatedAt: new Date().toISOString()
+  };
+  write(BASELINE_COLLECTION, sourceState.source, document)
+    .catch(err => log.error(`Failed to save baselines for ${sourceState.source}`, err.message));
+}
+
+/**
+ * Remove the oldest records beyond ANOMALY_MAX_RECORDS
+ */
+async function prune() {
+  const excess = records.size - config.anomalies.maxRecords;
+  if (excess <= 0) return;
+
+  const oldest = [...records.values()]
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+    .slice(0, excess);
+
+  for (const record of oldest) {
+    records.delete(record.id);
+    if (ongoing.get(episodeKey(record)) === record) ongoing.delete(episodeKey(record));
+    await write(COLLECTION, record.id, null);
+  }
+}
+
+/**
+ * Persist a record and prune (fire and forget)
+ */
+function saveRecord(record) {
+  write(COLLECTION, record.id, record)
+    .then(prune)
+    .catch(err => log.error(`Failed to save anomaly ${record.id}`, err.message));
+}
+
+/**
+ * Key of the episode a record belongs to
+ */
+function episodeKey({ source, stage, metric }) {
+  return `${source}|${stage || ''}|${metric}`;
+}
+
+/**
+ * Record a finding for one closed bucket, extending the ongoing episode if any
+ *
+ * @param {Object} finding - { source, stage, metric, severity, observed, expected,
+ *   threshold, description }
+ * @param {number} bucketStart - Start of the bucket it was found in
+ */
+function flag(finding, bucketStart) {
+  const key = episodeKey(finding);
+  const lastSeenAt = new Date(bucketStart + bucketMs()).toISOString();
+  let record = ongoing.get(key);
+
+  if (record) {
+    Object.assign(record, {
+      severity: record.severity === 'critical' ? 'critical' : finding.severity,
+      observed: finding.observed,
+      expected: finding.expected,
+      threshold: finding.threshold,
+      description: finding.description,
+      lastSeenAt,
+      buckets: record.buckets + 1
+    });
+  } else {
+    record = {
+      id: `anm_${uuidv4()}`,
+      ...finding,
+      stage: finding.stage || null,
+      bucketMinutes: config.anomalies.bucketMinutes,
+      startedAt: new Date(bucketStart).toISOString(),
+      lastSeenAt,
+      endedAt: null,
+      buckets: 1,
+      ongoing: true
+    };
+    records.set(record.id, record);
+    ongoing.set(key, record);
+    log.warn(`Anomaly ${record.id} (${record.severity}): ${record.description}`);
+  }
+
+  saveRecord(record);
+}
+
+/**
+ * End the ongoing episode of a metric, if there is one (its bucket passed)
+ */
+function clear(source, stage, metric, bucketStart) {
+  const key = episodeKey({ source, stage, metric });
+  const record = ongoing.get(key);
+  if (!record) return;
+
+  ongoing.delete(key);
+  record.ongoing = false;
+  record.endedAt = new Date(bucketStart).toISOString();
+  log.info(`Anomaly ${record.id} ended after ${record.buckets} bucket(s)`);
+  saveRecord(record);
+}
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+/**
+ * Judge a finished stage bucket, then fold it into the stage's baseline
+ */
+function closeStageBucket(source, stage, state) {
+  const { bucketStart, count, failures, durations, baseline } = state;
+  const { warmupBuckets, minSamples, errorRateDelta, latencyFactor } = config.anomalies;
+
+  state.bucketStart = null;
+  state.count = 0;
+  state.failures = 0;
+  state.durations = [];
+  if (count === 0) return;
+
+  const errorRate = failures / count;
+  const latency = summarizeDurations(durations);
+  const judged = baseline.buckets >= warmupBuckets && count >= minSamples;
+
+  if (!judged) {
+    // Nothing to compare this bucket with, so it can't extend an episode either
+    clear(source, stage, 'error_rate', bucketStart);
+    clear(source, stage, 'latency_p95', bucketStart);
+  } else {
+    const rise = errorRate - baseline.errorRate;
+    if (rise >= errorRateDelta) {
+      flag({
+        source,
+        stage,
+        metric: 'error_rate',
+        severity: rise >= errorRateDelta * 2 ? 'critical' : 'warning',
+        observed: round(errorRate),
+        expected: round(baseline.errorRate),
+        threshold: round(baseline.errorRate + errorRateDelta),
+        description: `${source}/${stage} error rate ${(errorRate * 100).toFixed(1)}% ` +
+          `(usually ${(baseline.errorRate * 100).toFixed(1)}%, ${failures}/${count} failed)`
+      }, bucketStart);
+    } else {
+      clear(source, stage, 'error_rate', bucketStart);
+    }
+
+    if (latency.p95 !== null && baseline.p95 !== null) {
+      const threshold = baseline.p95 * latencyFactor;
+      if (latency.p95 >= threshold && latency.p95 > 0) {
+        flag({
+          source,
+          stage,
+          metric: 'latency_p95',
+          severity: latency.p95 >= threshold * 2 ? 'critical' : 'warning',
+          observed: latency.p95,
+          expected: round(baseline.p95, 1),
+          threshold: round(threshold, 1),
+          description: `${source}/${stage} p95 latency ${latency.p95}ms (usually ${Math.round(baseline.p95)}ms)`
+        }, bucketStart);
+      } else {
+        clear(source, stage, 'latency_p95', bucketStart);
+      }
+    } else {
+      clear(source, stage, 'latency_p95', bucketStart);
+    }
+  }
+
+  baseline.errorRate = round(ewma(baseline.errorRate, errorRate), 6);
+  baseline.p50 = round(ewma(baseline.p50, latency.p50), 2);
+  baseline.p95 = round(ewma(baseline.p95, latency.p95), 2);
+  baseline.p99 = round(ewma(baseline.p99, latency.p99), 2);
+  baseline.buckets++;
+}
+
+/**
+ * Judge a finished source bucket's event count against its hour-of-week
+ * slot, then fold it into the slot
+ */
+function closeVolumeBucket(sourceState, bucketStart, count) {
+  const { warmupBuckets, minSamples, volumeFactor } = config.anomalies;
+  const { source } = sourceState;
+  const slot = sourceState.volume[hourOfWeek(bucketStart)];
+
+  if (slot.samples >= warmupBuckets) {
+    const spikeAt = slot.mean * volumeFactor;
+    const dropAt = slot.mean / volumeFactor;
+
+    if (count >= minSamples && count >= spikeAt) {
+      flag({
+        source,
+        metric: 'volume_spike',
+        severity: count >= spikeAt * 2 ? 'critical' : 'warning',
+        observed: count,
+        expected: round(slot.mean, 1),
+        threshold: round(spikeAt, 1),
+        description: `${source} received ${count} events in ${config.anomalies.bucketMinutes} min ` +
+          `(usually ${Math.round(slot.mean)} at this hour)`
+      }, bucketStart);
+    } else {
+      clear(source, null, 'volume_spike', bucketStart);
+    }
+
+    if (slot.mean >= minSamples && count <= dropAt) {
+      flag({
+        source,
+        metric: 'volume_drop',
+        severity: count === 0 ? 'critical' : 'warning',
+        observed: count,
+        expected: round(slot.mean, 1),
+        threshold: round(dropAt, 1),
+        description: `${source} received ${count} events in ${config.anomalies.bucketMinutes} min ` +
+          `(usually ${Math.round(slot.mean)} at this hour)`
+      }, bucketStart);
+    } else {
+      clear(source, null, 'volume_drop', bucketStart);
+    }
+  } else {
+    // This hour-of-week slot is still learning
+    clear(source, null, 'volume_spike', bucketStart);
+    clear(source, null, 'volume_drop', bucketStart);
+  }
+
+  slot.mean = round(ewma(slot.mean, count), 2);
+  slot.samples++;
+}
+
+/**
+ * Close every bucket of a source that ended at or before a time
+ *
+ * Empty buckets since the last event count as zero volume. Stage buckets
+ * only close when they had events; a stage without any ends its episodes.
+ *
+ * @returns {boolean} True if anything was closed
+ */
+function closeSourceBuckets(sourceState, before) {
+  if (sourceState.bucketStart === null || sourceState.bucketStart >= before) return false;
+
+  closeVolumeBucket(sourceState, sourceState.bucketStart, sourceState.count);
+
+  // Fill the gap with empty buckets, at most a week of them
+  const firstEmpty = Math.max(sourceState.bucketStart + bucketMs(), before - MAX_CATCHUP_MS);
+  for (let start = bucketOf(firstEmpty); start < before; start += bucketMs()) {
+    if (start > sourceState.bucketStart) closeVolumeBucket(sourceState, start, 0);
+  }
+
+  for (const [stage, state] of sourceState.stages) {
+    if (state.bucketStart !== null && state.bucketStart < before) {
+      closeStageBucket(sourceState.source, stage, state);
+    } else if (state.bucketStart === null) {
+      clear(sourceState.source, stage, 'error_rate', sourceState.bucketStart);
+      clear(sourceState.source, stage, 'latency_p95', sourceState.bucketStart);
+    }
+  }
+
+  sourceState.bucketStart = before;
+  sourceState.count = 0;
+  return true;
+}
+
+/**
+ * Feed newly stored events to the detector (storage listener)
+ *
+ * @param {Array} events - Stored events ({ ...telemetry, id, receivedAt })
+ */
+export function observeEvents(events) {
+  const changed = new Set();
+
+  for (const event of events) {
+    const time = Date.parse(event.receivedAt);
+    if (!Number.isFinite(time)) continue;
+
+    const bucketStart = bucketOf(time);
+    const sourceState = getSourceState(event.source || 'unknown');
+
+    if (closeSourceBuckets(sourceState, bucketStart)) changed.add(sourceState);
+    if (sourceState.bucketStart === null) sourceState.bucketStart = bucketStart;
+    sourceState.count++;
+
+    const stageState = getStageState(sourceState, event.event?.stage || 'unknown');
+    if (stageState.bucketStart === null) stageState.bucketStart = sourceState.bucketStart;
+    stageState.count++;
+    if (event.event?.success === false) stageState.failures++;
+    const duration = event.event?.duration_ms;
+    if (Number.isFinite(duration) && duration >= 0) stageState.durations.push(duration);
+  }
+
+  changed.forEach(saveBaselines);
+}
+
+/**
+ * Close buckets that ended without a later event arriving
+ */
+function tick() {
+  const current = bucketOf(Date.now());
+  for (const sourceState of sources.values()) {
+    if (closeSourceBuckets(sourceState, current)) saveBaselines(sourceState);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load records and baselines, and start watching stored events
+ * (ANOMALY_DETECTION_ENABLED)
+ */
+export async function initAnomalies() {
+  for (const record of await loadDocuments(COLLECTION)) {
+    records.set(record.id, record);
+    if (record.ongoing) ongoing.set(episodeKey(record), record);
+  }
+
+  if (!config.anomalies.enabled) {
+    log.info(`Anomaly detection disabled; ${records.size} stored anomaly record(s) remain queryable`);
+    return;
+  }
+
+  // Known sources resume from the current bucket; downtime isn't counted as silence
+  const current = bucketOf(Date.now());
+  for (const document of await loadDocuments(BASELINE_COLLECTION)) {
+    const sourceState = getSourceState(document.source);
+    if (Array.isArray(document.volume) && document.volume.length === HOURS_PER_WEEK) {
+      sourceState.volume = document.volume;
+    }
+    for (const [stage, baseline] of Object.entries(document.stages || {})) {
+      getStageState(sourceState, stage).baseline = { ...createStageBaseline(), ...baseline };
+    }
+    sourceState.bucketStart = current;
+  }
+
+  onEventsStored(observeEvents);
+
+  timer = setInterval(() => {
+    try {
+      tick();
+    } catch (err) {
+      log.error('Anomaly tick failed', err.message);
+    }
+  }, bucketMs());
+  timer.unref();
+
+  log.info(`Anomaly detection started: ${sources.size} source baseline(s), ` +
+    `${config.anomalies.bucketMinutes} min buckets, ${ongoing.size} ongoing anomal${ongoing.size === 1 ? 'y' : 'ies'}`);
+}
+
+/**
+ * List anomaly records, newest first
+ *
+ * since/until select records whose time span overlaps the window.
+ *
+ * @param {Object} options - { source, stage, metric, severity, ongoing, since, until, limit, offset }
+ * @returns {Object} { anomalies, total }
+ */
+export function listAnomalies(options = {}) {
+  const { source, stage, metric, severity, since, until } = options;
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const offset = options.offset ?? 0;
+  const sinceIso = since ? new Date(since).toISOString() : null;
+  const untilIso = until ? new Date(until).toISOString() : null;
+
+  const matching = [...records.values()]
+    .filter(record =>
+      (!source || record.source === source) &&
+      (!stage || record.stage === stage) &&
+      (!metric || record.metric === metric) &&
+      (!severity || record.severity === severity) &&
+      (options.ongoing === undefined || record.ongoing === options.ongoing) &&
+      (!sinceIso || record.lastSeenAt >= sinceIso) &&
+      (!untilIso || record.startedAt <= untilIso))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+  return {
+    anomalies: matching.slice(offset, offset + limit),
+    total: matching.length
+  };
+}
+
+/**
+ * Get one anomaly record
+ *
+ * @param {string} id - Anomaly ID
+ * @returns {Object|null} Record or null if not found
+ */
+export function getAnomaly(id) {
+  return records.get(id) || null;
+}
+
+/**
+ * Describe the learned baselines
+ *
+ * @param {string} source - Only this source (optional)
+ * @returns {Array} [{ source, bucketStart, bucketCount, stages: { [stage]:
+ *   { errorRate, latency: { p50, p95, p99 }, buckets, warmedUp } },
+ *   volume: [{ hourOfWeek, mean, samples, warmedUp }] (learned slots only) }]
+ */
+export function getBaselines(source) {
+  const { warmupBuckets } = config.anomalies;
+
+  return [...sources.values()]
+    .filter(state => !source || state.source === source)
+    .sort((a, b) => a.source.localeCompare(b.source))
+    .map(state => ({
+      source: state.source,
+      bucketStart: state.bucketStart !== null ? new Date(state.bucketStart).toISOString() : null,
+      bucketCount: state.count,
+      stages: Object.fromEntries([...state.stages].map(([stage, { baseline }]) => [stage, {
+        errorRate: round(baseline.errorRate),
+        latency: { p50: baseline.p50, p95: baseline.p95, p99: baseline.p99 },
+        buckets: baseline.buckets,
+        warmedUp: baseline.buckets >= warmupBuckets
+      }])),
+      volume: state.volume
+        .map((slot, hour) => ({ hourOfWeek: hour, ...slot, warmedUp: slot.samples >= warmupBuckets }))
+        .filter(slot => slot.samples > 0)
+    }));
+}
@@ -0,0 +1,182 @@
+/**
+ * =============================================================================
+ * PIPELINES.JS - Expected Stage Sequences per Source
+ * =============================================================================
+ *
+ * A source can register the stages every correlationId is expected to pass
+ * through, in order. The server then checks each trace against it instead
+ * of leaving "missing expected stages" to the AI:
+ *
+ *   - skipped:     a later stage was reached but an earlier one never was
+ *   - stalled:     the journey stopped before the last stage and has been
+ *                  idle longer than the stall timeout
+ *   - in progress: stopped before the last stage, but not idle for long yet
+ *   - complete:    the last expected stage was reached with nothing skipped
+ *
+ * Registered definitions are stored in the "pipelines" document collection
+ * and override the built-in defaults below.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument, deleteDocument } from '../storage/index.js';
+
+// Create logger for this module
+const log = Logger('Pipelines');
+
+// Document collection holding registered definitions
+const COLLECTION = 'pipelines';
+
+/**
+ * Built-in definitions for known sources (a registration replaces these)
+ */
+export const DEFAULT_PIPELINES = {
+  'athena-scraper': {
+    source: 'athena-scraper',
+    stages: ['interceptor', 'injector', 'background', 'backend', 'fhir-converter']
+  }
+};
+
+// Registered definitions, loaded from storage on first use
+let registered = null;
+
+/**
+ * Load registered definitions (cached after the first call)
+ *
+ * @returns {Object} Map of source -> registered definition
+ */
+async function getRegistered() {
+  if (!registered) {
+    const documents = await loadDocuments(COLLECTION);
+    registered = Object.fromEntries(documents.map(doc => [doc.source, doc]));
+    log.debug(`Loaded ${documents.length} registered pipeline(s)`);
+  }
+  return registered;
+}
+
+/**
+ * Get the effective definition for every source
+ *
+ * @returns {Object} Map of source -> { source, stages, stallTimeoutMs?, builtIn }
+ */
+export async function getPipelines() {
+  const pipelines = {};
+  for (const [source, definition] of Object.entries(DEFAULT_PIPELINES)) {
+    pipelines[source] = { ...definition, builtIn: true };
+  }
+  for (const [source, definition] of Object.entries(await getRegistered())) {
+    pipelines[source] = { ...definition, builtIn: false };
+  }
+  return pipelines;
+}
+
+/**
+ * Get the effective definition for one source
+ *
+ * @param {string} source - Source application name
+ * @returns {Object|null} Definition, or null if the source has none
+ */
+export async function getPipeline(source) {
+  return (await getPipelines())[source] || null;
+}
+
+/**
+ * Validate a definition from a client
+ *
+ * @param {Object} body - { stages, stallTimeoutMs }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePipeline(body) {
+  const { stages, stallTimeoutMs } = body || {};
+
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return 'stages must be a non-empty array of stage names';
+  }
+  if (stages.some(stage => typeof stage !== 'string' || !stage.trim())) {
+    return 'Every stage must be a non-empty string';
+  }
+  if (new Set(stages).size !== stages.length) {
+    return 'stages must not contain duplicates';
+  }
+  if (stallTimeoutMs !== undefined && !(Number.isInteger(stallTimeoutMs) && stallTimeoutMs > 0)) {
+    return 'stallTimeoutMs must be a positive integer';
+  }
+
+  return null;
+}
+
+/**
+ * Register (or replace) the expected stage sequence for a source
+ *
+ * @param {string} source - Source application name
+ * @param {Object} body - { stages, stallTimeoutMs } (validated by the caller)
+ * @returns {Object} Saved definition
+ */
+export async function savePipeline(source, { stages, stallTimeoutMs }) {
+  const definition = {
+    source,
+    stages,
+    ...(stallTimeoutMs !== undefined && { stallTimeoutMs }),
+    updatedAt: new Date().toISOString()
+  };
+
+  await saveDocument(COLLECTION, source, definition);
+  (await getRegistered())[source] = definition;
+
+  log.info(`Registered pipeline for ${source}: ${stages.join(' → ')}`);
+  return { ...definition, builtIn: false };
+}
+
+/**
+ * Remove a registered definition (the built-in default, if any, applies again)
+ *
+ * @param {string} source - Source application name
+ * @returns {boolean} True if a registration existed
+ */
+export async function deletePipeline(source) {
+  const existed = await deleteDocument(COLLECTION, source);
+  delete (await getRegistered())[source];
+
+  if (existed) log.info(`Removed pipeline registration for ${source}`);
+  return existed;
+}
+
+/**
+ * Check a trace's steps against an expected stage sequence
+ *
+ * Only steps from the definition's source count; stages outside the
+ * sequence (e.g. "websocket") are ignored.
+ *
+ * @param {Array} steps - Trace steps, oldest first ({ source, stage, ... })
+ * @param {Object} definition - { source, stages, stallTimeoutMs? }
+ * @param {number} idleMs - Time since the trace's last activity
+ * @returns {Object|null} Completeness, or null if no expected stage was reached
+ */
+export function checkCompleteness(steps, definition, idleMs) {
+  const { stages } = definition;
+  const reached = new Set(steps
+    .filter(step => step.source === definition.source)
+    .map(step => step.stage));
+
+  const furthest = stages.reduce((max, stage, i) => (reached.has(stage) ? i : max), -1);
+  if (furthest === -1) return null;
+
+  const skippedStages = stages.slice(0, furthest).filter(stage => !reached.has(stage));
+  const finished = furthest === stages.length - 1;
+  const stallTimeoutMs = definition.stallTimeoutMs || config.pipelines.stallTimeoutMs;
+
+  let state = 'complete';
+  if (!finished) {
+    state = idleMs > stallTimeoutMs ? 'stalled' : 'in_progress';
+  }
+
+  return {
+    expectedStages: stages,
+    lastStage: stages[furthest],
+    nextStage: finished ? null : stages[furthest + 1],
+    skippedStages,
+    state
+  };
+}
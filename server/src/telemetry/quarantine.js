@@ -0,0 +1,254 @@
+/**
+ * =============================================================================
+ * QUARANTINE.JS - Events Held Back by Ingestion Scrubbing
+ * =============================================================================
+ *
+ * An event whose scrubbing policy finds a disallowed identifier (an SSN or
+ * MRN in free text, by default) is not stored with the other events. It is
+ * kept here until someone reviews it:
+ *
+ *   release  - store it as a normal event, with the offending matches
+ *              hashed (default), masked, or left as they are
+ *   discard  - delete it
+ *
+ * Entries are kept in the "quarantine" document collection, at most
+ * QUARANTINE_MAX_EVENTS of them (oldest removed first). A resent event with
+ * the same idempotencyKey returns the existing entry, or - once it has been
+ * released - the stored event, as the idempotency store would.
+ *
+ * =============================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import {
+  loadDocuments,
+  saveDocument,
+  deleteDocument,
+  storeEvent,
+  findStoredOriginal
+} from '../storage/index.js';
+import { scrubTelemetry } from './scrubbing.js';
+
+// Create logger for this module
+const log = Logger('Quarantine');
+
+// Document collection holding quarantined events
+const COLLECTION = 'quarantine';
+
+// How released events treat the matches that quarantined them
+export const RELEASE_MODES = ['hash', 'mask', 'none'];
+
+// Quarantined events by ID, loaded from storage on first use
+let entries = null;
+
+/**
+ * Entries by the key a retry would resend
+ * Key: "source:key", Value: Promise of the entry (or of the stored original)
+ * Reserved before any await, as storage/idempotency.js does, so concurrent
+ * retries wait for the first one instead of quarantining it again.
+ */
+const entriesByKey = new Map();
+
+/**
+ * Load quarantined events (cached after the first call)
+ * The load itself is cached so concurrent first calls share one Map.
+ *
+ * @returns {Promise<Map>} id -> entry
+ */
+function getEntries() {
+  if (!entries) {
+    entries = loadDocuments(COLLECTION).then(documents => {
+      const all = new Map(documents.map(doc => [doc.id, doc]));
+      for (const doc of documents) {
+        const key = getRetryKey(doc.telemetry);
+        if (key) entriesByKey.set(key, Promise.resolve(doc));
+      }
+      log.debug(`Loaded ${all.size} quarantined event(s)`);
+      return all;
+    });
+    entries.catch(() => { entries = null; });
+  }
+  return entries;
+}
+
+/**
+ * Get the scoped key a client resends with a retried event
+ *
+ * @returns {string|null} "source:key", or null if the event has no key
+ */
+function getRetryKey(telemetry) {
+  const key = telemetry.idempotencyKey || telemetry.eventId;
+  return key ? `${telemetry.source}:${key}` : null;
+}
+
+/**
+ * Remove an entry and the retry key pointing at it
+ */
+async function removeEntry(all, entry) {
+  all.delete(entry.id);
+  const key = getRetryKey(entry.telemetry);
+  if (key) entriesByKey.delete(key);
+  await deleteDocument(COLLECTION, entry.id);
+}
+
+/**
+ * Remove the oldest entries beyond QUARANTINE_MAX_EVENTS
+ */
+async function prune(all) {
+  const excess = all.size - config.scrubbing.quarantineLimit;
+  if (excess <= 0) return;
+
+  const oldest = [...all.values()]
+    .sort((a, b) => a.quarantinedAt.localeCompare(b.quarantinedAt))
+    .slice(0, excess);
+
+  for (const entry of oldest) {
+    await removeEntry(all, entry);
+  }
+  log.warn(`Quarantine full; removed ${oldest.length} oldest event(s)`);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Hold an event for review instead of storing it
+ *
+ * @param {Object} telemetry - Event after scrubbing (quarantined matches intact)
+ * @param {Array} reasons - [{ detector, path }] from scrubEvent()
+ * @returns {Object} Entry { id, source, quarantinedAt, reasons, telemetry, duplicate? },
+ *   or { eventId, storedAt, duplicate: true } if a retried event was already stored
+ */
+export async function quarantineEvent(telemetry, reasons) {
+  const all = await getEntries();
+
+  // Check and reserve the key with no await in between
+  const key = getRetryKey(telemetry);
+  const existing = key && entriesByKey.get(key);
+  if (existing) {
+    return { ...(await existing), duplicate: true };
+  }
+
+  const quarantining = quarantine(all, telemetry, reasons);
+  if (key) {
+    entriesByKey.set(key, quarantining);
+
+    // Only a held entry answers later retries; a failed save must not block them
+    quarantining.then(
+      result => { if (!result.id) entriesByKey.delete(key); },
+      () => entriesByKey.delete(key)
+    );
+  }
+
+  return quarantining;
+}
+
+/**
+ * Save a new entry, unless the event is a retry of one already stored
+ */
+async function quarantine(all, telemetry, reasons) {
+  const original = await findStoredOriginal(telemetry);
+  if (original) {
+    log.debug(`Retried event already stored as ${original.eventId}, not quarantining`);
+    return { ...original, duplicate: true };
+  }
+
+  const entry = {
+    id: `q_${uuidv4()}`,
+    source: telemetry.source,
+    quarantinedAt: new Date().toISOString(),
+    reasons,
+    telemetry
+  };
+
+  await saveDocument(COLLECTION, entry.id, entry);
+  all.set(entry.id, entry);
+  await prune(all);
+
+  log.warn(`Quarantined ${telemetry.source} event ${entry.id}: ` +
+    reasons.map(r => `${r.detector} in ${r.path}`).join(', '));
+  return entry;
+}
+
+/**
+ * List quarantined events, newest first
+ *
+ * @param {Object} options - { source, limit, offset }
+ * @returns {Object} { entries, total, bySource }
+ */
+export async function listQuarantine({ source, limit = 100, offset = 0 } = {}) {
+  const all = [...(await getEntries()).values()];
+
+  const bySource = {};
+  for (const entry of all) {
+    bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+  }
+
+  const matching = all
+    .filter(entry => !source || entry.source === source)
+    .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+
+  return {
+    entries: matching.slice(offset, offset + limit),
+    total: matching.length,
+    bySource
+  };
+}
+
+/**
+ * Get one quarantined event
+ *
+ * @param {string} id - Quarantine ID
+ * @returns {Object|null} Entry, or null if not found
+ */
+export async function getQuarantined(id) {
+  return (await getEntries()).get(id) || null;
+}
+
+/**
+ * Store a quarantined event as a normal event and remove it from quarantine
+ *
+ * @param {string} id - Quarantine ID
+ * @param {string} mode - hash | mask | none (what to do with the flagged matches)
+ * @returns {Object|null} { telemetry, eventId, storedAt, duplicate }, or null if not found
+ */
+export async function releaseQuarantined(id, mode = 'hash') {
+  const all = await getEntries();
+  const entry = all.get(id);
+  if (!entry) return null;
+
+  let { telemetry } = entry;
+  if (mode !== 'none') {
+    // Only the detectors that flagged the event; the rest already ran
+    const detectors = Object.fromEntries(entry.reasons.map(r => [r.detector, mode]));
+    telemetry = scrubTelemetry(telemetry, { enabled: true, fields: {}, detectors }).telemetry;
+  }
+
+  // Stored through the idempotency store, which answers retries from here on
+  const stored = await storeEvent(telemetry);
+
+  await removeEntry(all, entry);
+
+  log.info(`Released quarantined event ${id} as ${stored.eventId} (${mode})`);
+  return { telemetry, ...stored };
+}
+
+/**
+ * Delete a quarantined event without storing it
+ *
+ * @param {string} id - Quarantine ID
+ * @returns {boolean} True if it existed
+ */
+export async function discardQuarantined(id) {
+  const all = await getEntries();
+  const entry = all.get(id);
+  if (!entry) return false;
+
+  await removeEntry(all, entry);
+
+  log.info(`Discarded quarantined event ${id}`);
+  return true;
+}
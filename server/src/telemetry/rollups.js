@@ -0,0 +1,474 @@
+/**
+ * =============================================================================
+ * ROLLUPS.JS - Incrementally Maintained Time-Series Rollups
+ * =============================================================================
+ *
+ * Counts every stored event into minute, hour and day buckets per source,
+ * stage and action as it arrives, so trends can be charted without scanning
+ * raw events. Each bucket keeps:
+ *
+ *   count, failures   - events and events with success === false
+ *   samples, sum, max - events reporting duration_ms, their total and maximum
+ *   hist              - duration_ms histogram on a log scale (each bin
+ *                       DURATION_GROWTH x wider than the last), so p50/p95/p99
+ *                       can be estimated for any merged range of buckets
+ *
+ * Buckets use the time the server received the event, like event storage.
+ * Rollups are held in memory, written every ROLLUP_FLUSH_SECONDS to the
+ * "metric-rollups" document collection (one document per resolution and
+ * UTC day - per UTC month for day buckets), and dropped after their
+ * retention. On first start, events already stored are rolled up once.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { loadDocuments, saveDocument, deleteDocument, streamEvents, onEventsStored } from '../storage/index.js';
+
+// Create logger for this module
+const log = Logger('Rollups');
+
+// Document collection holding rollups
+const COLLECTION = 'metric-rollups';
+
+// Bucket sizes
+const RESOLUTION_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+export const ROLLUP_BUCKETS = Object.keys(RESOLUTION_MS);
+
+// Fields a series can be split by
+export const ROLLUP_GROUP_FIELDS = ['source', 'stage', 'action'];
+
+// Histogram bins: bin 0 holds <= 1ms, bin i holds (G^(i-1), G^i]; the last
+// bin (~2h and above) is open-ended and uses the bucket's max as its top
+const DURATION_GROWTH = 1.25;
+const MAX_BIN = 72;
+
+// Most points one query may return (per series)
+const MAX_POINTS = 2000;
+
+// Rollup documents by ID: { id, resolution, period, rows: Map(key -> row) }
+const documents = new Map();
+
+// Document IDs changed since the last flush
+const dirty = new Set();
+
+// Flush timer, and the flush in progress (flushes never overlap)
+let timer = null;
+let flushing = Promise.resolve();
+
+// =============================================================================
+// HISTOGRAMS
+// =============================================================================
+
+/**
+ * Histogram bin a duration falls in
+ */
+function binOf(durationMs) {
+  if (durationMs <= 1) return 0;
+  return Math.min(MAX_BIN, Math.ceil(Math.log(durationMs) / Math.log(DURATION_GROWTH)));
+}
+
+/**
+ * Estimate a percentile from a histogram (linear within the bin)
+ *
+ * @param {Object} hist - { [bin]: count }
+ * @param {number} samples - Total count in the histogram
+ * @param {number} max - Largest value seen (caps the estimate)
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Estimated value in ms, or null if empty
+ */
+function histogramPercentile(hist, samples, max, p) {
+  if (samples === 0) return null;
+  const rank = Math.max(1, Math.ceil((p / 100) * samples));
+  let seen = 0;
+
+  for (const bin of Object.keys(hist).map(Number).sort((a, b) => a - b)) {
+    const count = hist[bin];
+    if (seen + count >= rank) {
+      const lower = bin === 0 ? 0 : DURATION_GROWTH ** (bin - 1);
+      const upper = bin === MAX_BIN ? max : DURATION_GROWTH ** bin;
+      const value = lower + (upper - lower) * ((rank - seen) / count);
+      return Math.round(Math.min(value, max));
+    }
+    seen += count;
+  }
+  return max;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Retention of a resolution in milliseconds
+ */
+function retentionMs(resolution) {
+  const { minuteRetentionHours, hourRetentionDays, dayRetentionDays } = config.rollups;
+  return {
+    minute: minuteRetentionHours * RESOLUTION_MS.hour,
+    hour: hourRetentionDays * RESOLUTION_MS.day,
+    day: dayRetentionDays * RESOLUTION_MS.day
+  }[resolution];
+}
+
+/**
+ * Period (document) a bucket belongs to: UTC day, or UTC month for days
+ */
+function periodOf(resolution, bucketStart) {
+  const iso = new Date(bucketStart).toISOString();
+  return resolution === 'day' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Last millisecond covered by a period
+ */
+function periodEnd(resolution, period) {
+  const start = new Date(resolution === 'day' ? `${period}-01T00:00:00Z` : `${period}T00:00:00Z`);
+  if (resolution === 'day') start.setUTCMonth(start.getUTCMonth() + 1);
+  else start.setUTCDate(start.getUTCDate() + 1);
+  return start.getTime() - 1;
+}
+
+/**
+ * Get (or create) the document holding a period's rollups
+ */
+function getDocument(resolution, period) {
+  const id = `${resolution}-${period}`;
+  let document = documents.get(id);
+  if (!document) {
+    document = { id, resolution, period, rows: new Map() };
+    documents.set(id, document);
+  }
+  return document;
+}
+
+/**
+ * Empty rollup row
+ */
+function createRow(t, source, stage, action) {
+  return { t, source, stage, action, count: 0, failures: 0, samples: 0, sum: 0, max: 0, hist: {} };
+}
+
+/**
+ * Add one event to its bucket at every resolution
+ */
+function addEvent(event) {
+  const received = Date.parse(event.receivedAt);
+  if (!Number.isFinite(received)) return;
+
+  const source = event.source || 'unknown';
+  const stage = event.event?.stage || 'unknown';
+  const action = event.event?.action || 'unknown';
+  const duration = event.event?.duration_ms;
+  const hasDuration = Number.isFinite(duration) && duration >= 0;
+
+  for (const [resolution, size] of Object.entries(RESOLUTION_MS)) {
+    const t = Math.floor(received / size) * size;
+    const document = getDocument(resolution, periodOf(resolution, t));
+    const key = `${t}|${source}|${stage}|${action}`;
+
+    let row = document.rows.get(key);
+    if (!row) {
+      row = createRow(t, source, stage, action);
+      document.rows.set(key, row);
+    }
+
+    row.count++;
+    if (event.event?.success === false) row.failures++;
+    if (hasDuration) {
+      row.samples++;
+      row.sum += duration;
+      row.max = Math.max(row.max, duration);
+      const bin = binOf(duration);
+      row.hist[bin] = (row.hist[bin] || 0) + 1;
+    }
+    dirty.add(document.id);
+  }
+}
+
+/**
+ * Add newly stored events (storage listener)
+ *
+ * @param {Array} events - Stored events ({ ...telemetry, id, receivedAt })
+ */
+export function recordEvents(events) {
+  events.forEach(addEvent);
+}
+
+/**
+ * Write changed documents and drop expired ones
+ */
+async function flush() {
+  const now = Date.now();
+
+  for (const document of [...documents.values()]) {
+    if (periodEnd(document.resolution, document.period) < now - retentionMs(document.resolution)) {
+      documents.delete(document.id);
+      dirty.delete(document.id);
+      await deleteDocument(COLLECTION, document.id);
+      log.debug(`Dropped expired rollups ${document.id}`);
+    }
+  }
+
+  const ids = [...dirty];
+  dirty.clear();
+  for (const id of ids) {
+    const document = documents.get(id);
+    if (!document) continue;
+    try {
+      await saveDocument(COLLECTION, id, {
+        id,
+        resolution: document.resolution,
+        period: document.period,
+        rows: [...document.rows.values()]
+      });
+    } catch (err) {
+      dirty.add(id);
+      throw err;
+    }
+  }
+}
+
+/**
+ * Roll up events stored before this module started (first start only)
+ *
+ * @param {number} before - Only events received before this time (later ones
+ *   reach the storage listener)
+ */
+async function backfill(before) {
+  const since = new Date(before - retentionMs('day')).toISOString();
+  let count = 0;
+
+  for await (const event of streamEvents({ startDate: since })) {
+    if (Date.parse(event.receivedAt) < before) {
+      addEvent(event);
+      count++;
+    }
+  }
+
+  log.info(`Rolled up ${count} previously stored event(s)`);
+}
+
+/**
+ * Combine rows into one point
+ */
+function toPoint(t, rows) {
+  const point = { count: 0, failures: 0, samples: 0, sum: 0, max: 0, hist: {} };
+  for (const row of rows) {
+    point.count += row.count;
+    point.failures += row.failures;
+    point.samples += row.samples;
+    point.sum += row.sum;
+    point.max = Math.max(point.max, row.max);
+    for (const [bin, count] of Object.entries(row.hist)) {
+      point.hist[bin] = (point.hist[bin] || 0) + count;
+    }
+  }
+
+  return {
+    t: new Date(t).toISOString(),
+    count: point.count,
+    failures: point.failures,
+    errorRate: point.count > 0 ? Math.round((point.failures / point.count) * 10000) / 10000 : 0,
+    avgMs: point.samples > 0 ? Math.round(point.sum / point.samples) : null,
+    p50: histogramPercentile(point.hist, point.samples, point.max, 50),
+    p95: histogramPercentile(point.hist, point.samples, point.max, 95),
+    p99: histogramPercentile(point.hist, point.samples, point.max, 99),
+    maxMs: point.samples > 0 ? point.max : null
+  };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Load rollups, start maintaining them and flushing them (ROLLUPS_ENABLED)
+ */
+export async function initRollups() {
+  if (!config.rollups.enabled) {
+    log.info('Rollups disabled');
+    return;
+  }
+
+  const stored = await loadDocuments(COLLECTION);
+  for (const { id, resolution, period, rows } of stored) {
+    if (!RESOLUTION_MS[resolution] || !Array.isArray(rows)) continue;
+    documents.set(id, {
+      id,
+      resolution,
+      period,
+      rows: new Map(rows.map(row => [`${row.t}|${row.source}|${row.stage}|${row.action}`, row]))
+    });
+  }
+
+  const startedAt = Date.now();
+  onEventsStored(recordEvents);
+
+  // Nothing stored yet: count what is already on disk, without holding up startup
+  if (stored.length === 0) {
+    backfill(startedAt).catch(err => log.error('Rollup backfill failed', err.message));
+  }
+
+  timer = setInterval(() => {
+    flushing = flushing
+      .then(flush)
+      .catch(err => log.error('Rollup flush failed', err.message));
+  }, config.rollups.flushSeconds * 1000);
+  timer.unref();
+
+  log.info(`Rollups started: ${documents.size} document(s) loaded, flushing every ${config.rollups.flushSeconds}s`);
+}
+
+/**
+ * Write pending rollups now (e.g. before shutdown)
+ */
+export async function flushRollups() {
+  flushing = flushing.then(flush);
+  return flushing;
+}
+
+/**
+ * Totals over recent minute buckets
+ *
+ * @param {Object} options - { source, stage, since } - since is a timestamp (ms);
+ *   the minute bucket it falls in is included
+ * @returns {Object} { count, failures, lastEventAt } - lastEventAt is the end of
+ *   the newest minute with events (within minute retention), or null
+ */
+export function getRecentTotals({ source, stage, since }) {
+  const from = Math.floor(since / RESOLUTION_MS.minute) * RESOLUTION_MS.minute;
+  let count = 0;
+  let failures = 0;
+  let last = null;
+
+  for (const document of documents.values()) {
+    if (document.resolution !== 'minute') continue;
+
+    for (const row of document.rows.values()) {
+      if ((source && row.source !== source) || (stage && row.stage !== stage)) continue;
+      if (row.count > 0 && (last === null || row.t > last)) last = row.t;
+      if (row.t < from) continue;
+      count += row.count;
+      failures += row.failures;
+    }
+  }
+
+  return {
+    count,
+    failures,
+    lastEventAt: last !== null ? new Date(last + RESOLUTION_MS.minute).toISOString() : null
+  };
+}
+
+/**
+ * Check series query options
+ *
+ * @param {Object} options - { bucket, start, end, groupBy }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSeriesQuery({ bucket = 'hour', start, end, groupBy = [] }) {
+  if (!ROLLUP_BUCKETS.includes(bucket)) {
+    return `Invalid bucket. Must be one of: ${ROLLUP_BUCKETS.join(', ')}`;
+  }
+  for (const [name, value] of [['start', start], ['end', end]]) {
+    if (value && isNaN(Date.parse(value))) {
+      return `${name} must be an ISO date string`;
+    }
+  }
+  const unknown = groupBy.filter(field => !ROLLUP_GROUP_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Invalid groupBy: ${unknown.join(', ')}. Must be among: ${ROLLUP_GROUP_FIELDS.join(', ')}`;
+  }
+
+  const { from, to } = getRange(bucket, start, end);
+  if (from > to) return 'start must be before end';
+  if ((to - from) / RESOLUTION_MS[bucket] >= MAX_POINTS) {
+    return `Range too large for ${bucket} buckets (max ${MAX_POINTS} points); use a larger bucket`;
+  }
+  return null;
+}
+
+/**
+ * Resolve a query's first and last bucket starts
+ * Defaults: the last 60 minutes, 48 hours or 30 days, depending on bucket.
+ */
+function getRange(bucket, start, end) {
+  const size = RESOLUTION_MS[bucket];
+  const defaultSpan = { minute: 60, hour: 48, day: 30 }[bucket] * size;
+  const to = Math.floor((end ? Date.parse(end) : Date.now()) / size) * size;
+  const from = Math.floor((start ? Date.parse(start) : to - defaultSpan + size) / size) * size;
+  return { from, to };
+}
+
+/**
+ * Get time series from rollups
+ *
+ * Every bucket in the range gets a point (count 0 when nothing arrived).
+ * Rows matching the filters are merged, one series per distinct combination
+ * of the groupBy fields (one series when groupBy is empty).
+ *
+ * @param {Object} options - { source, stage, action, bucket, start, end, groupBy }
+ *   (check with validateSeriesQuery first)
+ * @returns {Object} { bucket, start, end, groupBy, series: [{ labels, totals, points:
+ *   [{ t, count, failures, errorRate, avgMs, p50, p95, p99, maxMs }] }] }
+ */
+export function getSeries(options = {}) {
+  const { source, stage, action, bucket = 'hour', start, end, groupBy = [] } = options;
+  const size = RESOLUTION_MS[bucket];
+  const { from, to } = getRange(bucket, start, end);
+
+  // labels key -> { labels, rows by t, all rows }
+  const groups = new Map();
+
+  for (const document of documents.values()) {
+    if (document.resolution !== bucket) continue;
+    if (periodEnd(bucket, document.period) < from) continue;
+
+    for (const row of document.rows.values()) {
+      if (row.t < from || row.t > to) continue;
+      if ((source && row.source !== source) || (stage && row.stage !== stage) || (action && row.action !== action)) continue;
+
+      const labels = Object.fromEntries(groupBy.map(field => [field, row[field]]));
+      const key = JSON.stringify(labels);
+      let group = groups.get(key);
+      if (!group) {
+        group = { labels, byTime: new Map(), rows: [] };
+        groups.set(key, group);
+      }
+      if (!group.byTime.has(row.t)) group.byTime.set(row.t, []);
+      group.byTime.get(row.t).push(row);
+      group.rows.push(row);
+    }
+  }
+
+  // Without grouping there is always one (possibly empty) series to chart
+  if (groups.size === 0 && groupBy.length === 0) {
+    groups.set('{}', { labels: {}, byTime: new Map(), rows: [] });
+  }
+
+  const series = [...groups.values()]
+    .map(group => {
+      const points = [];
+      for (let t = from; t <= to; t += size) {
+        points.push(toPoint(t, group.byTime.get(t) || []));
+      }
+      const { t, ...totals } = toPoint(from, group.rows);
+      return { labels: group.labels, totals, points };
+    })
+    .sort((a, b) => b.totals.count - a.totals.count);
+
+  return {
+    bucket,
+    start: new Date(from).toISOString(),
+    end: new Date(to + size).toISOString(),
+    groupBy,
+    series
+  };
+}
@@ -0,0 +1,360 @@
+/**
+ * =============================================================================
+ * SCRUBBING.JS - PHI Scrubbing at Ingestion
+ * =============================================================================
+ *
+ * Every event posted to /api/events passes through its source's scrubbing
+ * policy before it is stored, so identifiers never reach the events store:
+ *
+ *   Field rules  - Keys in event data/error matched by name (case and _/-
+ *                  ignored):
+ *                    drop   the key is removed
+ *                    mask   the value becomes "[REDACTED]"
+ *                    hash   the value becomes a pseudonym ("NAME_3f9a1c2e4d")
+ *                    keep   no rule (turns off an inherited one)
+ *
+ *   Detectors    - Patterns found in any other string (see utils/phi.js):
+ *                    quarantine  the event is held for review, not stored
+ *                    hash / mask the match is replaced
+ *                    allow       the match is left alone
+ *
+ * The "*" policy applies to every source; a source's own policy is merged
+ * over it rule by rule. Correlation IDs are hashed rather than masked so
+ * traces still link up. Quarantined events go to telemetry/quarantine.js.
+ *
+ * Registered policies are stored in the "scrub-policies" document
+ * collection; a registered "*" policy replaces the built-in default below.
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { DETECTORS, DETECTOR_NAMES, MASK, normalizeKey, pseudonymize } from '../utils/phi.js';
+import { loadDocuments, saveDocument, deleteDocument } from '../storage/index.js';
+
+// Create logger for this module
+const log = Logger('Scrubbing');
+
+// Document collection holding registered policies
+const COLLECTION = 'scrub-policies';
+
+// Policy that every source inherits from
+export const DEFAULT_SOURCE = '*';
+
+// Actions a field rule may use
+const FIELD_ACTIONS = ['drop', 'mask', 'hash', 'keep'];
+
+// Actions a detector may use
+const DETECTOR_ACTIONS = ['quarantine', 'hash', 'mask', 'allow'];
+
+// Nesting depth walked in event data (deeper values are masked)
+const MAX_DEPTH = 20;
+
+// Pseudonym category per field, so hashes match the ones used for analysis
+const FIELD_CATEGORIES = {
+  patientid: 'PATIENT',
+  mrn: 'MRN',
+  medicalrecordnumber: 'MRN',
+  patientname: 'NAME',
+  firstname: 'NAME',
+  lastname: 'NAME',
+  fullname: 'NAME',
+  dob: 'DOB',
+  dateofbirth: 'DOB',
+  birthdate: 'DOB',
+  phone: 'PHONE',
+  phonenumber: 'PHONE',
+  email: 'EMAIL'
+};
+
+/**
+ * Built-in "*" policy (a registered "*" policy replaces it)
+ */
+export const DEFAULT_POLICY = {
+  source: DEFAULT_SOURCE,
+  enabled: true,
+  fields: {
+    patientid: 'hash',
+    mrn: 'hash',
+    medicalrecordnumber: 'hash',
+    patientname: 'hash',
+    firstname: 'hash',
+    lastname: 'hash',
+    fullname: 'hash',
+    dob: 'mask',
+    dateofbirth: 'mask',
+    birthdate: 'mask',
+    phone: 'mask',
+    phonenumber: 'mask',
+    email: 'mask',
+    address: 'mask',
+    ssn: 'drop'
+  },
+  detectors: {
+    ssn: 'quarantine',
+    mrn: 'quarantine',
+    dob: 'mask',
+    name: 'hash',
+    phone: 'mask',
+    email: 'mask',
+    date: 'allow'
+  }
+};
+
+// Registered policies, loaded from storage on first use
+let registered = null;
+
+// =============================================================================
+// POLICIES
+// =============================================================================
+
+/**
+ * Load registered policies (cached after the first call)
+ *
+ * @returns {Object} Map of source -> registered policy
+ */
+async function getRegistered() {
+  if (!registered) {
+    const documents = await loadDocuments(COLLECTION);
+    registered = Object.fromEntries(documents.map(doc => [doc.source, doc]));
+    log.debug(`Loaded ${documents.length} scrubbing polic${documents.length === 1 ? 'y' : 'ies'}`);
+  }
+  return registered;
+}
+
+/**
+ * Get the effective policy for a source ("*" merged with its own rules)
+ *
+ * @param {string} source - Source application name, or "*"
+ * @returns {Object} { source, enabled, fields, detectors, builtIn }
+ */
+export async function getPolicy(source) {
+  const policies = await getRegistered();
+  const base = policies[DEFAULT_SOURCE] || DEFAULT_POLICY;
+  const own = source === DEFAULT_SOURCE ? null : policies[source];
+
+  return {
+    source,
+    enabled: own?.enabled ?? base.enabled,
+    fields: { ...base.fields, ...own?.fields },
+    detectors: { ...base.detectors, ...own?.detectors },
+    // true when nothing is registered for this source itself
+    builtIn: source === DEFAULT_SOURCE ? !policies[DEFAULT_SOURCE] : !own,
+    ...(own?.updatedAt && { updatedAt: own.updatedAt })
+  };
+}
+
+/**
+ * Get the effective policy for "*" and every source that registered one
+ *
+ * @returns {Object} Map of source -> effective policy
+ */
+export async function getPolicies() {
+  const sources = [DEFAULT_SOURCE, ...Object.keys(await getRegistered())
+    .filter(source => source !== DEFAULT_SOURCE)
+    .sort()];
+
+  const policies = {};
+  for (const source of sources) {
+    policies[source] = await getPolicy(source);
+  }
+  return policies;
+}
+
+/**
+ * Check one map of rules against the allowed actions
+ */
+function validateRules(rules, name, actions, allowedKeys = null) {
+  if (rules === undefined) return null;
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    return `${name} must be an object of name -> action`;
+  }
+  for (const [key, action] of Object.entries(rules)) {
+    if (allowedKeys && !allowedKeys.includes(key)) {
+      return `Unknown detector "${key}". Must be one of: ${allowedKeys.join(', ')}`;
+    }
+    if (!actions.includes(action)) {
+      return `${name}.${key}: action must be one of: ${actions.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a policy from a client
+ *
+ * @param {Object} body - { enabled, fields, detectors }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePolicy(body) {
+  const { enabled, fields, detectors } = body || {};
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  return validateRules(fields, 'fields', FIELD_ACTIONS) ||
+    validateRules(detectors, 'detectors', DETECTOR_ACTIONS, DETECTOR_NAMES);
+}
+
+/**
+ * Register (or replace) a source's policy
+ *
+ * @param {string} source - Source application name, or "*" for the default
+ * @param {Object} body - { enabled, fields, detectors } (validated by the caller)
+ * @returns {Object} Effective policy
+ */
+export async function savePolicy(source, { enabled, fields = {}, detectors = {} }) {
+  const policy = {
+    source,
+    ...(enabled !== undefined && { enabled }),
+    // Stored normalized so a source's "patient_name" overrides "*"'s "patientName"
+    fields: Object.fromEntries(Object.entries(fields).map(([key, action]) => [normalizeKey(key), action])),
+    detectors,
+    updatedAt: new Date().toISOString()
+  };
+
+  // "*" has nothing to inherit from, so it starts from the built-in rules
+  if (source === DEFAULT_SOURCE) {
+    policy.enabled = enabled ?? DEFAULT_POLICY.enabled;
+    policy.fields = { ...DEFAULT_POLICY.fields, ...policy.fields };
+    policy.detectors = { ...DEFAULT_POLICY.detectors, ...detectors };
+  }
+
+  await saveDocument(COLLECTION, source, policy);
+  (await getRegistered())[source] = policy;
+
+  log.info(`Registered scrubbing policy for ${source}`);
+  return getPolicy(source);
+}
+
+/**
+ * Remove a registered policy (the source falls back to "*")
+ *
+ * @param {string} source - Source application name, or "*"
+ * @returns {boolean} True if a registration existed
+ */
+export async function deletePolicy(source) {
+  const existed = await deleteDocument(COLLECTION, source);
+  delete (await getRegistered())[source];
+
+  if (existed) log.info(`Removed scrubbing policy for ${source}`);
+  return existed;
+}
+
+// =============================================================================
+// SCRUBBING
+// =============================================================================
+
+/**
+ * Apply a policy to one telemetry event
+ *
+ * Field rules and hash/mask detectors are applied; quarantine detectors
+ * leave their matches in place and are reported as reasons instead.
+ *
+ * @param {Object} telemetry - Validated telemetry event
+ * @param {Object} policy - { enabled, fields, detectors }
+ * @returns {Object} { telemetry, reasons: [{ detector, path }], changes }
+ */
+export function scrubTelemetry(telemetry, policy) {
+  if (!policy.enabled || !telemetry.event) {
+    return { telemetry, reasons: [], changes: 0 };
+  }
+
+  const detectors = DETECTORS
+    .map(detector => ({ ...detector, action: policy.detectors[detector.name] || 'allow' }))
+    .filter(detector => detector.action !== 'allow');
+  const reasons = [];
+  let changes = 0;
+
+  function scrubText(text, path, hashOnly = false) {
+    let result = text;
+    for (const { name, category, group, pattern, action } of detectors) {
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const value = args[group];
+
+        if (action === 'quarantine') {
+          if (!reasons.some(r => r.detector === name && r.path === path)) {
+            reasons.push({ detector: name, path });
+          }
+          return match;
+        }
+
+        changes++;
+        const replacement = action === 'mask' && !hashOnly ? MASK : pseudonymize(category, value);
+        return group === 0 ? replacement : match.replace(value, replacement);
+      });
+    }
+    return result;
+  }
+
+  function scrubValue(value, path, depth = 0) {
+    if (typeof value === 'string') return scrubText(value, path);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) {
+      changes++;
+      return MASK;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, i) => scrubValue(item, `${path}[${i}]`, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const normalized = normalizeKey(key);
+      const action = policy.fields[normalized];
+      if (!action || action === 'keep' || item === null || item === undefined || item === '') {
+        result[key] = scrubValue(item, `${path}.${key}`, depth + 1);
+        continue;
+      }
+
+      changes++;
+      if (action === 'hash') {
+        result[key] = pseudonymize(FIELD_CATEGORIES[normalized] || normalized.toUpperCase(), item);
+      } else if (action === 'mask') {
+        result[key] = MASK;
+      }
+      // drop: leave the key out
+    }
+    return result;
+  }
+
+  const e = telemetry.event;
+  const scrubbed = {
+    ...telemetry,
+    event: {
+      ...e,
+      ...(e.data !== undefined && { data: scrubValue(e.data, 'event.data') }),
+      ...(e.error !== undefined && { error: scrubValue(e.error, 'event.error') }),
+      ...(typeof e.correlationId === 'string' && {
+        correlationId: scrubText(e.correlationId, 'event.correlationId', true)
+      })
+    }
+  };
+
+  return { telemetry: scrubbed, reasons, changes };
+}
+
+/**
+ * Scrub an incoming event with its source's policy (SCRUBBING_ENABLED)
+ *
+ * @param {Object} telemetry - Validated telemetry event
+ * @returns {Object} { telemetry, reasons } - quarantine the event when reasons is non-empty
+ */
+export async function scrubEvent(telemetry) {
+  if (!config.scrubbing.enabled) {
+    return { telemetry, reasons: [] };
+  }
+
+  const policy = await getPolicy(telemetry.source);
+  const { telemetry: scrubbed, reasons, changes } = scrubTelemetry(telemetry, policy);
+
+  if (changes > 0) {
+    log.debug(`Scrubbed ${changes} value(s) from ${telemetry.source} event`);
+  }
+
+  return { telemetry: scrubbed, reasons };
+}
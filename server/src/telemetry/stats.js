@@ -0,0 +1,299 @@
+/**
+ * =============================================================================
+ * STATS.JS - Deterministic Event Statistics
+ * =============================================================================
+ *
+ * Plain-number summaries of a set of telemetry events: error rates and
+ * duration_ms percentiles overall, per source and per stage, latency
+ * outliers, and activity by hour - and what changed between two such sets
+ * (compareEventStats). Used where an answer must not depend on an AI
+ * provider (the local analyzer, comparisons, metrics).
+ *
+ * =============================================================================
+ */
+
+import { getSortTimestamp } from '../storage/cursor.js';
+
+// Minimum samples in a stage before latency outliers are reported
+const MIN_OUTLIER_SAMPLES = 5;
+
+// Outlier fence: q3 + OUTLIER_IQR_FACTOR * (q3 - q1), and at least twice q3
+// so stages with near-constant durations don't flag every small wobble
+const OUTLIER_IQR_FACTOR = 3;
+
+/**
+ * Get a percentile from sorted numbers (nearest-rank)
+ *
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Value at the percentile, or null if empty
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Summarize a list of durations
+ *
+ * @param {number[]} durations - duration_ms values (any order)
+ * @returns {Object} { samples, avg, p50, p95, p99, max } (nulls when empty)
+ */
+export function summarizeDurations(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, d) => sum + d, 0);
+
+  return {
+    samples: sorted.length,
+    avg: sorted.length > 0 ? Math.round(total / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+}
+
+/**
+ * Round a ratio for display in API output
+ */
+function toRate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : 0;
+}
+
+/**
+ * Get an event's duration if it reported a valid one
+ */
+function getDuration(event) {
+  const duration = event.event?.duration_ms;
+  return Number.isFinite(duration) && duration >= 0 ? duration : null;
+}
+
+/**
+ * Accumulator for one group (source or stage)
+ */
+function createGroup() {
+  return { count: 0, failures: 0, durations: [] };
+}
+
+/**
+ * Add an event to a group accumulator
+ */
+function addToGroup(group, event) {
+  group.count++;
+  if (event.event?.success === false) group.failures++;
+  const duration = getDuration(event);
+  if (duration !== null) group.durations.push(duration);
+}
+
+/**
+ * Turn a group accumulator into its summary
+ */
+function finishGroup({ count, failures, durations }) {
+  return {
+    count,
+    failures,
+    errorRate: toRate(failures, count),
+    latency: summarizeDurations(durations)
+  };
+}
+
+/**
+ * Compute statistics for a set of events
+ *
+ * @param {Array} events - Stored events (any order)
+ * @returns {Object} Statistics:
+ * {
+ *   totalEvents, failures, errorRate,
+ *   latency: { samples, avg, p50, p95, p99, max },
+ *   timeRange: { start, end },
+ *   bySource: { [source]: { count, failures, errorRate, latency } },
+ *   byStage:  { [stage]:  { count, failures, errorRate, latency } },
+ *   actions:  { "stage/action": count },
+ *   errors:   [{ stage, action, message, count }]  (most frequent first),
+ *   outliers: [{ eventId, source, stage, action, durationMs, fenceMs }],
+ *   byHour:   [24 counts, UTC hour of day]
+ * }
+ */
+export function computeEventStats(events) {
+  const overall = createGroup();
+  const bySource = {};
+  const byStage = {};
+  const actions = {};
+  const errors = new Map();
+  const byHour = new Array(24).fill(0);
+  let start = null;
+  let end = null;
+
+  for (const event of events) {
+    const stage = event.event?.stage || 'unknown';
+    const action = event.event?.action || 'unknown';
+
+    addToGroup(overall, event);
+    addToGroup(bySource[event.source || 'unknown'] ||= createGroup(), event);
+    addToGroup(byStage[stage] ||= createGroup(), event);
+
+    const actionKey = `${stage}/${action}`;
+    actions[actionKey] = (actions[actionKey] || 0) + 1;
+
+    if (event.event?.success === false) {
+      const message = event.event?.error?.message || null;
+      const key = `${actionKey}|${message}`;
+      const entry = errors.get(key) || { stage, action, message, count: 0 };
+      entry.count++;
+      errors.set(key, entry);
+    }
+
+    const timestamp = getSortTimestamp(event);
+    if (!start || timestamp < start) start = timestamp;
+    if (!end || timestamp > end) end = timestamp;
+    byHour[new Date(timestamp).getUTCHours()]++;
+  }
+
+  return {
+    totalEvents: overall.count,
+    failures: overall.failures,
+    errorRate: toRate(overall.failures, overall.count),
+    latency: summarizeDurations(overall.durations),
+    timeRange: { start, end },
+    bySource: Object.fromEntries(Object.entries(bySource).map(([k, g]) => [k, finishGroup(g)])),
+    byStage: Object.fromEntries(Object.entries(byStage).map(([k, g]) => [k, finishGroup(g)])),
+    actions,
+    errors: [...errors.values()].sort((a, b) => b.count - a.count),
+    outliers: findLatencyOutliers(events, byStage),
+    byHour
+  };
+}
+
+/**
+ * Find events whose duration is far above the rest of their stage
+ * Uses an interquartile-range fence so a few slow events can't hide themselves
+ *
+ * @param {Array} events - Stored events
+ * @param {Object} byStage - Stage accumulators from computeEventStats
+ * @returns {Array} Outliers, slowest first
+ */
+function findLatencyOutliers(events, byStage) {
+  const fences = {};
+  for (const [stage, { durations }] of Object.entries(byStage)) {
+    if (durations.length < MIN_OUTLIER_SAMPLES) continue;
+    const sorted = [...durations].sort((a, b) => a - b);
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    fences[stage] = Math.max(q3 + OUTLIER_IQR_FACTOR * (q3 - q1), q3 * 2);
+  }
+
+  const outliers = [];
+  for (const event of events) {
+    const stage = event.event?.stage || 'unknown';
+    const duration = getDuration(event);
+    if (duration === null || fences[stage] === undefined || duration <= fences[stage]) continue;
+
+    outliers.push({
+      eventId: event.id,
+      source: event.source,
+      stage,
+      action: event.event?.action,
+      durationMs: duration,
+      fenceMs: fences[stage]
+    });
+  }
+
+  return outliers.sort((a, b) => b.durationMs - a.durationMs);
+}
+
+/**
+ * Change in one number between two windows
+ *
+ * @returns {Object} { baseline, candidate, delta, change } - change is relative
+ *   (0.5 = +50%), null when the baseline is zero or unknown
+ */
+function diff(baseline, candidate) {
+  if (baseline === null || candidate === null) {
+    return { baseline, candidate, delta: null, change: null };
+  }
+  return {
+    baseline,
+    candidate,
+    delta: Math.round((candidate - baseline) * 10000) / 10000,
+    change: baseline !== 0 ? toRate(candidate - baseline, baseline) : null
+  };
+}
+
+/**
+ * Error rate and latency changes for one group (overall, a source or a stage)
+ */
+function diffGroup(baseline, candidate) {
+  return {
+    count: diff(baseline?.count ?? 0, candidate?.count ?? 0),
+    errorRate: diff(baseline?.errorRate ?? 0, candidate?.errorRate ?? 0),
+    p50: diff(baseline?.latency.p50 ?? null, candidate?.latency.p50 ?? null),
+    p95: diff(baseline?.latency.p95 ?? null, candidate?.latency.p95 ?? null),
+    p99: diff(baseline?.latency.p99 ?? null, candidate?.latency.p99 ?? null)
+  };
+}
+
+/**
+ * Compare two sets of events (e.g. before and after a deploy)
+ *
+ * Volumes differ between windows, so rates and percentiles are compared
+ * rather than raw counts. Actions and stages are "new" when the candidate
+ * has them and the baseline never did, "missing" the other way round.
+ *
+ * @param {Array} baselineEvents - Events from the earlier (reference) window
+ * @param {Array} candidateEvents - Events from the window under suspicion
+ * @returns {Object} Comparison:
+ * {
+ *   baseline:  { totalEvents, failures, errorRate, latency, timeRange },
+ *   candidate: { ... same ... },
+ *   overall:   { count, errorRate, p50, p95, p99 }  (each { baseline, candidate, delta, change }),
+ *   byStage:   { [stage]: { count, errorRate, p50, p95, p99 } },
+ *   bySource:  { [source]: { ... same ... } },
+ *   newActions:     [{ action: "stage/action", count }],
+ *   missingActions: [{ action, count }],
+ *   newStages:      [stage],
+ *   missingStages:  [stage],
+ *   newErrors:      [{ stage, action, message, count }]  (not seen in the baseline)
+ * }
+ */
+export function compareEventStats(baselineEvents, candidateEvents) {
+  const baseline = computeEventStats(baselineEvents);
+  const candidate = computeEventStats(candidateEvents);
+
+  const window = (stats) => ({
+    totalEvents: stats.totalEvents,
+    failures: stats.failures,
+    errorRate: stats.errorRate,
+    latency: stats.latency,
+    timeRange: stats.timeRange
+  });
+
+  const diffAll = (before, after) => Object.fromEntries(
+    [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .sort()
+      .map(key => [key, diffGroup(before[key], after[key])])
+  );
+
+  const onlyIn = (counts, other) => Object.entries(counts)
+    .filter(([key]) => !(key in other))
+    .map(([action, count]) => ({ action, count }))
+    .sort((a, b) => b.count - a.count);
+
+  const knownErrors = new Set(baseline.errors.map(e => `${e.stage}/${e.action}|${e.message}`));
+
+  return {
+    baseline: window(baseline),
+    candidate: window(candidate),
+    overall: diffGroup(
+      { count: baseline.totalEvents, errorRate: baseline.errorRate, latency: baseline.latency },
+      { count: candidate.totalEvents, errorRate: candidate.errorRate, latency: candidate.latency }
+    ),
+    byStage: diffAll(baseline.byStage, candidate.byStage),
+    bySource: diffAll(baseline.bySource, candidate.bySource),
+    newActions: onlyIn(candidate.actions, baseline.actions),
+    missingActions: onlyIn(baseline.actions, candidate.actions),
+    newStages: Object.keys(candidate.byStage).filter(stage => !(stage in baseline.byStage)).sort(),
+    missingStages: Object.keys(baseline.byStage).filter(stage => !(stage in candidate.byStage)).sort(),
+    newErrors: candidate.errors.filter(e => !knownErrors.has(`${e.stage}/${e.action}|${e.message}`))
+  };
+}
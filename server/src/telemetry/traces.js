@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * TRACES.JS - Correlation Trace Reconstruction
+ * =============================================================================
+ *
+ * Events that share a correlationId describe one item's journey through a
+ * pipeline (e.g. interceptor → injector → background → backend). This module
+ * rebuilds that journey from stored events:
+ *
+ *   - steps:  every event in time order, with its offset from the first
+ *             event, its own duration_ms and the gap since the previous step
+ *   - stages: per-stage totals (events, time spent, first/last offset)
+ *   - pipeline: completeness against the source's expected stage sequence
+ *               (see pipelines.js), when one is defined
+ *   - status:   the most severe of, in order:
+ *                 failed      - a step failed
+ *                 stalled     - stopped before the last expected stage and idle
+ *                 skipped     - an expected stage was skipped
+ *                 incomplete  - paused longer than TRACE_GAP_THRESHOLD_MS
+ *                 in_progress - before the last expected stage, not idle yet
+ *                 ok
+ *
+ * =============================================================================
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { streamEvents } from '../storage/index.js';
+import { getSortTimestamp } from '../storage/cursor.js';
+import { getPipelines, checkCompleteness } from './pipelines.js';
+
+// Create logger for this module
+const log = Logger('Traces');
+
+// Trace statuses, most severe first
+export const TRACE_STATUSES = ['failed', 'stalled', 'skipped', 'incomplete', 'in_progress', 'ok'];
+
+// Statuses that need attention (the default for GET /api/traces)
+export const PROBLEM_STATUSES = ['failed', 'stalled', 'skipped', 'incomplete'];
+
+/**
+ * Sort comparator for events, oldest first (ties broken by id)
+ */
+function compareOldestFirst(a, b) {
+  const ta = getSortTimestamp(a);
+  const tb = getSortTimestamp(b);
+  if (ta !== tb) return ta < tb ? -1 : 1;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Build a trace from the events of one correlation ID
+ *
+ * @param {string} correlationId - Shared correlation ID
+ * @param {Array} events - Stored events carrying that correlation ID (any order)
+ * @param {Object} pipelines - Map of source -> expected stage definition (from getPipelines)
+ * @param {number} now - Reference time for stall detection (default: now)
+ * @returns {Object} Trace with steps, per-stage durations, gaps, completeness and status
+ */
+export function buildTrace(correlationId, events, pipelines = {}, now = Date.now()) {
+  const ordered = [...events].sort(compareOldestFirst);
+  const gapThresholdMs = config.traces.gapThresholdMs;
+
+  const traceStart = Date.parse(getSortTimestamp(ordered[0]));
+  let previousEnd = null;
+
+  const steps = ordered.map(event => {
+    const start = Date.parse(getSortTimestamp(event));
+    const durationMs = Number.isFinite(event.event?.duration_ms) ? event.event.duration_ms : null;
+    const end = start + (durationMs || 0);
+
+    // Overlapping steps (parallel work) have no gap rather than a negative one
+    const gapMs = previousEnd === null ? null : Math.max(0, start - previousEnd);
+    previousEnd = Math.max(previousEnd ?? end, end);
+
+    return {
+      eventId: event.id,
+      source: event.source,
+      stage: event.event?.stage,
+      action: event.event?.action,
+      success: event.event?.success,
+      timestamp: new Date(start).toISOString(),
+      offsetMs: start - traceStart,
+      durationMs,
+      gapMs,
+      error: event.event?.error
+    };
+  });
+
+  // Per-stage totals, in the order each stage was first reached
+  const stages = [];
+  const byStage = new Map();
+  for (const step of steps) {
+    let stage = byStage.get(step.stage);
+    if (!stage) {
+      stage = {
+        stage: step.stage,
+        events: 0,
+        failures: 0,
+        durationMs: 0,
+        startOffsetMs: step.offsetMs,
+        endOffsetMs: step.offsetMs
+      };
+      byStage.set(step.stage, stage);
+      stages.push(stage);
+    }
+    stage.events++;
+    if (step.success === false) stage.failures++;
+    stage.durationMs += step.durationMs || 0;
+    stage.endOffsetMs = Math.max(stage.endOffsetMs, step.offsetMs + (step.durationMs || 0));
+  }
+
+  const gaps = steps
+    .filter(step => step.gapMs !== null && step.gapMs > gapThresholdMs)
+    .map(step => ({ beforeEventId: step.eventId, stage: step.stage, gapMs: step.gapMs }));
+
+  const failedStages = stages.filter(s => s.failures > 0).map(s => s.stage);
+  const sources = [...new Set(steps.map(s => s.source))];
+
+  // Check against the first source on the trace that has an expected sequence
+  const definition = sources.map(source => pipelines[source]).find(Boolean);
+  const pipeline = definition ? checkCompleteness(steps, definition, now - previousEnd) : null;
+
+  let status = 'ok';
+  if (failedStages.length > 0) status = 'failed';
+  else if (pipeline?.state === 'stalled') status = 'stalled';
+  else if (pipeline?.skippedStages.length > 0) status = 'skipped';
+  else if (gaps.length > 0) status = 'incomplete';
+  else if (pipeline?.state === 'in_progress') status = 'in_progress';
+
+  return {
+    correlationId,
+    status,
+    sources,
+    startedAt: steps[0].timestamp,
+    endedAt: new Date(previousEnd).toISOString(),
+    totalDurationMs: previousEnd - traceStart,
+    eventCount: steps.length,
+    failedStages,
+    maxGapMs: Math.max(0, ...steps.map(s => s.gapMs || 0)),
+    gaps,
+    pipeline: pipeline && { source: definition.source, ...pipeline },
+    stages,
+    steps
+  };
+}
+
+/**
+ * Get the full trace for one correlation ID
+ *
+ * @param {string} correlationId - Correlation ID to look up
+ * @returns {Object|null} Trace, or null if no events carry this ID
+ */
+export async function getTrace(correlationId) {
+  const events = [];
+  for await (const event of streamEvents({ correlationId })) {
+    events.push(event);
+  }
+  if (events.length === 0) return null;
+
+  log.debug(`Built trace ${correlationId} from ${events.length} event(s)`);
+  return buildTrace(correlationId, events, await getPipelines());
+}
+
+/**
+ * Strip per-step detail from a trace for list views
+ */
+function summarizeTrace({ steps, stages, ...summary }) {
+  return { ...summary, stages: stages.map(s => s.stage) };
+}
+
+/**
+ * Get the default window start for trace queries
+ */
+function getDefaultStartDate() {
+  return new Date(Date.now() - config.traces.windowHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Build every trace whose events fall in a time window
+ *
+ * @param {Object} options - { source, startDate, endDate }
+ * @returns {Array} Traces (unordered)
+ */
+export async function collectTraces({ source, startDate, endDate }) {
+  // Group the window's events by correlation ID
+  const groups = new Map();
+  for await (const event of streamEvents({ source, startDate, endDate })) {
+    const correlationId = event.event?.correlationId;
+    if (!correlationId) continue;
+
+    if (!groups.has(correlationId)) groups.set(correlationId, []);
+    groups.get(correlationId).push(event);
+  }
+
+  const pipelines = await getPipelines();
+  const now = Date.now();
+
+  return [...groups].map(([correlationId, events]) => buildTrace(correlationId, events, pipelines, now));
+}
+
+/**
+ * List traces in a time window
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.source - Only traces touching this source
+ * @param {string} options.startDate - Window start (default: TRACE_WINDOW_HOURS ago)
+ * @param {string} options.endDate - Window end
+ * @param {Array<string>} options.statuses - Statuses to include (default: PROBLEM_STATUSES)
+ * @param {number} options.limit - Max traces to return, newest first
+ * @returns {Object} { traces: [...summaries], total, counts: { failed, stalled, ... } }
+ */
+export async function listTraces(options = {}) {
+  const {
+    source,
+    endDate,
+    statuses = PROBLEM_STATUSES,
+    limit = 100
+  } = options;
+  const startDate = options.startDate || getDefaultStartDate();
+
+  const all = await collectTraces({ source, startDate, endDate });
+
+  const counts = Object.fromEntries(TRACE_STATUSES.map(s => [s, 0]));
+  const traces = [];
+
+  for (const trace of all) {
+    counts[trace.status]++;
+    if (statuses.includes(trace.status)) {
+      traces.push(summarizeTrace(trace));
+    }
+  }
+
+  traces.sort((a, b) => (a.startedAt < b.startedAt ? 1 : a.startedAt > b.startedAt ? -1 : 0));
+
+  log.debug(`Built ${all.length} trace(s), ${traces.length} matching ${statuses.join('/')}`);
+
+  return {
+    traces: traces.slice(0, limit),
+    total: traces.length,
+    counts,
+    startDate,
+    endDate: endDate || null
+  };
+}
+
+// Correlation IDs kept per source as examples of each problem
+const MAX_EXAMPLES = 5;
+
+/**
+ * Pipeline completeness stats per source for a time window
+ *
+ * Only traces checked against an expected stage sequence are counted.
+ *
+ * @param {Object} options - { source, startDate, endDate }
+ * @returns {Object} { startDate, endDate, sources: { [source]: stats } }
+ *
+ * Per-source stats:
+ * {
+ *   "expectedStages": ["interceptor", ...],
+ *   "traces": 40, "complete": 35, "inProgress": 1, "stalled": 3, "skipped": 2, "failed": 1,
+ *   "completionRate": 0.875,
+ *   "stalledAfter": { "background": 3 },      // last stage reached by stalled traces
+ *   "skippedStages": { "injector": 2 },
+ *   "examples": { "stalled": ["corr-1"], "skipped": ["corr-2"] }
+ * }
+ */
+export async function getCompletenessStats(options = {}) {
+  const { source, endDate } = options;
+  const startDate = options.startDate || getDefaultStartDate();
+
+  const sources = {};
+
+  for (const trace of await collectTraces({ source, startDate, endDate })) {
+    const { pipeline } = trace;
+    if (!pipeline) continue;
+
+    const stats = sources[pipeline.source] ||= {
+      expectedStages: pipeline.expectedStages,
+      traces: 0,
+      complete: 0,
+      inProgress: 0,
+      stalled: 0,
+      skipped: 0,
+      failed: 0,
+      completionRate: null,
+      stalledAfter: {},
+      skippedStages: {},
+      examples: { stalled: [], skipped: [] }
+    };
+
+    stats.traces++;
+    if (trace.status === 'failed') stats.failed++;
+
+    if (pipeline.state === 'complete' && pipeline.skippedStages.length === 0) stats.complete++;
+    if (pipeline.state === 'in_progress') stats.inProgress++;
+
+    if (pipeline.state === 'stalled') {
+      stats.stalled++;
+      stats.stalledAfter[pipeline.lastStage] = (stats.stalledAfter[pipeline.lastStage] || 0) + 1;
+      if (stats.examples.stalled.length < MAX_EXAMPLES) stats.examples.stalled.push(trace.correlationId);
+    }
+
+    if (pipeline.skippedStages.length > 0) {
+      stats.skipped++;
+      for (const stage of pipeline.skippedStages) {
+        stats.skippedStages[stage] = (stats.skippedStages[stage] || 0) + 1;
+      }
+      if (stats.examples.skipped.length < MAX_EXAMPLES) stats.examples.skipped.push(trace.correlationId);
+    }
+  }
+
+  // In-progress traces haven't had a chance to finish yet
+  for (const stats of Object.values(sources)) {
+    const settled = stats.traces - stats.inProgress;
+    stats.completionRate = settled > 0 ? Math.round((stats.complete / settled) * 1000) / 1000 : null;
+  }
+
+  return { startDate, endDate: endDate || null, sources };
+}
@@ -0,0 +1,153 @@
+/**
+ * =============================================================================
+ * CRON.JS - Minimal Cron Expression Parser
+ * =============================================================================
+ *
+ * Standard 5-field expressions evaluated in server local time:
+ *
+ *   ┌─ minute (0-59)
+ *   │ ┌─ hour (0-23)
+ *   │ │ ┌─ day of month (1-31)
+ *   │ │ │ ┌─ month (1-12)
+ *   │ │ │ │ ┌─ day of week (0-6, Sunday = 0 or 7)
+ *   * * * * *
+ *
+ * Each field accepts *, numbers, ranges (1-5), lists (1,15) and steps
+ * (*\/15, 8-18/2). Aliases: @hourly, @daily, @weekly, @monthly.
+ * As in cron, when both day fields are restricted either one may match.
+ *
+ * Usage:
+ *   const next = nextCronTime('0 6 * * 1-5', new Date());
+ *
+ * =============================================================================
+ */
+
+// [min, max] per field, in expression order
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a match after this long (e.g. "0 0 31 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one field into the set of values it allows
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: "${text}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [start, end] = range === '*'
+      ? [min, max]
+      : range.split('-').map(n => parseInt(n));
+    if (end === undefined) end = stepText ? max : start;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: "${text}" (allowed ${min}-${max})`);
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - 5-field expression or alias
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } value sets,
+ *   plus anyDayOfMonth / anyDayOfWeek flags for unrestricted day fields
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCron(expression) {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  // Sunday may be written as 7
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+
+  parsed.anyDayOfMonth = parts[2] === '*';
+  parsed.anyDayOfWeek = parts[4] === '*';
+  return parsed;
+}
+
+/**
+ * Check whether a date's day matches the day-of-month/day-of-week fields
+ */
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * Find the next time an expression fires, strictly after a given time
+ *
+ * @param {string|Object} expression - Expression or parseCron() result
+ * @param {Date} after - Start searching after this time
+ * @returns {Date|null} Next run time (whole minute), or null if none within 5 years
+ */
+export function nextCronTime(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
@@ -0,0 +1,90 @@
+/**
+ * =============================================================================
+ * PHI.JS - Shared Identifier Patterns and Pseudonyms
+ * =============================================================================
+ *
+ * Building blocks for the two places PHI is handled:
+ *
+ *   telemetry/scrubbing.js - at ingestion, before events are stored
+ *   ai/redaction.js        - before stored events are put in a prompt
+ *
+ * Both use the same detectors and the same pseudonym key, so a patient
+ * hashed at ingestion and one pseudonymized for analysis get the same token.
+ *
+ * =============================================================================
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { config } from '../config.js';
+
+// Replacement for masked values
+export const MASK = '[REDACTED]';
+
+// Hex characters of HMAC kept in a pseudonym
+const TOKEN_LENGTH = 10;
+
+// Pattern detectors, applied in order. group is the capture group holding
+// the identifier (0 = whole match); labels like "MRN:" are kept.
+export const DETECTORS = [
+  { name: 'ssn', category: 'SSN', group: 0, pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { name: 'email', category: 'EMAIL', group: 0, pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  {
+    name: 'mrn',
+    category: 'MRN',
+    group: 2,
+    pattern: /\b(MRN|medical record(?: number)?|patient[ _-]?id)\s*[:#=_-]?\s*([A-Z]{0,3}\d{4,12})\b/gi
+  },
+  {
+    name: 'dob',
+    category: 'DOB',
+    group: 2,
+    pattern: /\b(DOB|date of birth|birth ?date)\s*[:=]?\s*(\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4})/gi
+  },
+  // US-style dates (ISO timestamps are left alone - they are event times)
+  { name: 'date', category: 'DATE', group: 0, pattern: /\b(?:0?[1-9]|1[0-2])\/(?:0?[1-9]|[12]\d|3[01])\/(?:\d{4}|\d{2})\b/g },
+  {
+    name: 'phone',
+    category: 'PHONE',
+    group: 0,
+    pattern: /(?<![\d-])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\d-])/g
+  },
+  {
+    name: 'name',
+    category: 'NAME',
+    group: 2,
+    pattern: /\b([Pp]atient(?: [Nn]ame)?|[Nn]ame|[Pp]t)\s*[:=]\s*([A-Z][a-z'-]+(?:,? [A-Z][a-z'-]+){0,2})/g
+  },
+  {
+    name: 'name',
+    category: 'NAME',
+    group: 2,
+    pattern: /\b(Mr|Mrs|Ms|Miss|Dr)\.? ([A-Z][a-z'-]+(?: [A-Z][a-z'-]+)?)/g
+  }
+];
+
+// Detector names, for validating configured lists
+export const DETECTOR_NAMES = [...new Set(DETECTORS.map(d => d.name))];
+
+// Pseudonym key; without REDACTION_SECRET tokens are stable until restart
+const secret = config.ai.redaction.secret || randomBytes(32).toString('hex');
+
+/**
+ * Normalize a field name for rule lookup ("Patient_Name" -> "patientname")
+ */
+export function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Consistent pseudonym for a value ("NAME_3f9a1c2e4d")
+ * Case and surrounding whitespace don't change the token.
+ *
+ * @param {string} category - Identifier kind (MRN, NAME, ...)
+ * @param {*} value - Identifier
+ * @returns {string} Token
+ */
+export function pseudonymize(category, value) {
+  const normalized = (typeof value === 'string' ? value : JSON.stringify(value)).trim().toLowerCase();
+  const hash = createHmac('sha256', secret).update(`${category}:${normalized}`).digest('hex');
+  return `${category}_${hash.slice(0, TOKEN_LENGTH)}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * =============================================================================
+ * STREAM.JS - Streaming HTTP Response Helper
+ * =============================================================================
+ *
+ * Writes an async sequence of text chunks to an HTTP response, honoring
+ * backpressure and stopping early if the client disconnects. Used by the
+ * NDJSON and export endpoints so large result sets never sit in memory.
+ *
+ * Usage:
+ *   res.setHeader('Content-Type', 'application/x-ndjson');
+ *   const written = await writeStream(res, linesGenerator());
+ *
+ * =============================================================================
+ */
+
+import { once } from 'events';
+import { Logger } from './logger.js';
+
+// Create logger for this module
+const log = Logger('Stream');
+
+/**
+ * Pipe chunks from an async iterable into a response and end it
+ *
+ * @param {Object} res - Express response (headers not yet sent)
+ * @param {AsyncIterable<string>} chunks - Text chunks to write
+ * @returns {number} Number of chunks written (partial if the client left)
+ */
+export async function writeStream(res, chunks) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  let written = 0;
+
+  try {
+    for await (const chunk of chunks) {
+      if (closed) {
+        log.debug(`Client disconnected after ${written} chunk(s)`);
+        return written;
+      }
+
+      // Wait for the socket to drain instead of buffering everything
+      if (!res.write(chunk) && !closed) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      written++;
+    }
+
+    res.end();
+  } catch (err) {
+    // Headers are already sent, so the only signal left is a broken response
+    log.error('Stream failed mid-response', err);
+    res.destroy(err);
+  }
+
+  return written;
+}